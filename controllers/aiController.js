@@ -1,5 +1,7 @@
 const { GoogleGenAI } = require("@google/genai");
 const Invoice = require("../models/Invoice");
+const Organization = require("../models/Organization");
+const { buildAgingReport } = require("../services/agingReportService");
 
 const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY })
 
@@ -62,6 +64,30 @@ const parseInvoiceFromText = async (req, res) => {
     }
 };
 
+// Compose a reminder email for an invoice (shared with the dunning scheduler)
+const composeReminderEmail = async (invoice) => {
+    const amountDue = invoice.recalculateBalance ? invoice.recalculateBalance() : invoice.total;
+
+    const prompt = `
+        You are a professional and polite accounting assistant. Write a friendly reminder email to a client about an overdue or upcoming invoice payment.
+        
+        Use the following details to personalize the email:
+        - Client Name: ${invoice.billTo.clientName}
+        - Invoice Number: ${invoice.invoiceNumber}
+        - Amount Due: ${amountDue.toFixed(2)}
+        - Due Date: ${new Date(invoice.dueDate).toLocaleDateString()}
+
+        The tone should be friendly but clear. Keep it concise. Start the email with "Subject:".
+        `;
+
+    const response = await ai.models.generateContent({
+        model: "gemini-2.5-flash",
+        contents: prompt,
+    });
+
+    return response.text;
+};
+
 const generateReminderEmail = async (req, res) => {
 
     const { invoiceId } = req.body;
@@ -81,24 +107,9 @@ const generateReminderEmail = async (req, res) => {
             return res.status(404).json({ message: "Invoice not found" });
         }
 
-        const prompt = `
-        You are a professional and polite accounting assistant. Write a friendly reminder email to a client about an overdue or upcoming invoice payment.
-        
-        Use the following details to personalize the email:
-        - Client Name: ${invoice.billTo.clientName}
-        - Invoice Number: ${invoice.invoiceNumber}
-        - Amount Due: ${invoice.total.toFixed(2)}
-        - Due Date: ${new Date(invoice.dueDate).toLocaleDateString()}
-
-        The tone should be friendly but clear. Keep it concise. Start the email with "Subject:".
-        `;
+        const reminderText = await composeReminderEmail(invoice);
 
-        const response = await ai.models.generateContent({
-            model: "gemini-2.5-flash",
-            contents: prompt,
-        });
-
-        res.status(200).json({ reminderText: response.text });
+        res.status(200).json({ reminderText });
 
     } catch (error) {
         console.error("Error generating reminder with AI:", error);
@@ -123,12 +134,22 @@ const getDashboardSummary = async (req, res) => {
         const totalRevenue = paidInvoices.reduce((acc, inv) => acc + inv.total, 0);
         const totalOutstanding = unpaidInvoices.reduce((acc, inv) => acc + inv.total, 0);
 
+        // Aging breakdown so insights can point at who pays late, not just how much is owed
+        const organization = req.organization || await Organization.findOne({ organizationId: req.organizationId });
+        const aging = await buildAgingReport(organization);
+        const lateCustomers = aging.customers
+            .filter(customer => customer.total > customer.current)
+            .slice(0, 5)
+            .map(customer => `${customer.customerName} (${customer.customerType || 'retail'}): ${(customer.total - customer.current).toFixed(2)} past due, oldest ${customer.oldestDaysPastDue} days`);
+
         const dataSummary = `
         - Total number of invoices: ${totalInvoices}
         - Total paid invoices: ${paidInvoices.length}
         - Total unpaid/pending invoices: ${unpaidInvoices.length}
         - Total revenue from paid invoices: ${totalRevenue.toFixed(2)}
         - Total outstanding amount from unpaid/pending invoices: ${totalOutstanding.toFixed(2)}
+        - Receivables aging: current ${aging.totals.current.toFixed(2)}, 1-30 days ${aging.totals.days1to30.toFixed(2)}, 31-60 days ${aging.totals.days31to60.toFixed(2)}, 61-90 days ${aging.totals.days61to90.toFixed(2)}, 90+ days ${aging.totals.over90.toFixed(2)}
+        - Customers with the largest past-due balances: ${lateCustomers.join('; ') || 'none'}
         - Recent invoices (last 5): ${invoices.slice(0, 5).map(inv => `Invoice #${inv.invoiceNumber} for ${inv.total.toFixed(2)} with status ${inv.status}`).join(', ')}
         `;
 
@@ -163,4 +184,4 @@ const getDashboardSummary = async (req, res) => {
     }
 };
 
-module.exports = { parseInvoiceFromText, generateReminderEmail, getDashboardSummary };
\ No newline at end of file
+module.exports = { parseInvoiceFromText, generateReminderEmail, getDashboardSummary, composeReminderEmail };
\ No newline at end of file
@@ -0,0 +1,230 @@
+// backend/controllers/creditNoteController.js
+// Credit notes: reduce an invoice's balance due without editing or deleting the invoice
+
+const Invoice = require("../models/Invoice");
+const CreditNote = require("../models/CreditNote");
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+// ========== ISSUE CREDIT NOTE ==========
+// POST /api/invoices/:id/credit-notes { amount, reason, lines? }
+exports.createCreditNote = async (req, res) => {
+    try {
+        const { amount, reason, lines } = req.body;
+
+        // Amount can be given directly or as the sum of the credited lines
+        const creditAmount = roundCurrency(
+            amount !== undefined
+                ? Number(amount)
+                : (lines || []).reduce((sum, line) => sum + Number(line.amount || 0), 0)
+        );
+
+        if (!creditAmount || creditAmount <= 0) {
+            return res.status(400).json({ message: "A positive credit amount is required" });
+        }
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({ message: "A reason is required for a credit note" });
+        }
+
+        // CRITICAL: Verify invoice belongs to user's organization
+        const invoice = await Invoice.findOne({
+            _id: req.params.id,
+            organizationId: req.organizationId  // ← Security check
+        });
+
+        if (!invoice) {
+            return res.status(404).json({ message: "Invoice not found" });
+        }
+
+        if (invoice.isClosed() || invoice.status === 'Draft') {
+            return res.status(400).json({
+                message: `Cannot issue a credit note on a ${invoice.status} invoice`
+            });
+        }
+
+        invoice.recalculateBalance();
+        if (creditAmount > invoice.balanceDue) {
+            return res.status(400).json({
+                message: `Credit of ${creditAmount.toFixed(2)} exceeds balance due of ${invoice.balanceDue.toFixed(2)}`
+            });
+        }
+
+        const creditNote = await CreditNote.create({
+            organizationId: req.organizationId,
+            invoiceId: invoice._id,
+            invoiceNumber: invoice.invoiceNumber,
+            customerId: invoice.customerId,
+            clientName: invoice.billTo?.clientName,
+            amount: creditAmount,
+            lines,
+            reason: reason.trim(),
+            issuedBy: req.userId
+        });
+
+        let applied;
+        try {
+            invoice.creditTotal = roundCurrency((invoice.creditTotal || 0) + creditAmount);
+            // Conditional save - refused if a payment or credit changed the balance checked above
+            applied = await invoice.saveLedgerChange();
+        } catch (error) {
+            applied = error;
+        }
+        if (applied !== true) {
+            // Keep the number sequence honest - the unapplied credit note is voided, not deleted
+            creditNote.status = 'void';
+            creditNote.voidedAt = new Date();
+            creditNote.voidReason = applied
+                ? `Failed to apply to invoice: ${applied.message}`
+                : 'Failed to apply to invoice: balance changed concurrently';
+            await creditNote.save();
+            if (applied) throw applied;
+            return res.status(409).json({ message: "Invoice balance was changed by someone else. Reload and try again." });
+        }
+
+        console.log('✅ Credit note issued:', creditNote.creditNoteNumber, 'on', invoice.invoiceNumber, creditAmount, '→', invoice.status);
+
+        res.status(201).json({
+            message: "Credit note issued successfully",
+            creditNote,
+            invoice
+        });
+    } catch (error) {
+        console.error('❌ Create credit note error:', error);
+        res.status(500).json({
+            message: "Error issuing credit note",
+            error: error.message
+        });
+    }
+};
+
+// ========== GET CREDIT NOTES FOR AN INVOICE ==========
+exports.getInvoiceCreditNotes = async (req, res) => {
+    try {
+        const invoice = await Invoice.findOne({
+            _id: req.params.id,
+            organizationId: req.organizationId  // ← Security check
+        }).select("invoiceNumber total creditTotal balanceDue");
+
+        if (!invoice) {
+            return res.status(404).json({ message: "Invoice not found" });
+        }
+
+        const creditNotes = await CreditNote.find({
+            organizationId: req.organizationId,
+            invoiceId: invoice._id
+        })
+            .populate("issuedBy", "firstName lastName email")
+            .sort({ issuedDate: -1 });
+
+        res.json({
+            invoiceNumber: invoice.invoiceNumber,
+            creditTotal: invoice.creditTotal,
+            balanceDue: invoice.balanceDue,
+            creditNotes
+        });
+    } catch (error) {
+        res
+            .status(500)
+            .json({ message: "Error fetching credit notes", error: error.message });
+    }
+};
+
+// ========== GET ALL CREDIT NOTES ==========
+// GET /api/credit-notes?status=&customerId=
+exports.getCreditNotes = async (req, res) => {
+    try {
+        const filter = { organizationId: req.organizationId };
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.customerId) filter.customerId = req.query.customerId;
+
+        const creditNotes = await CreditNote.find(filter)
+            .populate("issuedBy", "firstName lastName email")
+            .sort({ issuedDate: -1 });
+
+        res.json(creditNotes);
+    } catch (error) {
+        res
+            .status(500)
+            .json({ message: "Error fetching credit notes", error: error.message });
+    }
+};
+
+// ========== GET SINGLE CREDIT NOTE ==========
+exports.getCreditNoteById = async (req, res) => {
+    try {
+        const creditNote = await CreditNote.findOne({
+            _id: req.params.id,
+            organizationId: req.organizationId  // ← Security check
+        })
+            .populate("issuedBy", "firstName lastName email")
+            .populate("voidedBy", "firstName lastName email");
+
+        if (!creditNote) {
+            return res.status(404).json({ message: "Credit note not found" });
+        }
+
+        res.json(creditNote);
+    } catch (error) {
+        res
+            .status(500)
+            .json({ message: "Error fetching credit note", error: error.message });
+    }
+};
+
+// ========== VOID CREDIT NOTE ==========
+// Restores the invoice balance; the credit note itself is kept
+exports.voidCreditNote = async (req, res) => {
+    try {
+        const reason = req.body.reason?.trim();
+        if (!reason) {
+            return res.status(400).json({ message: "A reason is required to void a credit note" });
+        }
+
+        const creditNote = await CreditNote.findOne({
+            _id: req.params.id,
+            organizationId: req.organizationId  // ← Security check
+        });
+
+        if (!creditNote) {
+            return res.status(404).json({ message: "Credit note not found" });
+        }
+
+        if (creditNote.status === 'void') {
+            return res.status(400).json({ message: "Credit note is already void" });
+        }
+
+        const invoice = await Invoice.findOne({
+            _id: creditNote.invoiceId,
+            organizationId: req.organizationId
+        });
+
+        if (!invoice) {
+            return res.status(404).json({ message: "Invoice not found" });
+        }
+
+        // Invoice first (conditional on the balance read above), then the credit note
+        invoice.creditTotal = Math.max(0, roundCurrency((invoice.creditTotal || 0) - creditNote.amount));
+        if (!(await invoice.saveLedgerChange())) {
+            return res.status(409).json({ message: "Invoice balance was changed by someone else. Reload and try again." });
+        }
+
+        creditNote.status = 'void';
+        creditNote.voidedAt = new Date();
+        creditNote.voidedBy = req.userId;
+        creditNote.voidReason = reason;
+        await creditNote.save();
+
+        console.log('🚫 Credit note voided:', creditNote.creditNoteNumber, '-', reason);
+
+        res.json({
+            message: "Credit note voided successfully",
+            creditNote,
+            invoice
+        });
+    } catch (error) {
+        res
+            .status(500)
+            .json({ message: "Error voiding credit note", error: error.message });
+    }
+};
@@ -1,23 +1,36 @@
 // backend/controllers/invoiceController.js
 // ✅ UPDATED: Invoice controller with full product snapshot capture
 
+const mongoose = require("mongoose");
 const Invoice = require("../models/Invoice");
-const Product = require("../models/Product");
+const InvoiceRevision = require("../models/InvoiceRevision");
+const Organization = require("../models/Organization");
+const Customer = require("../models/Customer");
+const { renderInvoicePdf } = require("../services/invoicePdfService");
+const { buildItemSnapshots, buildBillToFromCustomer, recordInvoiceRevision } = require("../services/invoiceService");
+const { parseInvoiceListQuery, encodeCursor } = require("../services/invoiceQueryService");
+const { sendInvoiceWithLog, recordInvoiceTracking, TRACKING_PIXEL } = require("../services/invoiceEmailService");
+const { buildAgingReport, agingReportToCsv } = require("../services/agingReportService");
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
 
 // ========== CREATE INVOICE WITH COMPLIANCE SNAPSHOT ==========
 exports.createInvoice = async (req, res) => {
     try {
         const user = req.user;
+        // invoiceNumber is NOT taken from the client - it's issued from the org's sequence
+        // (status: 'Draft' saves an unnumbered draft - it is numbered when issued through PUT)
         const {
-            invoiceNumber,
+            status,
             invoiceDate,
             dueDate,
             billFrom,
-            billTo,
+            customerId,
             items,
             notes,
             paymentTerms,
         } = req.body;
+        let { billTo } = req.body;
 
         if (!items || items.length === 0) {
             return res.status(400).json({
@@ -25,175 +38,28 @@ exports.createInvoice = async (req, res) => {
             });
         }
 
+        if (status !== undefined && !['Draft', 'Pending'].includes(status)) {
+            return res.status(400).json({
+                message: "A new invoice is either a Draft or issued (status: 'Pending')"
+            });
+        }
+
+        // Linked customer fills in any Bill To details the request left out
+        if (customerId) {
+            const customer = await Customer.findOne({
+                _id: customerId,
+                organizationId: req.organizationId  // ← Security check
+            });
+            if (!customer) {
+                return res.status(400).json({ message: "Customer not found" });
+            }
+            billTo = buildBillToFromCustomer(customer, billTo);
+        }
+
         console.log('📋 Creating invoice with', items.length, 'items');
 
         // ✅ CRITICAL: Fetch full product details for each item to capture snapshot
-        const itemsWithCompliance = await Promise.all(
-            items.map(async (item) => {
-                try {
-                    // Try to get product by ID or search by name
-                    let product = null;
-                    
-                    if (item.productId || item._id) {
-                        product = await Product.findById(item.productId || item._id);
-                    }
-                    
-                    // If not found by ID, search by name
-                    if (!product && item.name) {
-                        const searchName = item.name.replace(/\s*\([^)]*\)/g, '').trim();
-                        product = await Product.findOne({ 
-                            name: searchName,
-                            organizationId: req.organizationId 
-                        });
-                    }
-                    
-                    if (!product) {
-                        console.warn('⚠️ Product not found for item:', item.name);
-                        // Return basic item without full compliance data
-                        return {
-                            productId: item.productId || item._id,
-                            name: item.name || item.description,
-                            description: item.description,
-                            sku: item.sku || 'UNKNOWN',
-                            category: item.category || 'other',
-                            quantity: item.quantity,
-                            unit: item.unit || 'unit',
-                            weight: item.weight || 0,
-                            unitPrice: item.unitPrice || item.price,
-                            taxPercent: item.taxPercent || 0,
-                            batchNumber: 'UNKNOWN',
-                            stateTrackingId: 'UNKNOWN',
-                            thcContent: 0,
-                            cbdContent: 0,
-                            labTested: false,
-                            packagedDate: new Date(),
-                            licensedProducer: 'Unknown',
-                            producerLicense: 'Unknown'
-                        };
-                    }
-                    
-                    console.log('✅ Captured product snapshot:', product.sku);
-                    
-                    // ========== CALCULATE WEIGHT IN GRAMS ==========
-                    let weightInGrams = 0;
-                    
-                    // Check if item has explicit weight
-                    if (item.weight) {
-                        weightInGrams = item.weight;
-                    } else {
-                        // Calculate based on unit
-                        if (item.unit === 'gram' || product.unit === 'gram') {
-                            weightInGrams = item.quantity;
-                        } else if (item.unit === 'eighth') {
-                            weightInGrams = item.quantity * 3.5;
-                        } else if (item.unit === 'quarter') {
-                            weightInGrams = item.quantity * 7;
-                        } else if (item.unit === 'half') {
-                            weightInGrams = item.quantity * 14;
-                        } else if (item.unit === 'ounce') {
-                            weightInGrams = item.quantity * 28;
-                        } else {
-                            // Try to get from product pricing
-                            const pricing = product.pricing?.find(p => 
-                                p.unit === item.unit || 
-                                p.size === item.unit
-                            );
-                            if (pricing && pricing.sizeInGrams) {
-                                weightInGrams = item.quantity * pricing.sizeInGrams;
-                            } else {
-                                // Default: assume 1 unit = 1 gram
-                                weightInGrams = item.quantity;
-                            }
-                        }
-                    }
-                    
-                    // ========== CALCULATE THC/CBD IN MG ==========
-                    const thcMg = (weightInGrams * (product.thcContent || 0)) / 100;
-                    const cbdMg = (weightInGrams * (product.cbdContent || 0)) / 100;
-                    
-                    // ========== RETURN COMPLETE SNAPSHOT ==========
-                    return {
-                        // Product Identity
-                        productId: product._id,
-                        name: item.name || product.name,
-                        description: product.description,
-                        
-                        // SKU & Category (Tier 1)
-                        sku: product.sku,
-                        category: product.category,
-                        subcategory: product.subcategory,
-                        strainType: product.strainType,
-                        strainName: product.strain,
-                        
-                        // Quantity (Tier 1)
-                        quantity: item.quantity,
-                        unit: item.unit || product.unit || 'gram',
-                        weight: weightInGrams,
-                        
-                        // Pricing
-                        unitPrice: item.unitPrice || item.price,
-                        subtotal: item.quantity * (item.unitPrice || item.price),
-                        taxPercent: item.taxPercent || 0,
-                        
-                        // Cannabinoid Profile (Tier 1 - SNAPSHOT)
-                        thcContent: product.thcContent,
-                        cbdContent: product.cbdContent,
-                        thcMg: thcMg,
-                        cbdMg: cbdMg,
-                        
-                        // Compliance (Tier 1)
-                        batchNumber: product.compliance?.batchNumber || 'N/A',
-                        stateTrackingId: product.compliance?.stateTrackingId || 'N/A',
-                        labTested: product.compliance?.labTested || false,
-                        labTestDate: product.compliance?.labTestDate,
-                        labTestResult: product.compliance?.labTestResult || 'pass',
-                        
-                        // Dates (Tier 1 & 2)
-                        packagedDate: product.compliance?.packagedDate || new Date(),
-                        harvestDate: product.compliance?.harvestDate,
-                        expirationDate: product.compliance?.expirationDate,
-                        
-                        // Producer (Tier 1)
-                        licensedProducer: product.compliance?.licensedProducer || product.supplier?.name || 'Unknown',
-                        producerLicense: product.compliance?.producerLicense || product.supplier?.license || 'Unknown',
-                        producerContact: product.supplier?.contact,
-                        
-                        // Additional (Tier 2)
-                        productDescription: product.description,
-                        
-                        // Metrc
-                        metrcPackageId: product.compliance?.metrcPackageId,
-                        metrcTransferId: product.compliance?.metrcTransferId,
-                        
-                        // Notes
-                        notes: item.notes
-                    };
-                    
-                } catch (error) {
-                    console.error('❌ Error capturing product snapshot:', error);
-                    // Return basic item if error
-                    return {
-                        productId: item.productId || item._id,
-                        name: item.name,
-                        sku: item.sku || 'ERROR',
-                        category: 'other',
-                        quantity: item.quantity,
-                        unit: 'unit',
-                        weight: 0,
-                        unitPrice: item.unitPrice || item.price,
-                        taxPercent: item.taxPercent || 0,
-                        batchNumber: 'ERROR',
-                        stateTrackingId: 'ERROR',
-                        thcContent: 0,
-                        cbdContent: 0,
-                        packagedDate: new Date(),
-                        licensedProducer: 'Error',
-                        producerLicense: 'Error',
-                        labTested: false
-                    };
-                }
-            })
-        );
+        const itemsWithCompliance = await buildItemSnapshots(items, req.organizationId);
 
         // ========== CALCULATE TOTALS ==========
         let subtotal = 0;
@@ -210,11 +76,11 @@ exports.createInvoice = async (req, res) => {
         const invoice = new Invoice({
             organizationId: req.organizationId,
             user,
-            invoiceNumber,
             invoiceDate,
             dueDate,
             billFrom,
             billTo,
+            customerId,
             items: itemsWithCompliance,  // ✅ Use compliance-enriched items
             notes,
             paymentTerms,
@@ -222,13 +88,14 @@ exports.createInvoice = async (req, res) => {
             taxTotal,
             total,
             createdBy: req.user._id,
-            source: 'manual'
+            source: 'manual',
+            status: status === 'Draft' ? 'Draft' : 'Pending'
         });
         
         await invoice.save();
         
         // ========== LOG COMPLIANCE DATA ==========
-        console.log('✅ Invoice created:', invoice.invoiceNumber, 'with full compliance data');
+        console.log('✅ Invoice created:', invoice.invoiceNumber || '(Draft)', 'with full compliance data');
         
         // Calculate totals for logging
         const totalWeight = itemsWithCompliance.reduce((sum, item) => sum + (item.weight || 0), 0);
@@ -251,15 +118,71 @@ exports.createInvoice = async (req, res) => {
 };
 
 // ========== GET ALL INVOICES ==========
-// get all invoices for logged in user's organization
+// get invoices for logged in user's organization (filtered, sorted, cursor-paginated)
+// with limit or cursor: returns { invoices, pageInfo: { limit, hasNextPage, nextCursor }, totals }
+// without either: returns the bare array of matching invoices, as before pagination existed
 exports.getInvoices = async(req, res) => {
+    let listQuery;
     try {
-        // CRITICAL: Only get invoices from user's organization
-        const invoices = await Invoice.find({
-            organizationId: req.organizationId  // ← Filter by organization
-        }).populate("user", "name email");
-        
-        res.json(invoices);
+        listQuery = parseInvoiceListQuery(req.query, req.organization);
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+
+    try {
+        // CRITICAL: filter always includes the user's organizationId
+        const { filter, cursorFilter, sort, sortPath, paginated, limit } = listQuery;
+
+        if (!paginated) {
+            const invoices = await Invoice.find(filter)
+                .sort(sort)
+                .populate("user", "name email");
+            return res.json(invoices);
+        }
+
+        const pageFilter = cursorFilter ? { $and: [filter, cursorFilter] } : filter;
+
+        const [rows, [totals]] = await Promise.all([
+            Invoice.find(pageFilter)
+                .sort(sort)
+                .limit(limit + 1)
+                .populate("user", "name email"),
+            // Counts and sums cover the whole filtered set, not just this page
+            Invoice.aggregate([
+                { $match: filter },
+                {
+                    $group: {
+                        _id: null,
+                        count: { $sum: 1 },
+                        subtotal: { $sum: "$subtotal" },
+                        taxTotal: { $sum: "$taxTotal" },
+                        total: { $sum: "$total" },
+                        amountPaid: { $sum: "$amountPaid" },
+                        balanceDue: { $sum: "$balanceDue" }
+                    }
+                }
+            ])
+        ]);
+
+        const hasNextPage = rows.length > limit;
+        const invoices = hasNextPage ? rows.slice(0, limit) : rows;
+
+        res.json({
+            invoices,
+            pageInfo: {
+                limit,
+                hasNextPage,
+                nextCursor: hasNextPage ? encodeCursor(invoices[invoices.length - 1], sortPath) : null
+            },
+            totals: {
+                count: totals?.count || 0,
+                subtotal: roundCurrency(totals?.subtotal),
+                taxTotal: roundCurrency(totals?.taxTotal),
+                total: roundCurrency(totals?.total),
+                amountPaid: roundCurrency(totals?.amountPaid),
+                balanceDue: roundCurrency(totals?.balanceDue)
+            }
+        });
     } catch (error) {
         res 
             .status(500)
@@ -267,6 +190,39 @@ exports.getInvoices = async(req, res) => {
     }
 };
 
+// ========== AR AGING REPORT ==========
+// GET /api/invoices/reports/aging?asOf=YYYY-MM-DD&customerType=&customerId=&format=csv
+exports.getAgingReport = async (req, res) => {
+    try {
+        const { asOf, customerType, customerId, format } = req.query;
+
+        if (asOf && !/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+            return res.status(400).json({ message: "asOf must be a date in YYYY-MM-DD format" });
+        }
+
+        if (customerId && !mongoose.Types.ObjectId.isValid(customerId)) {
+            return res.status(400).json({ message: "Invalid customerId" });
+        }
+
+        const report = await buildAgingReport(req.organization, { asOf, customerType, customerId });
+
+        if (format === 'csv') {
+            res.set({
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="ar-aging-${report.asOf}.csv"`
+            });
+            return res.send(agingReportToCsv(report));
+        }
+
+        res.json(report);
+    } catch (error) {
+        console.error('❌ Aging report error:', error);
+        res
+            .status(500)
+            .json({ message: "Error generating aging report", error: error.message });
+    }
+};
+
 // ========== GET SINGLE INVOICE ==========
 // get single invoice by ID
 exports.getInvoiceById = async (req, res) => {
@@ -290,12 +246,427 @@ exports.getInvoiceById = async (req, res) => {
     }
 };
 
+// ========== GET INVOICE PDF ==========
+// render a single invoice (with compliance data) to PDF
+exports.getInvoicePdf = async (req, res) => {
+    try {
+        // CRITICAL: Verify invoice belongs to user's organization
+        const invoice = await Invoice.findOne({
+            _id: req.params.id,
+            organizationId: req.organizationId  // ← Security check
+        });
+
+        if (!invoice) {
+            return res.status(404).json({ message: "Invoice not found" });
+        }
+
+        const organization = req.organization || await Organization.findOne({
+            organizationId: req.organizationId
+        });
+
+        const pdf = await renderInvoicePdf(invoice, organization);
+
+        const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `${disposition}; filename="invoice-${invoice.invoiceNumber}.pdf"`,
+            'Content-Length': pdf.length
+        });
+        res.send(pdf);
+
+    } catch (error) {
+        console.error('❌ Invoice PDF error:', error);
+        res
+            .status(500)
+            .json({ message: "Error generating invoice PDF", error: error.message });
+    }
+};
+
+// ========== SEND INVOICE BY EMAIL ==========
+// POST /api/invoices/:id/send { to?, cc?, subject?, message?, track? }
+exports.sendInvoice = async (req, res) => {
+    try {
+        const { to, cc, subject, message, track = true } = req.body;
+
+        // CRITICAL: Verify invoice belongs to user's organization
+        const invoice = await Invoice.findOne({
+            _id: req.params.id,
+            organizationId: req.organizationId  // ← Security check
+        });
+
+        if (!invoice) {
+            return res.status(404).json({ message: "Invoice not found" });
+        }
+
+        if (invoice.isClosed()) {
+            return res.status(400).json({ message: `Cannot send a ${invoice.status} invoice` });
+        }
+
+        if (invoice.status === 'Draft') {
+            return res.status(400).json({ message: "Issue the Draft invoice (status: 'Pending') before sending it" });
+        }
+
+        if (!to && !invoice.billTo?.email) {
+            return res.status(400).json({ message: "Invoice has no customer email (billTo.email)" });
+        }
+
+        const entry = await sendInvoiceWithLog(invoice, req.organization, {
+            to,
+            cc,
+            subject,
+            message,
+            track: track !== false && track !== 'false',
+            userId: req.userId
+        });
+
+        if (entry.status === 'failed') {
+            return res.status(502).json({
+                message: "Error sending invoice email",
+                error: entry.error,
+                sendLog: entry
+            });
+        }
+
+        res.json({
+            message: `Invoice sent to ${entry.recipient}`,
+            sendLog: entry,
+            tracking: Boolean(entry.trackingToken)
+        });
+    } catch (error) {
+        console.error('❌ Send invoice error:', error);
+        res
+            .status(500)
+            .json({ message: "Error sending invoice", error: error.message });
+    }
+};
+
+// ========== EMAIL TRACKING (PUBLIC - no auth, token only) ==========
+// GET /api/invoices/track/:token/open.gif - tracking pixel
+exports.trackInvoiceOpen = async (req, res) => {
+    try {
+        await recordInvoiceTracking(req.params.token, 'open');
+    } catch (error) {
+        console.error('⚠️ Invoice open tracking error:', error.message);
+    }
+
+    // Always answer with the pixel - never reveal whether the token exists
+    res.set({
+        'Content-Type': 'image/gif',
+        'Content-Length': TRACKING_PIXEL.length,
+        'Cache-Control': 'no-store, no-cache, must-revalidate, private'
+    });
+    res.send(TRACKING_PIXEL);
+};
+
+// GET /api/invoices/view/:token - customer-facing invoice PDF from the email link
+exports.viewInvoiceByToken = async (req, res) => {
+    try {
+        const invoice = await recordInvoiceTracking(req.params.token, 'view');
+
+        if (!invoice) {
+            return res.status(404).json({ message: "Invoice not found" });
+        }
+
+        // The customer's link stops working once the invoice is annulled
+        if (invoice.isClosed()) {
+            return res.status(410).json({ message: `Invoice ${invoice.invoiceNumber} has been ${invoice.status === 'Void' ? 'voided' : 'cancelled'}` });
+        }
+
+        const organization = await Organization.findOne({
+            organizationId: invoice.organizationId
+        });
+
+        const pdf = await renderInvoicePdf(invoice, organization);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="invoice-${invoice.invoiceNumber}.pdf"`,
+            'Content-Length': pdf.length,
+            'Cache-Control': 'no-store, private'
+        });
+        res.send(pdf);
+    } catch (error) {
+        console.error('❌ Invoice view error:', error);
+        res
+            .status(500)
+            .json({ message: "Error loading invoice" });
+    }
+};
+
+// ========== PAYMENTS LEDGER ==========
+
+const PAYMENT_METHODS = ['Cash', 'Card', 'Check', 'ACH', 'Other'];
+
+// Recalculate balance/status and append an entry to the payment audit trail
+const applyPaymentChange = (invoice, action, payment, userId, reason) => {
+    const statusBefore = invoice.status;
+
+    invoice.recalculateBalance();
+    invoice.updatePaymentStatus();
+
+    invoice.paymentAuditLog.push({
+        action,
+        paymentId: payment._id,
+        amount: payment.amount,
+        method: payment.method,
+        reference: payment.reference,
+        paymentDate: payment.paymentDate,
+        reason,
+        statusBefore,
+        statusAfter: invoice.status,
+        balanceAfter: invoice.balanceDue,
+        performedBy: userId,
+        performedAt: new Date()
+    });
+};
+
+// record a payment (full or partial) against an invoice
+exports.recordPayment = async (req, res) => {
+    try {
+        const { amount, method, reference, paymentDate, notes } = req.body;
+        const paymentAmount = roundCurrency(Number(amount));
+
+        if (!paymentAmount || paymentAmount <= 0) {
+            return res.status(400).json({ message: "A positive payment amount is required" });
+        }
+
+        if (!PAYMENT_METHODS.includes(method)) {
+            return res.status(400).json({
+                message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`
+            });
+        }
+
+        // CRITICAL: Verify invoice belongs to user's organization
+        const invoice = await Invoice.findOne({
+            _id: req.params.id,
+            organizationId: req.organizationId  // ← Security check
+        });
+
+        if (!invoice) {
+            return res.status(404).json({ message: "Invoice not found" });
+        }
+
+        if (!invoice.canAcceptPayment()) {
+            return res.status(400).json({
+                message: `Cannot record a payment on a ${invoice.status} invoice`
+            });
+        }
+
+        invoice.recalculateBalance();
+        if (paymentAmount > invoice.balanceDue) {
+            return res.status(400).json({
+                message: `Payment of ${paymentAmount.toFixed(2)} exceeds balance due of ${invoice.balanceDue.toFixed(2)}`
+            });
+        }
+
+        invoice.payments.push({
+            amount: paymentAmount,
+            method,
+            reference,
+            paymentDate: paymentDate ? new Date(paymentDate) : new Date(),
+            notes,
+            recordedBy: req.userId,
+            recordedAt: new Date()
+        });
+        const payment = invoice.payments[invoice.payments.length - 1];
+
+        applyPaymentChange(invoice, 'recorded', payment, req.userId);
+        // Conditional save - refused if another payment, credit or edit changed the balance since the read above
+        if (!(await invoice.saveLedgerChange())) {
+            return res.status(409).json({ message: "Invoice balance was changed by someone else. Reload and try again." });
+        }
+
+        console.log('✅ Payment recorded:', invoice.invoiceNumber, paymentAmount, method, '→', invoice.status);
+
+        res.status(201).json({
+            message: "Payment recorded successfully",
+            payment,
+            invoice
+        });
+
+    } catch (error) {
+        console.error('❌ Record payment error:', error);
+        res
+            .status(500)
+            .json({ message: "Error recording payment", error: error.message });
+    }
+};
+
+// get the payment ledger and audit trail for an invoice
+exports.getPayments = async (req, res) => {
+    try {
+        const invoice = await Invoice.findOne({
+            _id: req.params.id,
+            organizationId: req.organizationId  // ← Security check
+        })
+            .select('invoiceNumber status total amountPaid balanceDue paidDate payments paymentAuditLog')
+            .populate('payments.recordedBy', 'firstName lastName email')
+            .populate('payments.reversedBy', 'firstName lastName email');
+
+        if (!invoice) {
+            return res.status(404).json({ message: "Invoice not found" });
+        }
+
+        res.json({
+            invoiceNumber: invoice.invoiceNumber,
+            status: invoice.status,
+            total: invoice.total,
+            amountPaid: invoice.amountPaid,
+            balanceDue: invoice.balanceDue,
+            paidDate: invoice.paidDate,
+            payments: invoice.payments,
+            auditLog: invoice.paymentAuditLog
+        });
+
+    } catch (error) {
+        res
+            .status(500)
+            .json({ message: "Error fetching payments", error: error.message });
+    }
+};
+
+// reverse a payment (e.g. bounced check / returned ACH) - keeps it in the ledger
+exports.reversePayment = async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        if (!reason) {
+            return res.status(400).json({ message: "A reason is required to reverse a payment" });
+        }
+
+        const invoice = await Invoice.findOne({
+            _id: req.params.id,
+            organizationId: req.organizationId  // ← Security check
+        });
+
+        if (!invoice) {
+            return res.status(404).json({ message: "Invoice not found" });
+        }
+
+        if (invoice.isClosed()) {
+            return res.status(400).json({ message: `Cannot change payments on a ${invoice.status} invoice` });
+        }
+
+        const payment = invoice.payments.id(req.params.paymentId);
+
+        if (!payment) {
+            return res.status(404).json({ message: "Payment not found" });
+        }
+
+        if (payment.status === 'reversed') {
+            return res.status(400).json({ message: "Payment has already been reversed" });
+        }
+
+        payment.status = 'reversed';
+        payment.reversedBy = req.userId;
+        payment.reversedAt = new Date();
+        payment.reversalReason = reason;
+
+        applyPaymentChange(invoice, 'reversed', payment, req.userId, reason);
+        // Conditional save - refused if another payment, credit or edit changed the balance since the read above
+        if (!(await invoice.saveLedgerChange())) {
+            return res.status(409).json({ message: "Invoice balance was changed by someone else. Reload and try again." });
+        }
+
+        console.log('↩️ Payment reversed:', invoice.invoiceNumber, payment.amount, '→', invoice.status);
+
+        res.json({
+            message: "Payment reversed successfully",
+            payment,
+            invoice
+        });
+
+    } catch (error) {
+        console.error('❌ Reverse payment error:', error);
+        res
+            .status(500)
+            .json({ message: "Error reversing payment", error: error.message });
+    }
+};
+
+// delete a payment recorded in error - removed from the ledger, kept in the audit trail
+exports.deletePayment = async (req, res) => {
+    try {
+        const { reason } = req.body || {};
+
+        const invoice = await Invoice.findOne({
+            _id: req.params.id,
+            organizationId: req.organizationId  // ← Security check
+        });
+
+        if (!invoice) {
+            return res.status(404).json({ message: "Invoice not found" });
+        }
+
+        if (invoice.isClosed()) {
+            return res.status(400).json({ message: `Cannot change payments on a ${invoice.status} invoice` });
+        }
+
+        const payment = invoice.payments.id(req.params.paymentId);
+
+        if (!payment) {
+            return res.status(404).json({ message: "Payment not found" });
+        }
+
+        const removed = payment.toObject();
+        payment.deleteOne();
+
+        applyPaymentChange(invoice, 'deleted', removed, req.userId, reason || 'Recorded in error');
+        // Conditional save - refused if another payment, credit or edit changed the balance since the read above
+        if (!(await invoice.saveLedgerChange())) {
+            return res.status(409).json({ message: "Invoice balance was changed by someone else. Reload and try again." });
+        }
+
+        console.log('🗑️ Payment deleted:', invoice.invoiceNumber, removed.amount, '→', invoice.status);
+
+        res.json({
+            message: "Payment deleted successfully",
+            invoice
+        });
+
+    } catch (error) {
+        console.error('❌ Delete payment error:', error);
+        res
+            .status(500)
+            .json({ message: "Error deleting payment", error: error.message });
+    }
+};
+
+// Save an edited invoice and store the version it replaces as an immutable revision
+// Conditional on the revision we read, so concurrent edits can't overwrite each other
+// returns false if someone else saved a newer revision first
+const saveWithRevision = async (invoice, previous, userId) => {
+    invoice.revision = previous.revision + 1;
+    // ...and on the balance we read - an edit can change what's owed, so payments in flight are refused too
+    invoice.ledgerVersion = (previous.ledgerVersion || 0) + 1;
+    invoice.$where = {
+        revision: previous.revision > 0 ? previous.revision : { $in: [null, 0] },
+        ledgerVersion: previous.ledgerVersion > 0 ? previous.ledgerVersion : { $in: [null, 0] }
+    };
+
+    try {
+        await invoice.save();
+    } catch (error) {
+        if (error.name === 'DocumentNotFoundError') return false;
+        throw error;
+    }
+
+    try {
+        await recordInvoiceRevision(previous, invoice, userId);
+    } catch (error) {
+        // The edit is saved - surface the missing history in the logs rather than failing the request
+        console.error('❌ Failed to record invoice revision:', invoice.invoiceNumber, previous.revision, error);
+    }
+
+    return true;
+};
+
 // ========== UPDATE INVOICE ==========
 // update a single invoice by its id
 exports.updateInvoice = async (req, res) => {
     try {
+        // invoiceNumber is immutable once issued
         const {
-            invoiceNumber,
             invoiceDate,
             dueDate,
             billFrom,
@@ -304,47 +675,82 @@ exports.updateInvoice = async (req, res) => {
             notes,
             paymentTerms,
             status,
+            discountAmount,
+            customerId,
         } = req.body
 
-        let subtotal = 0;
-        let taxTotal = 0;
-        if (items && items.length > 0) {
-            items.forEach((item) => { 
-                subtotal += item.unitPrice * item.quantity;
-                taxTotal += ((item.unitPrice * item.quantity) * (item.taxPercent || 0)) / 100;
+        // CRITICAL: Only update if invoice belongs to user's organization
+        const invoice = await Invoice.findOne({
+            _id: req.params.id,
+            organizationId: req.organizationId  // ← Security check
+        });
+
+        if (!invoice) {
+            return res.status(404).json({ message: "Invoice not found" });
+        }
+
+        if (invoice.isClosed()) {
+            return res.status(400).json({ message: `Cannot edit a ${invoice.status} invoice` });
+        }
+
+        if (['Void', 'Cancelled'].includes(status)) {
+            return res.status(400).json({
+                message: `Use POST /api/invoices/:id/${status === 'Void' ? 'void' : 'cancel'} with a reason`
             });
         }
 
-        const total = subtotal + taxTotal;
+        // Status comes from the payment ledger - the only manual step is issuing a Draft (Draft → Pending)
+        const issuing = status !== undefined && status !== invoice.status;
+        if (issuing && !(invoice.status === 'Draft' && status === 'Pending')) {
+            return res.status(400).json({
+                message: invoice.status === 'Draft'
+                    ? `A Draft invoice can only be issued (status: 'Pending'), not set to ${status}`
+                    : `Status of a ${invoice.status} invoice follows its payments and credits - it can't be set to ${status}`
+            });
+        }
 
-        // CRITICAL: Only update if invoice belongs to user's organization
-        const updatedInvoice = await Invoice.findOneAndUpdate(
-            {
-                _id: req.params.id,
-                organizationId: req.organizationId  // ← Security check
-            },
-            {
-                invoiceNumber,
-                invoiceDate,
-                dueDate,
-                billFrom,
-                billTo,
-                items,
-                notes,
-                paymentTerms,
-                status,
-                subtotal,
-                taxTotal,
-                total,
-            },
-            { new: true } 
-        );
+        if (customerId) {
+            const customerExists = await Customer.exists({ _id: customerId, organizationId: req.organizationId });
+            if (!customerExists) {
+                return res.status(400).json({ message: "Customer not found" });
+            }
+        }
 
-        if (!updatedInvoice) {
-            return res.status(404).json({ message: "Invoice not found" });
+        // Prior version, kept as an immutable revision once the edit is saved
+        const previous = invoice.toObject();
+
+        const updates = { invoiceDate, dueDate, billFrom, billTo, customerId, notes, paymentTerms, discountAmount };
+        Object.entries(updates).forEach(([field, value]) => {
+            if (value !== undefined) invoice.set(field, value);
+        });
+
+        if (items !== undefined) {
+            if (items.length === 0) {
+                return res.status(400).json({ message: "At least one item is required" });
+            }
+            // ✅ Same compliance snapshot as creation - re-read from current products
+            invoice.items = await buildItemSnapshots(items, req.organizationId);
         }
+
+        if (issuing) {
+            // Pending / Overdue (or Paid if credits already cover it) - derived, never taken from the request
+            invoice.status = 'Pending';
+            invoice.recalculateBalance();
+            invoice.updatePaymentStatus();
+        }
+
+        if (!invoice.isModified()) {
+            return res.json(invoice);
+        }
+
+        // Totals, taxes, THC mg, balance and local dates are recalculated by the save hooks
+        if (!(await saveWithRevision(invoice, previous, req.userId))) {
+            return res.status(409).json({ message: "Invoice was modified by someone else. Reload and try again." });
+        }
+
+        console.log('✅ Invoice updated:', invoice.invoiceNumber, 'revision', invoice.revision);
         
-        res.json(updatedInvoice);
+        res.json(invoice);
     } catch (error) {
         res 
             .status(500)
@@ -352,17 +758,58 @@ exports.updateInvoice = async (req, res) => {
     }
 };
 
+// ========== GET INVOICE REVISIONS ==========
+// prior versions of an invoice (newest first) with who changed what
+exports.getInvoiceRevisions = async (req, res) => {
+    try {
+        const invoice = await Invoice.findOne({
+            _id: req.params.id,
+            organizationId: req.organizationId  // ← Security check
+        }).select("invoiceNumber revision");
+
+        if (!invoice) {
+            return res.status(404).json({ message: "Invoice not found" });
+        }
+
+        const revisions = await InvoiceRevision.find({
+            invoiceId: invoice._id,
+            organizationId: req.organizationId
+        })
+            .select(req.query.includeSnapshot === "true" ? "" : "-snapshot")
+            .populate("changedBy", "firstName lastName email")
+            .sort({ revisionNumber: -1 });
+
+        res.json({
+            invoiceNumber: invoice.invoiceNumber,
+            currentRevision: invoice.revision,
+            revisions
+        });
+    } catch (error) {
+        res 
+            .status(500)
+            .json({ message: "Error fetching invoice revisions", error: error.message });
+    }
+};
+
 // ========== DELETE INVOICE ==========
 // delete a single invoice by its id
 exports.deleteInvoice = async (req, res) => {
     try {
         // CRITICAL: Only delete if invoice belongs to user's organization
+        // Issued invoices are compliance records - only Drafts can be hard deleted
         const invoice = await Invoice.findOneAndDelete({
             _id: req.params.id,
-            organizationId: req.organizationId  // ← Security check
+            organizationId: req.organizationId,  // ← Security check
+            status: 'Draft'
         });
         
         if (!invoice) {
+            const exists = await Invoice.exists({ _id: req.params.id, organizationId: req.organizationId });
+            if (exists) {
+                return res.status(400).json({
+                    message: "Only Draft invoices can be deleted. Void or cancel issued invoices instead."
+                });
+            }
             return res.status(404).json({ message: "Invoice not found"});
         }
         
@@ -372,4 +819,61 @@ exports.deleteInvoice = async (req, res) => {
             .status(500)
             .json({ message: "Error deleting invoice", error: error.message });
     }
-};
\ No newline at end of file
+};
+
+// ========== VOID / CANCEL INVOICE ==========
+// Void: annul an issued invoice | Cancel: withdraw an invoice that won't be fulfilled
+// Both keep the record, require a reason and block further edits
+const closeInvoice = (status) => async (req, res) => {
+    try {
+        const reason = req.body.reason?.trim();
+        if (!reason) {
+            return res.status(400).json({ message: `A reason is required to ${status === 'Void' ? 'void' : 'cancel'} an invoice` });
+        }
+
+        const invoice = await Invoice.findOne({
+            _id: req.params.id,
+            organizationId: req.organizationId  // ← Security check
+        });
+
+        if (!invoice) {
+            return res.status(404).json({ message: "Invoice not found" });
+        }
+
+        if (invoice.isClosed()) {
+            return res.status(400).json({ message: `Invoice is already ${invoice.status}` });
+        }
+
+        // Money already applied must be unwound explicitly first
+        invoice.recalculateBalance();
+        if (invoice.amountPaid > 0) {
+            return res.status(400).json({ message: "Reverse the posted payments on this invoice first" });
+        }
+        if (invoice.creditTotal > 0) {
+            return res.status(400).json({ message: "Void the credit notes issued on this invoice first" });
+        }
+
+        const previous = invoice.toObject();
+
+        invoice.status = status;
+        invoice.voidedAt = new Date();
+        invoice.voidedBy = req.userId;
+        invoice.voidReason = reason;
+        invoice.paidDate = undefined;
+
+        if (!(await saveWithRevision(invoice, previous, req.userId))) {
+            return res.status(409).json({ message: "Invoice was modified by someone else. Reload and try again." });
+        }
+
+        console.log(`🚫 Invoice ${status === 'Void' ? 'voided' : 'cancelled'}:`, invoice.invoiceNumber, '-', reason);
+
+        res.json(invoice);
+    } catch (error) {
+        res 
+            .status(500)
+            .json({ message: `Error updating invoice status`, error: error.message });
+    }
+};
+
+exports.voidInvoice = closeInvoice('Void');
+exports.cancelInvoice = closeInvoice('Cancelled');
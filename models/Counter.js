@@ -0,0 +1,141 @@
+// backend/models/Counter.js
+// Atomic per-organization document sequences (invoice numbers, credit notes, ...)
+
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  // Organization (multi-tenant)
+  organizationId: {
+    type: String,
+    required: true
+  },
+
+  // Sequence name (e.g., 'invoice')
+  name: {
+    type: String,
+    required: true
+  },
+
+  // Reset bucket: 'all' (never resets), '2025' (yearly) or '2025-12' (monthly)
+  period: {
+    type: String,
+    default: 'all'
+  },
+
+  // Last issued value
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One counter per org + sequence + period
+counterSchema.index({ organizationId: 1, name: 1, period: 1 }, { unique: true });
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Static: Atomically increment and return the next value
+// (a single findOneAndUpdate + $inc, so concurrent requests never get the same number)
+counterSchema.statics.next = async function(organizationId, name, period = 'all') {
+  const filter = { organizationId, name, period };
+  const update = { $inc: { seq: 1 } };
+  const options = { new: true, upsert: true, setDefaultsOnInsert: true };
+
+  try {
+    const counter = await this.findOneAndUpdate(filter, update, options);
+    return counter.seq;
+  } catch (error) {
+    // Two first-ever upserts can race on the unique index - the retry finds the created doc
+    if (error.code === 11000) {
+      const counter = await this.findOneAndUpdate(filter, update, options);
+      return counter.seq;
+    }
+    throw error;
+  }
+};
+
+// Static: Get the reset bucket for a date key ("YYYY-MM-DD")
+counterSchema.statics.getPeriod = function(resetPeriod, dateKey) {
+  if (resetPeriod === 'yearly') return dateKey.slice(0, 4);
+  if (resetPeriod === 'monthly') return dateKey.slice(0, 7);
+  return 'all';
+};
+
+// Static: Render a number from a pattern
+// Tokens: {PREFIX} {YYYY} {YY} {MM} {SEQ}   e.g. "{PREFIX}{YYYY}-{SEQ}" → "INV-2025-0042"
+counterSchema.statics.formatNumber = function(config, seq, dateKey) {
+  const [year, month] = dateKey.split('-');
+
+  return (config.format || '{PREFIX}{SEQ}')
+    .replace(/{PREFIX}/g, config.prefix || '')
+    .replace(/{YYYY}/g, year)
+    .replace(/{YY}/g, year.slice(2))
+    .replace(/{MM}/g, month)
+    .replace(/{SEQ}/g, String(seq).padStart(config.padding || 1, '0'));
+};
+
+// Static: Parse a number rendered by formatNumber back into { seq, period }
+// Returns null if the number does not match the pattern (e.g. legacy hand-typed numbers)
+counterSchema.statics.parseNumber = function(config, number) {
+  const tokens = [];
+  const source = escapeRegex(config.format || '{PREFIX}{SEQ}')
+    .replace(/\\{PREFIX\\}/g, escapeRegex(config.prefix || ''))
+    .replace(/\\{(YYYY|YY|MM|SEQ)\\}/g, (match, token) => {
+      tokens.push(token);
+      return token === 'YYYY' ? '(\\d{4})' : token === 'SEQ' ? '(\\d+)' : '(\\d{2})';
+    });
+
+  const match = new RegExp(`^${source}$`).exec(number || '');
+  if (!match) return null;
+
+  const values = {};
+  tokens.forEach((token, index) => {
+    values[token] = match[index + 1];
+  });
+
+  const year = values.YYYY || (values.YY ? `20${values.YY}` : null);
+  let period = 'all';
+  if (config.resetPeriod === 'yearly' && year) period = year;
+  if (config.resetPeriod === 'monthly' && year && values.MM) period = `${year}-${values.MM}`;
+
+  return {
+    seq: parseInt(values.SEQ, 10),
+    period
+  };
+};
+
+// Static: Move counters up to the highest numbers already issued under a pattern, so a changed
+// pattern (reset period, an earlier prefix, ...) never hands out a number that exists
+// @returns {object} { period: seq } for the counters it touched
+counterSchema.statics.seedFromNumbers = async function(organizationId, name, config, numbers) {
+  const maxByPeriod = {};
+  numbers.forEach(number => {
+    const parsed = this.parseNumber(config, number);
+    if (parsed && !isNaN(parsed.seq)) {
+      maxByPeriod[parsed.period] = Math.max(maxByPeriod[parsed.period] || 0, parsed.seq);
+    }
+  });
+
+  for (const [period, seq] of Object.entries(maxByPeriod)) {
+    await this.updateOne(
+      { organizationId, name, period },
+      { $max: { seq } },
+      { upsert: true }
+    );
+  }
+  return maxByPeriod;
+};
+
+// Static: Issue the next formatted number for an organization
+// config = { prefix, format, padding, resetPeriod } (from Organization settings)
+counterSchema.statics.nextNumber = async function(organization, name, config = {}, date = new Date()) {
+  const dateKey = organization.getLocalDateKey(date);
+  const period = this.getPeriod(config.resetPeriod, dateKey);
+  const seq = await this.next(organization.organizationId, name, period);
+
+  return this.formatNumber(config, seq, dateKey);
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,113 @@
+// backend/models/CreditNote.js
+// Credit notes issued against an invoice - reduce its balance due, numbered separately
+
+const mongoose = require('mongoose');
+
+const creditNoteLineSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  invoiceItemId: mongoose.Schema.Types.ObjectId,   // Optional: invoice line being credited
+  quantity: Number,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+});
+
+const creditNoteSchema = new mongoose.Schema({
+  // Organization (multi-tenant)
+  organizationId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  creditNoteNumber: {
+    type: String,
+    required: true
+    // Unique PER organization - auto-generated in pre-validate hook
+  },
+
+  // Original invoice
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  invoiceNumber: String,
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  clientName: String,
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  lines: [creditNoteLineSchema],
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  status: {
+    type: String,
+    enum: ['issued', 'void'],
+    default: 'issued'
+  },
+  issuedDate: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  voidedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: String
+}, {
+  timestamps: true
+});
+
+creditNoteSchema.index({ organizationId: 1, creditNoteNumber: 1 }, { unique: true });
+creditNoteSchema.index({ organizationId: 1, invoiceId: 1 });
+
+// Auto-generate credit note number from the organization's numbering settings
+creditNoteSchema.pre('validate', async function(next) {
+  try {
+    if (this.isNew && !this.creditNoteNumber) {
+      const Organization = require('./Organization');
+      const Counter = require('./Counter');
+
+      const org = await Organization.findOne({ organizationId: this.organizationId });
+      if (!org) {
+        throw new Error(`Organization not found: ${this.organizationId}`);
+      }
+
+      this.creditNoteNumber = await Counter.nextNumber(
+        org,
+        'creditNote',
+        org.settings?.creditNoteNumbering || {},
+        this.issuedDate || new Date()
+      );
+      console.log('✅ Generated Credit Note Number:', this.creditNoteNumber);
+    }
+    next();
+  } catch (error) {
+    console.error('❌ Error generating credit note number:', error);
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
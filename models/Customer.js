@@ -0,0 +1,234 @@
+// backend/models/Customer.js
+// Customers (retail, medical and wholesale accounts) referenced by invoices,
+// transactions, store credits and RMAs
+
+const mongoose = require('mongoose');
+
+const customerSchema = new mongoose.Schema({
+  // Organization (multi-tenant)
+  organizationId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  customerType: {
+    type: String,
+    enum: ['retail', 'medical', 'wholesale'],
+    default: 'retail'
+  },
+
+  // ========== IDENTITY ==========
+  firstName: {
+    type: String,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    trim: true
+  },
+  businessName: {        // Wholesale accounts (dispensary, distributor)
+    type: String,
+    trim: true
+  },
+  dateOfBirth: Date,
+
+  // ========== CONTACT ==========
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  phoneNormalized: String,   // Digits only (last 10) - used for lookups / dedupe
+  address: {
+    street: String,
+    city: String,
+    state: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    zip: String
+  },
+
+  // ========== IDENTIFICATION & LICENSES ==========
+  // Government ID (driver license / state ID) used for age verification
+  idDocument: {
+    number: String,
+    state: String,
+    expirationDate: Date
+  },
+  // Cannabis business license (wholesale)
+  businessLicense: {
+    licenseNumber: String,
+    licenseType: String,       // Retailer, Distributor, Microbusiness, etc.
+    state: String,
+    expirationDate: Date
+  },
+
+  // ========== MEDICAL ==========
+  medical: {
+    recommendationNumber: String,
+    stateCardNumber: String,
+    issuingPhysician: String,
+    physicianLicense: String,
+    state: String,
+    issueDate: Date,
+    expirationDate: Date,
+    verifiedAt: Date,
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+
+  // ========== VETERAN (promotions with customerGroups 'veteran') ==========
+  // Set once proof of service (DD-214, VA card, veteran ID) has been seen
+  veteran: {
+    verifiedAt: Date,
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    proof: String
+  },
+
+  // ========== MARKETING CONSENT ==========
+  marketingConsent: {
+    email: {
+      optedIn: {
+        type: Boolean,
+        default: false
+      },
+      updatedAt: Date,
+      source: String           // 'pos', 'online', 'paper', etc.
+    },
+    sms: {
+      optedIn: {
+        type: Boolean,
+        default: false
+      },
+      updatedAt: Date,
+      source: String
+    }
+  },
+
+  // ========== LOYALTY (services/loyaltyService.js - every change has a LoyaltyLedgerEntry) ==========
+  loyaltyNumber: {             // Unique per organization (blank = no card)
+    type: String,
+    trim: true
+  },
+  loyalty: {
+    points: {                // Spendable balance (can dip below 0 when a refund claws back spent points)
+      type: Number,
+      default: 0
+    },
+    lifetimePoints: {        // Earned net of clawbacks - decides the tier
+      type: Number,
+      default: 0
+    },
+    tier: {
+      type: String,
+      default: null
+    },
+    enrolledAt: Date
+  },
+
+  notes: String,
+  tags: [String],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+customerSchema.index({ organizationId: 1, email: 1 });
+customerSchema.index({ organizationId: 1, phoneNormalized: 1 });
+customerSchema.index({ organizationId: 1, 'businessLicense.licenseNumber': 1 });
+customerSchema.index({ organizationId: 1, customerType: 1, isActive: 1 });
+customerSchema.index({ organizationId: 1, lastName: 1, firstName: 1 });
+// A loyalty number picks out one customer at checkout - only set numbers have to be unique
+customerSchema.index(
+  { organizationId: 1, loyaltyNumber: 1 },
+  { unique: true, partialFilterExpression: { loyaltyNumber: { $type: 'string' } } }
+);
+
+// Virtual: Display name (business name for wholesale accounts)
+customerSchema.virtual('displayName').get(function() {
+  const fullName = [this.firstName, this.lastName].filter(Boolean).join(' ');
+  return this.customerType === 'wholesale' && this.businessName
+    ? this.businessName
+    : fullName || this.businessName || this.email || '';
+});
+
+// Virtual: Is the medical recommendation current?
+customerSchema.virtual('hasValidMedicalRecommendation').get(function() {
+  return Boolean(
+    this.medical?.recommendationNumber &&
+    this.medical?.expirationDate &&
+    new Date(this.medical.expirationDate) > new Date()
+  );
+});
+
+// Normalize contact details and require some way to identify the customer
+customerSchema.pre('validate', function(next) {
+  this.phoneNormalized = this.constructor.normalizePhone(this.phone);
+  if (!this.loyaltyNumber) this.loyaltyNumber = undefined;
+
+  if (!this.firstName && !this.lastName && !this.businessName) {
+    return next(new Error('Customer requires a name or business name'));
+  }
+  next();
+});
+
+// Static: Digits-only phone (last 10, drops the US country code)
+customerSchema.statics.normalizePhone = function(phone) {
+  if (!phone) return undefined;
+  const digits = String(phone).replace(/\D/g, '');
+  return digits ? digits.slice(-10) : undefined;
+};
+
+// Static: Split a single "name" field (billTo.clientName, customerInfo.name) into first / last
+customerSchema.statics.splitName = function(name) {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return {};
+  if (parts.length === 1) return { firstName: parts[0] };
+  return { firstName: parts.slice(0, -1).join(' '), lastName: parts[parts.length - 1] };
+};
+
+// Static: Find an existing active customer by email, phone or business license
+customerSchema.statics.findMatch = async function(organizationId, { email, phone, licenseNumber }) {
+  const conditions = [];
+  if (email) conditions.push({ email: String(email).trim().toLowerCase() });
+  if (phone && this.normalizePhone(phone)) conditions.push({ phoneNormalized: this.normalizePhone(phone) });
+  if (licenseNumber) conditions.push({ 'businessLicense.licenseNumber': String(licenseNumber).trim() });
+
+  if (conditions.length === 0) return null;
+
+  return await this.findOne({
+    organizationId,
+    isActive: true,
+    $or: conditions
+  });
+};
+
+module.exports = mongoose.model('Customer', customerSchema);
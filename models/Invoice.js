@@ -3,6 +3,27 @@
 
 const mongoose = require('mongoose');
 
+// One tax (or exemption) applied to an item - the line-level tax explanation from the tax engine
+const taxDetailSchema = new mongoose.Schema({
+  rateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRate'
+  },
+  name: String,
+  taxType: {
+    type: String,
+    enum: ['excise', 'cultivation', 'sales']
+  },
+  jurisdiction: String,      // "CA / Los Angeles County / Los Angeles"
+  level: String,             // state | county | city
+  rateType: String,          // percent | per_gram
+  rate: Number,
+  base: Number,              // Taxable amount (or grams for per-gram rates)
+  amount: Number,
+  exempt: Boolean,
+  exemptReason: String
+}, { _id: false });
+
 const invoiceItemSchema = new mongoose.Schema({
   // ========== PRODUCT IDENTITY ==========
   productId: {
@@ -72,6 +93,8 @@ const invoiceItemSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  taxAmount: Number,                  // Set by the tax engine (excise + cultivation + sales)
+  taxDetails: [taxDetailSchema],
   
   // ========== CANNABINOID PROFILE (Tier 1 - CRITICAL) ==========
   // Snapshot at time of sale - immutable
@@ -159,6 +182,134 @@ invoiceItemSchema.pre('save', function(next) {
   next();
 });
 
+// ========== PAYMENT LEDGER ==========
+// One entry per payment received (e.g. ACH installments on a wholesale invoice)
+const invoicePaymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  method: {
+    type: String,
+    enum: ['Cash', 'Card', 'Check', 'ACH', 'Other'],
+    required: true
+  },
+  reference: String,        // Check #, ACH trace #, card auth code, etc.
+  paymentDate: {
+    type: Date,
+    default: Date.now
+  },
+  notes: String,
+  status: {
+    type: String,
+    enum: ['posted', 'reversed'],
+    default: 'posted'
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reversedAt: Date,
+  reversalReason: String
+});
+
+// Audit trail for every change to the payment ledger (never pruned)
+const paymentAuditSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['recorded', 'reversed', 'deleted'],
+    required: true
+  },
+  paymentId: mongoose.Schema.Types.ObjectId,
+  amount: Number,
+  method: String,
+  reference: String,
+  paymentDate: Date,
+  reason: String,
+  statusBefore: String,
+  statusAfter: String,
+  balanceAfter: Number,
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  performedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Dunning reminder log (one entry per reminder email attempt)
+const reminderLogSchema = new mongoose.Schema({
+  scheduleDay: Number,      // Dunning step (days overdue) that triggered this reminder
+  daysOverdue: Number,      // Actual local days overdue when sent
+  recipient: String,
+  subject: String,
+  messageId: String,
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  error: String,
+  aiGenerated: {
+    type: Boolean,
+    default: false
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// ========== SEND LOG ==========
+// One entry per attempt to email the invoice to the customer (POST /api/invoices/:id/send)
+const sendLogSchema = new mongoose.Schema({
+  recipient: String,
+  cc: String,
+  subject: String,
+  messageId: String,
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  error: String,
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Tracking (only when the email included the pixel / view link)
+  trackingToken: String,
+  openedAt: Date,           // First time the tracking pixel loaded
+  lastOpenedAt: Date,
+  openCount: {
+    type: Number,
+    default: 0
+  },
+  viewedAt: Date,           // First time the view link was followed
+  lastViewedAt: Date,
+  viewCount: {
+    type: Number,
+    default: 0
+  }
+});
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
 const invoiceSchema = new mongoose.Schema({
   // ========== ORGANIZATION & USER ==========
   organizationId: {
@@ -179,12 +330,13 @@ const invoiceSchema = new mongoose.Schema({
   // ========== INVOICE IDENTITY ==========
   invoiceNumber: {
     type: String,
-    required: true,
-    unique: true
+    required: function() { return this.status !== 'Draft'; }
+    // Unique PER organization (see compound index) - auto-generated in pre-validate hook,
+    // Drafts get theirs when they are issued
   },
   status: {
     type: String,
-    enum: ['Draft', 'Pending', 'Paid', 'Overdue', 'Cancelled', 'Void'],
+    enum: ['Draft', 'Pending', 'Partially Paid', 'Paid', 'Overdue', 'Cancelled', 'Void'],
     default: 'Pending'
   },
   
@@ -247,6 +399,27 @@ const invoiceSchema = new mongoose.Schema({
   cannabisExciseTaxTotal: Number,
   salesTaxTotal: Number,
   cultivationTaxTotal: Number,
+  salesTaxBreakdown: {
+    state: Number,
+    county: Number,
+    city: Number
+  },
+  // How item taxes were determined: 'engine' (TaxRate table) or 'manual' (taxPercent as entered,
+  // for organizations without a rate table)
+  taxCalculation: {
+    source: {
+      type: String,
+      enum: ['engine', 'manual'],
+      default: 'manual'
+    },
+    asOf: String,            // Local date key the rates were effective on
+    jurisdiction: {
+      state: String,
+      county: String,
+      city: String
+    },
+    medicalExemption: String
+  },
   discountAmount: {
     type: Number,
     default: 0
@@ -257,6 +430,21 @@ const invoiceSchema = new mongoose.Schema({
   },
   
   // ========== PAYMENT ==========
+  payments: [invoicePaymentSchema],
+  paymentAuditLog: [paymentAuditSchema],
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  // Sum of issued (not voided) credit notes - see CreditNote
+  creditTotal: {
+    type: Number,
+    default: 0
+  },
+  balanceDue: {
+    type: Number,
+    default: 0
+  },
   paymentMethod: {
     type: String,
     enum: ['Cash', 'Card', 'Check', 'ACH', 'Other'],
@@ -267,6 +455,24 @@ const invoiceSchema = new mongoose.Schema({
     default: 'Due on receipt'
   },
   
+  // ========== VOID / CANCEL ==========
+  // Invoices are never deleted once issued - they are voided or cancelled with a reason
+  voidedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: String,
+  
+  // ========== DELIVERY ==========
+  sendLog: [sendLogSchema],
+  lastSentAt: Date,
+  firstViewedAt: Date,      // First open/view across all sends
+  
+  // ========== OVERDUE & DUNNING ==========
+  overdueAt: Date,          // When the scheduler marked this invoice Overdue
+  reminders: [reminderLogSchema],
+  
   // ========== COMPLIANCE & AUDIT ==========
   stateReported: {
     type: Boolean,
@@ -286,9 +492,28 @@ const invoiceSchema = new mongoose.Schema({
   // ========== METADATA ==========
   source: {
     type: String,
-    enum: ['pos', 'manual', 'cart', 'wholesale', 'api'],
+    enum: ['pos', 'manual', 'cart', 'wholesale', 'api', 'template', 'recurring'],
     default: 'manual'
   },
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InvoiceTemplate'
+  },
+  recurringInvoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringInvoice'
+  },
+  // Incremented on every edit - prior versions live in InvoiceRevision
+  revision: {
+    type: Number,
+    default: 0
+  },
+  // Incremented on every change to the balance (payments, credits) - saves are conditional on it
+  // so two concurrent payments can't both pass the balance check (see saveLedgerChange)
+  ledgerVersion: {
+    type: Number,
+    default: 0
+  },
   ipAddress: String,
   userAgent: String
   
@@ -297,23 +522,62 @@ const invoiceSchema = new mongoose.Schema({
 });
 
 // Indexes for performance
-invoiceSchema.index({ organizationId: 1, invoiceNumber: 1 });
+// Invoice number must be unique PER organization (not globally)
+// (Drafts have no number yet)
+invoiceSchema.index(
+  { organizationId: 1, invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+);
 invoiceSchema.index({ organizationId: 1, status: 1 });
 invoiceSchema.index({ organizationId: 1, invoiceDate: -1 });
 invoiceSchema.index({ organizationId: 1, customerId: 1 });
+invoiceSchema.index({ organizationId: 1, dueDate: 1 });
+invoiceSchema.index({ organizationId: 1, 'items.batchNumber': 1 });
+invoiceSchema.index({ organizationId: 1, 'items.stateTrackingId': 1 });
 invoiceSchema.index({ 'billTo.email': 1 });
+invoiceSchema.index({ 'sendLog.trackingToken': 1 }, { sparse: true });
 invoiceSchema.index({ stateReported: 1 });
 
+// Auto-generate invoice number from the organization's numbering settings
+// (runs before validation so the required check passes) - on creation, or when a Draft is issued
+invoiceSchema.pre('validate', async function(next) {
+  try {
+    if (this.status !== 'Draft' && !this.invoiceNumber && (this.isNew || this.isModified('status'))) {
+      this.invoiceNumber = await this.constructor.generateInvoiceNumber(this.organizationId, this.invoiceDate);
+      console.log('✅ Generated Invoice Number:', this.invoiceNumber);
+    }
+    next();
+  } catch (error) {
+    console.error('❌ Error generating invoice number:', error);
+    next(error);
+  }
+});
+
 // Calculate totals before saving
 invoiceSchema.pre('save', async function(next) {
   // Calculate subtotal
   this.subtotal = this.items.reduce((sum, item) => sum + (item.subtotal || 0), 0);
   
+  // Re-tax from the organization's rate table whenever what's being sold (or to whom / when) changes
+  if (this.isNew || this.isModified('items discountAmount invoiceDate customerId billTo.customerType')) {
+    try {
+      const { applyInvoiceTaxes } = require('../services/taxService');
+      const taxed = await applyInvoiceTaxes(this);
+      if (!taxed) this.taxCalculation = { source: 'manual' };
+    } catch (error) {
+      return next(error);
+    }
+  }
+  
   // Calculate tax totals
-  this.taxTotal = this.items.reduce((sum, item) => {
-    const itemTax = (item.subtotal * (item.taxPercent || 0)) / 100;
-    return sum + itemTax;
-  }, 0);
+  if (this.taxCalculation?.source === 'engine') {
+    this.taxTotal = this.items.reduce((sum, item) => sum + (item.taxAmount || 0), 0);
+  } else {
+    this.taxTotal = this.items.reduce((sum, item) => {
+      const itemTax = (item.subtotal * (item.taxPercent || 0)) / 100;
+      return sum + itemTax;
+    }, 0);
+  }
   
   this.cannabisExciseTaxTotal = this.items.reduce((sum, item) => sum + (item.cannabisExciseTax || 0), 0);
   this.salesTaxTotal = this.items.reduce((sum, item) => sum + (item.salesTax || 0), 0);
@@ -322,16 +586,22 @@ invoiceSchema.pre('save', async function(next) {
   // Calculate total
   this.total = this.subtotal + this.taxTotal - this.discountAmount;
   
+  // Calculate amount paid / balance due from posted payments
+  this.recalculateBalance();
+  
+  // Payment ledger (or the amount owed on a paid-into invoice) changed - move between Pending / Partially Paid / Paid
+  if (this.isModified('payments creditTotal') || (this.amountPaid > 0 && this.isModified('items discountAmount'))) {
+    this.updatePaymentStatus();
+  }
+  
   next();
 });
 
 // ========== CALCULATE LOCAL DATES AFTER SAVE (when timestamps exist) ==========
 invoiceSchema.post('save', async function(doc, next) {
   try {
-    // Skip if local dates already calculated (to avoid infinite loop)
-    if (doc.localInvoiceDate && doc.localDueDate && doc.localCreatedAt && doc.localUpdatedAt) {
-      return next();
-    }
+    // Recalculated on every save so edited dates never go stale
+    // (the updateOne below bypasses save hooks, so this can't loop)
     
     // ✅ Get organization timezone
     const Organization = require('./Organization');
@@ -370,9 +640,8 @@ invoiceSchema.post('save', async function(doc, next) {
       updates.localInvoiceDate = formatLocalDateTime(doc.invoiceDate);
     }
     
-    if (doc.dueDate) {
-      updates.localDueDate = formatLocalDateTime(doc.dueDate);
-    }
+    // Cleared due date clears its local string too
+    updates.localDueDate = doc.dueDate ? formatLocalDateTime(doc.dueDate) : null;
     
     if (doc.createdAt) {
       updates.localCreatedAt = formatLocalDateTime(doc.createdAt);
@@ -413,6 +682,9 @@ invoiceSchema.post('save', async function(doc, next) {
     
     console.log('✅ POST-SAVE: Local datetimes saved to MongoDB');
     
+    // Keep the in-memory document (returned by the controllers) in sync
+    Object.entries(updates).forEach(([path, value]) => doc.set(path, value));
+    
     next();
     
   } catch (error) {
@@ -435,6 +707,73 @@ invoiceSchema.virtual('totalCBD').get(function() {
   return this.items.reduce((sum, item) => sum + (item.cbdMg || 0), 0);
 });
 
+// Method to recalculate amount paid / balance due from posted payments and credit notes
+invoiceSchema.methods.recalculateBalance = function() {
+  this.amountPaid = roundCurrency(
+    this.payments
+      .filter(payment => payment.status === 'posted')
+      .reduce((sum, payment) => sum + payment.amount, 0)
+  );
+  this.balanceDue = Math.max(0, roundCurrency(this.total - this.amountPaid - (this.creditTotal || 0)));
+  return this.balanceDue;
+};
+
+// Method to derive status from the payment ledger
+// Draft / Cancelled / Void invoices are never moved by payments
+invoiceSchema.methods.updatePaymentStatus = function() {
+  if (['Draft', 'Cancelled', 'Void'].includes(this.status)) {
+    return this.status;
+  }
+  
+  const postedPayments = this.payments
+    .filter(payment => payment.status === 'posted')
+    .sort((a, b) => new Date(a.paymentDate) - new Date(b.paymentDate));
+  
+  // Settled by payments and/or credit notes
+  if ((this.amountPaid > 0 || this.creditTotal > 0) && this.balanceDue <= 0) {
+    this.status = 'Paid';
+    this.paidDate = postedPayments.length > 0 ? postedPayments[postedPayments.length - 1].paymentDate : new Date();
+  } else if (this.amountPaid > 0) {
+    this.status = 'Partially Paid';
+    this.paidDate = undefined;
+  } else {
+    this.status = this.dueDate && new Date(this.dueDate) < new Date() ? 'Overdue' : 'Pending';
+    this.paidDate = undefined;
+  }
+  
+  if (postedPayments.length > 0) {
+    this.paymentMethod = postedPayments[postedPayments.length - 1].method;
+  }
+  
+  return this.status;
+};
+
+// Method to save a payment / credit change only if no other balance change was saved since this
+// copy was read - returns false on a concurrent change (reload and try again)
+invoiceSchema.methods.saveLedgerChange = async function() {
+  const version = this.ledgerVersion || 0;
+  this.ledgerVersion = version + 1;
+  this.$where = { ...this.$where, ledgerVersion: version > 0 ? version : { $in: [null, 0] } };
+
+  try {
+    await this.save();
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') return false;
+    throw error;
+  }
+  return true;
+};
+
+// Method to check if invoice is voided/cancelled (no further edits, payments or credits)
+invoiceSchema.methods.isClosed = function() {
+  return ['Cancelled', 'Void'].includes(this.status);
+};
+
+// Method to check if invoice accepts new payments
+invoiceSchema.methods.canAcceptPayment = function() {
+  return !['Draft', 'Cancelled', 'Void', 'Paid'].includes(this.status);
+};
+
 // Method to check if invoice needs state reporting
 invoiceSchema.methods.needsStateReporting = function() {
   return !this.stateReported && this.status === 'Paid';
@@ -448,4 +787,17 @@ invoiceSchema.methods.markStateReported = function(manifestId) {
   return this.save();
 };
 
+// Static: Issue the next invoice number for an organization (atomic, per-org sequence)
+invoiceSchema.statics.generateInvoiceNumber = async function(organizationId, invoiceDate = new Date()) {
+  const Organization = require('./Organization');
+  const Counter = require('./Counter');
+  
+  const org = await Organization.findOne({ organizationId });
+  if (!org) {
+    throw new Error(`Organization not found: ${organizationId}`);
+  }
+  
+  return await Counter.nextNumber(org, 'invoice', org.settings?.invoiceNumbering || {}, invoiceDate || new Date());
+};
+
 module.exports = mongoose.model('Invoice', invoiceSchema);
\ No newline at end of file
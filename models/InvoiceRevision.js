@@ -0,0 +1,87 @@
+// backend/models/InvoiceRevision.js
+// Immutable history of invoice edits - one document per prior version
+
+const mongoose = require('mongoose');
+
+// One changed field between two versions, e.g. { path: 'items.0.quantity', before: 2, after: 3 }
+const fieldChangeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const invoiceRevisionSchema = new mongoose.Schema({
+  // Organization (multi-tenant)
+  organizationId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  invoiceNumber: String,
+
+  // Version of the invoice captured in `snapshot` (invoice.revision before the edit)
+  revisionNumber: {
+    type: Number,
+    required: true
+  },
+
+  // Full invoice as it was BEFORE this edit
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Field-level diff: snapshot → the version that replaced it
+  changes: [fieldChangeSchema],
+
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+invoiceRevisionSchema.index({ invoiceId: 1, revisionNumber: 1 }, { unique: true });
+
+// ========== IMMUTABILITY ==========
+// Revisions are append-only: block edits after creation and every update/delete query
+invoiceRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Invoice revisions are immutable'));
+  }
+  next();
+});
+
+const blockMutation = function(next) {
+  next(new Error('Invoice revisions are immutable'));
+};
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  invoiceRevisionSchema.pre(operation, { document: false, query: true }, blockMutation);
+});
+
+invoiceRevisionSchema.pre('deleteOne', { document: true, query: false }, blockMutation);
+
+module.exports = mongoose.model('InvoiceRevision', invoiceRevisionSchema);
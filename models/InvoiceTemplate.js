@@ -0,0 +1,116 @@
+// backend/models/InvoiceTemplate.js
+// Reusable invoice templates (standing wholesale orders, recurring invoices)
+
+const mongoose = require('mongoose');
+
+// Template items only keep what the user chose - compliance data is
+// re-snapshotted from the Product every time an invoice is generated
+const templateItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  sku: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unit: String,
+  weight: Number,
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  taxPercent: {
+    type: Number,
+    default: 0
+  },
+  notes: String
+});
+
+const invoiceTemplateSchema = new mongoose.Schema({
+  // Organization (multi-tenant)
+  organizationId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+
+  // Customer (Bill To)
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  billTo: {
+    clientName: String,
+    email: String,
+    phone: String,
+    address: String,
+    licenseNumber: String,
+    customerType: {
+      type: String,
+      enum: ['retail', 'wholesale', 'medical'],
+      default: 'wholesale'
+    }
+  },
+
+  // Seller (Bill From)
+  billFrom: {
+    businessName: String,
+    email: String,
+    phone: String,
+    address: String,
+    licenseNumber: String,
+    licenseType: String
+  },
+
+  items: [templateItemSchema],
+
+  notes: String,
+  paymentTerms: {
+    type: String,
+    default: 'Due on receipt'
+  },
+  // Due date = invoice date + dueInDays (org local days)
+  dueInDays: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+invoiceTemplateSchema.index({ organizationId: 1, isActive: 1 });
+invoiceTemplateSchema.index({ organizationId: 1, name: 1 });
+
+module.exports = mongoose.model('InvoiceTemplate', invoiceTemplateSchema);
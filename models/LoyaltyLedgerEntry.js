@@ -0,0 +1,75 @@
+// backend/models/LoyaltyLedgerEntry.js
+// Loyalty points ledger - one entry per change to a customer's points balance
+// (Customer.loyalty holds the running balance; services/loyaltyService.js writes both)
+
+const mongoose = require('mongoose');
+
+// earn: points for a sale, redeem: points spent as a tender, convert: points turned into store credit,
+// clawback: earned points taken back by a refund, refund: redeemed points given back by a refund,
+// adjust: manual correction
+const ENTRY_TYPES = ['earn', 'redeem', 'convert', 'clawback', 'refund', 'adjust'];
+
+const loyaltyLedgerEntrySchema = new mongoose.Schema({
+  // Organization (multi-tenant)
+  organizationId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: true
+  },
+
+  // Signed change to the balance (whole points)
+  points: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Loyalty points must be whole points'
+    }
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  lifetimePointsAfter: Number,
+  tierAfter: String,
+
+  // What the change was for
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  storeCreditId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StoreCredit'
+  },
+  description: String,
+  // How earned points were worked out ({ pointsPerDollar, dayMultiplier, tierMultiplier, lines })
+  details: mongoose.Schema.Types.Mixed,
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+loyaltyLedgerEntrySchema.index({ organizationId: 1, customerId: 1, createdAt: -1 });
+loyaltyLedgerEntrySchema.index({ organizationId: 1, transactionId: 1 });
+
+loyaltyLedgerEntrySchema.statics.ENTRY_TYPES = ENTRY_TYPES;
+
+module.exports = mongoose.model('LoyaltyLedgerEntry', loyaltyLedgerEntrySchema);
@@ -1,6 +1,34 @@
 // backend/models/Organization.js
 const mongoose = require('mongoose');
 
+// ========== DEFAULT CHART OF ACCOUNTS (GL export) ==========
+// Keys are what journal entries post to; number / name are what the accounting system sees
+const DEFAULT_CHART_OF_ACCOUNTS = {
+  cash: { number: '1000', name: 'Cash on Hand' },
+  undepositedFunds: { number: '1010', name: 'Undeposited Funds' },          // Card, check, ACH
+  accountsReceivable: { number: '1200', name: 'Accounts Receivable' },
+  inventory: { number: '1300', name: 'Inventory' },
+  storeCreditLiability: { number: '2100', name: 'Store Credit Liability' },
+  giftCardLiability: { number: '2110', name: 'Gift Card Liability' },
+  exciseTaxPayable: { number: '2200', name: 'Cannabis Excise Tax Payable' },
+  cultivationTaxPayable: { number: '2210', name: 'Cultivation Tax Payable' },
+  salesTaxPayable: { number: '2300', name: 'Sales Tax Payable' },
+  salesRevenue: { number: '4000', name: 'Sales Revenue' },
+  salesDiscounts: { number: '4100', name: 'Sales Discounts' },
+  salesReturns: { number: '4200', name: 'Sales Returns and Allowances' },
+  cogs: { number: '5000', name: 'Cost of Goods Sold' },
+  promotionalCredits: { number: '6100', name: 'Promotional Store Credits' },
+  loyaltyRewards: { number: '6110', name: 'Loyalty Rewards' }
+};
+
+const chartOfAccountsDefinition = Object.entries(DEFAULT_CHART_OF_ACCOUNTS).reduce((definition, [key, account]) => {
+  definition[key] = {
+    number: { type: String, default: account.number, trim: true },
+    name: { type: String, default: account.name, trim: true }
+  };
+  return definition;
+}, {});
+
 const organizationSchema = new mongoose.Schema({
   // Unique Customer Code (auto-generated)
   organizationId: {
@@ -187,6 +215,11 @@ const organizationSchema = new mongoose.Schema({
       default: '',
       trim: true
     },
+    county: {          // Tax jurisdiction (see TaxRate)
+      type: String,
+      default: '',
+      trim: true
+    },
     state: {
       type: String,
       default: '',
@@ -232,7 +265,209 @@ const organizationSchema = new mongoose.Schema({
     logo: {
       type: String,
       default: null
-    }
+    },
+    
+    // ========== INVOICE NUMBERING ==========
+    // Tokens: {PREFIX} {YYYY} {YY} {MM} {SEQ}
+    invoiceNumbering: {
+      prefix: {
+        type: String,
+        default: 'INV-',
+        trim: true,
+        maxLength: 20
+      },
+      format: {
+        type: String,
+        default: '{PREFIX}{SEQ}'   // e.g. "{PREFIX}{YYYY}-{SEQ}" → INV-2025-0001
+      },
+      padding: {
+        type: Number,
+        default: 4,
+        min: 1,
+        max: 10
+      },
+      resetPeriod: {
+        type: String,
+        enum: ['never', 'yearly', 'monthly'],
+        default: 'never'
+      }
+    },
+    
+    // ========== CREDIT NOTE NUMBERING ==========
+    // Same tokens as invoiceNumbering, separate sequence
+    creditNoteNumbering: {
+      prefix: {
+        type: String,
+        default: 'CN-',
+        trim: true,
+        maxLength: 20
+      },
+      format: {
+        type: String,
+        default: '{PREFIX}{SEQ}'
+      },
+      padding: {
+        type: Number,
+        default: 4,
+        min: 1,
+        max: 10
+      },
+      resetPeriod: {
+        type: String,
+        enum: ['never', 'yearly', 'monthly'],
+        default: 'never'
+      }
+    },
+    
+    // ========== INVOICE DUNNING (overdue reminders) ==========
+    dunning: {
+      enabled: {               // Opt-in - customers are only emailed once the org turns it on
+        type: Boolean,
+        default: false
+      },
+      // Days past due (org local days) on which a reminder is emailed
+      reminderDays: {
+        type: [Number],
+        default: [3, 7, 14]
+      },
+      // Use the AI-generated reminder text (falls back to the standard template)
+      useAiText: {
+        type: Boolean,
+        default: false
+      },
+      ccEmail: {
+        type: String,
+        default: null,
+        lowercase: true,
+        trim: true
+      }
+    },
+    
+    // ========== POS TOTALS VERIFICATION ==========
+    // Register totals are recomputed on the server; differences beyond the tolerance
+    // are rejected (422) or saved with the transaction flagged for review
+    pos: {
+      totalsTolerance: {
+        type: Number,
+        default: 0.01,
+        min: 0,
+        max: 1
+      },
+      totalsMismatchPolicy: {
+        type: String,
+        enum: ['reject', 'flag'],
+        default: 'reject'
+      },
+      // Tenders refunds go back to first (empty = tenderService.DEFAULT_REFUND_TENDER_ORDER)
+      refundTenderOrder: [{
+        type: String,
+        enum: ['cash', 'debit', 'card', 'check', 'digital', 'store_credit', 'gift_card', 'loyalty']
+      }]
+    },
+    
+    // ========== PURCHASE LIMITS (daily cannabis limits by state) ==========
+    // block: checkout rejected over the limit, warn: sale goes through with a warning, off: not checked
+    purchaseLimits: {
+      enforcement: {
+        type: String,
+        enum: ['block', 'warn', 'off'],
+        default: 'block'
+      }
+    },
+    
+    // ========== LOYALTY (services/loyaltyService.js) ==========
+    // Points per pre-tax dollar, times the category, weekday and tier multipliers (rounded down);
+    // tiers go by lifetime points - the highest threshold reached applies
+    loyalty: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      pointsPerDollar: {
+        type: Number,
+        default: 1,
+        min: 0
+      },
+      pointValue: {            // Dollars a point is worth when redeemed or converted to store credit
+        type: Number,
+        default: 0.01,
+        min: 0.0001
+      },
+      minimumRedemption: {     // Fewest points that can be redeemed / converted at once
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      categoryMultipliers: [{
+        _id: false,
+        category: {
+          type: String,
+          lowercase: true,
+          trim: true
+        },
+        multiplier: {
+          type: Number,
+          min: 0
+        }
+      }],
+      dayMultipliers: [{
+        _id: false,
+        day: {
+          type: String,
+          enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+        },
+        multiplier: {
+          type: Number,
+          min: 0
+        }
+      }],
+      tiers: [{
+        _id: false,
+        name: {
+          type: String,
+          trim: true
+        },
+        threshold: {
+          type: Number,
+          min: 0
+        },
+        multiplier: {
+          type: Number,
+          default: 1,
+          min: 0
+        }
+      }]
+    },
+    
+    // ========== RECEIPTS (services/receiptService.js) ==========
+    // exciseDisclosure falls back to the state's required statement (DEFAULT_EXCISE_DISCLOSURES);
+    // warning is any state-required cannabis warning printed on every receipt
+    receipt: {
+      paperWidth: {
+        type: String,
+        enum: ['58mm', '80mm'],
+        default: '80mm'
+      },
+      exciseDisclosure: {
+        type: String,
+        default: '',
+        trim: true
+      },
+      warning: {
+        type: String,
+        default: '',
+        trim: true
+      },
+      footer: {
+        type: String,
+        default: '',
+        trim: true
+      }
+    },
+    
+    // ========== CHART OF ACCOUNTS (GL journal export) ==========
+    // See DEFAULT_CHART_OF_ACCOUNTS for the accounts and their defaults
+    chartOfAccounts: chartOfAccountsDefinition
   },
   
   // Feature flags (for different plans)
@@ -324,6 +559,129 @@ organizationSchema.methods.formatLocalDateTime = function(utcDate) {
   });
 };
 
+/**
+ * Format date only (no time) in local timezone using settings.dateFormat
+ * Supports YYYY, MM and DD tokens, e.g. "MM/DD/YYYY", "DD/MM/YYYY", "YYYY-MM-DD"
+ */
+organizationSchema.methods.formatLocalDate = function(utcDate) {
+  if (!utcDate) return null;
+
+  const [year, month, day] = this.getLocalDateKey(utcDate).split('-');
+  const format = this.settings?.dateFormat || 'MM/DD/YYYY';
+  return format
+    .replace('YYYY', year)
+    .replace('MM', month)
+    .replace('DD', day);
+};
+
+/**
+ * Get local calendar date as a sortable key (e.g., "2025-12-29")
+ */
+organizationSchema.methods.getLocalDateKey = function(utcDate = new Date()) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: this.timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(new Date(utcDate)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+/**
+ * Timezone offset (minutes ahead of UTC) at a given instant, DST-aware
+ * e.g. America/Los_Angeles → -480 in winter, -420 in summer
+ */
+organizationSchema.methods.getTimezoneOffsetMinutes = function(utcDate = new Date()) {
+  const instant = new Date(utcDate);
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: this.timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((localAsUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * UTC start/end instants of a local calendar day (e.g. "2025-12-29")
+ * Used for "per day" queries so a store's day matches its own timezone
+ */
+organizationSchema.methods.getLocalDayRange = function(dateKey = this.getLocalDateKey()) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+
+  // Local midnight → UTC (re-check the offset for days that start on a DST change)
+  const toUtcMidnight = (y, m, d) => {
+    const guess = Date.UTC(y, m - 1, d);
+    let result = guess - this.getTimezoneOffsetMinutes(guess) * 60000;
+    result = guess - this.getTimezoneOffsetMinutes(result) * 60000;
+    return result;
+  };
+
+  const start = toUtcMidnight(year, month, day);
+  const nextDay = new Date(Date.UTC(year, month - 1, day + 1));
+  const end = toUtcMidnight(nextDay.getUTCFullYear(), nextDay.getUTCMonth() + 1, nextDay.getUTCDate()) - 1;
+
+  return {
+    start: new Date(start),
+    end: new Date(end)
+  };
+};
+
+/**
+ * UTC start/end instants covering local days from → to (inclusive) for report / list filters
+ * Each bound is a date key ("2025-12-29") or an instant, which counts as the local day it falls on
+ * @returns {{ start: Date, end: Date, startKey: string, endKey: string }|null} null if a bound is invalid
+ */
+organizationSchema.methods.getLocalDateRange = function(from, to = from) {
+  const toKey = (value) => {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return String(value);
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : this.getLocalDateKey(date);
+  };
+
+  const startKey = toKey(from);
+  const endKey = toKey(to);
+  if (!startKey || !endKey) return null;
+
+  return {
+    start: this.getLocalDayRange(startKey).start,
+    end: this.getLocalDayRange(endKey).end,
+    startKey,
+    endKey
+  };
+};
+
+/**
+ * Add calendar days to a local date key ("2025-12-29" + 3 → "2026-01-01")
+ */
+organizationSchema.statics.addDaysToDateKey = function(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * Number of local calendar days from one date to another
+ * e.g. due 12/28 11:59 PM PST, now 12/31 1:00 AM PST → 3
+ */
+organizationSchema.methods.getLocalDaysBetween = function(fromDate, toDate = new Date()) {
+  const from = Date.parse(this.getLocalDateKey(fromDate));
+  const to = Date.parse(this.getLocalDateKey(toDate));
+  return Math.round((to - from) / (24 * 60 * 60 * 1000));
+};
+
 /**
  * Get business day (local date only, no time)
  * Used for "per day" aggregations
@@ -357,6 +715,37 @@ organizationSchema.methods.isCurrentlyOpen = function() {
   return currentTime >= openTime && currentTime < closeTime;
 };
 
+/**
+ * Local weekday and time of day (e.g., { day: 'Friday', time: '16:30' })
+ */
+organizationSchema.methods.getLocalClock = function(utcDate = new Date()) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: this.timezone,
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(utcDate)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return { day: parts.weekday, time: `${parts.hour}:${parts.minute}` };
+};
+
+/**
+ * Opening hours on a weekday ({ open: '09:00', close: '21:00' }) - null when closed that day
+ */
+organizationSchema.methods.getBusinessHours = function(day) {
+  if (this.businessHours?.closed?.includes(day)) return null;
+
+  const isWeekend = day === 'Saturday' || day === 'Sunday';
+  return {
+    open: isWeekend ? this.businessHours?.weekendOpen : this.businessHours?.weekdayOpen,
+    close: isWeekend ? this.businessHours?.weekendClose : this.businessHours?.weekdayClose
+  };
+};
+
 /**
  * Get timezone offset string (e.g., "PST" or "PDT")
  */
@@ -378,4 +767,6 @@ organizationSchema.pre('save', function(next) {
   next();
 });
 
+organizationSchema.statics.DEFAULT_CHART_OF_ACCOUNTS = DEFAULT_CHART_OF_ACCOUNTS;
+
 module.exports = mongoose.model('Organization', organizationSchema);
\ No newline at end of file
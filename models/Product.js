@@ -70,6 +70,11 @@ const productSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  quarantinedQuantity: {     // Returned units held back from sale pending inspection
+    type: Number,
+    default: 0,
+    min: 0
+  },
   lowStockThreshold: {
     type: Number,
     default: 10,
@@ -0,0 +1,224 @@
+// backend/models/Promotion.js
+// Automatic POS promotions - applied by the server at checkout (services/promotionService.js)
+// and recorded on the transaction per promotion and per line
+
+const mongoose = require('mongoose');
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_OF_DAY = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// percentage: value % off each matching unit, fixed: $value off each matching unit,
+// bogo: buy N get M at percentOff, bundle: every N matching units for a set price
+const PROMOTION_TYPES = ['percentage', 'fixed', 'bogo', 'bundle'];
+const CUSTOMER_GROUPS = ['medical', 'veteran', 'senior'];
+
+const promotionSchema = new mongoose.Schema({
+  // Organization (multi-tenant)
+  organizationId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  name: {                    // Shown on receipts and reports, e.g. "Edibles Happy Hour 15%"
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+
+  type: {
+    type: String,
+    enum: PROMOTION_TYPES,
+    required: true
+  },
+
+  // ========== DISCOUNT ==========
+  value: {                   // percentage: percent off, fixed: dollars off per unit
+    type: Number,
+    min: 0
+  },
+  bogo: {
+    buyQuantity: {
+      type: Number,
+      min: 1
+    },
+    getQuantity: {
+      type: Number,
+      min: 1
+    },
+    percentOff: {            // 100 = free
+      type: Number,
+      default: 100,
+      min: 1,
+      max: 100
+    }
+  },
+  bundle: {
+    quantity: {
+      type: Number,
+      min: 2
+    },
+    price: {
+      type: Number,
+      min: 0
+    }
+  },
+
+  // ========== WHAT IT APPLIES TO (empty = everything) ==========
+  // A unit matches when it fits every list that is set
+  categories: {
+    type: [{ type: String, trim: true, lowercase: true }],
+    default: []
+  },
+  productIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  strainTypes: {
+    type: [String],
+    enum: ['indica', 'sativa', 'hybrid'],
+    default: []
+  },
+  excludedCategories: {      // e.g. ['accessories']
+    type: [{ type: String, trim: true, lowercase: true }],
+    default: []
+  },
+
+  // ========== WHO IT APPLIES TO (empty = every customer) ==========
+  // medical: valid recommendation on file, veteran: Customer.veteran verified,
+  // senior: seniorAge or older (from the scanned ID, or the customer's date of birth)
+  customerGroups: {
+    type: [String],
+    enum: CUSTOMER_GROUPS,
+    default: []
+  },
+  seniorAge: {
+    type: Number,
+    default: 65,
+    min: 0
+  },
+
+  // ========== WHEN (organization local time) ==========
+  startsOn: {                // "YYYY-MM-DD", inclusive - null = no start date
+    type: String,
+    default: null,
+    match: DATE_KEY
+  },
+  endsOn: {                  // null = no end date
+    type: String,
+    default: null,
+    match: DATE_KEY
+  },
+  // Happy hour - only while the store is open (Organization.businessHours); a blank
+  // startTime / endTime means opening / closing time that day
+  happyHour: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    days: {                  // Empty = every day the store is open
+      type: [String],
+      enum: WEEKDAYS,
+      default: []
+    },
+    startTime: {
+      type: String,
+      match: TIME_OF_DAY
+    },
+    endTime: {
+      type: String,
+      match: TIME_OF_DAY
+    }
+  },
+
+  // ========== STACKING ==========
+  // Higher priority is applied first. A non-stackable promotion only takes units no other promotion
+  // has discounted (and keeps them to itself); stackable ones combine with each other on the price left.
+  // An exclusive promotion never combines - the sale gets whichever is worth more: the exclusive
+  // promotion alone, or the other promotions together. The cashier's declared discount combines like a
+  // stackable promotion (services/posTotalsService.js).
+  priority: {
+    type: Number,
+    default: 0
+  },
+  stackable: {
+    type: Boolean,
+    default: false
+  },
+  exclusive: {
+    type: Boolean,
+    default: false
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ organizationId: 1, isActive: 1, priority: -1 });
+
+// Each type needs its own settings
+promotionSchema.pre('validate', function(next) {
+  if (['percentage', 'fixed'].includes(this.type) && !(this.value > 0)) {
+    return next(new Error(`A ${this.type} promotion needs a value greater than 0`));
+  }
+  if (this.type === 'percentage' && this.value > 100) {
+    return next(new Error('Percentage promotions cannot exceed 100%'));
+  }
+  if (this.type === 'bogo' && !(this.bogo?.buyQuantity >= 1 && this.bogo?.getQuantity >= 1)) {
+    return next(new Error('A BOGO promotion needs bogo.buyQuantity and bogo.getQuantity'));
+  }
+  if (this.type === 'bundle' && !(this.bundle?.quantity >= 2 && this.bundle?.price >= 0)) {
+    return next(new Error('A bundle promotion needs bundle.quantity (2 or more) and bundle.price'));
+  }
+  if (this.endsOn && this.startsOn && this.endsOn < this.startsOn) {
+    return next(new Error('endsOn must be on or after startsOn'));
+  }
+  if (this.happyHour?.enabled && this.happyHour.startTime && this.happyHour.endTime &&
+    this.happyHour.endTime <= this.happyHour.startTime) {
+    return next(new Error('happyHour.endTime must be after happyHour.startTime'));
+  }
+  next();
+});
+
+// Method: Does this promotion apply to a product?
+promotionSchema.methods.appliesToProduct = function(product) {
+  const category = String(product.category || '').trim().toLowerCase();
+  if (this.excludedCategories.includes(category)) return false;
+  if (this.categories.length > 0 && !this.categories.includes(category)) return false;
+  if (this.productIds.length > 0 && !this.productIds.some(id => String(id) === String(product._id))) return false;
+  if (this.strainTypes.length > 0 && !this.strainTypes.includes(product.strainType)) return false;
+  return true;
+};
+
+// Static: Active promotions running on a local date key, highest priority first
+promotionSchema.statics.findRunning = async function(organizationId, dateKey) {
+  return await this.find({
+    organizationId,
+    isActive: true,
+    $and: [
+      { $or: [{ startsOn: null }, { startsOn: { $lte: dateKey } }] },
+      { $or: [{ endsOn: null }, { endsOn: { $gte: dateKey } }] }
+    ]
+  }).sort({ priority: -1, createdAt: 1 });
+};
+
+promotionSchema.statics.PROMOTION_TYPES = PROMOTION_TYPES;
+promotionSchema.statics.CUSTOMER_GROUPS = CUSTOMER_GROUPS;
+
+module.exports = mongoose.model('Promotion', promotionSchema);
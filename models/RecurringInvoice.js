@@ -0,0 +1,172 @@
+// backend/models/RecurringInvoice.js
+// Recurrence schedules that generate invoices from an InvoiceTemplate
+
+const mongoose = require('mongoose');
+
+// One entry per scheduled run (history of generated invoices)
+const generationLogSchema = new mongoose.Schema({
+  scheduledFor: String,     // Local date key the run was due, e.g. "2025-12-29"
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  invoiceNumber: String,
+  status: {
+    type: String,
+    enum: ['generated', 'failed'],
+    required: true
+  },
+  error: String,
+  emailed: {
+    type: Boolean,
+    default: false
+  },
+  emailError: String,
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const recurringInvoiceSchema = new mongoose.Schema({
+  // Organization (multi-tenant)
+  organizationId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InvoiceTemplate',
+    required: true
+  },
+
+  // ========== SCHEDULE ==========
+  // weekly: every `interval` weeks | monthly: every `interval` months (same day of month)
+  // custom: every `intervalDays` days
+  frequency: {
+    type: String,
+    enum: ['weekly', 'monthly', 'custom'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  intervalDays: {
+    type: Number,
+    min: 1
+  },
+
+  // Local date keys ("YYYY-MM-DD") in the organization's timezone
+  startDate: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  endDate: {
+    type: String,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  nextRunDate: {
+    type: String,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  maxOccurrences: {
+    type: Number,
+    min: 1
+  },
+  occurrencesGenerated: {
+    type: Number,
+    default: 0
+  },
+
+  // ========== STATUS ==========
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed', 'cancelled'],
+    default: 'active'
+  },
+  pausedAt: Date,
+  pausedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastRunAt: Date,
+
+  // ========== DELIVERY ==========
+  autoEmail: {
+    type: Boolean,
+    default: false
+  },
+
+  // ========== HISTORY ==========
+  history: [generationLogSchema],
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+recurringInvoiceSchema.index({ organizationId: 1, status: 1, nextRunDate: 1 });
+recurringInvoiceSchema.index({ organizationId: 1, templateId: 1 });
+
+// Method: Get the run date after `fromDateKey` for this schedule
+recurringInvoiceSchema.methods.getNextRunDate = function(fromDateKey) {
+  const [year, month, day] = fromDateKey.split('-').map(Number);
+  let next;
+
+  if (this.frequency === 'weekly') {
+    next = new Date(Date.UTC(year, month - 1, day + 7 * this.interval));
+  } else if (this.frequency === 'monthly') {
+    // Anchor on the start date's day of month (31st → last day of shorter months)
+    const anchorDay = Number(this.startDate.split('-')[2]);
+    const target = new Date(Date.UTC(year, month - 1 + this.interval, 1));
+    const daysInMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    next = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth(), Math.min(anchorDay, daysInMonth)));
+  } else {
+    next = new Date(Date.UTC(year, month - 1, day + (this.intervalDays || 1)));
+  }
+
+  return next.toISOString().slice(0, 10);
+};
+
+// Method: Has the schedule run past its end date / occurrence limit?
+recurringInvoiceSchema.methods.isFinished = function(nextRunDate = this.nextRunDate) {
+  if (this.endDate && nextRunDate > this.endDate) return true;
+  if (this.maxOccurrences && this.occurrencesGenerated >= this.maxOccurrences) return true;
+  return false;
+};
+
+// Validate custom interval
+recurringInvoiceSchema.pre('validate', function(next) {
+  if (this.frequency === 'custom' && !this.intervalDays) {
+    return next(new Error('intervalDays is required for a custom recurrence'));
+  }
+  if (this.endDate && this.endDate < this.startDate) {
+    return next(new Error('endDate must be on or after startDate'));
+  }
+  if (this.isNew && !this.nextRunDate) {
+    this.nextRunDate = this.startDate;
+  }
+  next();
+});
+
+module.exports = mongoose.model('RecurringInvoice', recurringInvoiceSchema);
@@ -0,0 +1,57 @@
+// backend/models/Register.js
+// POS registers (cash drawers) - sales are rung up against a register's open Shift
+
+const mongoose = require('mongoose');
+
+const registerSchema = new mongoose.Schema({
+  // Organization (multi-tenant)
+  organizationId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  code: {                    // Short ID printed on receipts / stored on transactions, e.g. "POS-001"
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  location: String,          // e.g. "Front counter"
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+registerSchema.index({ organizationId: 1, code: 1 }, { unique: true });
+
+// Static: Find a register by _id or code (registers send either)
+registerSchema.statics.findByIdOrCode = async function(organizationId, value) {
+  if (!value) return null;
+
+  const conditions = [{ code: String(value).trim().toUpperCase() }];
+  if (mongoose.Types.ObjectId.isValid(value)) conditions.push({ _id: value });
+
+  return await this.findOne({ organizationId, $or: conditions });
+};
+
+module.exports = mongoose.model('Register', registerSchema);
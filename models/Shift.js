@@ -0,0 +1,127 @@
+// backend/models/Shift.js
+// Register shifts - opening float, paid-in / paid-out, blind cash count and over/short at close
+
+const mongoose = require('mongoose');
+
+// Cash put into / taken out of the drawer outside of a sale (change order, supplier COD, ...)
+const cashMovementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['paid_in', 'paid_out'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const shiftSchema = new mongoose.Schema({
+  // Organization (multi-tenant)
+  organizationId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  shiftNumber: {             // e.g. "SHIFT-00042" (Counter 'shift')
+    type: String,
+    required: true
+  },
+
+  register: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Register',
+    required: true
+  },
+  registerCode: String,      // Copied from the register (what transactions store)
+
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+
+  // ========== OPEN ==========
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  openingFloat: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  cashMovements: [cashMovementSchema],
+
+  // ========== CLOSE (blind count - the cashier never sees expected cash before counting) ==========
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  countedCash: Number,
+  countBreakdown: [{         // Optional denomination count, e.g. { denomination: 20, quantity: 7 }
+    _id: false,
+    denomination: Number,
+    quantity: Number
+  }],
+  expectedCash: Number,
+  overShort: Number,         // counted - expected (negative = short)
+  closingNotes: String,
+
+  // Z report captured at close (see services/shiftService.js) - never recalculated
+  zReport: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+shiftSchema.index({ organizationId: 1, shiftNumber: 1 }, { unique: true });
+shiftSchema.index({ organizationId: 1, register: 1, openedAt: -1 });
+// One open shift per register
+shiftSchema.index(
+  { register: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+// Auto-generate shift number (per-organization sequence)
+shiftSchema.pre('validate', async function(next) {
+  try {
+    if (this.isNew && !this.shiftNumber) {
+      const Counter = require('./Counter');
+      const seq = await Counter.next(this.organizationId, 'shift');
+      this.shiftNumber = `SHIFT-${String(seq).padStart(5, '0')}`;
+    }
+    next();
+  } catch (error) {
+    console.error('❌ Error generating shift number:', error);
+    next(error);
+  }
+});
+
+// Static: The register's open shift, if any
+shiftSchema.statics.findOpen = async function(organizationId, registerId) {
+  return await this.findOne({ organizationId, register: registerId, status: 'open' });
+};
+
+module.exports = mongoose.model('Shift', shiftSchema);
@@ -173,6 +173,34 @@ storeCreditSchema.methods.applyCredit = async function(amount, transactionId, us
   return await this.save();
 };
 
+// Method: Put back credit a refunded sale used (logged as a negative use)
+storeCreditSchema.methods.reverseCredit = async function(amount, transactionId, userId, registerId) {
+  if (this.status === 'voided') {
+    throw new Error('Cannot restore a voided credit');
+  }
+
+  this.remainingBalance = Math.min(
+    Math.round((this.remainingBalance + amount) * 100) / 100,
+    this.originalAmount
+  );
+
+  if (this.status !== 'expired') {
+    this.status = this.remainingBalance === this.originalAmount ? 'active' : 'partially_used';
+  }
+
+  this.usageHistory.push({
+    transactionId: transactionId,
+    amountUsed: -amount,
+    remainingAfterUse: this.remainingBalance,
+    usedAt: new Date(),
+    usedBy: userId,
+    registerId: registerId,
+    notes: 'Restored by refund'
+  });
+
+  return await this.save();
+};
+
 // Method: Void credit
 storeCreditSchema.methods.void = async function(userId, reason) {
   if (this.status === 'fully_used') {
@@ -0,0 +1,162 @@
+// backend/models/TaxRate.js
+// Per-organization tax rate table - one row per tax per jurisdiction, effective-dated
+// Rate changes are recorded as a new row (and an effectiveTo on the old one) so
+// past sales keep the rate that applied on their date
+
+const mongoose = require('mongoose');
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const taxRateSchema = new mongoose.Schema({
+  // Organization (multi-tenant)
+  organizationId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  name: {                    // Shown in tax explanations, e.g. "CA Cannabis Excise Tax"
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  taxType: {
+    type: String,
+    enum: ['excise', 'cultivation', 'sales'],
+    required: true
+  },
+
+  // ========== JURISDICTION ==========
+  // Matched against Organization.location - leave county / city empty for a statewide rate
+  jurisdiction: {
+    state: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      maxLength: 2
+    },
+    county: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    city: {
+      type: String,
+      trim: true,
+      default: null
+    }
+  },
+
+  // ========== RATE ==========
+  rateType: {
+    type: String,
+    enum: ['percent', 'per_gram'],   // per_gram: dollars per gram (weight-based cultivation taxes)
+    default: 'percent'
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Sales tax charged on the price plus excise (e.g. California since 2023)
+  includeExciseInBase: {
+    type: Boolean,
+    default: false
+  },
+
+  // ========== WHAT IT APPLIES TO ==========
+  categories: {              // Empty = every category
+    type: [{ type: String, trim: true, lowercase: true }],
+    default: []
+  },
+  excludedCategories: {      // e.g. ['accessories'] for excise
+    type: [{ type: String, trim: true, lowercase: true }],
+    default: []
+  },
+  customerTypes: {           // Sale channels taxed - drop 'wholesale' for taxes collected at retail only
+    type: [String],
+    enum: ['retail', 'medical', 'wholesale'],
+    default: ['retail', 'medical', 'wholesale']
+  },
+  medicalExempt: {           // Not charged to customers with a valid medical recommendation
+    type: Boolean,
+    default: false
+  },
+
+  // ========== EFFECTIVE DATES (org local date keys "YYYY-MM-DD", inclusive) ==========
+  effectiveFrom: {
+    type: String,
+    required: true,
+    match: DATE_KEY
+  },
+  effectiveTo: {             // null = no end date
+    type: String,
+    default: null,
+    match: DATE_KEY
+  },
+
+  notes: String,
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+taxRateSchema.index({ organizationId: 1, 'jurisdiction.state': 1, isActive: 1 });
+
+// Statewide / countywide rates are stored with null county / city (see findEffective)
+taxRateSchema.pre('validate', function(next) {
+  if (!this.jurisdiction.county) this.jurisdiction.county = null;
+  if (!this.jurisdiction.city) this.jurisdiction.city = null;
+
+  if (this.effectiveTo && this.effectiveTo < this.effectiveFrom) {
+    return next(new Error('effectiveTo must be on or after effectiveFrom'));
+  }
+  next();
+});
+
+// Virtual: Which sales tax bucket this rate reports under (Transaction.totals.taxBreakdown.sales)
+taxRateSchema.virtual('level').get(function() {
+  if (this.jurisdiction?.city) return 'city';
+  if (this.jurisdiction?.county) return 'county';
+  return 'state';
+});
+
+// Method: Does this rate apply to a category?
+taxRateSchema.methods.appliesToCategory = function(category) {
+  const normalized = String(category || '').trim().toLowerCase();
+  if (this.excludedCategories.includes(normalized)) return false;
+  return this.categories.length === 0 || this.categories.includes(normalized);
+};
+
+// Static: Active rates for the organization's jurisdiction on a local date key
+taxRateSchema.statics.findEffective = async function(organizationId, { state, county, city }, dateKey) {
+  const sameName = (value) => new RegExp(`^${String(value).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+  return await this.find({
+    organizationId,
+    isActive: true,
+    'jurisdiction.state': String(state || '').toUpperCase(),
+    'jurisdiction.county': county ? { $in: [null, sameName(county)] } : null,
+    'jurisdiction.city': city ? { $in: [null, sameName(city)] } : null,
+    effectiveFrom: { $lte: dateKey },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: dateKey } }]
+  }).sort({ taxType: 1, effectiveFrom: 1 });
+};
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
@@ -1,5 +1,115 @@
 const mongoose = require('mongoose');
 
+// One tax (or exemption) applied to a line - the line-level tax explanation from the tax engine
+const TaxDetailSchema = new mongoose.Schema({
+    rateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxRate'
+    },
+    name: String,
+    taxType: {
+        type: String,
+        enum: ['excise', 'cultivation', 'sales']
+    },
+    jurisdiction: String,
+    level: String,
+    rateType: String,
+    rate: Number,
+    base: Number,
+    amount: Number,
+    exempt: Boolean,
+    exemptReason: String
+}, { _id: false });
+
+// One tender used to pay for a sale (split tender - see services/tenderService.js)
+const PaymentSchema = new mongoose.Schema({
+    tender: {
+        type: String,
+        required: true,
+        enum: ['cash', 'debit', 'card', 'check', 'digital', 'store_credit', 'gift_card', 'loyalty']
+    },
+    amount: {                  // Applied to the sale (negative on cash refund transactions)
+        type: Number,
+        required: true
+    },
+    tendered: Number,          // Cash handed over
+    change: Number,            // Cash given back
+    reference: String,         // Check number, card auth / last 4, credit memo number, gift card number
+    points: Number,            // Loyalty points redeemed for this tender
+    refundedAmount: {          // Returned to this tender by refunds so far
+        type: Number,
+        default: 0,
+        min: 0
+    }
+});
+
+// A refund against the sale, split back to the tenders that paid for it
+const RefundSchema = new mongoose.Schema({
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01
+    },
+    reason: String,
+    // Items returned (services/refundService.js) - amount includes the line's tax
+    lines: [{
+        _id: false,
+        itemId: mongoose.Schema.Types.ObjectId,
+        productId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        },
+        name: String,
+        quantity: Number,
+        amount: Number,
+        taxAmount: Number,
+        disposition: {
+            type: String,
+            enum: ['restock', 'quarantine']
+        }
+    }],
+    taxAmount: Number,
+    taxBreakdown: {
+        excise: Number,
+        cultivation: Number,
+        sales: Number
+    },
+    // Loyalty points taken back (earned on the returned units) / given back (spent on the sale)
+    loyaltyPoints: {
+        clawedBack: Number,
+        restored: Number
+    },
+    tenders: [{
+        _id: false,
+        paymentId: mongoose.Schema.Types.ObjectId,
+        tender: String,
+        amount: Number,
+        reference: String
+    }],
+    // Negative transaction recorded for the refund
+    refundTransactionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    },
+    receiptNumber: String,
+    refundedAt: {
+        type: Date,
+        default: Date.now
+    },
+    refundedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+});
+
+// Money totals can only go negative on refund transactions
+const nonNegativeUnlessRefund = {
+    validator: function(value) {
+        return value >= 0 || this.transactionType === 'refund';
+    },
+    message: '{PATH} cannot be negative on a sale'
+};
+
 const TransactionSchema = new mongoose.Schema({
     // ✅ CRITICAL: Add organizationId for multi-tenancy
     organizationId: {
@@ -15,6 +125,24 @@ const TransactionSchema = new mongoose.Schema({
         trim: true
     },
 
+    // 'refund' transactions carry negative totals (line refunds, RMA cash refunds)
+    transactionType: {
+        type: String,
+        enum: ['sale', 'refund'],
+        default: 'sale'
+    },
+    refundOf: {                // Sale a line refund was made against
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    },
+
+    // Calendar day of the sale in the organization's timezone, e.g. "2025-12-29" - what date
+    // filters and daily reports match on (backfill: scripts/backfill-transaction-business-day.js)
+    businessDay: {
+        type: String,
+        match: /^\d{4}-\d{2}-\d{2}$/
+    },
+
     // Transaction items - products sold
     items: [{
         productId: {
@@ -72,17 +200,65 @@ const TransactionSchema = new mongoose.Schema({
                 default: 0
             },
             batchNumber: String
+        },
+        // Promotions and the declared discount taken off this line (services/posTotalsService.js)
+        discountAmount: Number,
+        promotions: [{
+            _id: false,
+            promotionId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Promotion'
+            },
+            name: String,
+            amount: Number
+        }],
+        // Set by the tax engine (services/taxService.js)
+        taxAmount: Number,
+        taxDetails: [TaxDetailSchema],
+        // Returned so far by line refunds
+        refundedQuantity: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        refundedAmount: {
+            type: Number,
+            default: 0,
+            min: 0
         }
     }],
 
+    // How taxes were determined: 'engine' (TaxRate table) or 'client' (amounts as sent,
+    // for organizations without a rate table)
+    taxCalculation: {
+        source: {
+            type: String,
+            enum: ['engine', 'client'],
+            default: 'client'
+        },
+        asOf: String,
+        jurisdiction: {
+            state: String,
+            county: String,
+            city: String
+        },
+        customerType: String,
+        medicalExemption: String
+    },
+
 // Financial totals
 totals: {
     subtotal: {
         type: Number,
         required: true,
+        validate: nonNegativeUnlessRefund
+    },
+    discountAmount: {          // Promotions plus the declared discount
+        type: Number,
+        default: 0,
         min: 0
     },
-    discountAmount: {
+    promotionAmount: {
         type: Number,
         default: 0,
         min: 0
@@ -90,17 +266,17 @@ totals: {
     discountedSubtotal: {
         type: Number,
         required: true,
-        min: 0
+        validate: nonNegativeUnlessRefund
     },
     taxAmount: {
         type: Number,
         required: true,
-        min: 0
+        validate: nonNegativeUnlessRefund
     },
     grandTotal: {
         type: Number,
         required: true,
-        min: 0
+        validate: nonNegativeUnlessRefund
     },
     changeAmount: {
         type: Number,
@@ -149,7 +325,70 @@ totals: {
     }
 },
 
-    // Discount information
+    // Totals exactly as the register sent them (`totals` above is the server's recomputation)
+    clientTotals: mongoose.Schema.Types.Mixed,
+
+    // Register vs server totals check
+    totalsVerification: {
+        status: {
+            type: String,
+            enum: ['matched', 'mismatch'],
+            default: 'matched'
+        },
+        tolerance: Number,
+        mismatches: [{
+            _id: false,
+            field: String,
+            client: mongoose.Schema.Types.Mixed,
+            server: Number,
+            difference: Number
+        }],
+        checkedAt: Date
+    },
+
+    // Daily purchase limit check at checkout (services/purchaseLimitService.js)
+    purchaseLimits: {
+        state: String,
+        limitType: {
+            type: String,
+            enum: ['adult', 'medical']
+        },
+        licenseNumber: String,
+        trackedAcrossTransactions: Boolean,
+        status: {
+            type: String,
+            enum: ['ok', 'exceeded']
+        },
+        enforcement: String,
+        buckets: [{
+            _id: false,
+            key: String,
+            label: String,
+            unit: String,
+            limit: Number,
+            purchasedToday: Number,
+            inCart: Number,
+            total: Number,
+            remaining: Number,
+            exceeded: Boolean
+        }]
+    },
+
+    // Promotions the server applied (services/promotionService.js) - per line in items[].promotions
+    promotions: [{
+        _id: false,
+        promotionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Promotion'
+        },
+        name: String,
+        type: {
+            type: String
+        },
+        amount: Number
+    }],
+
+    // Discount information (declared by the register - applied after promotions)
     discount: {
         name: String,
         type: {
@@ -161,18 +400,26 @@ totals: {
     },
 
     // Payment information
+    // paymentMethod summarizes payments: the single tender used, 'cash+credit', or 'split'
     paymentMethod: {
         type: String,
         required: true,
-        enum: ['cash', 'card', 'check', 'digital', 'store_credit', 'cash+credit'],
+        enum: ['cash', 'debit', 'card', 'check', 'digital', 'store_credit', 'gift_card', 'loyalty', 'cash+credit', 'split'],
         default: 'cash'
     },
+    payments: [PaymentSchema],
     cashReceived: {
         type: Number,
         min: 0,
         default: 0
     },
 
+    // Linked customer record (optional - walk-in sales only have customerInfo)
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer'
+    },
+
     // Customer information (optional for cannabis POS)
     customerInfo: {
         name: String,
@@ -184,16 +431,75 @@ totals: {
         license: {
             number: String,
             state: String,
-            expirationDate: Date
+            expirationDate: Date,
+            // ID scan result (services/idScanService.js) - the raw barcode is never stored
+            verification: {
+                status: {
+                    type: String,
+                    enum: ['passed', 'failed']
+                },
+                reasons: [String],
+                age: Number,
+                minimumAge: Number,
+                basis: {
+                    type: String,
+                    enum: ['adult', 'medical']
+                },
+                isExpired: Boolean,
+                method: {
+                    type: String,
+                    enum: ['scan']
+                },
+                verifiedAt: Date,
+                verifiedBy: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User'
+                }
+            }
         }
     },
 
+    // Loyalty points (services/loyaltyService.js) - per-line earnings so refunds claw back the right amount
+    loyalty: {
+        customerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Customer'
+        },
+        pointsEarned: {
+            type: Number,
+            default: 0
+        },
+        pointsRedeemed: {
+            type: Number,
+            default: 0
+        },
+        pointsClawedBack: {
+            type: Number,
+            default: 0
+        },
+        pointsRestored: {
+            type: Number,
+            default: 0
+        },
+        tier: String,
+        lines: [{
+            _id: false,
+            itemId: mongoose.Schema.Types.ObjectId,
+            points: Number,
+            clawedBack: {
+                type: Number,
+                default: 0
+            }
+        }]
+    },
+
     // Transaction status
     status: {
         type: String,
         enum: ['completed', 'refunded', 'partially_refunded', 'voided'],
         default: 'completed'
     },
+    refunds: [RefundSchema],
 
     // Receipt data
     receiptData: {
@@ -256,6 +562,43 @@ totals: {
         }
     },
 
+    // Offline sales (POST /api/transactions/sync) - rung up while the register was offline and
+    // reconciled when they arrived; conflicts are what no longer held by then (flagged, not rejected)
+    sync: {
+        source: {
+            type: String,
+            enum: ['offline']
+        },
+        syncedAt: Date,
+        status: {
+            type: String,
+            enum: ['clean', 'conflict']
+        },
+        conflicts: [{
+            _id: false,
+            type: {
+                type: String,
+                enum: [
+                    'no_shift',
+                    'shift_closed',
+                    'customer_not_found',
+                    'id_not_verified',
+                    'price_changed',
+                    'totals_mismatch',
+                    'purchase_limit_exceeded',
+                    'loyalty_redemption',
+                    'oversold'
+                ]
+            },
+            message: String,
+            productId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Product'
+            },
+            details: mongoose.Schema.Types.Mixed
+        }]
+    },
+
     // Soft delete
     isActive: {
         type: Boolean,
@@ -282,11 +625,19 @@ TransactionSchema.index({ organizationId: 1, createdAt: -1 }); // For date-based
 TransactionSchema.index({ organizationId: 1, 'compliance.employeeId': 1 });
 TransactionSchema.index({ organizationId: 1, paymentMethod: 1 });
 TransactionSchema.index({ organizationId: 1, status: 1 });
+TransactionSchema.index({ organizationId: 1, customerId: 1 });
+TransactionSchema.index({ organizationId: 1, 'totalsVerification.status': 1 });
+TransactionSchema.index({ organizationId: 1, 'customerInfo.license.number': 1, businessDay: 1 });
+TransactionSchema.index({ organizationId: 1, businessDay: 1 });
+TransactionSchema.index({ organizationId: 1, 'sync.status': 1 });
+TransactionSchema.index({ organizationId: 1, 'promotions.promotionId': 1, businessDay: 1 });
 
 // Keep these for performance
 TransactionSchema.index({ createdAt: -1 }); // Global date index
 TransactionSchema.index({ 'compliance.employeeId': 1 });
 TransactionSchema.index({ paymentMethod: 1 });
+TransactionSchema.index({ organizationId: 1, 'payments.tender': 1, createdAt: -1 });
+TransactionSchema.index({ organizationId: 1, refundOf: 1 });
 TransactionSchema.index({ status: 1 });
 TransactionSchema.index({ processedAt: -1 });
 
@@ -294,6 +645,23 @@ TransactionSchema.index({ processedAt: -1 });
 TransactionSchema.index({ organizationId: 1, createdAt: -1, status: 1 });
 TransactionSchema.index({ organizationId: 1, 'compliance.employeeId': 1, createdAt: -1 });
 
+// Business day from the organization's timezone when the route didn't set it
+TransactionSchema.pre('validate', async function(next) {
+    try {
+        if (!this.businessDay && this.organizationId) {
+            const Organization = require('./Organization');
+            const organization = await Organization.findOne({ organizationId: this.organizationId });
+            if (organization) {
+                this.businessDay = organization.getLocalDateKey(this.createdAt || new Date());
+            }
+        }
+        next();
+    } catch (error) {
+        console.error('❌ Error setting business day:', error);
+        next(error);
+    }
+});
+
 // Virtual for total items count
 TransactionSchema.virtual('totalItems').get(function() {
     return this.items.reduce((total, item) => total + item.quantity, 0);
@@ -307,9 +675,20 @@ TransactionSchema.virtual('taxPercentage').get(function() {
     return 0;
 });
 
-// Method to check if transaction can be refunded
+// Amount still refundable across the sale's tenders
+TransactionSchema.virtual('refundableAmount').get(function() {
+    const { getTransactionPayments } = require('../services/tenderService');
+    const refundable = getTransactionPayments(this)
+        .reduce((sum, payment) => sum + (payment.amount || 0) - (payment.refundedAmount || 0), 0);
+    return Math.max(0, Math.round(refundable * 100) / 100);
+});
+
+// Method to check if transaction can be refunded (a sale with items not yet returned)
 TransactionSchema.methods.canBeRefunded = function() {
-    return this.status === 'completed' && this.paymentMethod !== 'cash';
+    return this.transactionType !== 'refund' &&
+        ['completed', 'partially_refunded'].includes(this.status) &&
+        this.items.some(item => item.quantity > (item.refundedQuantity || 0)) &&
+        this.refundableAmount > 0;
 };
 
 // ✅ UPDATED: Static method to find transactions by date range (with organizationId)
@@ -331,16 +710,18 @@ TransactionSchema.statics.findByDateRange = function(startDate, endDate, organiz
 };
 
 // ✅ UPDATED: Static method for sales reporting (with organizationId)
-TransactionSchema.statics.getSalesReport = function(startDate, endDate, organizationId) {
+// startDay / endDay are business days ("2025-12-29", inclusive) - Organization.getLocalDateRange
+TransactionSchema.statics.getSalesReport = function(startDay, endDay, organizationId) {
     return this.aggregate([
         {
             $match: {
                 organizationId: organizationId,  // ← Filter by organization
-                createdAt: {
-                    $gte: new Date(startDate),
-                    $lte: new Date(endDate)
+                businessDay: {
+                    $gte: startDay,
+                    $lte: endDay
                 },
-                status: 'completed',
+                // Refunded sales stay in - their refund transactions net them out
+                status: { $in: ['completed', 'partially_refunded', 'refunded'] },
                 isActive: true
             }
         },
@@ -0,0 +1,113 @@
+// backend/routes/accountingRoutes.js
+const express = require('express');
+const router = express.Router();
+const Organization = require('../models/Organization');
+const {
+  buildJournalEntries,
+  getAccount,
+  journalToCsv,
+  journalToQuickBooksCsv,
+  journalToIif
+} = require('../services/journalService');
+
+const { requireAuth, requirePermission } = require('../middlewares/auth.middleware');
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest range one export may cover
+const MAX_RANGE_DAYS = 366;
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', render: journalToCsv },
+  'qbo-csv': { contentType: 'text/csv; charset=utf-8', extension: 'csv', render: journalToQuickBooksCsv },
+  iif: { contentType: 'text/plain; charset=utf-8', extension: 'iif', render: journalToIif }
+};
+
+/**
+ * @route   GET /api/accounting/chart-of-accounts
+ * @desc    Get the organization's account mapping (update via PUT /api/organization/settings)
+ * @access  Private
+ */
+router.get('/chart-of-accounts', requireAuth, async (req, res) => {
+  try {
+    const accounts = Object.keys(Organization.DEFAULT_CHART_OF_ACCOUNTS).map(key => ({
+      key,
+      ...getAccount(req.organization, key)
+    }));
+
+    res.json({ success: true, accounts });
+  } catch (error) {
+    console.error('Get chart of accounts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch chart of accounts'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/accounting/journal?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&format=json|csv|qbo-csv|iif
+ * @desc    Double-entry journal for invoices, POS sales, refunds and store credit (org local days)
+ * @access  Private (canViewReports)
+ */
+router.get('/journal', requireAuth, requirePermission('canViewReports'), async (req, res) => {
+  try {
+    const { startDate, endDate, format = 'json' } = req.query;
+
+    if (!DATE_KEY.test(startDate || '') || !DATE_KEY.test(endDate || '')) {
+      return res.status(400).json({
+        success: false,
+        error: 'startDate and endDate are required in YYYY-MM-DD format'
+      });
+    }
+
+    const rangeDays = Math.round((Date.parse(endDate) - Date.parse(startDate)) / (24 * 60 * 60 * 1000));
+    if (Number.isNaN(rangeDays) || rangeDays < 0 || rangeDays >= MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `endDate must be on or after startDate and within ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    if (format !== 'json' && !EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: json, ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const entries = await buildJournalEntries(req.organization, { startDate, endDate });
+
+    if (EXPORT_FORMATS[format]) {
+      const { contentType, extension, render } = EXPORT_FORMATS[format];
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="journal-${startDate}-to-${endDate}.${extension}"`
+      });
+      return res.send(render(entries, req.organization));
+    }
+
+    res.json({
+      success: true,
+      startDate,
+      endDate,
+      timezone: req.organization.timezone,
+      entries: entries.map(entry => ({
+        ...entry,
+        lines: entry.lines.map(line => ({
+          ...line,
+          accountNumber: getAccount(req.organization, line.account).number,
+          accountName: getAccount(req.organization, line.account).name
+        }))
+      }))
+    });
+  } catch (error) {
+    console.error('Journal export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build journal'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require("express");
+const {
+    getCreditNotes,
+    getCreditNoteById,
+    voidCreditNote,
+} = require("../controllers/creditNoteController.js");
+const { requireAuth } = require("../middlewares/auth.middleware.js");
+
+const router = express.Router();
+
+// Credit notes are issued from an invoice: POST /api/invoices/:id/credit-notes
+router.get("/", requireAuth, getCreditNotes);
+router.get("/:id", requireAuth, getCreditNoteById);
+router.post("/:id/void", requireAuth, voidCreditNote);
+
+module.exports = router;
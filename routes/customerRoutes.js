@@ -0,0 +1,298 @@
+// backend/routes/customerRoutes.js
+const express = require('express');
+const router = express.Router();
+const Customer = require('../models/Customer');
+const Invoice = require('../models/Invoice');
+const StoreCredit = require('../models/StoreCredit');
+
+const { requireAuth, requirePermission } = require('../middlewares/auth.middleware');
+
+// Fields a client may set directly
+const EDITABLE_FIELDS = [
+  'customerType', 'firstName', 'lastName', 'businessName', 'dateOfBirth',
+  'email', 'phone', 'address', 'idDocument', 'businessLicense', 'medical',
+  'loyaltyNumber', 'notes', 'tags'
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Apply editable fields + marketing consent (consent changes are timestamped)
+ * and veteran status ({ veteran: { verified, proof } } - recorded with who checked it)
+ */
+const applyCustomerUpdates = (customer, body, userId) => {
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) customer.set(field, body[field]);
+  });
+
+  ['email', 'sms'].forEach(channel => {
+    const consent = body.marketingConsent?.[channel];
+    if (consent?.optedIn === undefined) return;
+
+    const optedIn = Boolean(consent.optedIn);
+    if (customer.marketingConsent[channel].optedIn !== optedIn || customer.isNew) {
+      customer.marketingConsent[channel].optedIn = optedIn;
+      customer.marketingConsent[channel].updatedAt = new Date();
+      customer.marketingConsent[channel].source = consent.source || 'staff';
+    }
+  });
+
+  if (body.veteran?.verified !== undefined) {
+    if (!body.veteran.verified) {
+      customer.veteran = undefined;
+    } else if (!customer.veteran?.verifiedAt) {
+      customer.veteran = { verifiedAt: new Date(), verifiedBy: userId, proof: body.veteran.proof };
+    }
+  }
+};
+
+/**
+ * Another active customer with the same email / phone / business license, if any
+ */
+const findDuplicate = async (customer) => {
+  const match = await Customer.findMatch(customer.organizationId, {
+    email: customer.email,
+    phone: customer.phone,
+    licenseNumber: customer.businessLicense?.licenseNumber
+  });
+  return match && !match._id.equals(customer._id) ? match : null;
+};
+
+/**
+ * @route   GET /api/customers
+ * @desc    Get customers for organization (search, type filter, paginated)
+ * @access  Private
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { search, customerType, includeInactive, page = 1, limit = 50 } = req.query;
+
+    const filter = { organizationId: req.organizationId };
+    if (includeInactive !== 'true') filter.isActive = true;
+    if (customerType) filter.customerType = customerType;
+
+    if (search && search.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      const conditions = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { businessName: pattern },
+        { email: pattern },
+        { loyaltyNumber: search.trim() }
+      ];
+      const phoneDigits = Customer.normalizePhone(search);
+      if (phoneDigits && phoneDigits.length >= 4) {
+        conditions.push({ phoneNormalized: new RegExp(escapeRegex(phoneDigits)) });
+      }
+      filter.$or = conditions;
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    const [customers, total] = await Promise.all([
+      Customer.find(filter)
+        .sort({ lastName: 1, firstName: 1, businessName: 1 })
+        .skip(skip)
+        .limit(pageSize),
+      Customer.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      customers,
+      pagination: {
+        current: parseInt(page) || 1,
+        pages: Math.ceil(total / pageSize),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get customers error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch customers'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/customers/:id
+ * @desc    Get a customer with invoice / store credit summary
+ * @access  Private
+ */
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const customer = await Customer.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId
+    });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    const [invoiceSummary] = await Invoice.aggregate([
+      { $match: { organizationId: req.organizationId, customerId: customer._id, status: { $nin: ['Void', 'Cancelled'] } } },
+      {
+        $group: {
+          _id: null,
+          invoiceCount: { $sum: 1 },
+          totalInvoiced: { $sum: '$total' },
+          balanceDue: { $sum: '$balanceDue' }
+        }
+      }
+    ]);
+
+    const storeCreditBalance = await StoreCredit.getCustomerBalance(customer._id, req.organizationId);
+
+    res.json({
+      success: true,
+      customer,
+      summary: {
+        invoiceCount: invoiceSummary?.invoiceCount || 0,
+        totalInvoiced: invoiceSummary?.totalInvoiced || 0,
+        balanceDue: invoiceSummary?.balanceDue || 0,
+        storeCreditBalance
+      }
+    });
+  } catch (error) {
+    console.error('Get customer error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch customer'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/customers
+ * @desc    Create a customer (409 if email / phone / license already belongs to a customer)
+ * @access  Private (canManageCustomers)
+ */
+router.post('/', requireAuth, requirePermission('canManageCustomers'), async (req, res) => {
+  try {
+    const customer = new Customer({
+      organizationId: req.organizationId,
+      createdBy: req.userId
+    });
+    applyCustomerUpdates(customer, req.body, req.userId);
+
+    const duplicate = await findDuplicate(customer);
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        error: `A customer with this email, phone or license already exists: ${duplicate.displayName}`,
+        existingCustomerId: duplicate._id
+      });
+    }
+
+    await customer.save();
+
+    console.log('✅ Customer created:', customer.displayName);
+
+    res.status(201).json({ success: true, customer });
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.loyaltyNumber) {
+      return res.status(409).json({
+        success: false,
+        error: `Loyalty number already belongs to another customer: ${req.body.loyaltyNumber}`
+      });
+    }
+    console.error('Create customer error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to create customer'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/customers/:id
+ * @desc    Update a customer
+ * @access  Private (canManageCustomers)
+ */
+router.put('/:id', requireAuth, requirePermission('canManageCustomers'), async (req, res) => {
+  try {
+    const customer = await Customer.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId
+    });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    applyCustomerUpdates(customer, req.body, req.userId);
+    if (req.body.isActive !== undefined) customer.isActive = Boolean(req.body.isActive);
+    customer.updatedBy = req.userId;
+
+    if (customer.isModified('email phone businessLicense.licenseNumber')) {
+      const duplicate = await findDuplicate(customer);
+      if (duplicate) {
+        return res.status(409).json({
+          success: false,
+          error: `A customer with this email, phone or license already exists: ${duplicate.displayName}`,
+          existingCustomerId: duplicate._id
+        });
+      }
+    }
+
+    await customer.save();
+
+    res.json({ success: true, customer });
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.loyaltyNumber) {
+      return res.status(409).json({
+        success: false,
+        error: `Loyalty number already belongs to another customer: ${req.body.loyaltyNumber}`
+      });
+    }
+    console.error('Update customer error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to update customer'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/customers/:id
+ * @desc    Deactivate a customer (kept for invoice / transaction history)
+ * @access  Private (canManageCustomers)
+ */
+router.delete('/:id', requireAuth, requirePermission('canManageCustomers'), async (req, res) => {
+  try {
+    const customer = await Customer.findOneAndUpdate(
+      { _id: req.params.id, organizationId: req.organizationId },
+      { $set: { isActive: false, updatedBy: req.userId } },
+      { new: true }
+    );
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Customer deactivated'
+    });
+  } catch (error) {
+    console.error('Delete customer error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete customer'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+// backend/routes/idScanRoutes.js
+const express = require('express');
+const router = express.Router();
+const Customer = require('../models/Customer');
+const { verifyIdScan, maskNumber, IdScanError } = require('../services/idScanService');
+const { getMedicalExemption } = require('../services/taxService');
+
+const { requireAuth } = require('../middlewares/auth.middleware');
+
+/**
+ * @route   POST /api/id-scans/verify
+ * @desc    Parse a driver's license barcode ({ scan, customerId? }) and check age / expiration
+ *          (18+ when the linked customer has a valid medical recommendation, otherwise 21+).
+ *          Nothing is stored - checkout re-checks the scan it is sent.
+ * @access  Private
+ */
+router.post('/verify', requireAuth, async (req, res) => {
+  try {
+    const { scan, customerId } = req.body;
+
+    if (!scan || typeof scan !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'The raw barcode string (scan) is required'
+      });
+    }
+
+    let customer = null;
+    if (customerId) {
+      customer = await Customer.findOne({
+        _id: customerId,
+        organizationId: req.organizationId
+      });
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          error: 'Customer not found'
+        });
+      }
+    }
+
+    const { identity, verification } = verifyIdScan(req.organization, scan, {
+      medical: getMedicalExemption(customer).eligible,
+      verifiedBy: req.userId
+    });
+
+    console.log(`🪪 ID scan ${verification.status}: ${identity.state || '??'} ${maskNumber(identity.licenseNumber) || '(no number)'}`);
+
+    res.json({ success: true, identity, verification });
+  } catch (error) {
+    if (error instanceof IdScanError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('ID scan error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify ID'
+    });
+  }
+});
+
+module.exports = router;
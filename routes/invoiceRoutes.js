@@ -5,21 +5,63 @@ const {
     getInvoiceById,
     updateInvoice,
     deleteInvoice,
+    getInvoicePdf,
+    recordPayment,
+    getPayments,
+    reversePayment,
+    deletePayment,
+    getInvoiceRevisions,
+    voidInvoice,
+    cancelInvoice,
+    sendInvoice,
+    trackInvoiceOpen,
+    viewInvoiceByToken,
+    getAgingReport,
 } = require("../controllers/invoiceController.js");
+const { createCreditNote, getInvoiceCreditNotes } = require("../controllers/creditNoteController.js");
 const { protect } = require("../middlewares/authMiddleware.js");
-const { requireAuth } = require("../middlewares/auth.middleware.js");
+const { requireAuth, requirePermission } = require("../middlewares/auth.middleware.js");
 
 const router = express.Router();
 
+// Public email tracking - authenticated by the unguessable token only
+// (registered first so /:id routes never see these paths)
+router.get("/track/:token/open.gif", trackInvoiceOpen);
+router.get("/view/:token", viewInvoiceByToken);
+
 // Use the NEW requireAuth middleware for multi-tenancy
 router.route("/")
     .post(requireAuth, createInvoice)
     .get(requireAuth, getInvoices);
 
+// Reports (before /:id)
+router.get("/reports/aging", requireAuth, requirePermission("canViewReports"), getAgingReport);
+
 router  
     .route("/:id")
     .get(requireAuth, getInvoiceById)
     .put(requireAuth, updateInvoice)
     .delete(requireAuth, deleteInvoice)
 
+router.get("/:id/pdf", requireAuth, getInvoicePdf);
+router.get("/:id/revisions", requireAuth, getInvoiceRevisions);
+router.post("/:id/send", requireAuth, sendInvoice);
+
+// Void / cancel (issued invoices are never deleted)
+router.post("/:id/void", requireAuth, voidInvoice);
+router.post("/:id/cancel", requireAuth, cancelInvoice);
+
+// Credit notes
+router.route("/:id/credit-notes")
+    .post(requireAuth, createCreditNote)
+    .get(requireAuth, getInvoiceCreditNotes);
+
+// Payments ledger
+router.route("/:id/payments")
+    .post(requireAuth, recordPayment)
+    .get(requireAuth, getPayments);
+
+router.post("/:id/payments/:paymentId/reverse", requireAuth, reversePayment);
+router.delete("/:id/payments/:paymentId", requireAuth, deletePayment);
+
 module.exports = router;
\ No newline at end of file
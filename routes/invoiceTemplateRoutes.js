@@ -0,0 +1,213 @@
+// backend/routes/invoiceTemplateRoutes.js
+const express = require('express');
+const router = express.Router();
+const InvoiceTemplate = require('../models/InvoiceTemplate');
+const { createInvoiceFromTemplate } = require('../services/recurringInvoiceService');
+
+const { requireAuth, requirePermission } = require('../middlewares/auth.middleware');
+
+// Fields a client may set on a template
+const EDITABLE_FIELDS = ['name', 'description', 'customerId', 'billTo', 'billFrom', 'items', 'notes', 'paymentTerms', 'dueInDays'];
+
+const pickEditable = (body) => {
+  const updates = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) updates[field] = body[field];
+  });
+  return updates;
+};
+
+/**
+ * @route   GET /api/invoice-templates
+ * @desc    Get invoice templates for organization
+ * @access  Private
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const filter = { organizationId: req.organizationId };
+    if (req.query.includeInactive !== 'true') filter.isActive = true;
+
+    const templates = await InvoiceTemplate.find(filter)
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      templates,
+      count: templates.length
+    });
+  } catch (error) {
+    console.error('Get invoice templates error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoice templates'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/invoice-templates/:id
+ * @desc    Get a single invoice template
+ * @access  Private
+ */
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const template = await InvoiceTemplate.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId
+    }).populate('createdBy', 'firstName lastName email');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice template not found'
+      });
+    }
+
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('Get invoice template error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoice template'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/invoice-templates
+ * @desc    Create an invoice template
+ * @access  Private (canManageInvoices)
+ */
+router.post('/', requireAuth, requirePermission('canManageInvoices'), async (req, res) => {
+  try {
+    const { name, items } = req.body;
+
+    if (!name || !items || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Template name and at least one item are required'
+      });
+    }
+
+    const template = await InvoiceTemplate.create({
+      ...pickEditable(req.body),
+      organizationId: req.organizationId,
+      createdBy: req.userId
+    });
+
+    console.log('✅ Invoice template created:', template.name);
+
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    console.error('Create invoice template error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to create invoice template'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/invoice-templates/:id
+ * @desc    Update an invoice template (affects future generated invoices only)
+ * @access  Private (canManageInvoices)
+ */
+router.put('/:id', requireAuth, requirePermission('canManageInvoices'), async (req, res) => {
+  try {
+    const template = await InvoiceTemplate.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice template not found'
+      });
+    }
+
+    template.set(pickEditable(req.body));
+    if (req.body.isActive !== undefined) template.isActive = req.body.isActive;
+    template.updatedBy = req.userId;
+
+    await template.save();
+
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('Update invoice template error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to update invoice template'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/invoice-templates/:id
+ * @desc    Deactivate an invoice template (kept for generated invoice history)
+ * @access  Private (canManageInvoices)
+ */
+router.delete('/:id', requireAuth, requirePermission('canManageInvoices'), async (req, res) => {
+  try {
+    const template = await InvoiceTemplate.findOneAndUpdate(
+      { _id: req.params.id, organizationId: req.organizationId },
+      { $set: { isActive: false, updatedBy: req.userId } },
+      { new: true }
+    );
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invoice template deactivated'
+    });
+  } catch (error) {
+    console.error('Delete invoice template error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete invoice template'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/invoice-templates/:id/invoices
+ * @desc    Generate an invoice from a template now
+ * @access  Private (canManageInvoices)
+ */
+router.post('/:id/invoices', requireAuth, requirePermission('canManageInvoices'), async (req, res) => {
+  try {
+    const template = await InvoiceTemplate.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId,
+      isActive: true
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice template not found'
+      });
+    }
+
+    const invoice = await createInvoiceFromTemplate(template, req.organization, {
+      userId: req.userId
+    });
+
+    res.status(201).json({ success: true, invoice });
+  } catch (error) {
+    console.error('Generate invoice from template error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to generate invoice'
+    });
+  }
+});
+
+module.exports = router;
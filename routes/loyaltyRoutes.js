@@ -0,0 +1,247 @@
+// backend/routes/loyaltyRoutes.js
+const express = require('express');
+const router = express.Router();
+const Customer = require('../models/Customer');
+const LoyaltyLedgerEntry = require('../models/LoyaltyLedgerEntry');
+const {
+  getLoyaltySummary,
+  convertPointsToStoreCredit,
+  postPoints,
+  LoyaltyError
+} = require('../services/loyaltyService');
+
+const { requireAuth, requirePermission } = require('../middlewares/auth.middleware');
+
+const findCustomer = (req) => Customer.findOne({
+  _id: req.params.customerId,
+  organizationId: req.organizationId
+});
+
+/**
+ * @route   GET /api/loyalty/lookup?loyaltyNumber=
+ * @desc    Find a customer by loyalty card number (balance, tier, next tier)
+ * @access  Private
+ */
+router.get('/lookup', requireAuth, async (req, res) => {
+  try {
+    const { loyaltyNumber } = req.query;
+    if (!loyaltyNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'loyaltyNumber is required'
+      });
+    }
+
+    const customer = await Customer.findOne({
+      organizationId: req.organizationId,
+      loyaltyNumber: String(loyaltyNumber).trim(),
+      isActive: true
+    });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'No customer with that loyalty number'
+      });
+    }
+
+    res.json({
+      success: true,
+      customer: {
+        _id: customer._id,
+        displayName: customer.displayName,
+        customerType: customer.customerType
+      },
+      loyalty: getLoyaltySummary(req.organization, customer)
+    });
+  } catch (error) {
+    console.error('Loyalty lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up loyalty number'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/loyalty/customers/:customerId
+ * @desc    Customer's points balance, tier and progress to the next tier
+ * @access  Private
+ */
+router.get('/customers/:customerId', requireAuth, async (req, res) => {
+  try {
+    const customer = await findCustomer(req);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      loyalty: getLoyaltySummary(req.organization, customer)
+    });
+  } catch (error) {
+    console.error('Get loyalty error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch loyalty balance'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/loyalty/customers/:customerId/ledger
+ * @desc    Customer's points ledger, newest first (?type=, paginated)
+ * @access  Private
+ */
+router.get('/customers/:customerId/ledger', requireAuth, async (req, res) => {
+  try {
+    const { type, page = 1, limit = 50 } = req.query;
+
+    const customer = await findCustomer(req);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    const filter = {
+      organizationId: req.organizationId,
+      customerId: customer._id
+    };
+    if (type) filter.type = type;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [entries, total] = await Promise.all([
+      LoyaltyLedgerEntry.find(filter)
+        .populate('transactionId', 'transactionId receiptData.receiptNumber')
+        .populate('storeCreditId', 'creditMemoNumber')
+        .populate('createdBy', 'firstName lastName')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      LoyaltyLedgerEntry.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      loyalty: getLoyaltySummary(req.organization, customer),
+      entries,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Get loyalty ledger error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch loyalty ledger'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/loyalty/customers/:customerId/convert
+ * @desc    Convert points ({ points }) into store credit (StoreCredit sourceType 'loyalty')
+ * @access  Private
+ */
+router.post('/customers/:customerId/convert', requireAuth, async (req, res) => {
+  try {
+    const customer = await findCustomer(req);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    const { storeCredit, entry } = await convertPointsToStoreCredit(
+      req.organization,
+      customer,
+      Number(req.body.points),
+      req.userId
+    );
+
+    console.log(`🎁 ${-entry.points} loyalty points → ${storeCredit.creditMemoNumber} ($${storeCredit.originalAmount.toFixed(2)}) for ${customer.displayName}`);
+
+    res.status(201).json({
+      success: true,
+      storeCredit,
+      entry,
+      loyalty: getLoyaltySummary(req.organization, await findCustomer(req))
+    });
+  } catch (error) {
+    if (error instanceof LoyaltyError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        ...error.details
+      });
+    }
+    console.error('Convert loyalty points error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to convert loyalty points'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/loyalty/customers/:customerId/adjust
+ * @desc    Manual points correction ({ points, reason }) - counts toward the tier
+ * @access  Private (requires canManageCustomers)
+ */
+router.post('/customers/:customerId/adjust', requireAuth, requirePermission('canManageCustomers'), async (req, res) => {
+  try {
+    const { points, reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required for manual adjustments'
+      });
+    }
+
+    const customer = await findCustomer(req);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    const entry = await postPoints(req.organization, customer._id, {
+      type: 'adjust',
+      points: Number(points),
+      description: String(reason).trim(),
+      userId: req.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      entry,
+      loyalty: getLoyaltySummary(req.organization, await findCustomer(req))
+    });
+  } catch (error) {
+    if (error instanceof LoyaltyError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Adjust loyalty points error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to adjust loyalty points'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,8 +3,39 @@
 const express = require('express');
 const router = express.Router();
 const Organization = require('../models/Organization');
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const Counter = require('../models/Counter');
+const { TENDER_TYPES } = require('../services/tenderService');
 const { requireAuth } = require('../middlewares/auth.middleware');
 
+/**
+ * Validate and apply a document numbering pattern (invoices, credit notes)
+ * @returns {string|null} error message, or null once applied
+ */
+const applyNumberingSettings = (numbering, updates, label) => {
+  const { prefix, format, padding, resetPeriod } = updates;
+  const nextFormat = format !== undefined ? String(format) : numbering.format;
+  const nextReset = resetPeriod !== undefined ? resetPeriod : numbering.resetPeriod;
+  const hasYear = /{YYYY}|{YY}/.test(nextFormat);
+
+  if (!nextFormat.includes('{SEQ}')) {
+    return `${label} number format must include the {SEQ} token`;
+  }
+
+  // Numbers must stay unique across reset periods
+  if ((nextReset === 'yearly' && !hasYear) || (nextReset === 'monthly' && !(hasYear && nextFormat.includes('{MM}')))) {
+    return `A ${nextReset} reset requires ${nextReset === 'monthly' ? 'year and {MM} tokens' : 'a {YYYY} or {YY} token'} in the format`;
+  }
+
+  if (prefix !== undefined) numbering.prefix = prefix;
+  if (format !== undefined) numbering.format = format;
+  if (padding !== undefined) numbering.padding = Number(padding);
+  if (resetPeriod !== undefined) numbering.resetPeriod = resetPeriod;
+
+  return null;
+};
+
 /**
  * GET /api/organization/settings
  * Get organization settings
@@ -36,6 +67,7 @@ router.get('/settings', requireAuth, async (req, res) => {
       location: org.location || {
         address: '',
         city: '',
+        county: '',
         state: '',
         zip: ''
       },
@@ -57,7 +89,7 @@ router.get('/settings', requireAuth, async (req, res) => {
  */
 router.put('/settings', requireAuth, async (req, res) => {
   try {
-    const { timezone, businessHours, location } = req.body;
+    const { timezone, businessHours, location, dunning, invoiceNumbering, creditNoteNumbering, chartOfAccounts, pos, purchaseLimits, receipt, loyalty } = req.body;
 
     const org = await Organization.findOne({
       organizationId: req.organizationId
@@ -89,8 +121,196 @@ router.put('/settings', requireAuth, async (req, res) => {
       };
     }
 
+    // Dunning schedule (overdue invoice reminders)
+    if (dunning) {
+      if (dunning.reminderDays !== undefined) {
+        const days = Array.isArray(dunning.reminderDays) ? dunning.reminderDays.map(Number) : [];
+        if (days.some(day => !Number.isInteger(day) || day < 1)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Reminder days must be whole numbers of days past due (e.g., [3, 7, 14])'
+          });
+        }
+        org.settings.dunning.reminderDays = [...new Set(days)].sort((a, b) => a - b);
+      }
+      if (dunning.enabled !== undefined) org.settings.dunning.enabled = Boolean(dunning.enabled);
+      if (dunning.useAiText !== undefined) org.settings.dunning.useAiText = Boolean(dunning.useAiText);
+      if (dunning.ccEmail !== undefined) org.settings.dunning.ccEmail = dunning.ccEmail || null;
+    }
+
+    // Invoice / credit note numbering patterns (apply to newly issued numbers only)
+    const numberingUpdates = [
+      ['invoiceNumbering', invoiceNumbering, 'Invoice', { Model: Invoice, field: 'invoiceNumber', counter: 'invoice' }],
+      ['creditNoteNumbering', creditNoteNumbering, 'Credit note', { Model: CreditNote, field: 'creditNoteNumber', counter: 'creditNote' }]
+    ];
+
+    for (const [key, updates, label] of numberingUpdates) {
+      if (!updates) continue;
+
+      const error = applyNumberingSettings(org.settings[key], updates, label);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+    }
+
+    // POS totals verification (tolerance in dollars, reject or flag mismatches)
+    if (pos) {
+      if (pos.totalsTolerance !== undefined) {
+        const tolerance = Number(pos.totalsTolerance);
+        if (!Number.isFinite(tolerance) || tolerance < 0 || tolerance > 1) {
+          return res.status(400).json({
+            success: false,
+            error: 'Totals tolerance must be between 0 and 1 dollar'
+          });
+        }
+        org.settings.pos.totalsTolerance = tolerance;
+      }
+      if (pos.totalsMismatchPolicy !== undefined) {
+        if (!['reject', 'flag'].includes(pos.totalsMismatchPolicy)) {
+          return res.status(400).json({
+            success: false,
+            error: "Totals mismatch policy must be 'reject' or 'flag'"
+          });
+        }
+        org.settings.pos.totalsMismatchPolicy = pos.totalsMismatchPolicy;
+      }
+      if (pos.refundTenderOrder !== undefined) {
+        const order = pos.refundTenderOrder;
+        if (!Array.isArray(order) || order.some(tender => !TENDER_TYPES.includes(tender)) || new Set(order).size !== order.length) {
+          return res.status(400).json({
+            success: false,
+            error: `Refund tender order must list each tender at most once (${TENDER_TYPES.join(', ')})`
+          });
+        }
+        org.settings.pos.refundTenderOrder = order;
+      }
+    }
+
+    // Daily purchase limit enforcement at checkout
+    if (purchaseLimits?.enforcement !== undefined) {
+      if (!['block', 'warn', 'off'].includes(purchaseLimits.enforcement)) {
+        return res.status(400).json({
+          success: false,
+          error: "Purchase limit enforcement must be 'block', 'warn' or 'off'"
+        });
+      }
+      org.settings.purchaseLimits.enforcement = purchaseLimits.enforcement;
+    }
+
+    // Loyalty program - earn rate, point value, multipliers and tiers
+    if (loyalty) {
+      if (loyalty.enabled !== undefined) {
+        org.settings.loyalty.enabled = Boolean(loyalty.enabled);
+      }
+      for (const field of ['pointsPerDollar', 'pointValue', 'minimumRedemption']) {
+        if (loyalty[field] === undefined) continue;
+        const value = Number(loyalty[field]);
+        if (!Number.isFinite(value) || value < 0 || (field === 'pointValue' && value <= 0)) {
+          return res.status(400).json({
+            success: false,
+            error: `Loyalty ${field} must be a ${field === 'pointValue' ? 'positive' : 'non-negative'} number`
+          });
+        }
+        org.settings.loyalty[field] = value;
+      }
+
+      const isMultiplier = (value) => Number.isFinite(Number(value)) && Number(value) >= 0;
+      if (loyalty.categoryMultipliers !== undefined) {
+        const multipliers = loyalty.categoryMultipliers;
+        if (!Array.isArray(multipliers) || multipliers.some(entry => !entry?.category || !isMultiplier(entry.multiplier))) {
+          return res.status(400).json({
+            success: false,
+            error: 'Category multipliers must be [{ category, multiplier }] with multiplier >= 0'
+          });
+        }
+        org.settings.loyalty.categoryMultipliers = multipliers.map(({ category, multiplier }) => ({ category, multiplier: Number(multiplier) }));
+      }
+      if (loyalty.dayMultipliers !== undefined) {
+        const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+        const multipliers = loyalty.dayMultipliers;
+        if (!Array.isArray(multipliers) || multipliers.some(entry => !days.includes(entry?.day) || !isMultiplier(entry.multiplier))) {
+          return res.status(400).json({
+            success: false,
+            error: `Day multipliers must be [{ day, multiplier }] with day one of ${days.join(', ')}`
+          });
+        }
+        org.settings.loyalty.dayMultipliers = multipliers.map(({ day, multiplier }) => ({ day, multiplier: Number(multiplier) }));
+      }
+      if (loyalty.tiers !== undefined) {
+        const tiers = loyalty.tiers;
+        const invalid = !Array.isArray(tiers) || tiers.some(tier =>
+          !tier?.name || !(Number(tier.threshold) >= 0) || (tier.multiplier !== undefined && !isMultiplier(tier.multiplier)));
+        if (invalid || new Set(tiers.map(tier => tier.name)).size !== tiers.length) {
+          return res.status(400).json({
+            success: false,
+            error: 'Tiers must be [{ name, threshold, multiplier? }] with unique names and thresholds >= 0'
+          });
+        }
+        org.settings.loyalty.tiers = tiers
+          .map(({ name, threshold, multiplier }) => ({ name, threshold: Number(threshold), multiplier: multiplier === undefined ? 1 : Number(multiplier) }))
+          .sort((a, b) => a.threshold - b.threshold);
+      }
+    }
+
+    // Receipt printing / disclosures
+    if (receipt) {
+      if (receipt.paperWidth !== undefined) {
+        if (!['58mm', '80mm'].includes(receipt.paperWidth)) {
+          return res.status(400).json({
+            success: false,
+            error: "Receipt paper width must be '58mm' or '80mm'"
+          });
+        }
+        org.settings.receipt.paperWidth = receipt.paperWidth;
+      }
+      ['exciseDisclosure', 'warning', 'footer'].forEach(field => {
+        if (receipt[field] !== undefined) org.settings.receipt[field] = String(receipt[field] || '');
+      });
+    }
+
+    // Chart of accounts mapping used by the journal export ({ cogs: { number, name }, ... })
+    if (chartOfAccounts) {
+      for (const [key, account] of Object.entries(chartOfAccounts)) {
+        if (!Organization.DEFAULT_CHART_OF_ACCOUNTS[key]) {
+          return res.status(400).json({
+            success: false,
+            error: `Unknown account: ${key}`
+          });
+        }
+        if (account?.number !== undefined) {
+          if (!String(account.number).trim()) {
+            return res.status(400).json({
+              success: false,
+              error: `Account number is required for ${key}`
+            });
+          }
+          org.settings.chartOfAccounts[key].number = String(account.number).trim();
+        }
+        if (account?.name !== undefined) {
+          if (!String(account.name).trim()) {
+            return res.status(400).json({
+              success: false,
+              error: `Account name is required for ${key}`
+            });
+          }
+          org.settings.chartOfAccounts[key].name = String(account.name).trim();
+        }
+      }
+    }
+
     await org.save();
 
+    // A changed pattern can lead back onto numbers already issued (yearly → never, an earlier
+    // prefix, ...) - start its counters after the highest existing number it matches
+    for (const [key, updates, , sequence] of numberingUpdates) {
+      if (!updates) continue;
+      const numbers = await sequence.Model.distinct(sequence.field, { organizationId: org.organizationId });
+      await Counter.seedFromNumbers(org.organizationId, sequence.counter, org.settings[key], numbers);
+    }
+
     console.log('✅ Organization settings updated:', org.organizationId);
     console.log('   Timezone:', org.timezone);
     console.log('   Is currently open?', org.isCurrentlyOpen());
@@ -100,7 +320,8 @@ router.put('/settings', requireAuth, async (req, res) => {
       message: 'Settings updated successfully',
       timezone: org.timezone,
       businessHours: org.businessHours,
-      location: org.location
+      location: org.location,
+      settings: org.settings
     });
 
   } catch (error) {
@@ -0,0 +1,181 @@
+// backend/routes/promotionRoutes.js
+const express = require('express');
+const router = express.Router();
+const Promotion = require('../models/Promotion');
+const { isHappyHour } = require('../services/promotionService');
+
+const { requireAuth, requirePermission } = require('../middlewares/auth.middleware');
+
+// Fields a client may set directly
+const EDITABLE_FIELDS = [
+  'name', 'description', 'type', 'value', 'bogo', 'bundle',
+  'categories', 'productIds', 'strainTypes', 'excludedCategories',
+  'customerGroups', 'seniorAge', 'startsOn', 'endsOn', 'happyHour',
+  'priority', 'stackable', 'exclusive'
+];
+
+const applyPromotionUpdates = (promotion, body) => {
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) promotion.set(field, body[field]);
+  });
+};
+
+/**
+ * @route   GET /api/promotions
+ * @desc    Get the organization's promotions (?running=true for the ones that apply right now,
+ *          ?includeInactive=true for deactivated ones too)
+ * @access  Private
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { running, includeInactive } = req.query;
+
+    let promotions;
+    if (running === 'true') {
+      const now = new Date();
+      promotions = (await Promotion.findRunning(req.organizationId, req.organization.getLocalDateKey(now)))
+        .filter(promotion => !promotion.happyHour?.enabled || isHappyHour(req.organization, promotion.happyHour, now));
+    } else {
+      const filter = { organizationId: req.organizationId };
+      if (includeInactive !== 'true') filter.isActive = true;
+      promotions = await Promotion.find(filter).sort({ priority: -1, createdAt: 1 });
+    }
+
+    res.json({
+      success: true,
+      promotions
+    });
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch promotions'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/promotions/:id
+ * @desc    Get a promotion
+ * @access  Private
+ */
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const promotion = await Promotion.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId
+    }).populate('productIds', 'name sku category');
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promotion not found'
+      });
+    }
+
+    res.json({ success: true, promotion });
+  } catch (error) {
+    console.error('Get promotion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch promotion'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/promotions
+ * @desc    Create a promotion (applied automatically at checkout while it runs)
+ * @access  Private (canManageProducts)
+ */
+router.post('/', requireAuth, requirePermission('canManageProducts'), async (req, res) => {
+  try {
+    const promotion = new Promotion({
+      organizationId: req.organizationId,
+      createdBy: req.userId
+    });
+    applyPromotionUpdates(promotion, req.body);
+
+    await promotion.save();
+
+    console.log('✅ Promotion created:', promotion.name, `(${promotion.type})`);
+
+    res.status(201).json({ success: true, promotion });
+  } catch (error) {
+    console.error('Create promotion error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to create promotion'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/promotions/:id
+ * @desc    Update a promotion (completed sales keep the discounts they were given)
+ * @access  Private (canManageProducts)
+ */
+router.put('/:id', requireAuth, requirePermission('canManageProducts'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId
+    });
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promotion not found'
+      });
+    }
+
+    applyPromotionUpdates(promotion, req.body);
+    if (req.body.isActive !== undefined) promotion.isActive = Boolean(req.body.isActive);
+    promotion.updatedBy = req.userId;
+
+    await promotion.save();
+
+    res.json({ success: true, promotion });
+  } catch (error) {
+    console.error('Update promotion error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to update promotion'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/promotions/:id
+ * @desc    Deactivate a promotion
+ * @access  Private (canManageProducts)
+ */
+router.delete('/:id', requireAuth, requirePermission('canManageProducts'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findOneAndUpdate(
+      { _id: req.params.id, organizationId: req.organizationId },
+      { $set: { isActive: false, updatedBy: req.userId } },
+      { new: true }
+    );
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promotion deactivated'
+    });
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete promotion'
+    });
+  }
+});
+
+module.exports = router;
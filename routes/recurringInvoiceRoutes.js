@@ -0,0 +1,350 @@
+// backend/routes/recurringInvoiceRoutes.js
+const express = require('express');
+const router = express.Router();
+const RecurringInvoice = require('../models/RecurringInvoice');
+const InvoiceTemplate = require('../models/InvoiceTemplate');
+
+const { requireAuth, requirePermission } = require('../middlewares/auth.middleware');
+
+// Schedule fields a client may set
+const EDITABLE_FIELDS = ['name', 'templateId', 'frequency', 'interval', 'intervalDays', 'endDate', 'maxOccurrences', 'autoEmail'];
+
+const pickEditable = (body) => {
+  const updates = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) updates[field] = body[field];
+  });
+  return updates;
+};
+
+const findTemplate = (templateId, organizationId) => {
+  return InvoiceTemplate.findOne({ _id: templateId, organizationId, isActive: true });
+};
+
+/**
+ * @route   GET /api/recurring-invoices
+ * @desc    Get recurring invoice schedules for organization
+ * @access  Private
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const filter = { organizationId: req.organizationId };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.templateId) filter.templateId = req.query.templateId;
+
+    const schedules = await RecurringInvoice.find(filter)
+      .select('-history')
+      .populate('templateId', 'name billTo.clientName')
+      .sort({ nextRunDate: 1 });
+
+    res.json({
+      success: true,
+      schedules,
+      count: schedules.length
+    });
+  } catch (error) {
+    console.error('Get recurring invoices error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch recurring invoices'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/recurring-invoices/:id
+ * @desc    Get a single recurring invoice schedule
+ * @access  Private
+ */
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const schedule = await RecurringInvoice.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId
+    }).populate('templateId');
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recurring invoice not found'
+      });
+    }
+
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Get recurring invoice error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch recurring invoice'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/recurring-invoices/:id/history
+ * @desc    Get the invoices a schedule has generated (newest first)
+ * @access  Private
+ */
+router.get('/:id/history', requireAuth, async (req, res) => {
+  try {
+    const schedule = await RecurringInvoice.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId
+    })
+      .select('name history occurrencesGenerated')
+      .populate('history.invoiceId', 'invoiceNumber status total balanceDue');
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recurring invoice not found'
+      });
+    }
+
+    const history = [...schedule.history].sort((a, b) => b.generatedAt - a.generatedAt);
+
+    res.json({
+      success: true,
+      history,
+      occurrencesGenerated: schedule.occurrencesGenerated
+    });
+  } catch (error) {
+    console.error('Get recurring invoice history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch recurring invoice history'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/recurring-invoices
+ * @desc    Create a recurring invoice schedule
+ * @access  Private (canManageInvoices)
+ */
+router.post('/', requireAuth, requirePermission('canManageInvoices'), async (req, res) => {
+  try {
+    const { name, templateId, frequency } = req.body;
+
+    if (!name || !templateId || !frequency) {
+      return res.status(400).json({
+        success: false,
+        error: 'name, templateId and frequency are required'
+      });
+    }
+
+    const template = await findTemplate(templateId, req.organizationId);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice template not found'
+      });
+    }
+
+    // Dates are local days in the organization's timezone
+    const todayKey = req.organization.getLocalDateKey();
+    const startDate = req.body.startDate || todayKey;
+
+    if (startDate < todayKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'startDate cannot be in the past'
+      });
+    }
+
+    const schedule = await RecurringInvoice.create({
+      ...pickEditable(req.body),
+      startDate,
+      organizationId: req.organizationId,
+      createdBy: req.userId
+    });
+
+    console.log('✅ Recurring invoice created:', schedule.name, 'next run', schedule.nextRunDate);
+
+    res.status(201).json({ success: true, schedule });
+  } catch (error) {
+    console.error('Create recurring invoice error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to create recurring invoice'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/recurring-invoices/:id
+ * @desc    Update a recurring invoice schedule
+ * @access  Private (canManageInvoices)
+ */
+router.put('/:id', requireAuth, requirePermission('canManageInvoices'), async (req, res) => {
+  try {
+    const schedule = await RecurringInvoice.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId
+    });
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recurring invoice not found'
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(schedule.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot edit a ${schedule.status} recurring invoice`
+      });
+    }
+
+    if (req.body.templateId && !(await findTemplate(req.body.templateId, req.organizationId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice template not found'
+      });
+    }
+
+    schedule.set(pickEditable(req.body));
+
+    // The start date can only move before the first invoice was generated
+    if (req.body.startDate && req.body.startDate !== schedule.startDate) {
+      if (schedule.occurrencesGenerated > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'startDate cannot change after invoices have been generated'
+        });
+      }
+      if (req.body.startDate < req.organization.getLocalDateKey()) {
+        return res.status(400).json({
+          success: false,
+          error: 'startDate cannot be in the past'
+        });
+      }
+      schedule.startDate = req.body.startDate;
+      schedule.nextRunDate = req.body.startDate;
+    }
+
+    schedule.updatedBy = req.userId;
+    await schedule.save();
+
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Update recurring invoice error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to update recurring invoice'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/recurring-invoices/:id/pause
+ * @desc    Pause a schedule (no invoices are generated while paused)
+ * @access  Private (canManageInvoices)
+ */
+router.post('/:id/pause', requireAuth, requirePermission('canManageInvoices'), async (req, res) => {
+  try {
+    const schedule = await RecurringInvoice.findOneAndUpdate(
+      { _id: req.params.id, organizationId: req.organizationId, status: 'active' },
+      { $set: { status: 'paused', pausedAt: new Date(), pausedBy: req.userId } },
+      { new: true }
+    );
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Active recurring invoice not found'
+      });
+    }
+
+    console.log('⏸️ Recurring invoice paused:', schedule.name);
+
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Pause recurring invoice error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pause recurring invoice'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/recurring-invoices/:id/resume
+ * @desc    Resume a paused schedule - runs missed while paused are skipped, not back-filled
+ * @access  Private (canManageInvoices)
+ */
+router.post('/:id/resume', requireAuth, requirePermission('canManageInvoices'), async (req, res) => {
+  try {
+    const schedule = await RecurringInvoice.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId,
+      status: 'paused'
+    });
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Paused recurring invoice not found'
+      });
+    }
+
+    const todayKey = req.organization.getLocalDateKey();
+    let nextRunDate = schedule.nextRunDate;
+    while (nextRunDate < todayKey) {
+      nextRunDate = schedule.getNextRunDate(nextRunDate);
+    }
+
+    schedule.nextRunDate = nextRunDate;
+    schedule.status = schedule.isFinished(nextRunDate) ? 'completed' : 'active';
+    schedule.pausedAt = undefined;
+    schedule.pausedBy = undefined;
+    schedule.updatedBy = req.userId;
+    await schedule.save();
+
+    console.log('▶️ Recurring invoice resumed:', schedule.name, 'next run', schedule.nextRunDate);
+
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Resume recurring invoice error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume recurring invoice'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/recurring-invoices/:id
+ * @desc    Cancel a schedule (history and generated invoices are kept)
+ * @access  Private (canManageInvoices)
+ */
+router.delete('/:id', requireAuth, requirePermission('canManageInvoices'), async (req, res) => {
+  try {
+    const schedule = await RecurringInvoice.findOneAndUpdate(
+      { _id: req.params.id, organizationId: req.organizationId, status: { $in: ['active', 'paused'] } },
+      { $set: { status: 'cancelled', updatedBy: req.userId } },
+      { new: true }
+    );
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Active or paused recurring invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Recurring invoice cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel recurring invoice error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel recurring invoice'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,232 @@
+// backend/routes/registerRoutes.js
+const express = require('express');
+const router = express.Router();
+const Register = require('../models/Register');
+const Shift = require('../models/Shift');
+
+const { requireAuth, requirePermission } = require('../middlewares/auth.middleware');
+
+// Open shift as shown to the register - no expected cash (counts at close are blind)
+const toShiftSummary = (shift) => shift && {
+  _id: shift._id,
+  shiftNumber: shift.shiftNumber,
+  status: shift.status,
+  openedBy: shift.openedBy,
+  openedAt: shift.openedAt,
+  openingFloat: shift.openingFloat
+};
+
+/**
+ * @route   GET /api/registers
+ * @desc    Get registers with their open shift
+ * @access  Private
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const filter = { organizationId: req.organizationId };
+    if (req.query.includeInactive !== 'true') filter.isActive = true;
+
+    const registers = await Register.find(filter).sort({ code: 1 }).lean();
+    const openShifts = await Shift.find({
+      organizationId: req.organizationId,
+      register: { $in: registers.map(register => register._id) },
+      status: 'open'
+    }).lean();
+
+    const shiftsByRegister = new Map(openShifts.map(shift => [String(shift.register), shift]));
+
+    res.json({
+      success: true,
+      registers: registers.map(register => ({
+        ...register,
+        openShift: toShiftSummary(shiftsByRegister.get(String(register._id))) || null
+      }))
+    });
+  } catch (error) {
+    console.error('Get registers error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch registers'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/registers
+ * @desc    Add a register
+ * @access  Private (canManageSettings)
+ */
+router.post('/', requireAuth, requirePermission('canManageSettings'), async (req, res) => {
+  try {
+    const { code, name, location } = req.body;
+
+    if (!code || !name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Register code and name are required'
+      });
+    }
+
+    const register = await Register.create({
+      organizationId: req.organizationId,
+      code,
+      name,
+      location,
+      createdBy: req.userId
+    });
+
+    console.log('✅ Register created:', register.code);
+
+    res.status(201).json({ success: true, register });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: `Register code already in use: ${req.body.code}`
+      });
+    }
+    console.error('Create register error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to create register'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/registers/:id
+ * @desc    Update / deactivate a register (code can't change - it's on past transactions)
+ * @access  Private (canManageSettings)
+ */
+router.put('/:id', requireAuth, requirePermission('canManageSettings'), async (req, res) => {
+  try {
+    const register = await Register.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId
+    });
+
+    if (!register) {
+      return res.status(404).json({
+        success: false,
+        error: 'Register not found'
+      });
+    }
+
+    const { name, location, isActive } = req.body;
+    if (name !== undefined) register.name = name;
+    if (location !== undefined) register.location = location;
+
+    if (isActive !== undefined) {
+      if (!isActive && await Shift.findOpen(req.organizationId, register._id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Close the open shift before deactivating this register'
+        });
+      }
+      register.isActive = Boolean(isActive);
+    }
+    register.updatedBy = req.userId;
+
+    await register.save();
+
+    res.json({ success: true, register });
+  } catch (error) {
+    console.error('Update register error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to update register'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/registers/:id/shifts/open
+ * @desc    Open a shift with a starting float (one open shift per register)
+ * @access  Private
+ */
+router.post('/:id/shifts/open', requireAuth, async (req, res) => {
+  try {
+    const openingFloat = Number(req.body.openingFloat);
+    if (!Number.isFinite(openingFloat) || openingFloat < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Opening float must be zero or more'
+      });
+    }
+
+    const register = await Register.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId,
+      isActive: true
+    });
+
+    if (!register) {
+      return res.status(404).json({
+        success: false,
+        error: 'Register not found'
+      });
+    }
+
+    const shift = await Shift.create({
+      organizationId: req.organizationId,
+      register: register._id,
+      registerCode: register.code,
+      openedBy: req.userId,
+      openingFloat: Math.round(openingFloat * 100) / 100
+    });
+
+    console.log(`🟢 Shift ${shift.shiftNumber} opened on ${register.code} with $${shift.openingFloat.toFixed(2)} float`);
+
+    res.status(201).json({ success: true, shift: toShiftSummary(shift) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'This register already has an open shift'
+      });
+    }
+    console.error('Open shift error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to open shift'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/registers/:id/shifts/current
+ * @desc    Get the register's open shift
+ * @access  Private
+ */
+router.get('/:id/shifts/current', requireAuth, async (req, res) => {
+  try {
+    const shift = await Shift.findOne({
+      organizationId: req.organizationId,
+      register: req.params.id,
+      status: 'open'
+    }).populate('openedBy', 'firstName lastName');
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        error: 'No open shift on this register'
+      });
+    }
+
+    res.json({
+      success: true,
+      shift: {
+        ...toShiftSummary(shift),
+        cashMovements: shift.cashMovements
+      }
+    });
+  } catch (error) {
+    console.error('Get current shift error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shift'
+    });
+  }
+});
+
+module.exports = router;
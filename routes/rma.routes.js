@@ -5,6 +5,8 @@ const RMA = require('../models/RMA');
 const Transaction = require('../models/Transaction');
 const StoreCredit = require('../models/StoreCredit');
 const metrcService = require('../services/metrcService.mock');
+const { findRegisterShift, getShiftCompliance } = require('../services/shiftService');
+const { buildReceipt, renderReceipt, ReceiptError } = require('../services/receiptService');
 
 const { requireAuth, requirePermission } = require('../middlewares/auth.middleware');
 
@@ -1106,14 +1108,27 @@ router.put('/:id/process-refund', requireAuth, requirePermission('canManageInvoi
       });
     }
 
+    // Cash comes out of the register's drawer - it needs an open shift
+    const { register, shift } = await findRegisterShift(req.organizationId, registerId);
+    if (!register) {
+      return res.status(400).json({
+        success: false,
+        error: `Register not found: ${registerId}`
+      });
+    }
+    if (!shift) {
+      return res.status(409).json({
+        success: false,
+        error: `Register ${register.code} has no open shift`
+      });
+    }
+
     // Generate unique transaction ID
     const transactionId = `TXN-REFUND-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
     const receiptNumber = `RCP-REFUND-${Date.now()}`;
 
-    // Get organization timezone (if stored)
-    const Organization = require('../models/Organization');
-    const org = await Organization.findById(req.organizationId);
-    const timezone = org?.timezone || 'America/Los_Angeles';
+    // Organization timezone (the store's local day, not the server's)
+    const timezone = req.organization?.timezone || 'America/Los_Angeles';
 
     // Format local date/time
     const now = new Date();
@@ -1124,6 +1139,8 @@ router.put('/:id/process-refund', requireAuth, requirePermission('canManageInvoi
     const refundTransaction = new Transaction({
       organizationId: req.organizationId,
       transactionId: transactionId,
+      transactionType: 'refund',
+      businessDay: req.organization.getLocalDateKey(now),
 
       // Items from RMA (for record-keeping)
       items: rma.items.map(item => ({
@@ -1157,6 +1174,7 @@ router.put('/:id/process-refund', requireAuth, requirePermission('canManageInvoi
 
       // Payment method (cash only for cannabis)
       paymentMethod: 'cash',
+      payments: [{ tender: 'cash', amount: -refundAmount }], // Cash out of the drawer
       cashReceived: 0, // No cash received, cash going out
 
       // Customer info (from RMA)
@@ -1187,12 +1205,7 @@ router.put('/:id/process-refund', requireAuth, requirePermission('canManageInvoi
           .filter(item => item.stateTrackingId)
           .map(item => item.stateTrackingId),
         employeeId: req.userId,
-        registerId: registerId,
-        shift: {
-          id: `SHIFT-${now.toISOString().split('T')[0]}`,
-          startTime: now,
-          employee: req.userId
-        }
+        ...getShiftCompliance(register, shift)
       },
 
       // Metadata
@@ -1219,7 +1232,7 @@ router.put('/:id/process-refund', requireAuth, requirePermission('canManageInvoi
     console.log('✅ Cash refund processed:', {
       rmaNumber: rma.rmaNumber,
       amount: refundAmount,
-      register: registerId,
+      register: register.code,
       transactionId: transactionId,
       receiptNumber: receiptNumber
     });
@@ -1232,7 +1245,7 @@ router.put('/:id/process-refund', requireAuth, requirePermission('canManageInvoi
         transactionId: transactionId,
         receiptNumber: receiptNumber,
         amount: refundAmount,
-        registerId: registerId,
+        registerId: register.code,
         timestamp: now
       }
     });
@@ -1249,7 +1262,8 @@ router.put('/:id/process-refund', requireAuth, requirePermission('canManageInvoi
 
 /**
  * @route   GET /api/rma/:id/refund-receipt
- * @desc    Get refund receipt data for printing
+ * @desc    Get refund receipt data for printing - or the rendered receipt with
+ *          ?format=escpos|text|html (&paper=58mm|80mm) for cash refunds with a refund transaction
  * @access  Private
  */
 router.get('/:id/refund-receipt', requireAuth, async (req, res) => {
@@ -1275,9 +1289,8 @@ router.get('/:id/refund-receipt', requireAuth, async (req, res) => {
       });
     }
 
-    // Get organization info
-    const Organization = require('../models/Organization');
-    const org = await Organization.findById(req.organizationId);
+    const org = req.organization;
+    const location = org?.location || {};
 
     // Get transaction if available
     let transaction = null;
@@ -1286,14 +1299,30 @@ router.get('/:id/refund-receipt', requireAuth, async (req, res) => {
         .populate('compliance.employeeId', 'firstName lastName');
     }
 
+    // Rendered receipt (printer / email formats)
+    if (req.query.format) {
+      if (!transaction) {
+        return res.status(400).json({
+          success: false,
+          error: 'This refund has no refund transaction to print'
+        });
+      }
+      const receipt = buildReceipt(transaction, org, { rma });
+      const { contentType, body } = renderReceipt(receipt, req.query.format, {
+        paper: req.query.paper || org.settings?.receipt?.paperWidth || undefined
+      });
+      return res.type(contentType).send(body);
+    }
+
     // Build receipt data
     const receiptData = {
       organization: {
-        name: org?.businessName || 'Cannabis Dispensary',
-        address: org?.address || '',
-        phone: org?.phone || '',
-        email: org?.email || '',
-        licenseNumber: org?.licenseNumber || ''
+        name: location.facilityName || org?.companyName || 'Cannabis Dispensary',
+        address: [location.address, location.city, [location.state, location.zip].filter(Boolean).join(' ')]
+          .filter(Boolean).join(', '),
+        phone: location.phone || '',
+        email: org?.billingEmail || '',
+        licenseNumber: location.licenseNumber || ''
       },
       rma: {
         rmaNumber: rma.rmaNumber,
@@ -1333,6 +1362,12 @@ router.get('/:id/refund-receipt', requireAuth, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ReceiptError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     console.error('Get refund receipt error:', error);
     res.status(500).json({
       success: false,
@@ -0,0 +1,303 @@
+// backend/routes/shiftRoutes.js
+const express = require('express');
+const router = express.Router();
+const Shift = require('../models/Shift');
+const { buildShiftReport } = require('../services/shiftService');
+
+const { requireAuth, requirePermission } = require('../middlewares/auth.middleware');
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * @route   GET /api/shifts
+ * @desc    Get shifts (?registerId=&status=open|closed), newest first, paginated
+ * @access  Private (canViewReports)
+ */
+router.get('/', requireAuth, requirePermission('canViewReports'), async (req, res) => {
+  try {
+    const { registerId, status, page = 1, limit = 50 } = req.query;
+
+    const filter = { organizationId: req.organizationId };
+    if (registerId) filter.register = registerId;
+    if (status) filter.status = status;
+
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    const [shifts, total] = await Promise.all([
+      Shift.find(filter)
+        .select('-zReport')
+        .sort({ openedAt: -1 })
+        .skip(skip)
+        .limit(pageSize)
+        .populate('openedBy closedBy', 'firstName lastName'),
+      Shift.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      shifts,
+      pagination: {
+        current: parseInt(page) || 1,
+        pages: Math.ceil(total / pageSize),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get shifts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shifts'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/shifts/:id/cash-movements
+ * @desc    Record a paid-in / paid-out ({ type: 'paid_in' | 'paid_out', amount, reason })
+ * @access  Private
+ */
+router.post('/:id/cash-movements', requireAuth, async (req, res) => {
+  try {
+    const { type, reason } = req.body;
+    const amount = Math.round(Number(req.body.amount) * 100) / 100;
+
+    if (!['paid_in', 'paid_out'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: "Type must be 'paid_in' or 'paid_out'"
+      });
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Amount must be greater than zero'
+      });
+    }
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required'
+      });
+    }
+
+    // Only while the shift is open
+    const shift = await Shift.findOneAndUpdate(
+      { _id: req.params.id, organizationId: req.organizationId, status: 'open' },
+      {
+        $push: {
+          cashMovements: {
+            type,
+            amount,
+            reason: String(reason).trim(),
+            recordedBy: req.userId,
+            recordedAt: new Date()
+          }
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        error: 'Open shift not found'
+      });
+    }
+
+    console.log(`💵 ${type === 'paid_in' ? 'Paid in' : 'Paid out'} $${amount.toFixed(2)} on ${shift.shiftNumber}: ${reason}`);
+
+    res.status(201).json({
+      success: true,
+      cashMovement: shift.cashMovements[shift.cashMovements.length - 1]
+    });
+  } catch (error) {
+    console.error('Record cash movement error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record cash movement'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/shifts/:id/x-report
+ * @desc    X report - running totals and expected cash (doesn't close the shift)
+ * @access  Private (canViewReports)
+ */
+router.get('/:id/x-report', requireAuth, requirePermission('canViewReports'), async (req, res) => {
+  try {
+    const shift = await Shift.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId
+    });
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shift not found'
+      });
+    }
+
+    const report = await buildShiftReport(shift, 'X');
+
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('X report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build X report'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/shifts/:id/close
+ * @desc    Close a shift with a blind cash count ({ countedCash } or { countBreakdown: [{ denomination, quantity }] })
+ *          Captures the Z report and over/short
+ * @access  Private
+ */
+router.post('/:id/close', requireAuth, async (req, res) => {
+  try {
+    const { countBreakdown, notes } = req.body;
+
+    let countedCash = req.body.countedCash !== undefined ? Number(req.body.countedCash) : undefined;
+    if (Array.isArray(countBreakdown) && countBreakdown.length > 0) {
+      const invalid = countBreakdown.some(entry => !(Number(entry.denomination) > 0) || !Number.isInteger(Number(entry.quantity)) || Number(entry.quantity) < 0);
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Each count entry needs a denomination and a whole, non-negative quantity'
+        });
+      }
+      const breakdownTotal = roundCurrency(countBreakdown.reduce((sum, entry) => sum + entry.denomination * entry.quantity, 0));
+      if (countedCash !== undefined && Math.abs(roundCurrency(countedCash) - breakdownTotal) > 0.001) {
+        return res.status(400).json({
+          success: false,
+          error: `Counted cash ($${roundCurrency(countedCash).toFixed(2)}) does not match the denomination count ($${breakdownTotal.toFixed(2)})`
+        });
+      }
+      countedCash = breakdownTotal;
+    }
+
+    if (countedCash === undefined || !Number.isFinite(countedCash) || countedCash < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Counted cash is required to close a shift'
+      });
+    }
+
+    // Close first so no more sales land on the shift while the report is built
+    const shift = await Shift.findOneAndUpdate(
+      { _id: req.params.id, organizationId: req.organizationId, status: 'open' },
+      { $set: { status: 'closed', closedAt: new Date(), closedBy: req.userId } },
+      { new: true }
+    );
+
+    if (!shift) {
+      return res.status(409).json({
+        success: false,
+        error: 'Shift not found or already closed'
+      });
+    }
+
+    let report;
+    try {
+      report = await buildShiftReport(shift, 'Z', countedCash);
+
+      shift.countedCash = report.cash.counted;
+      shift.countBreakdown = Array.isArray(countBreakdown) ? countBreakdown : [];
+      shift.expectedCash = report.cash.expected;
+      shift.overShort = report.cash.overShort;
+      shift.closingNotes = notes;
+      shift.zReport = report;
+      await shift.save();
+    } catch (error) {
+      // No Z report - reopen the shift so the close can be retried
+      await Shift.updateOne(
+        { _id: shift._id, status: 'closed', zReport: null },
+        { $set: { status: 'open' }, $unset: { closedAt: 1, closedBy: 1 } }
+      ).catch(reopenError => console.error(`❌ Shift ${shift.shiftNumber} closed without a Z report and could not be reopened:`, reopenError));
+      throw error;
+    }
+
+    console.log(`🔴 Shift ${shift.shiftNumber} closed - expected $${shift.expectedCash.toFixed(2)}, counted $${shift.countedCash.toFixed(2)}, over/short $${shift.overShort.toFixed(2)}`);
+
+    res.json({ success: true, shift, report });
+  } catch (error) {
+    console.error('Close shift error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to close shift'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/shifts/:id/z-report
+ * @desc    Z report captured when the shift closed
+ * @access  Private (canViewReports)
+ */
+router.get('/:id/z-report', requireAuth, requirePermission('canViewReports'), async (req, res) => {
+  try {
+    const shift = await Shift.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId
+    }).select('status zReport');
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shift not found'
+      });
+    }
+
+    if (shift.status !== 'closed' || !shift.zReport) {
+      return res.status(400).json({
+        success: false,
+        error: 'The Z report is created when the shift closes - use the X report for an open shift'
+      });
+    }
+
+    res.json({ success: true, report: shift.zReport });
+  } catch (error) {
+    console.error('Z report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch Z report'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/shifts/:id
+ * @desc    Get a shift (expected cash / over-short only once closed)
+ * @access  Private
+ */
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const shift = await Shift.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId
+    })
+      .select('-zReport')
+      .populate('openedBy closedBy', 'firstName lastName');
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shift not found'
+      });
+    }
+
+    res.json({ success: true, shift });
+  } catch (error) {
+    console.error('Get shift error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shift'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,225 @@
+// backend/routes/taxRateRoutes.js
+const express = require('express');
+const router = express.Router();
+const TaxRate = require('../models/TaxRate');
+const Product = require('../models/Product');
+const Customer = require('../models/Customer');
+const { calculateTaxes, allocateDiscount, getMedicalExemption } = require('../services/taxService');
+
+const { requireAuth, requirePermission } = require('../middlewares/auth.middleware');
+
+// Fields a client may set directly
+const EDITABLE_FIELDS = [
+  'name', 'taxType', 'jurisdiction', 'rateType', 'rate', 'includeExciseInBase',
+  'categories', 'excludedCategories', 'customerTypes', 'medicalExempt',
+  'effectiveFrom', 'effectiveTo', 'notes'
+];
+
+const applyTaxRateUpdates = (taxRate, body) => {
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) taxRate.set(field, body[field]);
+  });
+};
+
+/**
+ * @route   GET /api/tax-rates
+ * @desc    Get the organization's tax rate table (?asOf=YYYY-MM-DD for rates effective that day)
+ * @access  Private
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { asOf, taxType, includeInactive } = req.query;
+
+    const filter = { organizationId: req.organizationId };
+    if (includeInactive !== 'true') filter.isActive = true;
+    if (taxType) filter.taxType = taxType;
+    if (asOf) {
+      filter.effectiveFrom = { $lte: asOf };
+      filter.$or = [{ effectiveTo: null }, { effectiveTo: { $gte: asOf } }];
+    }
+
+    const taxRates = await TaxRate.find(filter)
+      .sort({ 'jurisdiction.state': 1, 'jurisdiction.county': 1, 'jurisdiction.city': 1, taxType: 1, effectiveFrom: -1 });
+
+    res.json({
+      success: true,
+      jurisdiction: {
+        state: req.organization.location?.state || '',
+        county: req.organization.location?.county || '',
+        city: req.organization.location?.city || ''
+      },
+      taxRates
+    });
+  } catch (error) {
+    console.error('Get tax rates error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tax rates'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tax-rates/calculate
+ * @desc    Preview taxes for a cart / invoice with the line-level explanation
+ *          Body: { items: [{ productId?, category?, unitPrice, quantity, weight? }], discountAmount?, customerId?, customerType?, date? }
+ * @access  Private
+ */
+router.post('/calculate', requireAuth, async (req, res) => {
+  try {
+    const { items, discountAmount, customerId, date } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one item is required'
+      });
+    }
+
+    let customer = null;
+    if (customerId) {
+      customer = await Customer.findOne({ _id: customerId, organizationId: req.organizationId });
+      if (!customer) {
+        return res.status(400).json({
+          success: false,
+          error: 'Customer not found'
+        });
+      }
+    }
+
+    // Category comes from the product when one is given
+    const productIds = items.map(item => item.productId).filter(Boolean);
+    const products = await Product.find({ _id: { $in: productIds }, organizationId: req.organizationId })
+      .select('category');
+    const categories = new Map(products.map(product => [String(product._id), product.category]));
+
+    const amounts = items.map(item => (Number(item.unitPrice ?? item.price) || 0) * (Number(item.quantity) || 0));
+    const discounts = allocateDiscount(amounts, Number(discountAmount) || 0);
+
+    const result = await calculateTaxes(
+      req.organization,
+      items.map((item, index) => ({
+        category: categories.get(String(item.productId)) || item.category,
+        amount: amounts[index] - discounts[index],
+        weight: Number(item.weight) || 0
+      })),
+      {
+        customerType: customer?.customerType || req.body.customerType || 'retail',
+        medicalExemption: getMedicalExemption(customer),
+        date: date ? new Date(date) : new Date()
+      }
+    );
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        error: 'No tax rates are configured for this organization'
+      });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Calculate taxes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to calculate taxes'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tax-rates
+ * @desc    Add a tax rate (to change a rate, end the old one with effectiveTo and add a new one)
+ * @access  Private (canManageSettings)
+ */
+router.post('/', requireAuth, requirePermission('canManageSettings'), async (req, res) => {
+  try {
+    const taxRate = new TaxRate({
+      organizationId: req.organizationId,
+      createdBy: req.userId
+    });
+    applyTaxRateUpdates(taxRate, req.body);
+
+    await taxRate.save();
+
+    console.log('✅ Tax rate created:', taxRate.name, `${taxRate.rate}${taxRate.rateType === 'percent' ? '%' : '/g'}`);
+
+    res.status(201).json({ success: true, taxRate });
+  } catch (error) {
+    console.error('Create tax rate error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to create tax rate'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/tax-rates/:id
+ * @desc    Update a tax rate (already-saved invoices / transactions keep the taxes they were charged)
+ * @access  Private (canManageSettings)
+ */
+router.put('/:id', requireAuth, requirePermission('canManageSettings'), async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId
+    });
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tax rate not found'
+      });
+    }
+
+    applyTaxRateUpdates(taxRate, req.body);
+    if (req.body.isActive !== undefined) taxRate.isActive = Boolean(req.body.isActive);
+    taxRate.updatedBy = req.userId;
+
+    await taxRate.save();
+
+    res.json({ success: true, taxRate });
+  } catch (error) {
+    console.error('Update tax rate error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to update tax rate'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/tax-rates/:id
+ * @desc    Deactivate a tax rate
+ * @access  Private (canManageSettings)
+ */
+router.delete('/:id', requireAuth, requirePermission('canManageSettings'), async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findOneAndUpdate(
+      { _id: req.params.id, organizationId: req.organizationId },
+      { $set: { isActive: false, updatedBy: req.userId } },
+      { new: true }
+    );
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tax rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tax rate deactivated'
+    });
+  } catch (error) {
+    console.error('Delete tax rate error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete tax rate'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,124 +1,268 @@
 const express = require('express');
 const Transaction = require('../models/Transaction');
-const Product = require('../models/Product');
+const Customer = require('../models/Customer');
+const { processCheckout, loadSaleLines, CheckoutError } = require('../services/checkoutService');
+const { computePosTotals, PosTotalsError } = require('../services/posTotalsService');
+const { verifyIdScan, IdScanError } = require('../services/idScanService');
+const { findRegisterShift } = require('../services/shiftService');
+const { checkPurchaseLimits } = require('../services/purchaseLimitService');
+const { getMedicalExemption } = require('../services/taxService');
+const { tenderAggregationStages, TenderError } = require('../services/tenderService');
+const { processLineRefund, RefundError } = require('../services/refundService');
+const { getTransactionReceipt, renderReceipt, sendReceiptEmail, ReceiptError } = require('../services/receiptService');
 const { protect, requireAccess } = require('../middlewares/authMiddleware');
 const { requireAuth } = require('../middlewares/auth.middleware');
 
 const router = express.Router();
 
+// Offline sales accepted per POST /sync request
+const MAX_SYNC_BATCH = 100;
+
+// Bad ids / field values in the sale itself - resending the same body can't succeed
+const isInvalidSale = (error) => error.name === 'CastError' || error.name === 'ValidationError';
+
 // POST /api/transactions - Create new transaction
+// Totals are recomputed on the server from Product.pricing, the declared discount and the tax engine;
+// the register's own totals are kept in clientTotals and compared (see services/posTotalsService.js).
+// Payment is a list of tenders - payments: [{ tender, amount, tendered, reference }]; registers that
+// still send paymentMethod / cashReceived / totals.creditApplied are read as one tender plus store credit
+// (checkout itself lives in services/checkoutService.js)
 router.post('/', requireAuth, async (req, res) => {
     try {
-        const {
-            transactionId,
-            items,
-            totals,
-            discount,
-            paymentMethod,
-            cashReceived,
-            customerInfo,
-            receiptData
-        } = req.body;
-
-        // Convert item product IDs to ObjectIds and validate products exist
-        const transactionItems = [];
-        for (let item of items) {
-            console.log('🔍 Looking for product:', {
-                id: item.id,
-                name: item.name,
-                organizationId: req.organizationId
-            });
-            
-            // CRITICAL: Only find products from this organization
-            const product = await Product.findOne({
-                _id: item.id,
-                organizationId: req.organizationId
-            });
-            
-            console.log('🔍 Product found:', product ? 'YES' : 'NO');
-            if (product) {
-                console.log('🔍 Product details:', {
-                    _id: product._id,
-                    name: product.name,
-                    organizationId: product.organizationId
-                });
+        const { transaction, purchaseLimits, verification } = await processCheckout(req.organization, req.body, {
+            userId: req.userId
+        });
+
+        res.status(201).json({
+            message: verification.status === 'mismatch'
+                ? 'Transaction created - flagged for review (register totals did not match)'
+                : 'Transaction created successfully',
+            transaction,
+            // Remaining daily allowance for the register to show
+            purchaseLimits
+        });
+
+    } catch (error) {
+        if (error instanceof CheckoutError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
+        }
+        if (isInvalidSale(error)) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Transaction creation error:', error);
+        res.status(500).json({
+            message: 'Error creating transaction',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/transactions/sync - Upload sales rung up while the register was offline
+// Body: { transactions: [...] } - each one a POST /api/transactions body plus createdAt (time of sale).
+// The register's transactionId is the idempotency key: a sale that's already here comes back as
+// 'duplicate', so a retried upload never records it twice. Sales keep their original time and prices
+// and are reconciled against current stock, shifts and limits - what no longer holds (oversold stock,
+// closed shift, ...) is recorded in sync.conflicts instead of refusing a sale that already happened.
+// results[] has one entry per queued sale: created / duplicate - clear it; failed - the sale itself is
+// invalid, resending won't help; error - server problem, retry later
+router.post('/sync', requireAuth, async (req, res) => {
+    try {
+        const { transactions } = req.body;
+
+        if (!Array.isArray(transactions) || transactions.length === 0) {
+            return res.status(400).json({ message: 'transactions must be a non-empty array' });
+        }
+        if (transactions.length > MAX_SYNC_BATCH) {
+            return res.status(400).json({ message: `At most ${MAX_SYNC_BATCH} transactions per sync - send the rest in another batch` });
+        }
+
+        const results = [];
+        // One at a time, in the order they were rung up - later sales see the stock earlier ones took
+        for (const [index, body] of transactions.entries()) {
+            const transactionId = body?.transactionId ? String(body.transactionId) : null;
+
+            if (!transactionId) {
+                results.push({ index, transactionId, status: 'failed', retryable: false, message: 'transactionId is required' });
+                continue;
             }
-            
-            if (!product) {
-                // ✅ Check if product exists at all (without org filter)
-                const anyProduct = await Product.findById(item.id);
-                console.log('🔍 Product exists in any org:', anyProduct ? 'YES' : 'NO');
-                if (anyProduct) {
-                    console.log('🔍 Product belongs to org:', anyProduct.organizationId);
-                }
-                
-                return res.status(404).json({ 
-                    message: `Product not found: ${item.name}` 
+
+            const existing = await Transaction.findOne({
+                organizationId: req.organizationId,
+                transactionId
+            }).select('_id sync.status');
+            if (existing) {
+                results.push({ index, transactionId, status: 'duplicate', id: existing._id, syncStatus: existing.sync?.status });
+                continue;
+            }
+
+            try {
+                const { transaction, conflicts } = await processCheckout(req.organization, { ...body, transactionId }, {
+                    userId: req.userId,
+                    offline: true
                 });
+                results.push({
+                    index,
+                    transactionId,
+                    status: 'created',
+                    id: transaction._id,
+                    syncStatus: transaction.sync.status,
+                    conflicts
+                });
+            } catch (error) {
+                if (error instanceof CheckoutError) {
+                    results.push({ index, transactionId, status: 'failed', retryable: false, message: error.message, ...error.details });
+                } else if (isInvalidSale(error)) {
+                    results.push({ index, transactionId, status: 'failed', retryable: false, message: error.message });
+                } else if (error.code === 11000) {
+                    // Same transactionId arrived from another request while this one was processing
+                    const duplicate = await Transaction.findOne({ organizationId: req.organizationId, transactionId }).select('_id sync.status');
+                    results.push({ index, transactionId, status: 'duplicate', id: duplicate?._id, syncStatus: duplicate?.sync?.status });
+                } else {
+                    console.error(`❌ Offline sale ${transactionId} failed to sync:`, error);
+                    results.push({ index, transactionId, status: 'error', retryable: true, message: error.message });
+                }
             }
+        }
 
-            transactionItems.push({
-                productId: item.id,
-                name: item.name,
-                sku: item.sku,
-                category: item.category,
-                subcategory: item.subcategory,
-                pricingOption: item.pricingOption,
-                quantity: item.quantity,
-                cannabis: item.cannabis || {}
-            });
+        const count = (status) => results.filter(result => result.status === status).length;
+        const summary = {
+            received: transactions.length,
+            created: count('created'),
+            duplicate: count('duplicate'),
+            failed: count('failed'),
+            error: count('error'),
+            withConflicts: results.filter(result => result.conflicts?.length > 0).length
+        };
 
-            // ✅ Update product inventory - Handle both old and new schema
-            const currentStock = product.stockQuantity !== undefined 
-                ? product.stockQuantity 
-                : (product.inventory?.currentStock || 0);
-            
-            if (currentStock < item.quantity) {
-                return res.status(400).json({
-                    message: `Insufficient inventory for ${product.name}. Available: ${currentStock}, Requested: ${item.quantity}`
-                });
+        console.log(`🔄 Offline sync: ${summary.created} created (${summary.withConflicts} with conflicts), ${summary.duplicate} duplicate, ${summary.failed} failed, ${summary.error} errors`);
+
+        res.json({
+            message: 'Offline transactions processed',
+            summary,
+            results
+        });
+
+    } catch (error) {
+        console.error('Offline sync error:', error);
+        res.status(500).json({
+            message: 'Error syncing offline transactions',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/transactions/quote - Server totals for a cart before payment: the promotions that apply
+// (per promotion and per line), the declared discount and taxes - what checkout will charge.
+// Body: { items, discount?, customerId?, customerInfo: { loyaltyNumber }?, idScan? } (idScan: age for senior promotions)
+router.post('/quote', requireAuth, async (req, res) => {
+    try {
+        const { items, discount, customerId, customerInfo, idScan } = req.body;
+
+        let customer = null;
+        if (customerId) {
+            customer = await Customer.findOne({
+                _id: customerId,
+                organizationId: req.organizationId
+            });
+            if (!customer) {
+                return res.status(400).json({ message: 'Customer not found' });
             }
-            
-            // Update stock based on schema type
-            if (product.stockQuantity !== undefined) {
-                // New schema
-                product.stockQuantity -= item.quantity;
-            } else if (product.inventory) {
-                // Old schema
-                product.inventory.currentStock -= item.quantity;
+        } else if (customerInfo?.loyaltyNumber) {
+            customer = await Customer.findOne({
+                organizationId: req.organizationId,
+                loyaltyNumber: String(customerInfo.loyaltyNumber).trim(),
+                isActive: true
+            });
+        }
+
+        const saleLines = await loadSaleLines(req.organizationId, items);
+
+        // Unreadable scans are caught at checkout - a quote just goes without the age
+        let age;
+        if (idScan) {
+            try {
+                age = verifyIdScan(req.organization, idScan).verification.age ?? undefined;
+            } catch (error) {
+                if (!(error instanceof IdScanError)) throw error;
             }
-            
-            await product.save();
         }
 
-        const transaction = new Transaction({
-            organizationId: req.organizationId,
-            transactionId,
-            items: transactionItems,
-            totals,
+        const computed = await computePosTotals(req.organization, saleLines, {
             discount,
-            paymentMethod,
-            cashReceived,
-            customerInfo,
-            receiptData,
-            compliance: {
-                employeeId: req.userId,
-                registerId: 'POS-001',
-            },
-            createdBy: req.userId
+            customer,
+            age
         });
 
-        await transaction.save();
+        res.json({
+            totals: computed.totals,
+            promotions: computed.promotions,
+            declaredDiscount: computed.declaredDiscount,
+            lines: saleLines.map(({ item, product, quantity }, index) => ({
+                productId: product._id,
+                name: item.name || product.name,
+                quantity,
+                unitPrice: computed.lines[index].unitPrice,
+                lineTotal: computed.lines[index].lineTotal,
+                discountAmount: computed.lines[index].discountAmount,
+                promotions: computed.lines[index].promotions,
+                taxAmount: computed.lines[index].taxAmount
+            })),
+            taxCalculation: computed.taxCalculation
+        });
 
-        res.status(201).json({
-            message: 'Transaction created successfully',
-            transaction
+    } catch (error) {
+        if (error instanceof CheckoutError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
+        }
+        if (error instanceof PosTotalsError) {
+            return res.status(400).json({ message: error.message, ...error.details });
+        }
+        console.error('Transaction quote error:', error);
+        res.status(500).json({
+            message: 'Error calculating totals',
+            error: error.message
         });
+    }
+});
+
+// GET /api/transactions/purchase-limits?licenseNumber=&customerId= - Remaining daily allowance for a customer
+router.get('/purchase-limits', requireAuth, async (req, res) => {
+    try {
+        const { licenseNumber, customerId } = req.query;
+
+        let customer = null;
+        if (customerId) {
+            customer = await Customer.findOne({
+                _id: customerId,
+                organizationId: req.organizationId
+            });
+            if (!customer) {
+                return res.status(404).json({ message: 'Customer not found' });
+            }
+        }
 
+        const number = licenseNumber || customer?.idDocument?.number;
+        if (!number) {
+            return res.status(400).json({ message: 'licenseNumber or a customer with an ID document is required' });
+        }
+
+        const purchaseLimits = await checkPurchaseLimits(req.organization, [], {
+            licenseNumber: number,
+            medical: getMedicalExemption(customer).eligible
+        });
+
+        if (!purchaseLimits) {
+            return res.json({
+                message: `No purchase limit rules for state: ${req.organization.location?.state || '(not set)'}`,
+                purchaseLimits: null
+            });
+        }
+
+        res.json({ purchaseLimits });
     } catch (error) {
-        console.error('Transaction creation error:', error);
+        console.error('Error checking purchase limits:', error);
         res.status(500).json({
-            message: 'Error creating transaction',
+            message: 'Error checking purchase limits',
             error: error.message
         });
     }
@@ -134,6 +278,8 @@ router.get('/', requireAuth, async (req, res) => {
             paymentMethod,
             paymentMethods,  // ✅ NEW: Support array of payment methods
             employeeId,
+            totalsStatus,
+            syncStatus,
             page = 1,
             limit = 50,
             sortBy = 'createdAt',
@@ -146,63 +292,24 @@ router.get('/', requireAuth, async (req, res) => {
             isActive: true 
         };
         
-        if (startDate && endDate) {
-            console.log('🔍 Backend: Using localDateString for filtering');
-            
-            const startTargetDate = new Date(startDate).toLocaleDateString('en-US');
-            const endTargetDate = new Date(endDate).toLocaleDateString('en-US');
-            
+        // Days are the organization's local days ("2025-12-29", or an instant on that day),
+        // matched against each transaction's businessDay - not the server's timezone
+        if (startDate || endDate) {
+            const range = req.organization.getLocalDateRange(startDate || endDate, endDate || startDate);
+            if (!range) {
+                return res.status(400).json({ message: 'Invalid startDate / endDate - use YYYY-MM-DD' });
+            }
+            filter.businessDay = { $gte: range.startKey, $lte: range.endKey };
             console.log('🔍 Backend: Date range filter:', {
-                startDate: startDate,
-                endDate: endDate,
-                startTargetDate: startTargetDate,
-                endTargetDate: endTargetDate
+                startDate: range.startKey,
+                endDate: range.endKey,
+                timezone: req.organization.timezone
             });
-            
-            // Get ALL transactions for this organization
-            const allTransactions = await Transaction.find({ 
-                organizationId: req.organizationId,
-                isActive: true,
-                'receiptData.localDateString': { $exists: true }
-            }).select('transactionId receiptData.localDateString paymentMethod').limit(10);
-            
-            console.log('🔍 Backend: Transactions in database for this org:');
-            allTransactions.forEach(txn => {
-                console.log(`  - ${txn.transactionId}: "${txn.receiptData?.localDateString}" (${txn.paymentMethod})`);
-            });
-            
-            if (startTargetDate === endTargetDate) {
-                console.log('🔍 Backend: Single day - exact match filter');
-                filter['receiptData.localDateString'] = startTargetDate;
-                
-                const testResult = await Transaction.find({
-                    organizationId: req.organizationId,
-                    isActive: true,
-                    'receiptData.localDateString': startTargetDate
-                }).select('transactionId receiptData.localDateString');
-                
-                console.log(`🔍 Backend: Exact match test found ${testResult.length} transactions:`);
-                testResult.forEach(txn => {
-                    console.log(`  - ${txn.transactionId}: "${txn.receiptData?.localDateString}"`);
-                });
-                
-            } else {
-                console.log('🔍 Backend: Date range filter');
-                const allDatesInRange = [];
-                const currentDate = new Date(startDate);
-                const endDateObj = new Date(endDate);
-                
-                while (currentDate <= endDateObj) {
-                    allDatesInRange.push(currentDate.toLocaleDateString('en-US'));
-                    currentDate.setDate(currentDate.getDate() + 1);
-                }
-                
-                console.log('🔍 Backend: Dates in range:', allDatesInRange);
-                filter['receiptData.localDateString'] = { $in: allDatesInRange };
-            }
         }
         
         if (status) filter.status = status;
+        if (totalsStatus) filter['totalsVerification.status'] = totalsStatus;  // 'mismatch' = flagged for review
+        if (syncStatus) filter['sync.status'] = syncStatus;  // offline sales: 'conflict' = needs reconciling
         
         // ✅ NEW: Handle both single and array payment methods
         if (paymentMethods) {
@@ -210,10 +317,17 @@ router.get('/', requireAuth, async (req, res) => {
             const methodsArray = typeof paymentMethods === 'string' 
                 ? paymentMethods.split(',') 
                 : paymentMethods;
-            filter.paymentMethod = { $in: methodsArray };
+            // Split-tender sales match on any of their tenders
+            filter.$or = [
+                { paymentMethod: { $in: methodsArray } },
+                { 'payments.tender': { $in: methodsArray } }
+            ];
             console.log('🔍 Backend: Payment methods filter (array):', methodsArray);
         } else if (paymentMethod) {
-            filter.paymentMethod = paymentMethod;
+            filter.$or = [
+                { paymentMethod },
+                { 'payments.tender': paymentMethod }
+            ];
             console.log('🔍 Backend: Payment method filter (single):', paymentMethod);
         }
         // ✅ If neither specified, include ALL payment methods
@@ -222,12 +336,6 @@ router.get('/', requireAuth, async (req, res) => {
 
         console.log('🔍 Backend: Final filter object:', JSON.stringify(filter, null, 2));
 
-        const testActualQuery = await Transaction.find(filter).select('transactionId receiptData.localDateString paymentMethod');
-        console.log(`🔍 Backend: Actual query found ${testActualQuery.length} transactions`);
-        testActualQuery.forEach(txn => {
-            console.log(`  - ${txn.transactionId}: "${txn.receiptData?.localDateString}" (${txn.paymentMethod})`);
-        });
-
         // Calculate pagination
         const skip = (parseInt(page) - 1) * parseInt(limit);
         const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
@@ -287,6 +395,192 @@ router.get('/:id', requireAuth, async (req, res) => {
     }
 });
 
+// GET /api/transactions/:id/receipt - Render the receipt (sales and refunds)
+// ?format=escpos|text|html (default text), ?paper=58mm|80mm (default settings.receipt.paperWidth)
+// Fetching the ESC/POS stream marks the receipt printed
+router.get('/:id/receipt', requireAuth, async (req, res) => {
+    try {
+        const { format = 'text', paper } = req.query;
+
+        const transaction = await Transaction.findOne({
+            _id: req.params.id,
+            organizationId: req.organizationId
+        }).populate('compliance.employeeId', 'firstName lastName');
+
+        if (!transaction) {
+            return res.status(404).json({ message: 'Transaction not found' });
+        }
+
+        const receipt = await getTransactionReceipt(transaction, req.organization);
+        const { contentType, body } = renderReceipt(receipt, format, {
+            paper: paper || req.organization.settings?.receipt?.paperWidth || undefined
+        });
+
+        if (format === 'escpos' && !transaction.receiptData?.printed) {
+            await Transaction.updateOne(
+                { _id: transaction._id },
+                { $set: { 'receiptData.printed': true } },
+                { timestamps: false }
+            );
+        }
+
+        res.type(contentType).send(body);
+    } catch (error) {
+        if (error instanceof ReceiptError) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error rendering receipt:', error);
+        res.status(500).json({
+            message: 'Error rendering receipt',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/transactions/:id/email-receipt - Email the receipt to { email } or the customer's email
+router.post('/:id/email-receipt', requireAuth, async (req, res) => {
+    try {
+        const transaction = await Transaction.findOne({
+            _id: req.params.id,
+            organizationId: req.organizationId
+        }).populate('compliance.employeeId', 'firstName lastName');
+
+        if (!transaction) {
+            return res.status(404).json({ message: 'Transaction not found' });
+        }
+
+        let email = req.body.email || transaction.customerInfo?.email;
+        if (!email && transaction.customerId) {
+            const customer = await Customer.findOne({
+                _id: transaction.customerId,
+                organizationId: req.organizationId
+            }).select('email');
+            email = customer?.email;
+        }
+        email = email ? String(email).trim().toLowerCase() : null;
+
+        if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({
+                message: email ? `Invalid email address: ${email}` : 'No email address - send { email } or link a customer with one'
+            });
+        }
+
+        const receipt = await getTransactionReceipt(transaction, req.organization);
+        const info = await sendReceiptEmail(receipt, { to: email });
+
+        await Transaction.updateOne(
+            { _id: transaction._id },
+            { $set: { 'receiptData.emailed': true, 'receiptData.emailAddress': email } },
+            { timestamps: false }
+        );
+
+        console.log('📧 Receipt emailed:', receipt.receiptNumber, '→', email);
+
+        res.json({
+            message: 'Receipt emailed',
+            receiptNumber: receipt.receiptNumber,
+            email,
+            messageId: info.messageId
+        });
+    } catch (error) {
+        console.error('Error emailing receipt:', error);
+        res.status(500).json({
+            message: 'Error emailing receipt',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/transactions/reports/promotions - Discount given per promotion for date range
+// (as rung up - later refunds aren't taken off)
+router.get('/reports/promotions', requireAuth, async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+
+        if (!startDate || !endDate) {
+            return res.status(400).json({
+                message: 'startDate and endDate are required'
+            });
+        }
+
+        const range = req.organization.getLocalDateRange(startDate, endDate);
+        if (!range) {
+            return res.status(400).json({ message: 'Invalid startDate / endDate - use YYYY-MM-DD' });
+        }
+
+        const match = {
+            organizationId: req.organizationId,
+            businessDay: { $gte: range.startKey, $lte: range.endKey },
+            transactionType: { $ne: 'refund' },
+            status: { $ne: 'voided' },
+            isActive: true
+        };
+
+        const [promotions, totals] = await Promise.all([
+            Transaction.aggregate([
+                { $match: { ...match, 'promotions.0': { $exists: true } } },
+                { $unwind: '$promotions' },
+                {
+                    $group: {
+                        _id: '$promotions.promotionId',
+                        name: { $last: '$promotions.name' },
+                        type: { $last: '$promotions.type' },
+                        transactionCount: { $sum: 1 },
+                        discountAmount: { $sum: '$promotions.amount' },
+                        // Sales the promotion was part of (a sale with two promotions counts for both)
+                        salesTotal: { $sum: '$totals.grandTotal' }
+                    }
+                },
+                { $sort: { discountAmount: -1 } }
+            ]),
+            Transaction.aggregate([
+                { $match: match },
+                {
+                    $group: {
+                        _id: null,
+                        transactionCount: { $sum: 1 },
+                        withPromotions: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$promotions', []] } }, 0] }, 1, 0] } },
+                        totalDiscounts: { $sum: '$totals.discountAmount' },
+                        promotionDiscounts: { $sum: { $ifNull: ['$totals.promotionAmount', 0] } }
+                    }
+                }
+            ])
+        ]);
+
+        const summary = totals[0] || { transactionCount: 0, withPromotions: 0, totalDiscounts: 0, promotionDiscounts: 0 };
+
+        res.json({
+            period: {
+                startDate: range.startKey,
+                endDate: range.endKey,
+                timezone: req.organization.timezone
+            },
+            summary: {
+                transactionCount: summary.transactionCount,
+                withPromotions: summary.withPromotions,
+                promotionDiscounts: Math.round(summary.promotionDiscounts * 100) / 100,
+                // Typed in at the register (Transaction.discount)
+                declaredDiscounts: Math.round((summary.totalDiscounts - summary.promotionDiscounts) * 100) / 100
+            },
+            promotions: promotions.map(promotion => ({
+                promotionId: promotion._id,
+                name: promotion.name,
+                type: promotion.type,
+                transactionCount: promotion.transactionCount,
+                discountAmount: Math.round(promotion.discountAmount * 100) / 100,
+                salesTotal: Math.round(promotion.salesTotal * 100) / 100
+            }))
+        });
+
+    } catch (error) {
+        console.error('Error generating promotions report:', error);
+        res.status(500).json({
+            message: 'Error generating promotions report',
+            error: error.message
+        });
+    }
+});
+
 // GET /api/transactions/reports/summary - Get sales summary for date range
 router.get('/reports/summary', requireAuth, async (req, res) => {
     try {
@@ -298,13 +592,23 @@ router.get('/reports/summary', requireAuth, async (req, res) => {
             });
         }
 
+        const range = req.organization.getLocalDateRange(startDate, endDate);
+        if (!range) {
+            return res.status(400).json({ message: 'Invalid startDate / endDate - use YYYY-MM-DD' });
+        }
+
         const summary = await Transaction.getSalesReport(
-            startDate, 
-            endDate, 
+            range.startKey,
+            range.endKey,
             req.organizationId
         );
         
         res.json({
+            period: {
+                startDate: range.startKey,
+                endDate: range.endKey,
+                timezone: req.organization.timezone
+            },
             summary: summary[0] || {
                 totalTransactions: 0,
                 totalRevenue: 0,
@@ -328,60 +632,86 @@ router.get('/reports/summary', requireAuth, async (req, res) => {
 router.get('/reports/daily', requireAuth, async (req, res) => {
     try {
         const { date } = req.query;
-        const targetDate = date ? new Date(date) : new Date();
-        
-        const startOfDay = new Date(targetDate);
-        startOfDay.setHours(0, 0, 0, 0);
-        
-        const endOfDay = new Date(targetDate);
-        endOfDay.setHours(23, 59, 59, 999);
 
-        const dailyData = await Transaction.aggregate([
-            {
-                $match: {
-                    organizationId: req.organizationId,
-                    createdAt: { $gte: startOfDay, $lte: endOfDay },
-                    status: 'completed',
-                    isActive: true
-                }
-            },
-            {
-                $group: {
-                    _id: null,
-                    transactionCount: { $sum: 1 },
-                    totalSales: { $sum: '$totals.grandTotal' },
-                    totalTax: { $sum: '$totals.taxAmount' },
-                    totalItems: { $sum: { $sum: '$items.quantity' } },
-                    averageTransaction: { $avg: '$totals.grandTotal' },
-                    // ✅ NEW: Payment breakdown
-                    cashOnlyCount: {
-                        $sum: { $cond: [{ $eq: ['$paymentMethod', 'cash'] }, 1, 0] }
-                    },
-                    cashOnlyTotal: {
-                        $sum: { $cond: [{ $eq: ['$paymentMethod', 'cash'] }, '$totals.grandTotal', 0] }
-                    },
-                    mixedPaymentCount: {
-                        $sum: { $cond: [{ $eq: ['$paymentMethod', 'cash+credit'] }, 1, 0] }
-                    },
-                    mixedPaymentTotal: {
-                        $sum: { $cond: [{ $eq: ['$paymentMethod', 'cash+credit'] }, '$totals.grandTotal', 0] }
-                    },
-                    creditRedeemed: {
-                        $sum: { $ifNull: ['$totals.creditApplied', 0] }
-                    },
-                    paymentMethodBreakdown: {
-                        $push: {
-                            method: '$paymentMethod',
-                            amount: '$totals.grandTotal',
-                            creditApplied: { $ifNull: ['$totals.creditApplied', 0] }
+        // The store's own day (organization timezone), today if no date given
+        const range = req.organization.getLocalDateRange(date || new Date());
+        if (!range) {
+            return res.status(400).json({ message: 'Invalid date - use YYYY-MM-DD' });
+        }
+
+        const match = {
+            organizationId: req.organizationId,
+            businessDay: range.startKey,
+            // Refunded sales stay in - their refund transactions net them out
+            status: { $in: ['completed', 'partially_refunded', 'refunded'] },
+            isActive: true
+        };
+
+        const [dailyData, tenderBreakdown] = await Promise.all([
+            Transaction.aggregate([
+                { $match: match },
+                {
+                    $group: {
+                        _id: null,
+                        transactionCount: { $sum: 1 },
+                        totalSales: { $sum: '$totals.grandTotal' },
+                        totalTax: { $sum: '$totals.taxAmount' },
+                        totalItems: { $sum: { $sum: '$items.quantity' } },
+                        averageTransaction: { $avg: '$totals.grandTotal' },
+                        // ✅ NEW: Payment breakdown
+                        cashOnlyCount: {
+                            $sum: { $cond: [{ $eq: ['$paymentMethod', 'cash'] }, 1, 0] }
+                        },
+                        cashOnlyTotal: {
+                            $sum: { $cond: [{ $eq: ['$paymentMethod', 'cash'] }, '$totals.grandTotal', 0] }
+                        },
+                        mixedPaymentCount: {
+                            $sum: { $cond: [{ $in: ['$paymentMethod', ['cash+credit', 'split']] }, 1, 0] }
+                        },
+                        mixedPaymentTotal: {
+                            $sum: { $cond: [{ $in: ['$paymentMethod', ['cash+credit', 'split']] }, '$totals.grandTotal', 0] }
+                        },
+                        creditRedeemed: {
+                            $sum: { $ifNull: ['$totals.creditApplied', 0] }
+                        },
+                        paymentMethodBreakdown: {
+                            $push: {
+                                method: '$paymentMethod',
+                                amount: '$totals.grandTotal',
+                                creditApplied: { $ifNull: ['$totals.creditApplied', 0] },
+                                payments: '$payments'
+                            }
                         }
                     }
                 }
-            }
+            ]),
+            // Revenue by tender - split-tender sales count toward each tender for its own amount;
+            // refund transactions (negative tenders) are what went back out
+            Transaction.aggregate([
+                { $match: match },
+                ...tenderAggregationStages(),
+                {
+                    $group: {
+                        _id: '$tender.tender',
+                        count: { $sum: { $cond: [{ $gt: ['$tender.amount', 0] }, 1, 0] } },
+                        amount: { $sum: { $cond: [{ $gt: ['$tender.amount', 0] }, '$tender.amount', 0] } },
+                        refunded: { $sum: { $cond: [{ $lt: ['$tender.amount', 0] }, { $multiply: ['$tender.amount', -1] }, 0] } }
+                    }
+                },
+                { $sort: { amount: -1 } }
+            ])
         ]);
 
         res.json({
-            date: targetDate.toISOString().split('T')[0],
+            date: range.startKey,
+            timezone: req.organization.timezone,
+            tenderBreakdown: tenderBreakdown.map(item => ({
+                tender: item._id,
+                count: item.count,
+                amount: Math.round(item.amount * 100) / 100,
+                refunded: Math.round(item.refunded * 100) / 100,
+                net: Math.round((item.amount - item.refunded) * 100) / 100
+            })),
             data: dailyData[0] || {
                 transactionCount: 0,
                 totalSales: 0,
@@ -417,28 +747,32 @@ router.get('/reports/payment-breakdown', requireAuth, async (req, res) => {
             });
         }
 
-        const start = new Date(startDate);
-        start.setHours(0, 0, 0, 0);
-        
-        const end = new Date(endDate);
-        end.setHours(23, 59, 59, 999);
+        // Local days in the organization's timezone
+        const range = req.organization.getLocalDateRange(startDate, endDate);
+        if (!range) {
+            return res.status(400).json({ message: 'Invalid startDate / endDate - use YYYY-MM-DD' });
+        }
 
+        // One row per tender - a split-tender sale adds each tender's own amount to that tender
         const breakdown = await Transaction.aggregate([
             {
                 $match: {
                     organizationId: req.organizationId,
-                    createdAt: { $gte: start, $lte: end },
-                    status: 'completed',
+                    businessDay: { $gte: range.startKey, $lte: range.endKey },
+                    status: { $in: ['completed', 'partially_refunded', 'refunded'] },
                     isActive: true
                 }
             },
+            ...tenderAggregationStages(),
             {
                 $group: {
-                    _id: '$paymentMethod',
-                    count: { $sum: 1 },
-                    totalRevenue: { $sum: '$totals.grandTotal' },
-                    totalCashReceived: { $sum: { $ifNull: ['$cashReceived', 0] } },
-                    totalCreditApplied: { $sum: { $ifNull: ['$totals.creditApplied', 0] } }
+                    _id: '$tender.tender',
+                    count: { $sum: { $cond: [{ $gt: ['$tender.amount', 0] }, 1, 0] } },
+                    totalRevenue: { $sum: { $cond: [{ $gt: ['$tender.amount', 0] }, '$tender.amount', 0] } },
+                    totalCashReceived: { $sum: { $ifNull: ['$tender.tendered', 0] } },
+                    totalChange: { $sum: { $ifNull: ['$tender.change', 0] } },
+                    // Refund transactions carry negative tenders
+                    totalRefunded: { $sum: { $cond: [{ $lt: ['$tender.amount', 0] }, { $multiply: ['$tender.amount', -1] }, 0] } }
                 }
             },
             {
@@ -448,15 +782,19 @@ router.get('/reports/payment-breakdown', requireAuth, async (req, res) => {
 
         res.json({
             period: {
-                startDate: startDate,
-                endDate: endDate
+                startDate: range.startKey,
+                endDate: range.endKey,
+                timezone: req.organization.timezone
             },
             breakdown: breakdown.map(item => ({
                 paymentMethod: item._id,
                 transactionCount: item.count,
                 totalRevenue: item.totalRevenue,
+                refunded: item.totalRefunded,
+                netRevenue: item.totalRevenue - item.totalRefunded,
                 cashReceived: item.totalCashReceived,
-                creditApplied: item.totalCreditApplied,
+                changeGiven: item.totalChange,
+                creditApplied: item._id === 'store_credit' ? item.totalRevenue : 0,
                 averageTransaction: item.count > 0 ? item.totalRevenue / item.count : 0
             }))
         });
@@ -481,18 +819,18 @@ router.get('/reports/credit-redemption', requireAuth, async (req, res) => {
             });
         }
 
-        const start = new Date(startDate);
-        start.setHours(0, 0, 0, 0);
-        
-        const end = new Date(endDate);
-        end.setHours(23, 59, 59, 999);
+        // Local days in the organization's timezone
+        const range = req.organization.getLocalDateRange(startDate, endDate);
+        if (!range) {
+            return res.status(400).json({ message: 'Invalid startDate / endDate - use YYYY-MM-DD' });
+        }
 
         const creditReport = await Transaction.aggregate([
             {
                 $match: {
                     organizationId: req.organizationId,
-                    createdAt: { $gte: start, $lte: end },
-                    status: 'completed',
+                    businessDay: { $gte: range.startKey, $lte: range.endKey },
+                    status: { $in: ['completed', 'partially_refunded', 'refunded'] },
                     isActive: true,
                     'totals.creditApplied': { $gt: 0 }
                 }
@@ -510,8 +848,9 @@ router.get('/reports/credit-redemption', requireAuth, async (req, res) => {
 
         res.json({
             period: {
-                startDate: startDate,
-                endDate: endDate
+                startDate: range.startKey,
+                endDate: range.endKey,
+                timezone: req.organization.timezone
             },
             summary: creditReport[0] || {
                 totalCreditRedeemed: 0,
@@ -530,11 +869,21 @@ router.get('/reports/credit-redemption', requireAuth, async (req, res) => {
     }
 });
 
-// PUT /api/transactions/:id/refund - Process refund
+// PUT /api/transactions/:id/refund - Refund lines of a sale
+// Body: { lines: [{ itemId, quantity, disposition: 'restock' | 'quarantine' }], reason, registerId }
+// (no lines = everything not yet returned). Records a negative refund transaction with its own
+// receipt number, restocks / quarantines the units and sends the money back to the sale's tenders
+// in the organization's refund order (settings.pos.refundTenderOrder) - see services/refundService.js
 router.put('/:id/refund', requireAuth, async (req, res) => {
     try {
-        const { amount, reason } = req.body;
-        
+        const { lines, reason, registerId } = req.body;
+
+        if (req.body.amount !== undefined && !lines) {
+            return res.status(400).json({
+                message: 'Refunds are by line - send lines: [{ itemId, quantity }]'
+            });
+        }
+
         const transaction = await Transaction.findOne({
             _id: req.params.id,
             organizationId: req.organizationId
@@ -544,31 +893,53 @@ router.put('/:id/refund', requireAuth, async (req, res) => {
             return res.status(404).json({ message: 'Transaction not found' });
         }
 
-        if (!transaction.canBeRefunded()) {
-            return res.status(400).json({
-                message: 'Transaction cannot be refunded'
+        // Cash goes back out of a drawer - only needed when part of the refund is cash
+        let register = null;
+        let shift = null;
+        if (registerId) {
+            ({ register, shift } = await findRegisterShift(req.organizationId, registerId));
+            if (!register) {
+                return res.status(400).json({ message: `Register not found: ${registerId}` });
+            }
+            if (!shift) {
+                return res.status(409).json({ message: `Register ${register.code} has no open shift` });
+            }
+        }
+
+        let result;
+        try {
+            result = await processLineRefund(req.organization, transaction, {
+                lines,
+                reason,
+                register,
+                shift,
+                userId: req.userId
             });
+        } catch (error) {
+            if (error instanceof RefundError || error instanceof TenderError) {
+                return res.status(400).json({ message: error.message, ...error.details });
+            }
+            throw error;
         }
 
-        transaction.status = amount === transaction.totals.grandTotal 
-            ? 'refunded' 
-            : 'partially_refunded';
-            
-        transaction.refund = {
-            amount,
-            reason,
-            refundedAt: new Date(),
-            refundedBy: req.userId
-        };
+        const { refund, refundTransaction, storeCredits } = result;
 
-        await transaction.save();
+        console.log(`↩️ Refund ${refund.receiptNumber} $${refund.amount.toFixed(2)} on ${transaction.transactionId}:`, refund.tenders.map(share => `${share.tender} $${share.amount.toFixed(2)}`).join(', '));
 
         res.json({
             message: 'Refund processed successfully',
+            refund,
+            refundTransaction,
+            storeCredits,
             transaction
         });
 
     } catch (error) {
+        if (error.name === 'VersionError') {
+            return res.status(409).json({
+                message: 'Transaction was changed by another refund - reload and try again'
+            });
+        }
         console.error('Error processing refund:', error);
         res.status(500).json({
             message: 'Error processing refund',
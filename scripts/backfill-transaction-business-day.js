@@ -0,0 +1,105 @@
+// backend/scripts/backfill-transaction-business-day.js
+/**
+ * Migration Script: Transaction Business Day
+ *
+ * Transactions now store businessDay - the 'YYYY-MM-DD' day the sale happened on in the
+ * organization's timezone. Date filters and daily reports used to compare against the
+ * server's timezone (or the register's receiptData.localDateString), so older
+ * transactions can land on a different day depending on which report you look at.
+ * This script will:
+ * 1. Set businessDay on every transaction from createdAt and its organization's timezone
+ * 2. Create the { organizationId, businessDay } index
+ *
+ * Re-running is safe - it recomputes every transaction (use --missing-only to skip
+ * transactions that already have a businessDay, e.g. after an organization changed timezone
+ * and you want to keep the days already recorded).
+ *
+ * IMPORTANT: Backup your database before running this!
+ *
+ * Run with: node scripts/backfill-transaction-business-day.js [--missing-only]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const Organization = require('../models/Organization');
+
+const BATCH_SIZE = 500;
+const missingOnly = process.argv.includes('--missing-only');
+
+async function backfillOrganization(organization) {
+  const filter = { organizationId: organization.organizationId };
+  if (missingOnly) {
+    filter.$or = [{ businessDay: { $exists: false } }, { businessDay: null }, { businessDay: '' }];
+  }
+
+  const cursor = Transaction.find(filter).select('_id createdAt businessDay').lean().cursor();
+
+  let operations = [];
+  let updated = 0;
+  let unchanged = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Transaction.bulkWrite(operations, { ordered: false, timestamps: false });
+    updated += operations.length;
+    operations = [];
+  };
+
+  for await (const transaction of cursor) {
+    const businessDay = organization.getLocalDateKey(transaction.createdAt || transaction._id.getTimestamp());
+    if (transaction.businessDay === businessDay) {
+      unchanged += 1;
+      continue;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { _id: transaction._id },
+        update: { $set: { businessDay } },
+        timestamps: false
+      }
+    });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`   📅 ${organization.organizationId} (${organization.timezone}): ${updated} updated, ${unchanged} already correct`);
+  return updated;
+}
+
+async function backfillBusinessDay() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+    console.log(`🚀 Backfilling transaction business days${missingOnly ? ' (missing only)' : ''}...\n`);
+
+    // Step 1: Business day per organization timezone
+    const organizations = await Organization.find();
+    let total = 0;
+    for (const organization of organizations) {
+      total += await backfillOrganization(organization);
+    }
+    console.log(`\n📊 Set businessDay on ${total} transactions`);
+
+    // Transactions whose organization no longer exists keep no businessDay
+    const orphaned = await Transaction.countDocuments({
+      organizationId: { $nin: organizations.map(organization => organization.organizationId) }
+    });
+    if (orphaned > 0) {
+      console.log(`⚠️  ${orphaned} transactions belong to no organization and were skipped`);
+    }
+
+    // Step 2: Index used by the date filters (other indexes on the collection are left alone)
+    await Transaction.createIndexes();
+    console.log('✅ Indexes created: { organizationId, businessDay }');
+
+    console.log('\n✅ Business day backfill completed successfully');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error);
+    process.exit(1);
+  }
+}
+
+backfillBusinessDay();
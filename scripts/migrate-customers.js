@@ -0,0 +1,311 @@
+// backend/scripts/migrate-customers.js
+/**
+ * Migration Script: Customers from billTo / customerInfo
+ *
+ * Customers used to exist only as loose blobs on each document. This script:
+ * 1. Collects customer details from Invoices (billTo), Transactions (customerInfo),
+ *    StoreCredits and RMAs (customerName / customerEmail / customerPhone) without a customerId
+ * 2. Dedupes them per organization - same email, phone (digits), business license or
+ *    loyalty number is the same customer; records with only a name are matched on the exact name
+ * 3. Creates one Customer per distinct person / account (or reuses an existing one,
+ *    so the script is safe to re-run) and fills in contact details it was missing
+ * 4. Sets customerId on every source document
+ *
+ * Loyalty numbers are unique per organization. Existing customers sharing one keep it on the
+ * earliest customer only, and a number already held by another customer is never copied over -
+ * each collision is logged so the card can be reissued.
+ *
+ * IMPORTANT: Backup your database before running this!
+ *
+ * Run with: node scripts/migrate-customers.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const Customer = require('../models/Customer');
+const Invoice = require('../models/Invoice');
+const Transaction = require('../models/Transaction');
+const StoreCredit = require('../models/StoreCredit');
+const RMA = require('../models/RMA');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const UNLINKED = { $or: [{ customerId: { $exists: false } }, { customerId: null }] };
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// ========== SOURCE → CUSTOMER DETAILS ==========
+
+const fromInvoice = (invoice) => ({
+  name: invoice.billTo?.clientName,
+  email: invoice.billTo?.email,
+  phone: invoice.billTo?.phone,
+  address: invoice.billTo?.address,
+  licenseNumber: invoice.billTo?.licenseNumber,
+  customerType: invoice.billTo?.customerType || 'retail'
+});
+
+const fromTransaction = (transaction) => ({
+  name: transaction.customerInfo?.name,
+  email: transaction.customerInfo?.email,
+  phone: transaction.customerInfo?.phone,
+  loyaltyNumber: transaction.customerInfo?.loyaltyNumber,
+  dateOfBirth: transaction.customerInfo?.birthday,
+  idDocument: transaction.customerInfo?.license?.number ? transaction.customerInfo.license : undefined,
+  customerType: 'retail'
+});
+
+const fromCustomerFields = (doc) => ({
+  name: doc.customerName,
+  email: doc.customerEmail,
+  phone: doc.customerPhone,
+  customerType: 'retail'
+});
+
+const SOURCES = [
+  { label: 'invoices', Model: Invoice, select: 'billTo createdAt', extract: fromInvoice },
+  { label: 'transactions', Model: Transaction, select: 'customerInfo createdAt', extract: fromTransaction },
+  { label: 'store credits', Model: StoreCredit, select: 'customerName customerEmail customerPhone createdAt', extract: fromCustomerFields },
+  { label: 'RMAs', Model: RMA, select: 'customerName customerEmail customerPhone createdAt', extract: fromCustomerFields }
+];
+
+// ========== DEDUPE INDEX (per organization) ==========
+
+class CustomerIndex {
+  constructor(organizationId) {
+    this.organizationId = organizationId;
+    this.byKey = new Map();
+    this.dirty = new Set();
+    this.created = 0;
+    this.loyaltyCollisions = 0;
+  }
+
+  keysFor(details) {
+    const keys = [];
+    if (details.email) keys.push(`email:${details.email.trim().toLowerCase()}`);
+    const phone = Customer.normalizePhone(details.phone);
+    if (phone && phone.length >= 7) keys.push(`phone:${phone}`);
+    if (details.licenseNumber) keys.push(`license:${details.licenseNumber.trim().toUpperCase()}`);
+    if (details.loyaltyNumber) keys.push(`loyalty:${String(details.loyaltyNumber).trim()}`);
+    // Name only counts when there's nothing better to go on
+    if (keys.length === 0 && normalizeName(details.name)) keys.push(`name:${normalizeName(details.name)}`);
+    return keys;
+  }
+
+  remember(customer, keys) {
+    keys.forEach(key => this.byKey.set(key, customer));
+  }
+
+  async findExisting(details, keys) {
+    for (const key of keys) {
+      if (this.byKey.has(key)) return this.byKey.get(key);
+    }
+
+    // Customers created by an earlier run (or by hand)
+    let customer = await Customer.findMatch(this.organizationId, {
+      email: details.email,
+      phone: details.phone,
+      licenseNumber: details.licenseNumber
+    });
+
+    if (!customer && details.loyaltyNumber) {
+      customer = await Customer.findOne({
+        organizationId: this.organizationId,
+        loyaltyNumber: String(details.loyaltyNumber).trim()
+      });
+    }
+
+    if (!customer && keys[0]?.startsWith('name:')) {
+      const { firstName, lastName } = Customer.splitName(details.name);
+      customer = await Customer.findOne({
+        organizationId: this.organizationId,
+        isActive: true,
+        $or: [
+          { firstName, lastName: lastName || null },
+          { businessName: details.name.trim() }
+        ]
+      });
+    }
+
+    return customer;
+  }
+
+  // Is the loyalty number already someone else's? (logged - the card has to be reissued)
+  async loyaltyNumberTaken(loyaltyNumber, customer) {
+    const owner = this.byKey.get(`loyalty:${loyaltyNumber}`) ||
+      await Customer.findOne({ organizationId: this.organizationId, loyaltyNumber }).select('_id');
+    if (!owner || owner === customer || owner._id.equals(customer._id)) return false;
+
+    this.loyaltyCollisions += 1;
+    console.log(`   ⚠️  ${this.organizationId}: loyalty number ${loyaltyNumber} already belongs to customer ${owner._id} - not copied to ${customer._id}`);
+    return true;
+  }
+
+  build(details) {
+    const isWholesale = details.customerType === 'wholesale';
+    const customer = new Customer({
+      organizationId: this.organizationId,
+      customerType: details.customerType,
+      ...(isWholesale ? { businessName: details.name?.trim() } : Customer.splitName(details.name)),
+      email: details.email,
+      phone: details.phone,
+      dateOfBirth: details.dateOfBirth,
+      idDocument: details.idDocument,
+      businessLicense: details.licenseNumber ? { licenseNumber: details.licenseNumber.trim() } : undefined,
+      address: details.address ? { street: details.address } : undefined,
+      notes: 'Created by customer migration'
+    });
+
+    // Fallback name for records that only had contact details
+    if (!customer.firstName && !customer.lastName && !customer.businessName) {
+      customer.firstName = details.email || details.phone;
+    }
+
+    return customer;
+  }
+
+  // Fill in contact details the existing customer is missing
+  enrich(customer, details) {
+    if (!customer.email && details.email) customer.email = details.email;
+    if (!customer.phone && details.phone) customer.phone = details.phone;
+    if (!customer.dateOfBirth && details.dateOfBirth) customer.dateOfBirth = details.dateOfBirth;
+    if (!customer.businessLicense?.licenseNumber && details.licenseNumber) {
+      customer.set('businessLicense.licenseNumber', details.licenseNumber.trim());
+    }
+    if (customer.isModified() && !customer.isNew) this.dirty.add(customer);
+  }
+
+  async resolve(details) {
+    const keys = this.keysFor(details);
+    if (keys.length === 0) return null;
+
+    let customer = await this.findExisting(details, keys);
+    const isNew = !customer;
+    if (isNew) customer = this.build(details);
+
+    const loyaltyNumber = details.loyaltyNumber ? String(details.loyaltyNumber).trim() : null;
+    if (loyaltyNumber && !customer.loyaltyNumber && !(await this.loyaltyNumberTaken(loyaltyNumber, customer))) {
+      customer.loyaltyNumber = loyaltyNumber;
+    }
+
+    if (isNew) {
+      if (!DRY_RUN) await customer.save();
+      this.created += 1;
+    } else {
+      this.enrich(customer, details);
+    }
+
+    // Only the loyalty number the customer actually holds identifies them
+    this.remember(customer, [
+      ...keys.filter(key => !key.startsWith('loyalty:')),
+      ...this.keysFor({ email: customer.email, phone: customer.phone, loyaltyNumber: customer.loyaltyNumber })
+    ]);
+    return customer;
+  }
+
+  async flush() {
+    if (DRY_RUN) return;
+    for (const customer of this.dirty) {
+      await customer.save();
+    }
+  }
+}
+
+// ========== LOYALTY NUMBERS (unique per organization) ==========
+
+// Customers sharing a loyalty number before it was unique - the earliest keeps it
+async function releaseDuplicateLoyaltyNumbers() {
+  const duplicates = await Customer.aggregate([
+    { $match: { loyaltyNumber: { $type: 'string' } } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: { organizationId: '$organizationId', loyaltyNumber: '$loyaltyNumber' },
+        ids: { $push: '$_id' },
+        count: { $sum: 1 }
+      }
+    },
+    { $match: { count: { $gt: 1 } } }
+  ]);
+
+  let released = 0;
+  for (const duplicate of duplicates) {
+    const [keeperId, ...laterIds] = duplicate.ids;
+    console.log(`   ⚠️  ${duplicate._id.organizationId}: loyalty number ${duplicate._id.loyaltyNumber} kept by ${keeperId}, removed from ${laterIds.join(', ')}`);
+    if (!DRY_RUN) {
+      await Customer.updateMany({ _id: { $in: laterIds } }, { $unset: { loyaltyNumber: 1 } }, { timestamps: false });
+    }
+    released += laterIds.length;
+  }
+  return released;
+}
+
+// The loyalty number index used to be non-unique - it is rebuilt as a unique one
+async function dropNonUniqueLoyaltyIndex() {
+  const indexes = await Customer.collection.indexes().catch(() => []);
+  const old = indexes.find(index => index.name === 'organizationId_1_loyaltyNumber_1' && !index.unique);
+  if (old && !DRY_RUN) {
+    await Customer.collection.dropIndex(old.name);
+    console.log(`🗑️  Dropped index: ${old.name}`);
+  }
+}
+
+async function migrateOrganization(organization) {
+  const index = new CustomerIndex(organization.organizationId);
+  const linked = {};
+
+  for (const { label, Model, select, extract } of SOURCES) {
+    const docs = await Model.find({ organizationId: organization.organizationId, ...UNLINKED })
+      .select(select)
+      .sort({ createdAt: 1 })
+      .lean();
+
+    linked[label] = 0;
+
+    for (const doc of docs) {
+      const customer = await index.resolve(extract(doc));
+      if (!customer) continue;
+
+      if (!DRY_RUN) {
+        await Model.updateOne({ _id: doc._id }, { $set: { customerId: customer._id } }, { timestamps: false });
+      }
+      linked[label] += 1;
+    }
+  }
+
+  await index.flush();
+
+  console.log(`🏢 ${organization.organizationId}: ${index.created} customers created, ${index.dirty.size} updated`);
+  if (index.loyaltyCollisions > 0) {
+    console.log(`   ⚠️  ${index.loyaltyCollisions} loyalty numbers left off - already held by another customer`);
+  }
+  Object.entries(linked).forEach(([label, count]) => console.log(`   🔗 ${count} ${label} linked`));
+}
+
+async function migrateCustomers() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+    console.log(`🚀 Starting customer migration${DRY_RUN ? ' (DRY RUN - no changes will be written)' : ''}...\n`);
+
+    const released = await releaseDuplicateLoyaltyNumbers();
+    console.log(`📊 Removed ${released} duplicate loyalty numbers\n`);
+
+    await dropNonUniqueLoyaltyIndex();
+    if (!DRY_RUN) await Customer.createIndexes();
+
+    const organizations = await Organization.find();
+    for (const organization of organizations) {
+      await migrateOrganization(organization);
+    }
+
+    console.log('\n✅ Customer migration completed successfully');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrateCustomers();
@@ -0,0 +1,143 @@
+// backend/scripts/migrate-invoice-numbering.js
+/**
+ * Migration Script: Per-Organization Invoice Numbering
+ *
+ * This script moves invoice numbers from a global unique index to a per-organization one.
+ * It will:
+ * 1. Drop the old global unique index on invoiceNumber (and the org index, rebuilt in step 5)
+ * 2. Renumber duplicate invoice numbers WITHIN an organization (earliest invoice keeps its number)
+ * 3. Seed each organization's counter from its highest existing number, so new
+ *    server-issued numbers never collide with existing ones
+ * 4. Issue numbers for any issued invoices missing one (from the seeded counters) - Drafts
+ *    stay unnumbered until they are issued
+ * 5. Create the new { organizationId, invoiceNumber } unique index (existing indexes are left alone)
+ *
+ * IMPORTANT: Backup your database before running this!
+ *
+ * Run with: node scripts/migrate-invoice-numbering.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Organization = require('../models/Organization');
+const Counter = require('../models/Counter');
+
+const OLD_INDEXES = ['invoiceNumber_1', 'organizationId_1_invoiceNumber_1'];
+
+async function dropOldIndexes() {
+  const indexes = await Invoice.collection.indexes();
+
+  for (const name of OLD_INDEXES) {
+    if (indexes.some(index => index.name === name)) {
+      await Invoice.collection.dropIndex(name);
+      console.log(`🗑️  Dropped index: ${name}`);
+    }
+  }
+}
+
+async function fixDuplicateNumbers() {
+  const duplicates = await Invoice.aggregate([
+    { $match: { invoiceNumber: { $nin: [null, ''] } } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: { organizationId: '$organizationId', invoiceNumber: '$invoiceNumber' },
+        ids: { $push: '$_id' },
+        count: { $sum: 1 }
+      }
+    },
+    { $match: { count: { $gt: 1 } } }
+  ]);
+
+  let renumbered = 0;
+
+  for (const duplicate of duplicates) {
+    const [, ...laterIds] = duplicate.ids;
+
+    for (let i = 0; i < laterIds.length; i++) {
+      const newNumber = `${duplicate._id.invoiceNumber}-DUP${i + 1}`;
+      await Invoice.updateOne(
+        { _id: laterIds[i] },
+        { $set: { invoiceNumber: newNumber } },
+        { timestamps: false }
+      );
+      renumbered += 1;
+      console.log(`   🔁 ${duplicate._id.organizationId}: ${duplicate._id.invoiceNumber} → ${newNumber}`);
+    }
+  }
+
+  return renumbered;
+}
+
+async function seedCounters(organization) {
+  const numbering = organization.settings?.invoiceNumbering || {};
+  const invoices = await Invoice.find({ organizationId: organization.organizationId })
+    .select('invoiceNumber')
+    .lean();
+
+  // Highest sequence per reset period
+  const maxByPeriod = await Counter.seedFromNumbers(
+    organization.organizationId,
+    'invoice',
+    numbering,
+    invoices.map(invoice => invoice.invoiceNumber)
+  );
+  Object.entries(maxByPeriod).forEach(([period, seq]) => {
+    console.log(`   🔢 ${organization.organizationId} [${period}] counter → ${seq}`);
+  });
+
+  return invoices.length;
+}
+
+async function migrateInvoiceNumbering() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+    console.log('🚀 Starting invoice numbering migration...\n');
+
+    // Step 1: Drop global unique index
+    await dropOldIndexes();
+
+    // Step 2: Resolve duplicates within each organization
+    const renumbered = await fixDuplicateNumbers();
+    console.log(`\n📊 Renumbered ${renumbered} duplicate invoice numbers`);
+
+    // Step 3: Seed counters - before any number is issued from them
+    console.log('\n🔢 Seeding invoice counters...');
+    const organizations = await Organization.find();
+    for (const organization of organizations) {
+      await seedCounters(organization);
+    }
+
+    // Step 4: Number invoices that never had one
+    const unnumbered = await Invoice.find({
+      status: { $ne: 'Draft' },
+      $or: [
+        { invoiceNumber: { $exists: false } },
+        { invoiceNumber: null },
+        { invoiceNumber: '' }
+      ]
+    }).select('_id organizationId invoiceDate').lean();
+
+    for (const invoice of unnumbered) {
+      const invoiceNumber = await Invoice.generateInvoiceNumber(invoice.organizationId, invoice.invoiceDate);
+      await Invoice.updateOne({ _id: invoice._id }, { $set: { invoiceNumber } }, { timestamps: false });
+    }
+    console.log(`\n📊 Issued numbers for ${unnumbered.length} unnumbered invoices`);
+
+    // Step 5: Create per-organization unique index (+ counter index)
+    // createIndexes, not syncIndexes - indexes added outside the schema stay in place
+    await Invoice.createIndexes();
+    await Counter.createIndexes();
+    console.log('✅ Indexes created: { organizationId, invoiceNumber } is now unique per organization');
+
+    console.log('\n✅ Invoice numbering migration completed successfully');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrateInvoiceNumbering();
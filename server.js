@@ -14,12 +14,24 @@ const demoRoutes = require('./routes/demoRoutes')
 const paymentRoutes = require('./routes/paymentRoutes');
 const rmaRoutes = require('./routes/rma.routes');
 const organizationRoutes = require('./routes/organizationRoutes');
+const invoiceTemplateRoutes = require('./routes/invoiceTemplateRoutes');
+const recurringInvoiceRoutes = require('./routes/recurringInvoiceRoutes');
+const creditNoteRoutes = require('./routes/creditNoteRoutes');
+const customerRoutes = require('./routes/customerRoutes');
+const accountingRoutes = require('./routes/accountingRoutes');
+const taxRateRoutes = require('./routes/taxRateRoutes');
+const registerRoutes = require('./routes/registerRoutes');
+const shiftRoutes = require('./routes/shiftRoutes');
+const idScanRoutes = require('./routes/idScanRoutes');
+const loyaltyRoutes = require('./routes/loyaltyRoutes');
+const promotionRoutes = require('./routes/promotionRoutes');
 
 // NEW: Multi-tenancy route imports ⬇️⬇️⬇️
 const newAuthRoutes = require('./routes/auth.routes');
 const teamRoutes = require('./routes/team.routes');
 
 const { protect, requireAccess } = require('./middlewares/authMiddleware')
+const { startInvoiceScheduler } = require('./services/invoiceScheduler');
 
 
 const app = express();
@@ -64,6 +76,11 @@ app.use((req, res, next) => {
 //connect database
 connectDB();
 
+// Background invoice jobs (recurring invoices, overdue detection, dunning reminders)
+if (process.env.DISABLE_SCHEDULER !== 'true') {
+    startInvoiceScheduler();
+}
+
 // middleware
 app.use(express.json());
 console.log('Mongo URI:', process.env.MONGO_URI);
@@ -78,6 +95,17 @@ app.use('/api', demoRoutes)
 app.use('/api/payment', paymentRoutes);
 app.use('/api/rma', rmaRoutes);
 app.use('/api/organization', organizationRoutes);
+app.use('/api/invoice-templates', invoiceTemplateRoutes);
+app.use('/api/recurring-invoices', recurringInvoiceRoutes);
+app.use('/api/credit-notes', creditNoteRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/accounting', accountingRoutes);
+app.use('/api/tax-rates', taxRateRoutes);
+app.use('/api/registers', registerRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/id-scans', idScanRoutes);
+app.use('/api/loyalty', loyaltyRoutes);
+app.use('/api/promotions', promotionRoutes);
 
 // NEW: Multi-tenancy routes ⬇️⬇️⬇️
 app.use('/api/auth-new', newAuthRoutes);  // New auth endpoints (register, login with org)
@@ -0,0 +1,208 @@
+// backend/services/agingReportService.js
+// Accounts receivable aging - unpaid balances bucketed by days past due (org local days)
+
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', minDays: -Infinity, maxDays: 0 },
+  { key: 'days1to30', label: '1-30', minDays: 1, maxDays: 30 },
+  { key: 'days31to60', label: '31-60', minDays: 31, maxDays: 60 },
+  { key: 'days61to90', label: '61-90', minDays: 61, maxDays: 90 },
+  { key: 'over90', label: '90+', minDays: 91, maxDays: Infinity }
+];
+
+// Statuses that can still carry a balance
+const OPEN_STATUSES = ['Pending', 'Partially Paid', 'Overdue'];
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+const emptyBuckets = () => AGING_BUCKETS.reduce((buckets, bucket) => {
+  buckets[bucket.key] = 0;
+  return buckets;
+}, { total: 0 });
+
+const getBucket = (daysPastDue) => AGING_BUCKETS.find(bucket => daysPastDue >= bucket.minDays && daysPastDue <= bucket.maxDays);
+
+// Older invoices (before the payments ledger) may not have balanceDue stored
+const getOpenBalance = (invoice) => {
+  if (invoice.balanceDue !== undefined && invoice.balanceDue !== null) {
+    return invoice.balanceDue;
+  }
+  return Math.max(0, roundCurrency((invoice.total || 0) - (invoice.amountPaid || 0) - (invoice.creditTotal || 0)));
+};
+
+// Balance as it stood at the end of asOf - payments posted by then (and not yet reversed),
+// credit notes issued by then (and not yet voided)
+const getBalanceAsOf = (invoice, credits, asOfEnd) => {
+  const payments = invoice.payments || [];
+  const paid = payments.length > 0
+    ? payments
+      .filter(payment => new Date(payment.paymentDate) <= asOfEnd)
+      .filter(payment => payment.status === 'posted' || (payment.reversedAt && new Date(payment.reversedAt) > asOfEnd))
+      .reduce((sum, payment) => sum + payment.amount, 0)
+    // Older invoices (before the payments ledger) only know when they were paid off
+    : (!invoice.paidDate || new Date(invoice.paidDate) <= asOfEnd ? invoice.amountPaid || 0 : 0);
+  const credited = credits.reduce((sum, creditNote) => sum + creditNote.amount, 0);
+  return Math.max(0, roundCurrency((invoice.total || 0) - paid - credited));
+};
+
+/**
+ * Build the aging report
+ * @param {object} organization - Organization document (timezone)
+ * @param {string} [options.asOf] - Local date key "YYYY-MM-DD" to age against (default: today) - a past
+ *   date rebuilds each balance from the payments and credit notes dated on or before it
+ * @param {string} [options.customerType] - retail | medical | wholesale
+ * @param {string} [options.customerId]
+ */
+const buildAgingReport = async (organization, options = {}) => {
+  const asOfKey = options.asOf || organization.getLocalDateKey();
+  const asOfEnd = organization.getLocalDayRange(asOfKey).end;
+  const historical = asOfKey < organization.getLocalDateKey();
+
+  const filter = {
+    organizationId: organization.organizationId,
+    // In the past, invoices paid off since, or voided / cancelled since, were still open
+    ...(historical
+      ? {
+        $or: [
+          { status: { $in: [...OPEN_STATUSES, 'Paid'] } },
+          { status: { $in: ['Void', 'Cancelled'] }, voidedAt: { $gt: asOfEnd } }
+        ]
+      }
+      : { status: { $in: OPEN_STATUSES } }),
+    invoiceDate: { $lte: asOfEnd }
+  };
+  if (options.customerType) filter['billTo.customerType'] = options.customerType;
+  if (options.customerId) filter.customerId = options.customerId;
+
+  const invoices = await Invoice.find(filter)
+    .select(`invoiceNumber invoiceDate dueDate status total amountPaid creditTotal balanceDue customerId billTo${historical ? ' payments paidDate' : ''}`)
+    .sort({ dueDate: 1 })
+    .lean();
+
+  const creditsByInvoice = new Map();
+  if (historical && invoices.length > 0) {
+    const creditNotes = await CreditNote.find({
+      organizationId: organization.organizationId,
+      invoiceId: { $in: invoices.map(invoice => invoice._id) },
+      issuedDate: { $lte: asOfEnd },
+      $or: [{ status: 'issued' }, { voidedAt: { $gt: asOfEnd } }]
+    }).select('invoiceId amount').lean();
+    creditNotes.forEach(creditNote => {
+      const key = String(creditNote.invoiceId);
+      creditsByInvoice.set(key, [...(creditsByInvoice.get(key) || []), creditNote]);
+    });
+  }
+
+  const totals = emptyBuckets();
+  const customers = new Map();
+  const rows = [];
+
+  invoices.forEach(invoice => {
+    const balance = historical
+      ? getBalanceAsOf(invoice, creditsByInvoice.get(String(invoice._id)) || [], asOfEnd)
+      : getOpenBalance(invoice);
+    if (balance <= 0) return;
+
+    // No due date = due on receipt
+    const dueDate = invoice.dueDate || invoice.invoiceDate;
+    const daysPastDue = organization.getLocalDaysBetween(dueDate, asOfEnd);
+    const bucket = getBucket(daysPastDue);
+
+    const customerKey = invoice.customerId
+      ? String(invoice.customerId)
+      : `name:${(invoice.billTo?.clientName || 'Unknown').trim().toLowerCase()}`;
+
+    if (!customers.has(customerKey)) {
+      customers.set(customerKey, {
+        customerId: invoice.customerId || null,
+        customerName: invoice.billTo?.clientName || 'Unknown',
+        customerType: invoice.billTo?.customerType,
+        email: invoice.billTo?.email,
+        invoiceCount: 0,
+        oldestDaysPastDue: daysPastDue,
+        ...emptyBuckets()
+      });
+    }
+
+    const customer = customers.get(customerKey);
+    customer[bucket.key] += balance;
+    customer.total += balance;
+    customer.invoiceCount += 1;
+    customer.oldestDaysPastDue = Math.max(customer.oldestDaysPastDue, daysPastDue);
+
+    totals[bucket.key] += balance;
+    totals.total += balance;
+
+    rows.push({
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      customerName: customer.customerName,
+      invoiceDate: organization.getLocalDateKey(invoice.invoiceDate),
+      dueDate: organization.getLocalDateKey(dueDate),
+      daysPastDue: Math.max(0, daysPastDue),
+      bucket: bucket.key,
+      balanceDue: roundCurrency(balance)
+    });
+  });
+
+  const roundBuckets = (entry) => {
+    ['total', ...AGING_BUCKETS.map(bucket => bucket.key)].forEach(key => {
+      entry[key] = roundCurrency(entry[key]);
+    });
+    return entry;
+  };
+
+  return {
+    asOf: asOfKey,
+    timezone: organization.timezone,
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    totals: roundBuckets(totals),
+    // Largest / oldest balances first - who to chase
+    customers: [...customers.values()]
+      .map(roundBuckets)
+      .sort((a, b) => b.over90 - a.over90 || b.total - a.total),
+    invoices: rows
+  };
+};
+
+const csvValue = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Don't let customer-entered text run as a spreadsheet formula
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Per-customer aging as CSV (one row per customer + totals row)
+ */
+const agingReportToCsv = (report) => {
+  const header = ['Customer', 'Customer Type', 'Email', 'Invoices', ...AGING_BUCKETS.map(bucket => bucket.label), 'Total'];
+
+  const lines = report.customers.map(customer => [
+    customer.customerName,
+    customer.customerType,
+    customer.email,
+    customer.invoiceCount,
+    ...AGING_BUCKETS.map(bucket => customer[bucket.key].toFixed(2)),
+    customer.total.toFixed(2)
+  ]);
+
+  lines.push([
+    `Total (as of ${report.asOf})`,
+    '',
+    '',
+    report.invoices.length,
+    ...AGING_BUCKETS.map(bucket => report.totals[bucket.key].toFixed(2)),
+    report.totals.total.toFixed(2)
+  ]);
+
+  return [header, ...lines].map(line => line.map(csvValue).join(',')).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  AGING_BUCKETS,
+  buildAgingReport,
+  agingReportToCsv
+};
@@ -0,0 +1,508 @@
+// backend/services/checkoutService.js
+// POS checkout - validates a sale from the register, totals it on the server, takes the stock
+// and loyalty points and saves the Transaction.
+//
+// Live checkout (POST /api/transactions) refuses anything that doesn't hold up. Offline sales
+// (POST /api/transactions/sync) were rung up while the register couldn't reach the server and
+// the customer has already left with the goods - they keep their original time and prices, and
+// whatever no longer holds (stock, shift, limits, ...) is recorded in transaction.sync.conflicts.
+
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const Product = require('../models/Product');
+const Customer = require('../models/Customer');
+const { computePosTotals, compareTotals, PosTotalsError } = require('./posTotalsService');
+const { reserveStock, consumeStock, releaseStock, InsufficientStockError } = require('./inventoryService');
+const { findRegisterShift, findShiftAt, getShiftCompliance } = require('./shiftService');
+const { checkPurchaseLimits } = require('./purchaseLimitService');
+const { getMedicalExemption } = require('./taxService');
+const { verifyIdScan, toLicenseInfo, maskNumber, requiresIdVerification, IdScanError } = require('./idScanService');
+const { fromLegacyPayment, summarizePaymentMethod, TenderError } = require('./tenderService');
+const {
+  getLoyaltySettings,
+  getRedemptionPoints,
+  calculateEarnedPoints,
+  postPoints,
+  releasePoints,
+  LoyaltyError
+} = require('./loyaltyService');
+
+// Offline sales dated further ahead than this (register clock drift) are refused
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Error for a sale that can't be checked out - status is the HTTP status the route answers with
+ */
+class CheckoutError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * When an offline sale was made (createdAt, or the receipt timestamp)
+ */
+const getOfflineSaleTime = (body) => {
+  const value = body.createdAt || body.receiptData?.timestamp;
+  if (!value) {
+    throw new CheckoutError('createdAt (time of sale) is required for offline transactions');
+  }
+
+  const soldAt = new Date(value);
+  if (Number.isNaN(soldAt.getTime())) {
+    throw new CheckoutError(`Invalid createdAt: ${value}`);
+  }
+  if (soldAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    throw new CheckoutError(`createdAt is in the future: ${soldAt.toISOString()} - check the register clock`);
+  }
+  return soldAt;
+};
+
+/**
+ * Look up the cart's products (this organization's only) and check the quantities
+ * @param {Array} items - register lines [{ id, name, quantity, pricingOption, ... }]
+ * @returns {Promise<Array>} [{ item, product, pricingOption, quantity }]
+ * @throws {CheckoutError}
+ */
+const loadSaleLines = async (organizationId, items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new CheckoutError('At least one item is required');
+  }
+
+  // Convert item product IDs to ObjectIds and validate products exist
+  const saleLines = [];
+  for (let item of items) {
+    if (!mongoose.Types.ObjectId.isValid(item?.id)) {
+      throw new CheckoutError(`Invalid product id for ${item?.name || 'item'}: ${item?.id}`);
+    }
+
+    console.log('🔍 Looking for product:', {
+      id: item.id,
+      name: item.name,
+      organizationId
+    });
+
+    // CRITICAL: Only find products from this organization
+    const product = await Product.findOne({
+      _id: item.id,
+      organizationId
+    });
+
+    console.log('🔍 Product found:', product ? 'YES' : 'NO');
+
+    if (!product) {
+      // ✅ Check if product exists at all (without org filter)
+      const anyProduct = await Product.findById(item.id);
+      console.log('🔍 Product exists in any org:', anyProduct ? 'YES' : 'NO');
+      if (anyProduct) {
+        console.log('🔍 Product belongs to org:', anyProduct.organizationId);
+      }
+
+      throw new CheckoutError(`Product not found: ${item.name}`, 404);
+    }
+
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      throw new CheckoutError(`Invalid quantity for ${product.name}: ${item.quantity}`);
+    }
+
+    saleLines.push({ item, product, pricingOption: item.pricingOption, quantity: item.quantity });
+  }
+
+  return saleLines;
+};
+
+/**
+ * Check out a sale
+ * @param {object} organization - Organization document (req.organization)
+ * @param {object} body - checkout request (see POST /api/transactions)
+ * @param {string} options.userId - employee ringing up the sale
+ * @param {boolean} [options.offline] - sale made while the register was offline (body.createdAt is the time of sale)
+ * @returns {Promise<object>} { transaction, purchaseLimits, verification, conflicts }
+ * @throws {CheckoutError}
+ */
+const processCheckout = async (organization, body, { userId, offline = false } = {}) => {
+  const {
+    transactionId,
+    items,
+    totals,
+    discount,
+    payments,
+    paymentMethod,
+    cashReceived,
+    customerId,
+    customerInfo,
+    receiptData,
+    registerId,
+    idScan
+  } = body;
+  const organizationId = organization.organizationId;
+
+  // Offline: what no longer held when the sale arrived
+  const conflicts = [];
+  const flag = (type, message, extra = {}) => {
+    conflicts.push({ type, message, ...extra });
+    console.warn(`⚠️ Offline sale ${transactionId} - ${type}: ${message}`);
+  };
+
+  const soldAt = offline ? getOfflineSaleTime(body) : new Date();
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new CheckoutError('At least one item is required');
+  }
+
+  // Sales are rung up on a register with an open shift (drawer reconciliation)
+  if (!registerId) {
+    throw new CheckoutError('registerId is required');
+  }
+  const { register, shift } = offline
+    ? await findShiftAt(organizationId, registerId, soldAt)
+    : await findRegisterShift(organizationId, registerId);
+  if (!register) {
+    throw new CheckoutError(`Register not found: ${registerId}`);
+  }
+  if (!shift) {
+    if (!offline) {
+      throw new CheckoutError(`Register ${register.code} has no open shift - open a shift before checkout`, 409);
+    }
+    flag('no_shift', `No shift was open on register ${register.code} at ${soldAt.toISOString()}`);
+  } else if (shift.status !== 'open') {
+    flag('shift_closed', `Shift ${shift._id} on register ${register.code} was closed before this sale synced - its Z report doesn't include it`, {
+      details: { shiftId: shift._id, closedAt: shift.closedAt }
+    });
+  }
+
+  // Linked customer decides retail / medical / wholesale tax treatment
+  let customer = null;
+  if (customerId) {
+    // A malformed id is treated like an unknown customer
+    customer = mongoose.Types.ObjectId.isValid(customerId)
+      ? await Customer.findOne({ _id: customerId, organizationId })
+      : null;
+    if (!customer) {
+      if (!offline) throw new CheckoutError('Customer not found');
+      flag('customer_not_found', `Customer not found: ${customerId} - sold as a walk-in`);
+    }
+  } else if (customerInfo?.loyaltyNumber) {
+    // Loyalty card scanned without picking the customer
+    customer = await Customer.findOne({
+      organizationId,
+      loyaltyNumber: String(customerInfo.loyaltyNumber).trim(),
+      isActive: true
+    });
+    if (!customer) {
+      console.warn('⚠️ Unknown loyalty number at checkout:', customerInfo.loyaltyNumber);
+    }
+  }
+
+  const saleLines = await loadSaleLines(organizationId, items);
+
+  // ========== ID VERIFICATION (raw scan checked here - only the result is stored) ==========
+  // Offline sales are judged on the day they were made
+  let licenseInfo = null;
+  if (idScan) {
+    try {
+      licenseInfo = toLicenseInfo(verifyIdScan(organization, idScan, {
+        medical: getMedicalExemption(customer).eligible,
+        verifiedBy: userId,
+        asOf: offline ? soldAt : undefined
+      }));
+    } catch (error) {
+      if (!(error instanceof IdScanError)) throw error;
+      if (!offline) throw new CheckoutError(error.message);
+      flag('id_not_verified', `ID scan could not be read: ${error.message}`);
+    }
+  }
+
+  if (saleLines.some(({ product }) => requiresIdVerification(product.category))) {
+    if (!licenseInfo) {
+      if (!offline) throw new CheckoutError('ID scan required - cart contains cannabis products');
+      if (!conflicts.some(conflict => conflict.type === 'id_not_verified')) {
+        flag('id_not_verified', 'No ID scan - cart contains cannabis products');
+      }
+    } else if (licenseInfo.verification.status !== 'passed') {
+      // Reasons go back to the register, not the log - they carry the customer's age and ID details
+      console.warn('⚠️ ID verification failed:', transactionId, licenseInfo.state || '??', maskNumber(licenseInfo.number) || '(no number)');
+      if (!offline) {
+        throw new CheckoutError(`ID verification failed: ${licenseInfo.verification.reasons.join('; ')}`, 422, {
+          verification: licenseInfo.verification
+        });
+      }
+      flag('id_not_verified', `ID verification failed: ${licenseInfo.verification.reasons.join('; ')}`, {
+        details: { verification: licenseInfo.verification }
+      });
+    }
+  }
+
+  // ========== SERVER TOTALS (prices, discount, tax, tenders / change) ==========
+  // Offline sales were paid at the register's price and the tax rates of the day
+  let computed;
+  try {
+    computed = await computePosTotals(organization, saleLines, {
+      discount,
+      payments: Array.isArray(payments) && payments.length > 0
+        ? payments
+        : fromLegacyPayment({ paymentMethod, cashReceived, creditApplied: totals?.creditApplied }),
+      customer,
+      clientTaxes: totals,
+      age: licenseInfo?.verification?.age,
+      date: soldAt,
+      registerPrices: offline
+    });
+  } catch (error) {
+    if (error instanceof PosTotalsError || error instanceof TenderError) {
+      throw new CheckoutError(error.message, 400, error.details);
+    }
+    throw error;
+  }
+
+  computed.lines.forEach((line, index) => {
+    if (line.catalogPrice === undefined) return;
+    const { product } = saleLines[index];
+    flag('price_changed', `${product.name} sold at $${line.unitPrice.toFixed(2)} - catalog price is $${line.catalogPrice.toFixed(2)}`, {
+      productId: product._id,
+      details: { soldPrice: line.unitPrice, catalogPrice: line.catalogPrice }
+    });
+  });
+
+  // Points spent on 'loyalty' tenders (balance is taken when the sale is saved)
+  let redemptionPoints;
+  try {
+    redemptionPoints = getRedemptionPoints(organization, computed.payments, customer);
+  } catch (error) {
+    if (!(error instanceof LoyaltyError)) throw error;
+    // An offline redemption under today's rules still spent the points it was rung up with
+    const loyaltyPayments = computed.payments.filter(payment => payment.tender === 'loyalty');
+    if (!offline || !customer || loyaltyPayments.some(payment => !Number.isInteger(payment.points))) {
+      throw new CheckoutError(error.message, 400, error.details);
+    }
+    redemptionPoints = loyaltyPayments.reduce((sum, payment) => sum + payment.points, 0);
+    flag('loyalty_redemption', error.message, { details: error.details });
+  }
+
+  const posSettings = organization.settings?.pos || {};
+  const tolerance = posSettings.totalsTolerance ?? 0.01;
+  const verification = compareTotals(totals, computed.totals, tolerance);
+
+  if (verification.status === 'mismatch') {
+    console.warn('⚠️ POS totals mismatch:', transactionId, verification.mismatches);
+
+    if (offline) {
+      flag('totals_mismatch', 'Register totals do not match the server calculation', {
+        details: { mismatches: verification.mismatches }
+      });
+    } else if ((posSettings.totalsMismatchPolicy || 'reject') === 'reject') {
+      throw new CheckoutError('Register totals do not match the server calculation', 422, {
+        mismatches: verification.mismatches,
+        serverTotals: computed.totals
+      });
+    }
+  }
+
+  // ========== DAILY PURCHASE LIMITS ==========
+  const limitEnforcement = organization.settings?.purchaseLimits?.enforcement || 'block';
+  let purchaseLimits = null;
+  if (limitEnforcement !== 'off') {
+    purchaseLimits = await checkPurchaseLimits(
+      organization,
+      saleLines.map(({ product, quantity }, index) => ({
+        category: product.category,
+        subcategory: product.subcategory,
+        pricingOption: computed.lines[index].pricingOption,
+        quantity
+      })),
+      {
+        licenseNumber: licenseInfo?.number || customerInfo?.license?.number || customer?.idDocument?.number,
+        medical: getMedicalExemption(customer).eligible,
+        excludeTransactionId: transactionId,
+        asOf: soldAt
+      }
+    );
+
+    if (purchaseLimits?.status === 'exceeded') {
+      console.warn('⚠️ Purchase limit exceeded:', transactionId, purchaseLimits.message);
+
+      if (offline) {
+        flag('purchase_limit_exceeded', purchaseLimits.message, {
+          details: { buckets: purchaseLimits.buckets.filter(bucket => bucket.exceeded) }
+        });
+      } else if (limitEnforcement === 'block') {
+        throw new CheckoutError(purchaseLimits.message, 422, { purchaseLimits });
+      }
+    }
+  }
+
+  // ========== INVENTORY ==========
+  // Live: all-or-nothing reservation. Offline: the goods are gone - take what's there, record the shortfall
+  const stockLines = saleLines.map(({ product, quantity }) => ({
+    productId: product._id,
+    quantity,
+    name: product.name
+  }));
+  let reservations;
+  if (offline) {
+    const consumed = await consumeStock(organizationId, stockLines);
+    reservations = consumed.reservations;
+    consumed.shortages.forEach(shortage => {
+      flag('oversold', `Oversold ${shortage.name}: ${shortage.requested} sold, ${shortage.available} in stock`, {
+        productId: shortage.productId,
+        details: { available: shortage.available, requested: shortage.requested }
+      });
+    });
+  } else {
+    try {
+      reservations = await reserveStock(organizationId, stockLines);
+    } catch (error) {
+      if (error instanceof InsufficientStockError) {
+        throw new CheckoutError(error.message, 400, {
+          productId: error.productId,
+          available: error.available,
+          requested: error.requested
+        });
+      }
+      throw error;
+    }
+  }
+
+  const transactionItems = saleLines.map(({ item, product, quantity }, index) => ({
+    productId: product._id,
+    name: item.name,
+    sku: item.sku,
+    category: product.category,
+    subcategory: product.subcategory || item.subcategory,
+    pricingOption: computed.lines[index].pricingOption,
+    quantity,
+    cannabis: item.cannabis || {},
+    discountAmount: computed.lines[index].discountAmount,
+    promotions: computed.lines[index].promotions,
+    taxAmount: computed.lines[index].taxAmount,
+    taxDetails: computed.lines[index].taxDetails
+  }));
+
+  const transaction = new Transaction({
+    organizationId,
+    transactionId,
+    businessDay: organization.getLocalDateKey(soldAt),
+    items: transactionItems,
+    totals: computed.totals,
+    clientTotals: totals,
+    totalsVerification: {
+      ...verification,
+      checkedAt: new Date()
+    },
+    taxCalculation: computed.taxCalculation,
+    purchaseLimits: purchaseLimits && { ...purchaseLimits, enforcement: limitEnforcement },
+    promotions: computed.promotions.map(({ promotionId, name, type, amount }) => ({ promotionId, name, type, amount })),
+    discount,
+    paymentMethod: summarizePaymentMethod(computed.payments),
+    payments: computed.payments,
+    cashReceived: computed.cashReceived,
+    customerId: customer?._id,
+    // A verification result only ever comes from a scan checked on the server
+    customerInfo: customerInfo || licenseInfo
+      ? {
+        ...customerInfo,
+        license: licenseInfo || (customerInfo?.license && {
+          number: customerInfo.license.number,
+          state: customerInfo.license.state,
+          expirationDate: customerInfo.license.expirationDate
+        })
+      }
+      : undefined,
+    receiptData,
+    compliance: {
+      employeeId: userId,
+      ...(shift ? getShiftCompliance(register, shift) : { registerId: register.code })
+    },
+    createdBy: userId
+  });
+
+  if (offline) {
+    transaction.createdAt = soldAt;
+    transaction.processedAt = soldAt;
+  }
+
+  // ========== LOYALTY POINTS ==========
+  const loyaltySettings = getLoyaltySettings(organization);
+  const earned = loyaltySettings.enabled && customer
+    ? calculateEarnedPoints(organization, transaction, customer)
+    : null;
+  if (earned || redemptionPoints > 0) {
+    transaction.loyalty = {
+      customerId: customer._id,
+      pointsEarned: earned?.points || 0,
+      pointsRedeemed: redemptionPoints,
+      tier: earned?.tier || undefined,
+      lines: (earned?.lines || []).map(({ itemId, points }) => ({ itemId, points }))
+    };
+  }
+
+  // Offline redemptions were already honoured at the register - the balance may go below 0
+  let redemption = null;
+  if (redemptionPoints > 0) {
+    try {
+      redemption = await postPoints(organization, customer._id, {
+        type: 'redeem',
+        points: -redemptionPoints,
+        transactionId: transaction._id,
+        description: `Redeemed on ${transactionId}`,
+        userId
+      }, { requireBalance: !offline });
+    } catch (error) {
+      await releaseStock(organizationId, reservations);
+      if (error instanceof LoyaltyError) {
+        throw new CheckoutError(error.message, 400, error.details);
+      }
+      throw error;
+    }
+
+    if (redemption.balanceAfter < 0) {
+      flag('loyalty_redemption', `Redeemed ${redemptionPoints} points - balance is now ${redemption.balanceAfter}`, {
+        details: { pointsRedeemed: redemptionPoints, balanceAfter: redemption.balanceAfter }
+      });
+    }
+  }
+
+  if (offline) {
+    transaction.sync = {
+      source: 'offline',
+      syncedAt: new Date(),
+      status: conflicts.length > 0 ? 'conflict' : 'clean',
+      conflicts
+    };
+  }
+
+  try {
+    await transaction.save();
+  } catch (error) {
+    // Sale didn't happen - put the stock (and any points spent) back
+    await releaseStock(organizationId, reservations);
+    if (redemption) await releasePoints(redemption);
+    throw error;
+  }
+
+  if (earned?.points > 0) {
+    try {
+      await postPoints(organization, customer._id, {
+        type: 'earn',
+        points: earned.points,
+        transactionId: transaction._id,
+        description: `Earned on ${transactionId}`,
+        details: earned,
+        userId
+      });
+    } catch (error) {
+      console.error(`❌ Sale ${transactionId} saved but its ${earned.points} loyalty points were not awarded - add them manually:`, error);
+    }
+  }
+
+  return { transaction, purchaseLimits, verification, conflicts };
+};
+
+module.exports = {
+  CheckoutError,
+  loadSaleLines,
+  processCheckout
+};
@@ -0,0 +1,229 @@
+// backend/services/dunningService.js
+// Overdue detection and dunning reminder emails for invoices (run by invoiceScheduler)
+
+const Invoice = require('../models/Invoice');
+const { sendEmail, escapeHtml } = require('./emailService');
+const { renderInvoicePdf } = require('./invoicePdfService');
+
+// Statuses that become Overdue once the due date has passed
+const OPEN_STATUSES = ['Pending', 'Partially Paid'];
+
+// Failed sends for a dunning step are retried on later runs, up to this many attempts
+const MAX_ATTEMPTS_PER_STEP = 3;
+
+/**
+ * Mark open invoices as Overdue once their due date (org local day) has passed
+ * @returns {Promise<number>} number of invoices marked Overdue
+ */
+const markOverdueInvoices = async (organization, now = new Date()) => {
+  const candidates = await Invoice.find({
+    organizationId: organization.organizationId,
+    status: { $in: OPEN_STATUSES },
+    dueDate: { $lt: now }
+  });
+
+  let marked = 0;
+
+  for (const invoice of candidates) {
+    // Due date is inclusive - an invoice due today (local) is not overdue yet
+    if (organization.getLocalDaysBetween(invoice.dueDate, now) < 1) continue;
+    if (invoice.recalculateBalance() <= 0) continue;
+
+    // Only flip if nothing changed the status since we read it (e.g. a payment)
+    const result = await Invoice.updateOne(
+      { _id: invoice._id, status: invoice.status },
+      { $set: { status: 'Overdue', overdueAt: now } }
+    );
+
+    if (result.modifiedCount > 0) {
+      marked += 1;
+      console.log('⏰ Invoice marked Overdue:', invoice.invoiceNumber);
+    }
+  }
+
+  return marked;
+};
+
+/**
+ * Build reminder subject/body - AI text when enabled, standard template otherwise
+ */
+const buildReminderContent = async (invoice, organization, daysOverdue) => {
+  const fromName = invoice.billFrom?.businessName || organization.companyName;
+  const defaultSubject = `Reminder: Invoice ${invoice.invoiceNumber} is ${daysOverdue} day${daysOverdue === 1 ? '' : 's'} past due`;
+
+  if (organization.settings?.dunning?.useAiText) {
+    try {
+      // Lazy require - the AI client is only needed when the org opts in
+      const { composeReminderEmail } = require('../controllers/aiController');
+      const aiText = await composeReminderEmail(invoice);
+      const subjectMatch = aiText.match(/^\s*Subject:\s*(.+)$/mi);
+      const body = aiText.replace(/^\s*Subject:.*$/mi, '').trim();
+
+      return {
+        subject: subjectMatch ? subjectMatch[1].trim() : defaultSubject,
+        text: body,
+        html: `<div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; white-space: pre-line;">${escapeHtml(body)}</div>`,
+        aiGenerated: true
+      };
+    } catch (error) {
+      console.warn('⚠️ Dunning: AI reminder text failed, using template:', error.message);
+    }
+  }
+
+  const currency = organization.settings?.currency || 'USD';
+  const amountDue = new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(invoice.balanceDue);
+  const dueDate = organization.formatLocalDate(invoice.dueDate);
+
+  const text = [
+    `Hi ${invoice.billTo?.clientName || 'there'},`,
+    '',
+    `This is a friendly reminder that invoice ${invoice.invoiceNumber} from ${fromName} was due on ${dueDate} and is now ${daysOverdue} day(s) past due.`,
+    `Balance due: ${amountDue}`,
+    '',
+    'A copy of the invoice is attached. If you have already sent payment, please disregard this message.',
+    '',
+    'Thank you,',
+    fromName
+  ].join('\n');
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #059669, #047857); color: white; padding: 20px; border-radius: 8px 8px 0 0; }
+        .content { background: #fff; padding: 30px; border: 1px solid #e5e5e5; }
+        .info-box { background: #f8f9fa; padding: 15px; border-radius: 6px; margin: 20px 0; border-left: 4px solid #059669; }
+        .footer { background: #f8f9fa; padding: 15px; border-radius: 0 0 8px 8px; text-align: center; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h2>Payment Reminder</h2>
+        </div>
+        <div class="content">
+            <p>Hi ${escapeHtml(invoice.billTo?.clientName || 'there')},</p>
+            <p>This is a friendly reminder that the invoice below is now <strong>${daysOverdue} day${daysOverdue === 1 ? '' : 's'} past due</strong>.</p>
+            <div class="info-box">
+                <p><strong>Invoice #:</strong> ${escapeHtml(invoice.invoiceNumber)}<br>
+                <strong>Due Date:</strong> ${escapeHtml(dueDate)}<br>
+                <strong>Balance Due:</strong> ${escapeHtml(amountDue)}</p>
+            </div>
+            <p>A copy of the invoice is attached. If you have already sent payment, please disregard this message.</p>
+            <p>Thank you,<br>${escapeHtml(fromName)}</p>
+        </div>
+        <div class="footer">
+            <p>Questions about this invoice? Just reply to this email.</p>
+        </div>
+    </div>
+</body>
+</html>`;
+
+  return { subject: defaultSubject, text, html, aiGenerated: false };
+};
+
+/**
+ * Email one reminder and return the log entry to store on the invoice
+ */
+const sendReminder = async (invoice, organization, scheduleDay, daysOverdue) => {
+  const recipient = invoice.billTo.email;
+  const entry = {
+    scheduleDay,
+    daysOverdue,
+    recipient,
+    sentAt: new Date()
+  };
+
+  try {
+    const content = await buildReminderContent(invoice, organization, daysOverdue);
+    entry.subject = content.subject;
+    entry.aiGenerated = content.aiGenerated;
+
+    const attachments = [];
+    try {
+      const pdf = await renderInvoicePdf(invoice, organization);
+      attachments.push({
+        filename: `invoice-${invoice.invoiceNumber}.pdf`,
+        content: pdf,
+        contentType: 'application/pdf'
+      });
+    } catch (error) {
+      console.warn('⚠️ Dunning: Could not attach invoice PDF:', error.message);
+    }
+
+    const info = await sendEmail({
+      to: recipient,
+      cc: organization.settings?.dunning?.ccEmail,
+      subject: content.subject,
+      html: content.html,
+      text: content.text,
+      attachments,
+      fromName: invoice.billFrom?.businessName || organization.companyName
+    });
+
+    entry.status = 'sent';
+    entry.messageId = info.messageId;
+    console.log('📧 Dunning reminder sent:', invoice.invoiceNumber, '→', recipient, `(day ${scheduleDay})`);
+  } catch (error) {
+    entry.status = 'failed';
+    entry.error = error.message;
+    console.error('❌ Dunning reminder failed:', invoice.invoiceNumber, error.message);
+  }
+
+  return entry;
+};
+
+/**
+ * Send the next due dunning reminder for each overdue invoice in an organization
+ * Only the latest reached step is sent (no burst of catch-up emails)
+ * @returns {Promise<number>} number of reminders sent
+ */
+const sendDueReminders = async (organization, now = new Date()) => {
+  const dunning = organization.settings?.dunning;
+  if (!dunning?.enabled) return 0;
+
+  const steps = (dunning.reminderDays || [])
+    .filter(day => day > 0)
+    .sort((a, b) => a - b);
+  if (steps.length === 0) return 0;
+
+  const invoices = await Invoice.find({
+    organizationId: organization.organizationId,
+    status: 'Overdue',
+    'billTo.email': { $exists: true, $ne: '' }
+  });
+
+  let sent = 0;
+
+  for (const invoice of invoices) {
+    if (invoice.recalculateBalance() <= 0) continue;
+
+    const daysOverdue = organization.getLocalDaysBetween(invoice.dueDate, now);
+    const step = steps.filter(day => day <= daysOverdue).pop();
+    if (step === undefined) continue;
+
+    const alreadySent = invoice.reminders.some(r => r.status === 'sent' && r.scheduleDay >= step);
+    if (alreadySent) continue;
+
+    const failedAttempts = invoice.reminders.filter(r => r.status === 'failed' && r.scheduleDay === step).length;
+    if (failedAttempts >= MAX_ATTEMPTS_PER_STEP) continue;
+
+    const entry = await sendReminder(invoice, organization, step, daysOverdue);
+
+    // $push directly - avoids re-running the invoice save hooks
+    await Invoice.updateOne({ _id: invoice._id }, { $push: { reminders: entry } });
+
+    if (entry.status === 'sent') sent += 1;
+  }
+
+  return sent;
+};
+
+module.exports = {
+  markOverdueInvoices,
+  sendDueReminders
+};
@@ -0,0 +1,52 @@
+// backend/services/emailService.js
+// Shared nodemailer transporter for system emails sent outside of a route (reminders, invoices, receipts)
+
+const nodemailer = require('nodemailer');
+
+// Email transporter
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: 587,
+  secure: false,
+  auth: {
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  }
+});
+
+/**
+ * Escape user-supplied values before placing them in an HTML template
+ */
+const escapeHtml = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Send an email through the shared transporter
+ * @returns {Promise<object>} nodemailer info (messageId, accepted, rejected)
+ */
+const sendEmail = async ({ to, cc, subject, html, text, attachments, fromName }) => {
+  const mailOptions = {
+    from: `"${fromName || 'Cannabis ERP'}" <${process.env.SMTP_USER}>`,
+    to,
+    cc: cc || undefined,
+    subject,
+    html,
+    text,
+    attachments
+  };
+
+  return await transporter.sendMail(mailOptions);
+};
+
+module.exports = {
+  transporter,
+  sendEmail,
+  escapeHtml
+};
@@ -0,0 +1,201 @@
+// backend/services/idScanService.js
+// Driver's license / state ID scans - parses the AAMVA PDF417 barcode string sent by
+// the register's scanner and checks age (21+, or 18+ for medical) and expiration
+
+// Product categories that need a verified ID at checkout (Product.category)
+const ID_REQUIRED_CATEGORIES = ['flower', 'edibles', 'concentrates', 'topicals'];
+
+const ADULT_MINIMUM_AGE = 21;
+const MEDICAL_MINIMUM_AGE = 18;
+
+// AAMVA data element IDs -> parsed field (older card versions use DAA / DAB / DCT for names)
+const ELEMENT_FIELDS = {
+  DAQ: 'licenseNumber',
+  DCS: 'lastName',
+  DAB: 'lastName',
+  DAC: 'firstName',
+  DCT: 'firstName',
+  DAD: 'middleName',
+  DAA: 'fullName',
+  DBB: 'dateOfBirth',
+  DBA: 'expirationDate',
+  DBD: 'issueDate',
+  DAJ: 'state',
+  DCG: 'country'
+};
+
+/**
+ * Error for scans that can't be read as an AAMVA barcode
+ */
+class IdScanError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IdScanError';
+  }
+}
+
+const isValidDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return year >= 1900 && year <= 2200 &&
+    date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+/**
+ * AAMVA date -> 'YYYY-MM-DD'. US cards use MMDDCCYY, Canadian cards CCYYMMDD.
+ */
+const parseAamvaDate = (value, country) => {
+  const digits = String(value || '').replace(/\D/g, '');
+  if (digits.length !== 8) return null;
+
+  const usFormat = [Number(digits.slice(4, 8)), Number(digits.slice(0, 2)), Number(digits.slice(2, 4))];
+  const isoFormat = [Number(digits.slice(0, 4)), Number(digits.slice(4, 6)), Number(digits.slice(6, 8))];
+  const candidates = country === 'CAN' ? [isoFormat, usFormat] : [usFormat, isoFormat];
+
+  const match = candidates.find(([year, month, day]) => isValidDate(year, month, day));
+  if (!match) return null;
+
+  const [year, month, day] = match;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+const toTitleCase = (value) => value
+  ? value.toLowerCase().replace(/(^|[\s'-])([a-z])/g, (_, separator, letter) => separator + letter.toUpperCase())
+  : value;
+
+/**
+ * Parse the raw PDF417 string
+ * @param {string} raw - scanner output ("@\n\x1e\rANSI 636014...DLDAQ...\nDCS...")
+ * @returns {object} { firstName, middleName, lastName, dateOfBirth, licenseNumber, state, country,
+ *                     expirationDate, issueDate, issuerId, aamvaVersion } (dates as 'YYYY-MM-DD')
+ */
+const parseAamva = (raw) => {
+  const text = String(raw || '');
+  const header = text.match(/(ANSI|AAMVA)\s?(\d{6})(\d{2})/);
+  if (!header) {
+    throw new IdScanError('Not an AAMVA ID barcode - scan the PDF417 barcode on the back of the ID');
+  }
+
+  const elements = {};
+  text.split(/[\n\r\x1e\x1d]+/).forEach(segment => {
+    // The first element shares a line with the header / subfile designator ("...DLDAQD1234567")
+    const headerMatch = segment.match(/(?:ANSI|AAMVA)[\s\S]*?(?:DL|ID)(D[A-Z]{2}[\s\S]*)$/);
+    const line = (headerMatch ? headerMatch[1] : segment).trim();
+    const element = line.match(/^(D[A-Z]{2})(.*)$/);
+    if (element && ELEMENT_FIELDS[element[1]] && elements[ELEMENT_FIELDS[element[1]]] === undefined) {
+      elements[ELEMENT_FIELDS[element[1]]] = element[2].trim();
+    }
+  });
+
+  // Version 1 cards: DAA "LAST,FIRST,MIDDLE"
+  if (elements.fullName && (!elements.lastName || !elements.firstName)) {
+    const [last, first, middle] = elements.fullName.split(/[,$]/).map(part => part.trim());
+    elements.lastName = elements.lastName || last;
+    elements.firstName = elements.firstName || first;
+    elements.middleName = elements.middleName || middle;
+  }
+
+  const country = (elements.country || '').toUpperCase() || null;
+  const clean = (value) => value && !['NONE', 'UNAVL'].includes(value.toUpperCase()) ? value : null;
+
+  return {
+    firstName: toTitleCase(clean(elements.firstName)),
+    middleName: toTitleCase(clean(elements.middleName)),
+    lastName: toTitleCase(clean(elements.lastName)),
+    dateOfBirth: parseAamvaDate(elements.dateOfBirth, country),
+    licenseNumber: clean(elements.licenseNumber),
+    state: elements.state ? elements.state.toUpperCase() : null,
+    country,
+    expirationDate: parseAamvaDate(elements.expirationDate, country),
+    issueDate: parseAamvaDate(elements.issueDate, country),
+    issuerId: header[2],
+    aamvaVersion: Number(header[3])
+  };
+};
+
+/**
+ * Whole years between two 'YYYY-MM-DD' keys
+ */
+const getAge = (dateOfBirth, todayKey) => {
+  const [birthYear, birthMonth, birthDay] = dateOfBirth.split('-').map(Number);
+  const [year, month, day] = todayKey.split('-').map(Number);
+  const hadBirthday = month > birthMonth || (month === birthMonth && day >= birthDay);
+  return year - birthYear - (hadBirthday ? 0 : 1);
+};
+
+/**
+ * Verify a parsed ID - age and expiration judged on the organization's local date
+ * @param {object} organization - Organization document
+ * @param {object} identity - from parseAamva()
+ * @param {boolean} [options.medical] - customer has a valid medical recommendation (18+)
+ * @param {string} [options.verifiedBy] - user running the scan
+ * @param {Date} [options.asOf] - when the ID was checked (offline sales synced later) - defaults to now
+ * @returns {object} verification (what transactions store in customerInfo.license.verification)
+ */
+const verifyIdentity = (organization, identity, options = {}) => {
+  const todayKey = organization.getLocalDateKey(options.asOf);
+  const basis = options.medical ? 'medical' : 'adult';
+  const minimumAge = options.medical ? MEDICAL_MINIMUM_AGE : ADULT_MINIMUM_AGE;
+  const reasons = [];
+
+  const missing = ['licenseNumber', 'dateOfBirth', 'expirationDate'].filter(field => !identity[field]);
+  if (missing.length > 0) reasons.push(`Could not read ${missing.join(', ')} from the ID`);
+
+  const age = identity.dateOfBirth ? getAge(identity.dateOfBirth, todayKey) : null;
+  if (age !== null && age < minimumAge) {
+    reasons.push(`Customer is ${age} - must be ${minimumAge}+${options.medical ? ' with a medical recommendation' : ''}`);
+  }
+
+  // Valid through the expiration date itself
+  const isExpired = identity.expirationDate ? identity.expirationDate < todayKey : null;
+  if (isExpired) reasons.push(`ID expired on ${identity.expirationDate}`);
+
+  return {
+    status: reasons.length === 0 ? 'passed' : 'failed',
+    reasons,
+    age,
+    minimumAge,
+    basis,
+    isExpired,
+    method: 'scan',
+    verifiedAt: options.asOf || new Date(),
+    verifiedBy: options.verifiedBy
+  };
+};
+
+/**
+ * Parse and verify in one step
+ * @returns {{ identity: object, verification: object }}
+ */
+const verifyIdScan = (organization, raw, options = {}) => {
+  const identity = parseAamva(raw);
+  return { identity, verification: verifyIdentity(organization, identity, options) };
+};
+
+/**
+ * customerInfo.license as stored on a transaction - the verification result, never the raw scan
+ */
+const toLicenseInfo = ({ identity, verification }) => ({
+  number: identity.licenseNumber,
+  state: identity.state,
+  expirationDate: identity.expirationDate ? new Date(`${identity.expirationDate}T00:00:00Z`) : undefined,
+  verification
+});
+
+// ID numbers are only ever printed or logged as the last 4
+const maskNumber = (value) => value ? `****${String(value).slice(-4)}` : null;
+
+const requiresIdVerification = (category) => ID_REQUIRED_CATEGORIES.includes(String(category || '').toLowerCase());
+
+module.exports = {
+  ID_REQUIRED_CATEGORIES,
+  ADULT_MINIMUM_AGE,
+  MEDICAL_MINIMUM_AGE,
+  IdScanError,
+  getAge,
+  parseAamva,
+  verifyIdentity,
+  verifyIdScan,
+  toLicenseInfo,
+  maskNumber,
+  requiresIdVerification
+};
@@ -0,0 +1,162 @@
+// backend/services/inventoryService.js
+// Stock reservations for checkout - all-or-nothing without multi-document transactions
+//
+// Each product is decremented with a conditional $inc (only if enough stock is left), so two
+// registers selling the last unit can't both succeed. If any line fails - or the sale itself
+// can't be saved - everything reserved so far is put back (compensation).
+// Refunded units come back through returnStock (sellable or quarantined).
+// Offline sales synced later have already happened - consumeStock takes what's there and
+// reports any shortfall instead of refusing the sale.
+
+const Product = require('../models/Product');
+
+/**
+ * Thrown when a product doesn't have enough stock for the sale
+ */
+class InsufficientStockError extends Error {
+  constructor({ productId, name, available, requested }) {
+    super(`Insufficient inventory for ${name}. Available: ${available}, Requested: ${requested}`);
+    this.name = 'InsufficientStockError';
+    this.productId = productId;
+    this.available = available;
+    this.requested = requested;
+  }
+}
+
+/**
+ * Put reserved stock back (compensation for a failed checkout)
+ * Never throws - a failed release is logged with enough detail to fix by hand
+ */
+const releaseStock = async (organizationId, reservations) => {
+  for (const { productId, quantity } of reservations) {
+    try {
+      await Product.updateOne(
+        { _id: productId, organizationId },
+        { $inc: { stockQuantity: quantity }, $set: { updatedAt: new Date() } }
+      );
+    } catch (error) {
+      console.error(`❌ Failed to release ${quantity} of product ${productId} (org ${organizationId}) - adjust stock manually:`, error);
+    }
+  }
+};
+
+/**
+ * Decrement stock for every line, or for none of them
+ * @param {string} organizationId
+ * @param {Array} lines - [{ productId, quantity, name? }] (the same product may appear on several lines)
+ * @returns {Promise<Array>} reservations [{ productId, quantity }] - pass to releaseStock() to undo
+ * @throws {InsufficientStockError}
+ */
+const reserveStock = async (organizationId, lines) => {
+  // One update per product, for the combined quantity
+  const requested = new Map();
+  lines.forEach(({ productId, quantity, name }) => {
+    const key = String(productId);
+    const entry = requested.get(key) || { productId, quantity: 0, name };
+    entry.quantity += quantity;
+    requested.set(key, entry);
+  });
+
+  const reservations = [];
+  try {
+    for (const { productId, quantity, name } of requested.values()) {
+      const updated = await Product.findOneAndUpdate(
+        { _id: productId, organizationId, stockQuantity: { $gte: quantity } },
+        { $inc: { stockQuantity: -quantity }, $set: { updatedAt: new Date() } },
+        { new: true, projection: { stockQuantity: 1 } }
+      );
+
+      if (!updated) {
+        const current = await Product.findOne({ _id: productId, organizationId }).select('name stockQuantity');
+        throw new InsufficientStockError({
+          productId,
+          name: current?.name || name || String(productId),
+          available: current?.stockQuantity || 0,
+          requested: quantity
+        });
+      }
+
+      reservations.push({ productId, quantity });
+    }
+  } catch (error) {
+    await releaseStock(organizationId, reservations);
+    throw error;
+  }
+
+  return reservations;
+};
+
+/**
+ * Decrement stock for a sale that has already been made (offline sales) - never refuses:
+ * stock stops at 0 and whatever couldn't be covered is reported as a shortage
+ * @param {string} organizationId
+ * @param {Array} lines - [{ productId, quantity, name? }]
+ * @returns {Promise<{ reservations: Array, shortages: Array }>} reservations [{ productId, quantity }] - what
+ *   was actually taken (pass to releaseStock() to undo); shortages [{ productId, name, available, requested }]
+ */
+const consumeStock = async (organizationId, lines) => {
+  const requested = new Map();
+  lines.forEach(({ productId, quantity, name }) => {
+    const key = String(productId);
+    const entry = requested.get(key) || { productId, quantity: 0, name };
+    entry.quantity += quantity;
+    requested.set(key, entry);
+  });
+
+  const reservations = [];
+  const shortages = [];
+  for (const { productId, quantity, name } of requested.values()) {
+    // Returns the stock before the update - clamped at 0 in a single atomic step
+    const before = await Product.findOneAndUpdate(
+      { _id: productId, organizationId },
+      [{
+        $set: {
+          stockQuantity: { $max: [0, { $subtract: [{ $ifNull: ['$stockQuantity', 0] }, quantity] }] },
+          updatedAt: '$$NOW'
+        }
+      }],
+      { new: false, projection: { name: 1, stockQuantity: 1 } }
+    );
+
+    const available = Math.max(before?.stockQuantity || 0, 0);
+    const taken = Math.min(available, quantity);
+    if (taken > 0) reservations.push({ productId, quantity: taken });
+    if (taken < quantity) {
+      shortages.push({
+        productId,
+        name: before?.name || name || String(productId),
+        available,
+        requested: quantity
+      });
+    }
+  }
+
+  return { reservations, shortages };
+};
+
+/**
+ * Take returned units back - sellable stock ('restock') or held back from sale ('quarantine')
+ * Never throws (the refund has already been recorded) - failures are logged for a manual adjustment
+ * @param {Array} lines - [{ productId, quantity, disposition: 'restock' | 'quarantine' }]
+ */
+const returnStock = async (organizationId, lines) => {
+  for (const { productId, quantity, disposition } of lines) {
+    const field = disposition === 'quarantine' ? 'quarantinedQuantity' : 'stockQuantity';
+    try {
+      await Product.updateOne(
+        { _id: productId, organizationId },
+        { $inc: { [field]: quantity }, $set: { updatedAt: new Date() } }
+      );
+    } catch (error) {
+      console.error(`❌ Failed to ${disposition} ${quantity} of product ${productId} (org ${organizationId}) - adjust stock manually:`, error);
+    }
+  }
+};
+
+module.exports = {
+  InsufficientStockError,
+  reserveStock,
+  consumeStock,
+  releaseStock,
+  returnStock
+};
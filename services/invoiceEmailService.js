@@ -0,0 +1,210 @@
+// backend/services/invoiceEmailService.js
+// Email an invoice to the customer (HTML summary + PDF attachment), with send log + open tracking
+
+const crypto = require('crypto');
+const Invoice = require('../models/Invoice');
+const { sendEmail, escapeHtml } = require('./emailService');
+const { renderInvoicePdf } = require('./invoicePdfService');
+
+// 1x1 transparent GIF served by the tracking pixel route
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+/**
+ * Public URLs for a tracking token (null when BACKEND_URL isn't configured)
+ */
+const getTrackingUrls = (trackingToken) => {
+  const baseUrl = process.env.BACKEND_URL?.replace(/\/$/, '');
+  if (!baseUrl || !trackingToken) return null;
+
+  return {
+    pixelUrl: `${baseUrl}/api/invoices/track/${trackingToken}/open.gif`,
+    viewUrl: `${baseUrl}/api/invoices/view/${trackingToken}`
+  };
+};
+
+/**
+ * Render the HTML body for an invoice email
+ */
+const renderInvoiceEmailHtml = (invoice, organization, { message, trackingUrls } = {}) => {
+  const currency = organization?.settings?.currency || 'USD';
+  const money = new Intl.NumberFormat('en-US', { style: 'currency', currency });
+  const fromName = invoice.billFrom?.businessName || organization?.companyName || '';
+  const balanceDue = invoice.balanceDue || invoice.total;
+
+  const rows = (invoice.items || []).map(item => `
+                <tr>
+                    <td style="padding: 6px; border-bottom: 1px solid #e5e5e5;">${escapeHtml(item.name)}<br><span style="font-size: 11px; color: #666;">Batch ${escapeHtml(item.batchNumber)}</span></td>
+                    <td style="padding: 6px; border-bottom: 1px solid #e5e5e5; text-align: right;">${escapeHtml(item.quantity)} ${escapeHtml(item.unit)}</td>
+                    <td style="padding: 6px; border-bottom: 1px solid #e5e5e5; text-align: right;">${money.format(item.subtotal || 0)}</td>
+                </tr>`).join('');
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #059669, #047857); color: white; padding: 20px; border-radius: 8px 8px 0 0; }
+        .content { background: #fff; padding: 30px; border: 1px solid #e5e5e5; }
+        .info-box { background: #f8f9fa; padding: 15px; border-radius: 6px; margin: 20px 0; border-left: 4px solid #059669; }
+        .footer { background: #f8f9fa; padding: 15px; border-radius: 0 0 8px 8px; text-align: center; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h2>Invoice ${escapeHtml(invoice.invoiceNumber)} from ${escapeHtml(fromName)}</h2>
+        </div>
+        <div class="content">
+            <p>Hi ${escapeHtml(invoice.billTo?.clientName || 'there')},</p>
+            ${message ? `<p>${escapeHtml(message)}</p>` : '<p>Please find your invoice attached. A summary is below.</p>'}
+            <div class="info-box">
+                <p><strong>Invoice #:</strong> ${escapeHtml(invoice.invoiceNumber)}<br>
+                <strong>Invoice Date:</strong> ${escapeHtml(organization?.formatLocalDate(invoice.invoiceDate))}<br>
+                <strong>Due Date:</strong> ${escapeHtml(invoice.dueDate ? organization?.formatLocalDate(invoice.dueDate) : invoice.paymentTerms)}<br>
+                <strong>Amount Due:</strong> ${money.format(balanceDue)}</p>
+            </div>
+            <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+                <tr style="background: #f8f9fa;">
+                    <th style="padding: 6px; text-align: left;">Item</th>
+                    <th style="padding: 6px; text-align: right;">Qty</th>
+                    <th style="padding: 6px; text-align: right;">Amount</th>
+                </tr>${rows}
+                <tr>
+                    <td colspan="2" style="padding: 6px; text-align: right;"><strong>Total</strong></td>
+                    <td style="padding: 6px; text-align: right;"><strong>${money.format(invoice.total || 0)}</strong></td>
+                </tr>
+            </table>
+            ${trackingUrls ? `<p><a href="${escapeHtml(trackingUrls.viewUrl)}">View invoice online</a></p>` : ''}
+            <p>Thank you for your business,<br>${escapeHtml(fromName)}</p>
+        </div>
+        <div class="footer">
+            <p>Questions about this invoice? Just reply to this email.</p>
+        </div>
+    </div>
+    ${trackingUrls ? `<img src="${escapeHtml(trackingUrls.pixelUrl)}" width="1" height="1" alt="" style="display: none;">` : ''}
+</body>
+</html>`;
+};
+
+/**
+ * Email an invoice to billTo.email (or `to`) with the PDF attached
+ * @returns {Promise<object>} nodemailer info (messageId, accepted, rejected)
+ */
+const sendInvoiceEmail = async (invoice, organization, { to, cc, subject, message, trackingToken } = {}) => {
+  const recipient = to || invoice.billTo?.email;
+  if (!recipient) {
+    throw new Error('Invoice has no customer email (billTo.email)');
+  }
+
+  const fromName = invoice.billFrom?.businessName || organization?.companyName;
+  const pdf = await renderInvoicePdf(invoice, organization);
+
+  return await sendEmail({
+    to: recipient,
+    cc,
+    subject: subject || `Invoice ${invoice.invoiceNumber} from ${fromName}`,
+    html: renderInvoiceEmailHtml(invoice, organization, { message, trackingUrls: getTrackingUrls(trackingToken) }),
+    attachments: [{
+      filename: `invoice-${invoice.invoiceNumber}.pdf`,
+      content: pdf,
+      contentType: 'application/pdf'
+    }],
+    fromName
+  });
+};
+
+/**
+ * Email an invoice and record the attempt in invoice.sendLog
+ * Failures are logged on the invoice and returned (not thrown) so callers can report them
+ * @param {boolean} [options.track] - include the tracking pixel and view link
+ * @returns {Promise<object>} the send log entry
+ */
+const sendInvoiceWithLog = async (invoice, organization, options = {}) => {
+  const { to, cc, subject, message, track = false, userId } = options;
+  const recipient = to || invoice.billTo?.email;
+  const fromName = invoice.billFrom?.businessName || organization?.companyName;
+
+  const entry = {
+    recipient,
+    cc,
+    subject: subject || `Invoice ${invoice.invoiceNumber} from ${fromName}`,
+    sentBy: userId,
+    sentAt: new Date()
+  };
+
+  // Tracking links must point at this server (BACKEND_URL)
+  if (track && process.env.BACKEND_URL) {
+    entry.trackingToken = crypto.randomBytes(24).toString('hex');
+  }
+
+  try {
+    const info = await sendInvoiceEmail(invoice, organization, {
+      to: recipient,
+      cc,
+      subject: entry.subject,
+      message,
+      trackingToken: entry.trackingToken
+    });
+    entry.status = 'sent';
+    entry.messageId = info.messageId;
+    console.log('📧 Invoice emailed:', invoice.invoiceNumber, '→', recipient);
+  } catch (error) {
+    entry.status = 'failed';
+    entry.error = error.message;
+    console.error('❌ Invoice email failed:', invoice.invoiceNumber, error.message);
+  }
+
+  // $push so a concurrent edit of the invoice can't drop the log entry
+  const update = { $push: { sendLog: entry } };
+  if (entry.status === 'sent') update.$set = { lastSentAt: entry.sentAt };
+  await Invoice.updateOne({ _id: invoice._id }, update, { timestamps: false });
+
+  return entry;
+};
+
+/**
+ * Record an open (tracking pixel) or view (view link) for a tracking token
+ * @param {'open'|'view'} kind
+ * @returns {Promise<object|null>} the invoice, or null for an unknown token
+ */
+const recordInvoiceTracking = async (trackingToken, kind) => {
+  const now = new Date();
+  const firstField = kind === 'view' ? 'viewedAt' : 'openedAt';
+  const lastField = kind === 'view' ? 'lastViewedAt' : 'lastOpenedAt';
+  const countField = kind === 'view' ? 'viewCount' : 'openCount';
+
+  const invoice = await Invoice.findOneAndUpdate(
+    { 'sendLog.trackingToken': trackingToken },
+    {
+      $inc: { [`sendLog.$.${countField}`]: 1 },
+      $set: { [`sendLog.$.${lastField}`]: now }
+    },
+    { new: true, timestamps: false }
+  );
+  if (!invoice) return null;
+
+  // First-time timestamps only
+  await Invoice.updateOne(
+    { _id: invoice._id, sendLog: { $elemMatch: { trackingToken, [firstField]: null } } },
+    { $set: { [`sendLog.$.${firstField}`]: now } },
+    { timestamps: false }
+  );
+  await Invoice.updateOne(
+    { _id: invoice._id, firstViewedAt: null },
+    { $set: { firstViewedAt: now } },
+    { timestamps: false }
+  );
+
+  return invoice;
+};
+
+module.exports = {
+  TRACKING_PIXEL,
+  renderInvoiceEmailHtml,
+  sendInvoiceEmail,
+  sendInvoiceWithLog,
+  recordInvoiceTracking
+};
@@ -0,0 +1,300 @@
+// backend/services/invoicePdfService.js
+// Server-side PDF rendering for cannabis-compliant invoices (fully offline - pdfkit + built-in fonts)
+
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 40;
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+// Item table columns (x offset + width, relative to left margin)
+const COLUMNS = [
+  { key: 'item', label: 'Item / SKU', x: 0, width: 190 },
+  { key: 'quantity', label: 'Qty', x: 190, width: 60, align: 'right' },
+  { key: 'weight', label: 'Weight (g)', x: 250, width: 65, align: 'right' },
+  { key: 'unitPrice', label: 'Unit Price', x: 315, width: 80, align: 'right' },
+  { key: 'tax', label: 'Tax', x: 395, width: 50, align: 'right' },
+  { key: 'amount', label: 'Amount', x: 445, width: 87, align: 'right' }
+];
+
+/**
+ * Resolve settings.logo to an image buffer
+ * Only data URIs and files inside /uploads are used - remote URLs are skipped
+ * so rendering never depends on the network
+ */
+const loadLogo = (logo) => {
+  if (!logo) return null;
+
+  const dataUri = logo.match(/^data:image\/(png|jpe?g);base64,(.+)$/i);
+  if (dataUri) {
+    return Buffer.from(dataUri[2], 'base64');
+  }
+
+  if (/^https?:\/\//i.test(logo)) {
+    console.warn('⚠️ PDF: Skipping remote logo (offline rendering):', logo);
+    return null;
+  }
+
+  const filePath = path.resolve(UPLOADS_DIR, logo.replace(/^\/?uploads\//, ''));
+  if (!filePath.startsWith(UPLOADS_DIR) || !fs.existsSync(filePath)) {
+    return null;
+  }
+
+  return fs.readFileSync(filePath);
+};
+
+/**
+ * Build money/date formatters for an organization
+ */
+const createFormatters = (organization) => {
+  const currency = organization?.settings?.currency || 'USD';
+  const timezone = organization?.timezone || 'America/Los_Angeles';
+
+  const money = new Intl.NumberFormat('en-US', { style: 'currency', currency });
+
+  return {
+    money: (value) => money.format(value || 0),
+    number: (value, digits = 2) => Number(value || 0).toFixed(digits),
+    date: (value) => {
+      if (!value) return '—';
+      if (organization?.formatLocalDate) return organization.formatLocalDate(value);
+      return new Date(value).toLocaleDateString('en-US', { timeZone: timezone });
+    },
+    dateTime: (value) => new Date(value).toLocaleString('en-US', {
+      timeZone: timezone,
+      timeZoneName: 'short'
+    })
+  };
+};
+
+/**
+ * Compliance line printed under each item row
+ */
+const describeItemCompliance = (item, fmt) => {
+  const labResult = item.labTestResult ? item.labTestResult.toUpperCase() : 'N/A';
+  const labDate = item.labTestDate ? ` (${fmt.date(item.labTestDate)})` : '';
+
+  return [
+    `Batch: ${item.batchNumber || 'N/A'}`,
+    `State Tracking ID: ${item.stateTrackingId || 'N/A'}`,
+    `THC: ${fmt.number(item.thcMg)} mg`,
+    `CBD: ${fmt.number(item.cbdMg)} mg`,
+    `Producer: ${item.licensedProducer || 'N/A'} (Lic. ${item.producerLicense || 'N/A'})`,
+    `Lab Test: ${labResult}${labDate}`,
+    `Packaged: ${fmt.date(item.packagedDate)}`
+  ].join('  |  ');
+};
+
+const drawPartyBlock = (doc, title, party, x, y, width) => {
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('#047857').text(title, x, y, { width });
+  doc.font('Helvetica').fontSize(9).fillColor('#111111');
+
+  const lines = [
+    party?.businessName || party?.clientName,
+    party?.address,
+    party?.email,
+    party?.phone,
+    party?.licenseNumber ? `License #: ${party.licenseNumber}` : 'License #: N/A',
+    party?.licenseType ? `License Type: ${party.licenseType}` : null,
+    party?.customerType ? `Customer Type: ${party.customerType}` : null
+  ].filter(Boolean);
+
+  doc.text(lines.join('\n'), x, doc.y + 2, { width });
+  return doc.y;
+};
+
+const drawTableHeader = (doc, y) => {
+  const left = PAGE_MARGIN;
+  const tableWidth = doc.page.width - PAGE_MARGIN * 2;
+
+  doc.rect(left, y, tableWidth, 18).fill('#047857');
+  doc.font('Helvetica-Bold').fontSize(8).fillColor('#ffffff');
+
+  COLUMNS.forEach(col => {
+    doc.text(col.label, left + col.x + 4, y + 5, {
+      width: col.width - 8,
+      align: col.align || 'left'
+    });
+  });
+
+  doc.fillColor('#111111');
+  return y + 22;
+};
+
+/**
+ * Render an Invoice document to a PDF buffer
+ * @param {Document} invoice - Invoice mongoose document (or lean object)
+ * @param {Document} organization - Organization (timezone, settings.logo, settings.dateFormat)
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (invoice, organization) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const fmt = createFormatters(organization);
+      const doc = new PDFDocument({
+        size: 'LETTER',
+        margin: PAGE_MARGIN,
+        bufferPages: true,
+        info: {
+          Title: `Invoice ${invoice.invoiceNumber}`,
+          Author: invoice.billFrom?.businessName || organization?.companyName || '',
+          Subject: 'Cannabis Compliance Invoice'
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = PAGE_MARGIN;
+      const right = doc.page.width - PAGE_MARGIN;
+      const bottom = doc.page.height - PAGE_MARGIN - 20;
+
+      // ========== HEADER ==========
+      const logo = loadLogo(organization?.settings?.logo);
+      if (logo) {
+        try {
+          doc.image(logo, left, PAGE_MARGIN, { fit: [120, 50] });
+        } catch (error) {
+          console.warn('⚠️ PDF: Could not render logo:', error.message);
+        }
+      }
+
+      doc.font('Helvetica-Bold').fontSize(20).fillColor('#111111')
+        .text('INVOICE', left, PAGE_MARGIN, { width: right - left, align: 'right' });
+      doc.font('Helvetica').fontSize(9)
+        .text(`Invoice #: ${invoice.invoiceNumber}`, { align: 'right' })
+        .text(`Status: ${invoice.status}`, { align: 'right' })
+        .text(`Invoice Date: ${fmt.date(invoice.invoiceDate)}`, { align: 'right' })
+        .text(`Due Date: ${fmt.date(invoice.dueDate)}`, { align: 'right' })
+        .text(`Payment Terms: ${invoice.paymentTerms || 'N/A'}`, { align: 'right' });
+
+      // ========== BILL FROM / BILL TO ==========
+      const partyTop = Math.max(doc.y, PAGE_MARGIN + 60) + 15;
+      const halfWidth = (right - left) / 2 - 10;
+      const fromBottom = drawPartyBlock(doc, 'BILL FROM', invoice.billFrom, left, partyTop, halfWidth);
+      const toBottom = drawPartyBlock(doc, 'BILL TO', invoice.billTo, left + halfWidth + 20, partyTop, halfWidth);
+
+      // ========== ITEMS ==========
+      let y = drawTableHeader(doc, Math.max(fromBottom, toBottom) + 20);
+
+      (invoice.items || []).forEach((item, index) => {
+        const compliance = describeItemCompliance(item, fmt);
+        doc.font('Helvetica').fontSize(7);
+        const complianceHeight = doc.heightOfString(compliance, { width: right - left - 8 });
+        const rowHeight = 26 + complianceHeight;
+
+        if (y + rowHeight > bottom) {
+          doc.addPage();
+          y = drawTableHeader(doc, PAGE_MARGIN);
+        }
+
+        if (index % 2 === 1) {
+          doc.rect(left, y - 3, right - left, rowHeight).fill('#f3f4f6');
+          doc.fillColor('#111111');
+        }
+
+        const itemTax = item.taxAmount ?? ((item.subtotal || 0) * (item.taxPercent || 0)) / 100;
+
+        const values = {
+          item: `${item.name}\nSKU: ${item.sku}`,
+          quantity: `${item.quantity} ${item.unit || ''}`.trim(),
+          weight: fmt.number(item.weight),
+          unitPrice: fmt.money(item.unitPrice),
+          tax: fmt.money(itemTax),
+          amount: fmt.money(item.subtotal ?? item.quantity * item.unitPrice)
+        };
+
+        doc.font('Helvetica').fontSize(8).fillColor('#111111');
+        COLUMNS.forEach(col => {
+          doc.text(values[col.key], left + col.x + 4, y, {
+            width: col.width - 8,
+            align: col.align || 'left'
+          });
+        });
+
+        doc.font('Helvetica').fontSize(7).fillColor('#4b5563')
+          .text(compliance, left + 4, y + 20, { width: right - left - 8 });
+        doc.fillColor('#111111');
+
+        y += rowHeight + 4;
+      });
+
+      // ========== TOTALS ==========
+      const totals = [
+        ['Subtotal', invoice.subtotal],
+        ['Cannabis Excise Tax', invoice.cannabisExciseTaxTotal],
+        ['Cultivation Tax', invoice.cultivationTaxTotal],
+        ['Sales Tax', invoice.salesTaxTotal],
+        ['Tax Total', invoice.taxTotal],
+        ['Discount', invoice.discountAmount ? -invoice.discountAmount : 0],
+        ['TOTAL', invoice.total]
+      ];
+
+      if (y + totals.length * 14 + 40 > bottom) {
+        doc.addPage();
+        y = PAGE_MARGIN;
+      }
+
+      const labelX = right - 230;
+      y += 8;
+      totals.forEach(([label, value]) => {
+        const isTotal = label === 'TOTAL';
+        doc.font(isTotal ? 'Helvetica-Bold' : 'Helvetica').fontSize(isTotal ? 11 : 9);
+        doc.text(label, labelX, y, { width: 130 });
+        doc.text(fmt.money(value), labelX + 130, y, { width: 100, align: 'right' });
+        y += isTotal ? 18 : 14;
+      });
+
+      // Cannabis summary (weight / cannabinoid totals for auditors)
+      const totalWeight = (invoice.items || []).reduce((sum, item) => sum + (item.weight || 0), 0);
+      const totalTHC = (invoice.items || []).reduce((sum, item) => sum + (item.thcMg || 0), 0);
+      const totalCBD = (invoice.items || []).reduce((sum, item) => sum + (item.cbdMg || 0), 0);
+
+      doc.font('Helvetica').fontSize(8).fillColor('#4b5563')
+        .text(
+          `Total Weight: ${fmt.number(totalWeight)} g   |   Total THC: ${fmt.number(totalTHC)} mg   |   Total CBD: ${fmt.number(totalCBD)} mg`,
+          left,
+          y + 6,
+          { width: right - left }
+        );
+
+      // ========== NOTES ==========
+      if (invoice.notes) {
+        doc.moveDown();
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('#111111').text('Notes', left);
+        doc.font('Helvetica').fontSize(8).text(invoice.notes, { width: right - left });
+      }
+
+      if (invoice.complianceNotes) {
+        doc.moveDown();
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('#111111').text('Compliance Notes', left);
+        doc.font('Helvetica').fontSize(8).text(invoice.complianceNotes, { width: right - left });
+      }
+
+      // ========== FOOTER (page numbers + generation timestamp) ==========
+      const generatedAt = fmt.dateTime(new Date());
+      const range = doc.bufferedPageRange();
+      for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        doc.page.margins.bottom = 0; // allow writing inside the bottom margin without a page break
+        doc.font('Helvetica').fontSize(7).fillColor('#6b7280').text(
+          `Invoice ${invoice.invoiceNumber}  •  Generated ${generatedAt}  •  Page ${i + 1} of ${range.count}`,
+          left,
+          doc.page.height - PAGE_MARGIN,
+          { width: right - left, align: 'center', lineBreak: false }
+        );
+      }
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+module.exports = {
+  renderInvoicePdf
+};
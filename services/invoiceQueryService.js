@@ -0,0 +1,199 @@
+// backend/services/invoiceQueryService.js
+// Invoice listing: query-string filters, sorting and cursor pagination
+
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Sortable fields → value type (used to decode cursors)
+const SORT_FIELDS = {
+  invoiceDate: 'date',
+  dueDate: 'date',
+  createdAt: 'date',
+  total: 'number',
+  balanceDue: 'number',
+  invoiceNumber: 'string',
+  clientName: 'string'
+};
+
+// Query-string names that map to nested document paths
+const SORT_PATHS = {
+  clientName: 'billTo.clientName'
+};
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toList = (value) => {
+  if (value === undefined || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+};
+
+const toObjectId = (value, name) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new Error(`Invalid ${name}`);
+  }
+  return new mongoose.Types.ObjectId(value);
+};
+
+const toNumber = (value, name) => {
+  const number = Number(value);
+  if (value === '' || isNaN(number)) {
+    throw new Error(`Invalid ${name}: must be a number`);
+  }
+  return number;
+};
+
+/**
+ * Parse a date bound - "YYYY-MM-DD" is a local day in the org's timezone
+ * (from = start of that day, to = end of that day), anything else is parsed as an instant
+ */
+const toDateBound = (value, name, organization, edge) => {
+  if (DATE_KEY_PATTERN.test(value) && organization) {
+    return organization.getLocalDayRange(value)[edge];
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name}: must be a date`);
+  }
+  return date;
+};
+
+const addRange = (filter, path, from, to) => {
+  if (from === undefined && to === undefined) return;
+  filter[path] = {};
+  if (from !== undefined) filter[path].$gte = from;
+  if (to !== undefined) filter[path].$lte = to;
+};
+
+const encodeCursor = (invoice, sortBy) => {
+  const value = sortBy.split('.').reduce((obj, key) => (obj == null ? obj : obj[key]), invoice);
+  return Buffer.from(JSON.stringify({ v: value ?? null, id: String(invoice._id) })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sortKey) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    let value = v;
+    if (value !== null && SORT_FIELDS[sortKey] === 'date') value = new Date(value);
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+};
+
+/**
+ * Keyset condition for "rows after the cursor" in (sortPath, _id) order
+ * Missing values (e.g. no dueDate) sort first ascending / last descending, like MongoDB does
+ */
+const buildCursorFilter = ({ value, id }, sortPath, direction) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    const sameValue = { [sortPath]: null, _id: { [op]: id } };
+    return direction === 1
+      ? { $or: [sameValue, { [sortPath]: { $ne: null } }] }
+      : sameValue;
+  }
+
+  const conditions = [
+    { [sortPath]: { [op]: value } },
+    { [sortPath]: value, _id: { [op]: id } }
+  ];
+  if (direction === -1) conditions.push({ [sortPath]: null });
+
+  return { $or: conditions };
+};
+
+/**
+ * Turn GET /api/invoices query params into a MongoDB filter + sort + page size
+ *
+ * Filters: status (comma list), invoiceDateFrom/To, dueDateFrom/To, customerId,
+ *          minAmount/maxAmount (total), minBalance/maxBalance, batchNumber,
+ *          stateTrackingId, search (client name / invoice number)
+ * Sorting: sortBy (see SORT_FIELDS), sortOrder asc|desc
+ * Paging:  limit (max 200), cursor (pageInfo.nextCursor from the previous page) - without either the
+ *          request is unpaginated (paginated: false) and gets every matching invoice
+ *
+ * Values are cast explicitly so the same filter works in find() and aggregate()
+ * @throws {Error} on invalid parameters (respond 400)
+ */
+const parseInvoiceListQuery = (query, organization) => {
+  const filter = { organizationId: organization.organizationId };
+
+  const statuses = toList(query.status);
+  if (statuses.length) filter.status = { $in: statuses };
+
+  addRange(
+    filter,
+    'invoiceDate',
+    query.invoiceDateFrom ? toDateBound(query.invoiceDateFrom, 'invoiceDateFrom', organization, 'start') : undefined,
+    query.invoiceDateTo ? toDateBound(query.invoiceDateTo, 'invoiceDateTo', organization, 'end') : undefined
+  );
+  addRange(
+    filter,
+    'dueDate',
+    query.dueDateFrom ? toDateBound(query.dueDateFrom, 'dueDateFrom', organization, 'start') : undefined,
+    query.dueDateTo ? toDateBound(query.dueDateTo, 'dueDateTo', organization, 'end') : undefined
+  );
+  addRange(
+    filter,
+    'total',
+    query.minAmount !== undefined ? toNumber(query.minAmount, 'minAmount') : undefined,
+    query.maxAmount !== undefined ? toNumber(query.maxAmount, 'maxAmount') : undefined
+  );
+  addRange(
+    filter,
+    'balanceDue',
+    query.minBalance !== undefined ? toNumber(query.minBalance, 'minBalance') : undefined,
+    query.maxBalance !== undefined ? toNumber(query.maxBalance, 'maxBalance') : undefined
+  );
+
+  if (query.customerId) filter.customerId = toObjectId(query.customerId, 'customerId');
+  if (query.batchNumber) filter['items.batchNumber'] = String(query.batchNumber).trim();
+  if (query.stateTrackingId) filter['items.stateTrackingId'] = String(query.stateTrackingId).trim();
+
+  if (query.search && String(query.search).trim()) {
+    const pattern = new RegExp(escapeRegex(String(query.search).trim()), 'i');
+    filter.$or = [
+      { 'billTo.clientName': pattern },
+      { invoiceNumber: pattern }
+    ];
+  }
+
+  // ========== SORT ==========
+  const sortKey = query.sortBy || 'invoiceDate';
+  if (!SORT_FIELDS[sortKey]) {
+    throw new Error(`Invalid sortBy. Use one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  const sortPath = SORT_PATHS[sortKey] || sortKey;
+  const direction = query.sortOrder === 'asc' ? 1 : -1;
+
+  // ========== PAGE ==========
+  const paginated = query.limit !== undefined || query.cursor !== undefined;
+  const limit = query.limit !== undefined
+    ? Math.min(Math.max(Math.floor(toNumber(query.limit, 'limit')), 1), MAX_LIMIT)
+    : DEFAULT_LIMIT;
+
+  const cursorFilter = query.cursor
+    ? buildCursorFilter(decodeCursor(query.cursor, sortKey), sortPath, direction)
+    : null;
+
+  return {
+    filter,
+    cursorFilter,
+    sort: { [sortPath]: direction, _id: direction },
+    sortPath,
+    paginated,
+    limit
+  };
+};
+
+module.exports = {
+  parseInvoiceListQuery,
+  encodeCursor
+};
@@ -0,0 +1,80 @@
+// backend/services/invoiceScheduler.js
+// Background scheduler for invoice jobs (recurring invoices, overdue detection + dunning reminders)
+
+const Organization = require('../models/Organization');
+const { markOverdueInvoices, sendDueReminders } = require('./dunningService');
+const { runRecurringInvoices } = require('./recurringInvoiceService');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+const STARTUP_DELAY_MS = 30 * 1000;
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Run every invoice job once for all active organizations
+ */
+const runInvoiceJobs = async (now = new Date()) => {
+  // Skip if the previous run is still going (slow SMTP, large orgs)
+  if (isRunning) {
+    console.log('⏭️ Invoice scheduler: previous run still in progress, skipping');
+    return;
+  }
+
+  isRunning = true;
+
+  try {
+    const organizations = await Organization.find({
+      subscriptionStatus: { $ne: 'canceled' }
+    });
+
+    for (const organization of organizations) {
+      try {
+        const generatedCount = await runRecurringInvoices(organization, now);
+        const overdueCount = await markOverdueInvoices(organization, now);
+        const remindersSent = await sendDueReminders(organization, now);
+
+        if (generatedCount > 0 || overdueCount > 0 || remindersSent > 0) {
+          console.log(`⏰ Invoice scheduler [${organization.organizationId}]: ${generatedCount} recurring invoices generated, ${overdueCount} marked overdue, ${remindersSent} reminders sent`);
+        }
+      } catch (error) {
+        // One org failing must not stop the others
+        console.error(`❌ Invoice scheduler error for ${organization.organizationId}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Invoice scheduler run failed:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the recurring scheduler (interval from INVOICE_SCHEDULER_INTERVAL_MINUTES, default 60)
+ */
+const startInvoiceScheduler = () => {
+  if (timer) return timer;
+
+  const intervalMinutes = Number(process.env.INVOICE_SCHEDULER_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+  console.log(`⏰ Invoice scheduler started (every ${intervalMinutes} min)`);
+
+  setTimeout(() => runInvoiceJobs(), STARTUP_DELAY_MS).unref();
+  timer = setInterval(() => runInvoiceJobs(), intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  return timer;
+};
+
+const stopInvoiceScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  startInvoiceScheduler,
+  stopInvoiceScheduler,
+  runInvoiceJobs
+};
@@ -0,0 +1,284 @@
+// backend/services/invoiceService.js
+// Shared invoice building logic (product compliance snapshots) used by
+// invoice create/update and recurring invoice generation, plus revision history
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const InvoiceRevision = require('../models/InvoiceRevision');
+
+// Not part of the diff: bookkeeping fields and ledgers that have their own audit trails
+const DIFF_IGNORED_PATHS = ['_id', '__v', 'revision', 'ledgerVersion', 'createdAt', 'updatedAt', 'localUpdatedAt', 'payments', 'paymentAuditLog', 'reminders', 'sendLog', 'lastSentAt', 'firstViewedAt'];
+
+/**
+ * Capture a full compliance snapshot for one invoice item from its Product
+ * Falls back to a basic item (UNKNOWN compliance data) if the product can't be found
+ */
+const buildItemSnapshot = async (item, organizationId) => {
+  try {
+    // Try to get product by ID or search by name
+    let product = null;
+
+    // Scoped to the organization - never snapshot another tenant's product
+    if (item.productId || item._id) {
+      product = await Product.findOne({
+        _id: item.productId || item._id,
+        organizationId: organizationId
+      });
+    }
+
+    // If not found by ID, search by name
+    if (!product && item.name) {
+      const searchName = item.name.replace(/\s*\([^)]*\)/g, '').trim();
+      product = await Product.findOne({ 
+        name: searchName,
+        organizationId: organizationId 
+      });
+    }
+
+    if (!product) {
+      console.warn('⚠️ Product not found for item:', item.name);
+      // Return basic item without full compliance data
+      return {
+        productId: item.productId || item._id,
+        name: item.name || item.description,
+        description: item.description,
+        sku: item.sku || 'UNKNOWN',
+        category: item.category || 'other',
+        quantity: item.quantity,
+        unit: item.unit || 'unit',
+        weight: item.weight || 0,
+        unitPrice: item.unitPrice || item.price,
+        taxPercent: item.taxPercent || 0,
+        batchNumber: 'UNKNOWN',
+        stateTrackingId: 'UNKNOWN',
+        thcContent: 0,
+        cbdContent: 0,
+        labTested: false,
+        packagedDate: new Date(),
+        licensedProducer: 'Unknown',
+        producerLicense: 'Unknown'
+      };
+    }
+
+    console.log('✅ Captured product snapshot:', product.sku);
+
+    // ========== CALCULATE WEIGHT IN GRAMS ==========
+    let weightInGrams = 0;
+
+    // Check if item has explicit weight
+    if (item.weight) {
+      weightInGrams = item.weight;
+    } else {
+      // Calculate based on unit
+      if (item.unit === 'gram' || product.unit === 'gram') {
+        weightInGrams = item.quantity;
+      } else if (item.unit === 'eighth') {
+        weightInGrams = item.quantity * 3.5;
+      } else if (item.unit === 'quarter') {
+        weightInGrams = item.quantity * 7;
+      } else if (item.unit === 'half') {
+        weightInGrams = item.quantity * 14;
+      } else if (item.unit === 'ounce') {
+        weightInGrams = item.quantity * 28;
+      } else {
+        // Try to get from product pricing
+        const pricing = product.pricing?.find(p => 
+          p.unit === item.unit || 
+          p.size === item.unit
+        );
+        if (pricing && pricing.sizeInGrams) {
+          weightInGrams = item.quantity * pricing.sizeInGrams;
+        } else {
+          // Default: assume 1 unit = 1 gram
+          weightInGrams = item.quantity;
+        }
+      }
+    }
+
+    // ========== CALCULATE THC/CBD IN MG ==========
+    const thcMg = (weightInGrams * (product.thcContent || 0)) / 100;
+    const cbdMg = (weightInGrams * (product.cbdContent || 0)) / 100;
+
+    // ========== RETURN COMPLETE SNAPSHOT ==========
+    return {
+      // Product Identity
+      productId: product._id,
+      name: item.name || product.name,
+      description: product.description,
+
+      // SKU & Category (Tier 1)
+      sku: product.sku,
+      category: product.category,
+      subcategory: product.subcategory,
+      strainType: product.strainType,
+      strainName: product.strain,
+
+      // Quantity (Tier 1)
+      quantity: item.quantity,
+      unit: item.unit || product.unit || 'gram',
+      weight: weightInGrams,
+
+      // Pricing
+      unitPrice: item.unitPrice || item.price,
+      subtotal: item.quantity * (item.unitPrice || item.price),
+      taxPercent: item.taxPercent || 0,
+
+      // Cannabinoid Profile (Tier 1 - SNAPSHOT)
+      thcContent: product.thcContent,
+      cbdContent: product.cbdContent,
+      thcMg: thcMg,
+      cbdMg: cbdMg,
+
+      // Compliance (Tier 1)
+      batchNumber: product.compliance?.batchNumber || 'N/A',
+      stateTrackingId: product.compliance?.stateTrackingId || 'N/A',
+      labTested: product.compliance?.labTested || false,
+      labTestDate: product.compliance?.labTestDate,
+      labTestResult: product.compliance?.labTestResult || 'pass',
+
+      // Dates (Tier 1 & 2)
+      packagedDate: product.compliance?.packagedDate || new Date(),
+      harvestDate: product.compliance?.harvestDate,
+      expirationDate: product.compliance?.expirationDate,
+
+      // Producer (Tier 1)
+      licensedProducer: product.compliance?.licensedProducer || product.supplier?.name || 'Unknown',
+      producerLicense: product.compliance?.producerLicense || product.supplier?.license || 'Unknown',
+      producerContact: product.supplier?.contact,
+
+      // Additional (Tier 2)
+      productDescription: product.description,
+
+      // Metrc
+      metrcPackageId: product.compliance?.metrcPackageId,
+      metrcTransferId: product.compliance?.metrcTransferId,
+
+      // Notes
+      notes: item.notes
+    };
+
+  } catch (error) {
+    console.error('❌ Error capturing product snapshot:', error);
+    // Return basic item if error
+    return {
+      productId: item.productId || item._id,
+      name: item.name,
+      sku: item.sku || 'ERROR',
+      category: 'other',
+      quantity: item.quantity,
+      unit: 'unit',
+      weight: 0,
+      unitPrice: item.unitPrice || item.price,
+      taxPercent: item.taxPercent || 0,
+      batchNumber: 'ERROR',
+      stateTrackingId: 'ERROR',
+      thcContent: 0,
+      cbdContent: 0,
+      packagedDate: new Date(),
+      licensedProducer: 'Error',
+      producerLicense: 'Error',
+      labTested: false
+    };
+  }
+};
+
+/**
+ * Snapshot every item of an invoice (see buildItemSnapshot)
+ */
+const buildItemSnapshots = async (items, organizationId) => {
+  return await Promise.all(
+    items.map(item => buildItemSnapshot(item, organizationId))
+  );
+};
+
+/**
+ * Bill To block for a customer - explicitly provided billTo fields win
+ */
+const buildBillToFromCustomer = (customer, billTo = {}) => {
+  const address = customer.address
+    ? [customer.address.street, customer.address.city, customer.address.state, customer.address.zip].filter(Boolean).join(', ')
+    : undefined;
+
+  const fromCustomer = {
+    clientName: customer.displayName,
+    email: customer.email,
+    phone: customer.phone,
+    address: address || undefined,
+    licenseNumber: customer.businessLicense?.licenseNumber,
+    customerType: customer.customerType
+  };
+
+  Object.keys(billTo || {}).forEach(key => {
+    if (billTo[key] !== undefined && billTo[key] !== '') fromCustomer[key] = billTo[key];
+  });
+
+  return fromCustomer;
+};
+
+/**
+ * Flatten a plain invoice object to { 'billTo.email': ..., 'items.0.quantity': ... }
+ * Dates and ObjectIds are stored as strings so versions compare (and persist) cleanly
+ */
+const flattenForDiff = (value, prefix = '', result = {}) => {
+  if (value instanceof Date) {
+    result[prefix] = value.toISOString();
+  } else if (value instanceof mongoose.Types.ObjectId) {
+    result[prefix] = value.toString();
+  } else if (Array.isArray(value)) {
+    if (value.length === 0 && prefix) result[prefix] = [];
+    value.forEach((entry, index) => flattenForDiff(entry, `${prefix}.${index}`, result));
+  } else if (value && typeof value === 'object') {
+    Object.keys(value).forEach(key => {
+      if (key === '_id' && prefix) return;   // re-snapshotted items get new subdocument ids
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (DIFF_IGNORED_PATHS.includes(path)) return;
+      flattenForDiff(value[key], path, result);
+    });
+  } else if (value !== undefined) {
+    result[prefix] = value;
+  }
+  return result;
+};
+
+/**
+ * Field-level diff between two versions of an invoice (plain objects)
+ * @returns {Array<{ path, before, after }>}
+ */
+const diffInvoiceVersions = (before, after) => {
+  const flatBefore = flattenForDiff(before);
+  const flatAfter = flattenForDiff(after);
+  const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+  return [...paths]
+    .filter(path => JSON.stringify(flatBefore[path]) !== JSON.stringify(flatAfter[path]))
+    .sort()
+    .map(path => ({
+      path,
+      before: flatBefore[path] ?? null,
+      after: flatAfter[path] ?? null
+    }));
+};
+
+/**
+ * Store the previous version of an invoice as an immutable revision
+ * @param {object} previous - invoice.toObject() taken before the edit
+ */
+const recordInvoiceRevision = async (previous, invoice, userId) => {
+  return await InvoiceRevision.create({
+    organizationId: invoice.organizationId,
+    invoiceId: invoice._id,
+    invoiceNumber: invoice.invoiceNumber,
+    revisionNumber: previous.revision || 0,
+    snapshot: previous,
+    changes: diffInvoiceVersions(previous, invoice.toObject()),
+    changedBy: userId
+  });
+};
+
+module.exports = {
+  buildItemSnapshot,
+  buildItemSnapshots,
+  buildBillToFromCustomer,
+  diffInvoiceVersions,
+  recordInvoiceRevision
+};
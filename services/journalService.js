@@ -0,0 +1,425 @@
+// backend/services/journalService.js
+// General ledger export - double-entry journal entries built from invoices, POS sales,
+// RMA refunds and store credits, posted to the organization's chart of accounts
+
+const Invoice = require('../models/Invoice');
+const Transaction = require('../models/Transaction');
+const RMA = require('../models/RMA');
+const StoreCredit = require('../models/StoreCredit');
+const CreditNote = require('../models/CreditNote');
+const Product = require('../models/Product');
+const Organization = require('../models/Organization');
+const { getTransactionPayments } = require('./tenderService');
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+// Invoice payment methods that land in the cash drawer; everything else is bank-bound
+const CASH_METHODS = ['Cash'];
+
+/**
+ * Collects balanced journal entries
+ * Each line posts to an account KEY from the chart of accounts (see DEFAULT_CHART_OF_ACCOUNTS)
+ */
+class JournalBuilder {
+  constructor(organization) {
+    this.organization = organization;
+    this.entries = [];
+  }
+
+  add(date, type, reference, memo, lines, name) {
+    // Each line nets to one side - a negative amount flips sides (e.g. a negative tax adjustment)
+    const toSide = (line, net) => ({
+      account: line.account,
+      debit: net > 0 ? net : 0,
+      credit: net < 0 ? -net : 0,
+      memo: line.memo
+    });
+
+    const postedLines = lines
+      .filter(line => !line.balancing)
+      .map(line => toSide(line, roundCurrency((line.debit || 0) - (line.credit || 0))));
+
+    // The balancing line (revenue) takes whatever the rest leaves, so rounding never unbalances an entry
+    const balancing = lines.find(line => line.balancing);
+    if (balancing) {
+      const net = roundCurrency(postedLines.reduce((sum, line) => sum + line.credit - line.debit, 0));
+      postedLines.push(toSide(balancing, net));
+    }
+
+    const nonZero = postedLines.filter(line => line.debit !== 0 || line.credit !== 0);
+    if (nonZero.length === 0) return;
+
+    const debits = roundCurrency(nonZero.reduce((sum, line) => sum + line.debit, 0));
+    const credits = roundCurrency(nonZero.reduce((sum, line) => sum + line.credit, 0));
+    if (debits !== credits) {
+      throw new Error(`Unbalanced journal entry ${type} ${reference}: debits ${debits} != credits ${credits}`);
+    }
+
+    this.entries.push({
+      date: this.organization.getLocalDateKey(date),
+      type,
+      reference,
+      name,
+      memo,
+      lines: nonZero
+    });
+  }
+}
+
+/**
+ * Cost of goods for a list of { productId, quantity } using the product's current cost
+ */
+const getCostOfGoods = (items, costs) => roundCurrency(
+  items.reduce((sum, item) => sum + (costs.get(String(item.productId)) || 0) * (item.quantity || 0), 0)
+);
+
+const loadProductCosts = async (organizationId, productIds) => {
+  const products = await Product.find({
+    organizationId,
+    _id: { $in: [...new Set(productIds.filter(Boolean).map(String))] }
+  }).select('cost').lean();
+
+  return new Map(products.map(product => [String(product._id), product.cost || 0]));
+};
+
+// ========== INVOICES (accrual: AR on issue, cash on payment) ==========
+
+const addInvoiceEntries = (journal, invoices, costs, range) => {
+  invoices.forEach(invoice => {
+    const name = invoice.billTo?.clientName;
+    const excise = invoice.cannabisExciseTaxTotal || 0;
+    const cultivation = invoice.cultivationTaxTotal || 0;
+    const salesTax = (invoice.taxTotal || 0) - excise - cultivation;
+
+    const saleLines = [
+      { account: 'accountsReceivable', debit: invoice.total },
+      { account: 'salesDiscounts', debit: invoice.discountAmount },
+      { account: 'exciseTaxPayable', credit: excise },
+      { account: 'cultivationTaxPayable', credit: cultivation },
+      { account: 'salesTaxPayable', credit: salesTax },
+      { account: 'salesRevenue', balancing: true }
+    ];
+    const cost = getCostOfGoods(invoice.items || [], costs);
+    const costLines = [
+      { account: 'cogs', debit: cost },
+      { account: 'inventory', credit: cost }
+    ];
+
+    if (inRange(invoice.invoiceDate, range)) {
+      journal.add(invoice.invoiceDate, 'Invoice', invoice.invoiceNumber, `Invoice ${invoice.invoiceNumber}`, [...saleLines, ...costLines], name);
+    }
+
+    // Void / cancel reverses the original entry on the day it happened
+    if (['Void', 'Cancelled'].includes(invoice.status) && invoice.voidedAt && inRange(invoice.voidedAt, range)) {
+      journal.add(invoice.voidedAt, 'Invoice Void', invoice.invoiceNumber, `${invoice.status}: ${invoice.voidReason || ''}`.trim(), [...saleLines, ...costLines].map(reverseLine), name);
+    }
+
+    (invoice.payments || []).forEach(payment => {
+      const account = CASH_METHODS.includes(payment.method) ? 'cash' : 'undepositedFunds';
+      const lines = [
+        { account, debit: payment.amount },
+        { account: 'accountsReceivable', credit: payment.amount }
+      ];
+      const reference = payment.reference || invoice.invoiceNumber;
+
+      if (inRange(payment.paymentDate, range)) {
+        journal.add(payment.paymentDate, 'Invoice Payment', reference, `${payment.method} payment on ${invoice.invoiceNumber}`, lines, name);
+      }
+      if (payment.status === 'reversed' && payment.reversedAt && inRange(payment.reversedAt, range)) {
+        journal.add(payment.reversedAt, 'Payment Reversal', reference, `Reversed: ${payment.reversalReason || ''}`.trim(), lines.map(reverseLine), name);
+      }
+    });
+  });
+};
+
+const addCreditNoteEntries = (journal, creditNotes, range) => {
+  creditNotes.forEach(creditNote => {
+    const lines = [
+      { account: 'salesReturns', debit: creditNote.amount },
+      { account: 'accountsReceivable', credit: creditNote.amount }
+    ];
+
+    if (inRange(creditNote.issuedDate, range)) {
+      journal.add(creditNote.issuedDate, 'Credit Note', creditNote.creditNoteNumber, `Credit on ${creditNote.invoiceNumber}: ${creditNote.reason}`, lines, creditNote.clientName);
+    }
+    if (creditNote.status === 'void' && creditNote.voidedAt && inRange(creditNote.voidedAt, range)) {
+      journal.add(creditNote.voidedAt, 'Credit Note Void', creditNote.creditNoteNumber, `Voided: ${creditNote.voidReason || ''}`.trim(), lines.map(reverseLine), creditNote.clientName);
+    }
+  });
+};
+
+// ========== POS SALES ==========
+
+// Account each POS tender settles to
+const TENDER_ACCOUNTS = {
+  cash: 'cash',
+  store_credit: 'storeCreditLiability',
+  gift_card: 'giftCardLiability',
+  loyalty: 'loyaltyRewards'      // Points redeemed are a reward cost when spent
+};
+const getTenderAccount = (tender) => TENDER_ACCOUNTS[tender] || 'undepositedFunds';
+
+const addTransactionEntries = (journal, transactions, costs, range) => {
+  transactions.forEach(transaction => {
+    const reference = transaction.receiptData?.receiptNumber || transaction.transactionId;
+
+    // Refunds post on the day they were given: tax comes back off the payables, returned
+    // units (restocked or quarantined) go back into inventory, money back to the tenders
+    (transaction.refunds || []).filter(refund => inRange(refund.refundedAt, range)).forEach(refund => {
+      const refundTax = refund.taxBreakdown || {};
+      const returnedCost = getCostOfGoods(refund.lines || [], costs);
+
+      journal.add(refund.refundedAt, 'POS Refund', refund.receiptNumber || reference, `Refund on ${transaction.transactionId}${refund.reason ? `: ${refund.reason}` : ''}`, [
+        { account: 'exciseTaxPayable', debit: refundTax.excise || 0 },
+        { account: 'cultivationTaxPayable', debit: refundTax.cultivation || 0 },
+        { account: 'salesTaxPayable', debit: refundTax.sales || 0 },
+        { account: 'inventory', debit: returnedCost },
+        { account: 'cogs', credit: returnedCost },
+        ...(refund.tenders || []).map(share => ({
+          account: getTenderAccount(share.tender),
+          credit: share.amount,
+          memo: share.tender
+        })),
+        { account: 'salesReturns', balancing: true }
+      ], transaction.customerInfo?.name);
+    });
+
+    if (!inRange(transaction.createdAt, range)) return;
+
+    const totals = transaction.totals || {};
+    const excise = totals.taxBreakdown?.excise || 0;
+    const cultivation = totals.taxBreakdown?.cultivation || 0;
+    const salesTax = (totals.taxAmount || 0) - excise - cultivation;
+    const discount = totals.discountAmount || 0;
+
+    const cost = getCostOfGoods(transaction.items || [], costs);
+
+    journal.add(transaction.createdAt, 'POS Sale', reference, `POS sale ${transaction.transactionId} (${transaction.paymentMethod})`, [
+      ...getTransactionPayments(transaction).map(payment => ({
+        account: getTenderAccount(payment.tender),
+        debit: payment.amount,
+        memo: payment.tender === 'store_credit' ? 'Store credit redeemed' : payment.tender
+      })),
+      { account: 'salesDiscounts', debit: discount },
+      { account: 'exciseTaxPayable', credit: excise },
+      { account: 'cultivationTaxPayable', credit: cultivation },
+      { account: 'salesTaxPayable', credit: salesTax },
+      { account: 'cogs', debit: cost },
+      { account: 'inventory', credit: cost },
+      { account: 'salesRevenue', balancing: true }
+    ], transaction.customerInfo?.name);
+  });
+};
+
+// ========== RMA CASH REFUNDS ==========
+
+const addRefundEntries = (journal, rmas) => {
+  rmas.forEach(rma => {
+    journal.add(rma.resolutionDate, 'RMA Refund', rma.rmaNumber, `Cash refund for ${rma.rmaNumber}`, [
+      { account: 'salesReturns', debit: rma.refundAmount },
+      { account: 'cash', credit: rma.refundAmount }
+    ], rma.customerName);
+  });
+};
+
+// ========== STORE CREDIT ISSUANCE / VOID ==========
+// Redemptions post with the POS sale they paid for (its store_credit tender)
+
+const addStoreCreditEntries = (journal, storeCredits, range) => {
+  storeCredits.forEach(credit => {
+    // RMA credits replace a refund; loyalty conversions are a reward cost; anything else is promotional
+    const expenseAccount = credit.sourceType === 'rma_refund'
+      ? 'salesReturns'
+      : credit.sourceType === 'loyalty' ? 'loyaltyRewards' : 'promotionalCredits';
+
+    if (inRange(credit.issuedDate, range)) {
+      journal.add(credit.issuedDate, 'Store Credit Issued', credit.creditMemoNumber, `Store credit (${credit.sourceType})`, [
+        { account: expenseAccount, debit: credit.originalAmount },
+        { account: 'storeCreditLiability', credit: credit.originalAmount }
+      ], credit.customerName);
+    }
+
+    // Voiding releases whatever was still unused
+    if (credit.status === 'voided' && credit.voidedAt && inRange(credit.voidedAt, range)) {
+      journal.add(credit.voidedAt, 'Store Credit Void', credit.creditMemoNumber, `Voided: ${credit.voidReason || ''}`.trim(), [
+        { account: 'storeCreditLiability', debit: credit.remainingBalance },
+        { account: expenseAccount, credit: credit.remainingBalance }
+      ], credit.customerName);
+    }
+  });
+};
+
+const reverseLine = (line) => ({ ...line, debit: line.credit, credit: line.debit });
+
+const inRange = (date, { start, end }) => Boolean(date) && new Date(date) >= start && new Date(date) <= end;
+
+/**
+ * Build all journal entries dated within [startDate, endDate] (org local date keys, inclusive)
+ * @returns {Promise<Array>} entries sorted by date
+ */
+const buildJournalEntries = async (organization, { startDate, endDate }) => {
+  const organizationId = organization.organizationId;
+  const range = {
+    start: organization.getLocalDayRange(startDate).start,
+    end: organization.getLocalDayRange(endDate).end
+  };
+  const between = { $gte: range.start, $lte: range.end };
+
+  const [invoices, creditNotes, transactions, rmas, storeCredits] = await Promise.all([
+    Invoice.find({
+      organizationId,
+      status: { $ne: 'Draft' },
+      $or: [{ invoiceDate: between }, { voidedAt: between }, { 'payments.paymentDate': between }, { 'payments.reversedAt': between }]
+    }).lean(),
+    CreditNote.find({ organizationId, $or: [{ issuedDate: between }, { voidedAt: between }] }).lean(),
+    // Refund transactions (negative totals) are skipped - their refunds are posted from the original
+    // sale's refunds[] (addTransactionEntries), RMA refunds from the RMA
+    Transaction.find({
+      organizationId,
+      $or: [{ createdAt: between }, { 'refunds.refundedAt': between }],
+      status: { $ne: 'voided' },
+      isActive: true,
+      'totals.grandTotal': { $gte: 0 }
+    }).lean(),
+    RMA.find({ organizationId, resolutionType: 'refund', refundProcessed: true, resolutionDate: between }).lean(),
+    StoreCredit.find({ organizationId, $or: [{ issuedDate: between }, { voidedAt: between }] }).lean()
+  ]);
+
+  const productIds = [
+    ...invoices.flatMap(invoice => (invoice.items || []).map(item => item.productId)),
+    ...transactions.flatMap(transaction => (transaction.items || []).map(item => item.productId))
+  ];
+  const costs = await loadProductCosts(organizationId, productIds);
+
+  const journal = new JournalBuilder(organization);
+  addInvoiceEntries(journal, invoices, costs, range);
+  addCreditNoteEntries(journal, creditNotes, range);
+  addTransactionEntries(journal, transactions, costs, range);
+  addRefundEntries(journal, rmas);
+  addStoreCreditEntries(journal, storeCredits, range);
+
+  return journal.entries
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((entry, index) => ({ entryNumber: index + 1, ...entry }));
+};
+
+/**
+ * Organization's account for a key (falls back to the default chart)
+ */
+const getAccount = (organization, key) => {
+  const account = organization.settings?.chartOfAccounts?.[key];
+  const fallback = Organization.DEFAULT_CHART_OF_ACCOUNTS[key];
+  return {
+    number: account?.number || fallback.number,
+    name: account?.name || fallback.name
+  };
+};
+
+// ========== EXPORT FORMATS ==========
+
+const csvValue = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Don't let customer-entered text run as a spreadsheet formula
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => rows.map(row => row.map(csvValue).join(',')).join('\r\n') + '\r\n';
+
+// "2025-03-07" → "03/07/2025" (QuickBooks US date format)
+const toUsDate = (dateKey) => {
+  const [year, month, day] = dateKey.split('-');
+  return `${month}/${day}/${year}`;
+};
+
+/**
+ * Generic journal CSV - one row per line
+ */
+const journalToCsv = (entries, organization) => {
+  const rows = [['Entry', 'Date', 'Type', 'Reference', 'Name', 'Account Number', 'Account Name', 'Debit', 'Credit', 'Memo']];
+
+  entries.forEach(entry => {
+    entry.lines.forEach(line => {
+      const account = getAccount(organization, line.account);
+      rows.push([
+        entry.entryNumber,
+        entry.date,
+        entry.type,
+        entry.reference,
+        entry.name,
+        account.number,
+        account.name,
+        line.debit ? line.debit.toFixed(2) : '',
+        line.credit ? line.credit.toFixed(2) : '',
+        line.memo || entry.memo
+      ]);
+    });
+  });
+
+  return toCsv(rows);
+};
+
+/**
+ * QuickBooks Online journal entry import CSV
+ */
+const journalToQuickBooksCsv = (entries, organization) => {
+  const rows = [['Journal No.', 'Journal Date', 'Account', 'Debits', 'Credits', 'Description', 'Name', 'Memo']];
+
+  entries.forEach(entry => {
+    entry.lines.forEach(line => {
+      rows.push([
+        `${entry.date.replace(/-/g, '')}-${entry.entryNumber}`,
+        toUsDate(entry.date),
+        getAccount(organization, line.account).name,
+        line.debit ? line.debit.toFixed(2) : '',
+        line.credit ? line.credit.toFixed(2) : '',
+        line.memo || entry.memo,
+        entry.name || '',
+        `${entry.type} ${entry.reference || ''}`.trim()
+      ]);
+    });
+  });
+
+  return toCsv(rows);
+};
+
+/**
+ * QuickBooks Desktop IIF - one GENERAL JOURNAL transaction per entry
+ * Amounts are signed: debits positive, credits negative
+ */
+const journalToIif = (entries, organization) => {
+  const clean = (value) => String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+  const lines = [
+    ['!TRNS', 'TRNSID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'].join('\t'),
+    ['!SPL', 'SPLID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'].join('\t'),
+    '!ENDTRNS'
+  ];
+
+  entries.forEach(entry => {
+    entry.lines.forEach((line, index) => {
+      const amount = line.debit ? line.debit : -line.credit;
+      lines.push([
+        index === 0 ? 'TRNS' : 'SPL',
+        '',
+        'GENERAL JOURNAL',
+        toUsDate(entry.date),
+        clean(getAccount(organization, line.account).name),
+        clean(entry.name),
+        amount.toFixed(2),
+        clean(entry.reference),
+        clean(line.memo || entry.memo)
+      ].join('\t'));
+    });
+    lines.push('ENDTRNS');
+  });
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildJournalEntries,
+  getAccount,
+  journalToCsv,
+  journalToQuickBooksCsv,
+  journalToIif
+};
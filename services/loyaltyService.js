@@ -0,0 +1,391 @@
+// backend/services/loyaltyService.js
+// Loyalty points - earned per pre-tax dollar at checkout (category / weekday / tier multipliers),
+// spent as the 'loyalty' tender or converted to store credit, and clawed back by refunds.
+// Customer.loyalty holds the balance; every change is a LoyaltyLedgerEntry.
+
+const Customer = require('../models/Customer');
+const LoyaltyLedgerEntry = require('../models/LoyaltyLedgerEntry');
+const StoreCredit = require('../models/StoreCredit');
+const { allocateDiscount } = require('./taxService');
+
+// Entry types that count toward lifetime points (and so the tier)
+const LIFETIME_ENTRY_TYPES = ['earn', 'clawback', 'adjust'];
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Error for loyalty requests that can't be honoured (program off, not enough points, ...)
+ */
+class LoyaltyError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'LoyaltyError';
+    this.details = details;
+  }
+}
+
+/**
+ * The organization's program with defaults filled in
+ */
+const getLoyaltySettings = (organization) => {
+  const settings = organization.settings?.loyalty || {};
+  return {
+    enabled: Boolean(settings.enabled),
+    pointsPerDollar: settings.pointsPerDollar ?? 1,
+    pointValue: settings.pointValue || 0.01,
+    minimumRedemption: settings.minimumRedemption || 0,
+    categoryMultipliers: settings.categoryMultipliers || [],
+    dayMultipliers: settings.dayMultipliers || [],
+    tiers: [...(settings.tiers || [])].sort((a, b) => a.threshold - b.threshold)
+  };
+};
+
+/**
+ * Tier for a lifetime points total (highest threshold reached), or null
+ */
+const getTier = (settings, lifetimePoints) => {
+  return settings.tiers.filter(tier => (lifetimePoints || 0) >= tier.threshold).pop() || null;
+};
+
+const getNextTier = (settings, lifetimePoints) => {
+  return settings.tiers.find(tier => (lifetimePoints || 0) < tier.threshold) || null;
+};
+
+const pointsToAmount = (settings, points) => roundCurrency(points * settings.pointValue);
+
+/**
+ * Whole points a dollar amount is worth
+ * @throws {LoyaltyError} when the amount isn't a whole number of points
+ */
+const amountToPoints = (settings, amount) => {
+  const points = Math.round(amount / settings.pointValue);
+  if (Math.abs(pointsToAmount(settings, points) - roundCurrency(amount)) > 0.001) {
+    throw new LoyaltyError(`Loyalty redemptions must be whole points ($${settings.pointValue} each)`);
+  }
+  return points;
+};
+
+/**
+ * Customer's balance, tier and progress to the next tier
+ */
+const getLoyaltySummary = (organization, customer) => {
+  const settings = getLoyaltySettings(organization);
+  const loyalty = customer.loyalty || {};
+  const nextTier = getNextTier(settings, loyalty.lifetimePoints);
+
+  return {
+    enabled: settings.enabled,
+    loyaltyNumber: customer.loyaltyNumber || null,
+    points: loyalty.points || 0,
+    value: pointsToAmount(settings, Math.max(loyalty.points || 0, 0)),
+    lifetimePoints: loyalty.lifetimePoints || 0,
+    tier: getTier(settings, loyalty.lifetimePoints),
+    nextTier,
+    pointsToNextTier: nextTier ? nextTier.threshold - (loyalty.lifetimePoints || 0) : null,
+    pointValue: settings.pointValue,
+    minimumRedemption: settings.minimumRedemption
+  };
+};
+
+/**
+ * Points a sale earns - each line's pre-tax amount after the discount, less the part paid
+ * with points, times pointsPerDollar and the category / weekday / tier multipliers
+ * @param {object} organization - Organization document
+ * @param {object} transaction - the sale (items, totals, payments, createdAt)
+ * @param {object} customer - Customer document (for the tier)
+ * @returns {object} { points, pointsPerDollar, day, dayMultiplier, tier, tierMultiplier, lines: [{ itemId, category, basis, multiplier, points }] }
+ */
+const calculateEarnedPoints = (organization, transaction, customer) => {
+  const settings = getLoyaltySettings(organization);
+  const totals = transaction.totals || {};
+  const items = transaction.items || [];
+
+  const gross = items.map(item => roundCurrency((item.pricingOption?.price || 0) * item.quantity));
+  // Line discounts from promotions when the sale has them, otherwise the discount spread by line amount
+  const discounts = items.every(item => typeof item.discountAmount === 'number')
+    ? items.map(item => item.discountAmount)
+    : allocateDiscount(gross, totals.discountAmount || 0);
+
+  // Points don't earn points
+  const paidWithPoints = (transaction.payments || [])
+    .filter(payment => payment.tender === 'loyalty')
+    .reduce((sum, payment) => sum + payment.amount, 0);
+  const earningShare = totals.grandTotal > 0 ? Math.max(0, 1 - paidWithPoints / totals.grandTotal) : 0;
+
+  const day = new Intl.DateTimeFormat('en-US', { weekday: 'long', timeZone: organization.timezone })
+    .format(transaction.createdAt || new Date());
+  const dayMultiplier = settings.dayMultipliers.find(entry => entry.day === day)?.multiplier ?? 1;
+  const tier = getTier(settings, customer?.loyalty?.lifetimePoints);
+  const tierMultiplier = tier?.multiplier ?? 1;
+
+  const lines = items.map((item, index) => {
+    const category = String(item.category || '').toLowerCase();
+    const categoryMultiplier = settings.categoryMultipliers.find(entry => entry.category === category)?.multiplier ?? 1;
+    const basis = roundCurrency((gross[index] - discounts[index]) * earningShare);
+    const multiplier = categoryMultiplier * dayMultiplier * tierMultiplier;
+    return {
+      itemId: item._id,
+      category,
+      basis,
+      multiplier,
+      points: Math.max(0, Math.floor(basis * settings.pointsPerDollar * multiplier + 1e-9))
+    };
+  });
+
+  return {
+    points: lines.reduce((sum, line) => sum + line.points, 0),
+    pointsPerDollar: settings.pointsPerDollar,
+    day,
+    dayMultiplier,
+    tier: tier?.name || null,
+    tierMultiplier,
+    lines
+  };
+};
+
+/**
+ * Change a customer's balance and write the ledger entry
+ * @param {object} organization - Organization document
+ * @param {string} customerId
+ * @param {object} entry - { type, points, transactionId?, storeCreditId?, description?, details?, userId? }
+ * @param {boolean} [options.requireBalance] - refuse to take the balance below 0 (redeem / convert)
+ * @returns {Promise<object>} the LoyaltyLedgerEntry
+ */
+const postPoints = async (organization, customerId, entry, { requireBalance = false } = {}) => {
+  const { type, points, transactionId, storeCreditId, description, details, userId } = entry;
+  if (!Number.isInteger(points) || points === 0) {
+    throw new LoyaltyError(`Loyalty points must be a non-zero whole number: ${points}`);
+  }
+
+  const lifetimeChange = LIFETIME_ENTRY_TYPES.includes(type) ? points : 0;
+  const filter = { _id: customerId, organizationId: organization.organizationId };
+  if (requireBalance && points < 0) filter['loyalty.points'] = { $gte: -points };
+
+  // Atomic - two registers spending the same points can't both succeed
+  const customer = await Customer.findOneAndUpdate(
+    filter,
+    {
+      $inc: { 'loyalty.points': points, 'loyalty.lifetimePoints': lifetimeChange },
+      $min: { 'loyalty.enrolledAt': new Date() }
+    },
+    { new: true }
+  );
+
+  if (!customer) {
+    const exists = await Customer.findOne({ _id: customerId, organizationId: organization.organizationId }).select('loyalty');
+    if (!exists) throw new LoyaltyError('Customer not found');
+    throw new LoyaltyError(`Not enough loyalty points (${exists.loyalty?.points || 0} available, ${-points} needed)`, {
+      available: exists.loyalty?.points || 0,
+      requested: -points
+    });
+  }
+
+  const tier = getTier(getLoyaltySettings(organization), customer.loyalty.lifetimePoints)?.name || null;
+  if (tier !== (customer.loyalty.tier || null)) {
+    await Customer.updateOne({ _id: customer._id }, { $set: { 'loyalty.tier': tier } });
+    if (tier) console.log(`🏅 ${customer.displayName} reached loyalty tier ${tier}`);
+  }
+
+  return await LoyaltyLedgerEntry.create({
+    organizationId: organization.organizationId,
+    customerId: customer._id,
+    type,
+    points,
+    balanceAfter: customer.loyalty.points,
+    lifetimePointsAfter: customer.loyalty.lifetimePoints,
+    tierAfter: tier,
+    transactionId,
+    storeCreditId,
+    description,
+    details,
+    createdBy: userId
+  });
+};
+
+/**
+ * Undo a ledger entry whose sale / store credit never got saved (no trace left behind)
+ */
+const releasePoints = async (entry) => {
+  await Customer.updateOne(
+    { _id: entry.customerId },
+    {
+      $inc: {
+        'loyalty.points': -entry.points,
+        'loyalty.lifetimePoints': LIFETIME_ENTRY_TYPES.includes(entry.type) ? -entry.points : 0
+      }
+    }
+  );
+  await LoyaltyLedgerEntry.deleteOne({ _id: entry._id });
+};
+
+/**
+ * Points a checkout spends on its 'loyalty' tenders (sets payments[].points)
+ * @returns {number} points (0 when the sale has no loyalty tender)
+ * @throws {LoyaltyError} program off, no customer, under the minimum, not whole points
+ */
+const getRedemptionPoints = (organization, payments, customer) => {
+  const loyaltyPayments = payments.filter(payment => payment.tender === 'loyalty');
+  if (loyaltyPayments.length === 0) return 0;
+
+  const settings = getLoyaltySettings(organization);
+  if (!settings.enabled) {
+    throw new LoyaltyError('The loyalty program is not enabled');
+  }
+  if (!customer) {
+    throw new LoyaltyError('Paying with loyalty points needs a customer (customerId or loyalty number)');
+  }
+
+  loyaltyPayments.forEach(payment => {
+    payment.points = amountToPoints(settings, payment.amount);
+  });
+  const points = loyaltyPayments.reduce((sum, payment) => sum + payment.points, 0);
+
+  if (points < settings.minimumRedemption) {
+    throw new LoyaltyError(`At least ${settings.minimumRedemption} points must be redeemed at once`, {
+      minimumRedemption: settings.minimumRedemption
+    });
+  }
+  return points;
+};
+
+/**
+ * Turn points into a StoreCredit (sourceType 'loyalty')
+ * @returns {Promise<object>} { storeCredit, entry }
+ */
+const convertPointsToStoreCredit = async (organization, customer, points, userId) => {
+  const settings = getLoyaltySettings(organization);
+  if (!settings.enabled) {
+    throw new LoyaltyError('The loyalty program is not enabled');
+  }
+  if (!Number.isInteger(points) || points <= 0) {
+    throw new LoyaltyError(`Points must be a positive whole number: ${points}`);
+  }
+  if (points < settings.minimumRedemption) {
+    throw new LoyaltyError(`At least ${settings.minimumRedemption} points must be converted at once`, {
+      minimumRedemption: settings.minimumRedemption
+    });
+  }
+
+  const amount = pointsToAmount(settings, points);
+  if (!(amount > 0)) {
+    throw new LoyaltyError(`${points} points aren't worth a cent yet`);
+  }
+
+  const entry = await postPoints(organization, customer._id, {
+    type: 'convert',
+    points: -points,
+    description: `Converted to $${amount.toFixed(2)} store credit`,
+    userId
+  }, { requireBalance: true });
+
+  try {
+    const storeCredit = await StoreCredit.create({
+      organizationId: organization.organizationId,
+      creditMemoNumber: await StoreCredit.generateCreditMemoNumber(organization.organizationId),
+      customerId: customer._id,
+      customerName: customer.displayName || 'Loyalty customer',
+      customerEmail: customer.email,
+      customerPhone: customer.phone,
+      originalAmount: amount,
+      remainingBalance: amount,
+      sourceType: 'loyalty',
+      sourceDescription: `${points} loyalty points`,
+      issuedBy: userId
+    });
+
+    entry.storeCreditId = storeCredit._id;
+    await entry.save();
+
+    return { storeCredit, entry };
+  } catch (error) {
+    await releasePoints(entry);
+    throw error;
+  }
+};
+
+/**
+ * What a line refund does to the sale's points - claws back what the returned units earned
+ * and gives back points spent on the loyalty tender. Updates transaction.loyalty (save it).
+ * @param {object} transaction - the sale, items' refundedQuantity already updated
+ * @param {Array} allocation - the refund's tender shares (tenderService.allocateRefund)
+ * @returns {object|null} { customerId, clawedBack, restored }
+ */
+const applyRefundToLoyalty = (organization, transaction, allocation) => {
+  const loyalty = transaction.loyalty;
+  if (!loyalty?.customerId) return null;
+
+  let clawedBack = 0;
+  (loyalty.lines || []).forEach(line => {
+    const item = transaction.items.find(entry => String(entry._id) === String(line.itemId));
+    if (!item || !line.points) return;
+
+    // Cumulative, rounded in the customer's favour - the last unit back takes the rest
+    const target = (item.refundedQuantity || 0) >= item.quantity
+      ? line.points
+      : Math.floor(line.points * (item.refundedQuantity || 0) / item.quantity);
+    const change = target - (line.clawedBack || 0);
+    if (change > 0) {
+      line.clawedBack = target;
+      clawedBack += change;
+    }
+  });
+
+  // At the rate the points were spent (the point value may have changed since)
+  const settings = getLoyaltySettings(organization);
+  const restored = allocation
+    .filter(share => share.tender === 'loyalty')
+    .reduce((sum, share) => {
+      const payment = transaction.payments[share.paymentIndex];
+      const rate = payment?.points && payment.amount ? payment.points / payment.amount : 1 / settings.pointValue;
+      return sum + Math.round(share.amount * rate);
+    }, 0);
+
+  loyalty.pointsClawedBack = (loyalty.pointsClawedBack || 0) + clawedBack;
+  loyalty.pointsRestored = (loyalty.pointsRestored || 0) + restored;
+
+  return { customerId: loyalty.customerId, clawedBack, restored };
+};
+
+/**
+ * Ledger entries for a refund's points (after the refund is saved)
+ */
+const postRefundLoyalty = async (organization, transaction, loyaltyRefund, { receiptNumber, userId }) => {
+  if (!loyaltyRefund) return;
+  const { customerId, clawedBack, restored } = loyaltyRefund;
+
+  if (clawedBack > 0) {
+    await postPoints(organization, customerId, {
+      type: 'clawback',
+      points: -clawedBack,
+      transactionId: transaction._id,
+      description: `Refund ${receiptNumber} on ${transaction.transactionId}`,
+      userId
+    });
+  }
+  if (restored > 0) {
+    await postPoints(organization, customerId, {
+      type: 'refund',
+      points: restored,
+      transactionId: transaction._id,
+      description: `Points returned by refund ${receiptNumber} on ${transaction.transactionId}`,
+      userId
+    });
+  }
+};
+
+module.exports = {
+  LoyaltyError,
+  getLoyaltySettings,
+  getTier,
+  getNextTier,
+  pointsToAmount,
+  amountToPoints,
+  getLoyaltySummary,
+  calculateEarnedPoints,
+  postPoints,
+  releasePoints,
+  getRedemptionPoints,
+  convertPointsToStoreCredit,
+  applyRefundToLoyalty,
+  postRefundLoyalty
+};
@@ -0,0 +1,222 @@
+// backend/services/posTotalsService.js
+// Server-authoritative POS totals - recomputes a sale from Product.pricing, the promotions
+// engine, the declared discount and the tax engine, then compares the result with what the register sent
+
+const { calculateTaxes, allocateDiscount, getMedicalExemption } = require('./taxService');
+const { settlePayments } = require('./tenderService');
+const { applyPromotions } = require('./promotionService');
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+// Register totals checked against the server's (client values that are missing aren't compared)
+const VERIFIED_FIELDS = ['subtotal', 'discountAmount', 'discountedSubtotal', 'taxAmount', 'grandTotal', 'finalTotal', 'changeAmount'];
+
+/**
+ * Error for sales the server refuses to total (bad pricing option, short cash, ...)
+ */
+class PosTotalsError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'PosTotalsError';
+    this.details = details;
+  }
+}
+
+/**
+ * Pricing tier the register sold from - matched on unit, and weight when a product
+ * has several tiers with the same unit. No fallback: an unknown tier is rejected.
+ */
+const findPricingOption = (product, pricingOption = {}) => {
+  const sameUnit = (product.pricing || []).filter(option => option.unit === pricingOption.unit);
+  if (sameUnit.length <= 1) return sameUnit[0] || null;
+  return sameUnit.find(option => Math.abs(option.weight - (pricingOption.weight || 0)) < 0.0001) || null;
+};
+
+/**
+ * Discount amount for the declared discount ({ type: 'percentage' | 'fixed', value })
+ */
+const computeDiscount = (discount, subtotal) => {
+  if (!discount || !discount.type || !discount.value) return 0;
+
+  const value = Number(discount.value);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new PosTotalsError('Discount value must be a positive number');
+  }
+  if (discount.type === 'percentage') {
+    if (value > 100) throw new PosTotalsError('Percentage discount cannot exceed 100%');
+    return roundCurrency(subtotal * value / 100);
+  }
+  if (discount.type === 'fixed') {
+    return roundCurrency(Math.min(value, subtotal));
+  }
+  throw new PosTotalsError(`Unknown discount type: ${discount.type}`);
+};
+
+/**
+ * Compute the sale on the server
+ * @param {object} organization - Organization document
+ * @param {Array} lines - [{ product (Product document), pricingOption, quantity }]
+ * @param {object} options - { discount, payments, customer, clientTaxes } (payments: see tenderService.settlePayments -
+ *   leave out for a quote before payment)
+ * @param {number} [options.age] - customer's age from the scanned ID (senior promotions)
+ * @param {Date} [options.date] - sale date (tax rates and promotions in effect then)
+ * @param {boolean} [options.registerPrices] - charge the price the register sold at (offline sales already
+ *   paid for) - lines where it differs from Product.pricing carry catalogPrice
+ * @returns {Promise<object>} { totals, payments, cashReceived, promotions, declaredDiscount: { amount, excludedLines, excludedBy },
+ *   lines: [{ unitPrice, catalogPrice?, pricingOption, lineTotal, discountAmount, promotions, taxAmount, taxDetails }], taxCalculation }
+ */
+const computePosTotals = async (organization, lines, options = {}) => {
+  const pricedLines = lines.map(({ product, pricingOption, quantity }) => {
+    const option = findPricingOption(product, pricingOption);
+    if (!option) {
+      throw new PosTotalsError(`${product.name} is not sold by the ${pricingOption?.unit || 'requested'} unit`, {
+        productId: product._id,
+        pricingOption
+      });
+    }
+
+    const registerPrice = Number(pricingOption?.price);
+    const price = options.registerPrices && Number.isFinite(registerPrice) && registerPrice >= 0
+      ? roundCurrency(registerPrice)
+      : option.price;
+    return {
+      pricingOption: { unit: option.unit, weight: option.weight, price },
+      unitPrice: price,
+      catalogPrice: Math.abs(price - option.price) > 0.000001 ? option.price : undefined,
+      lineTotal: roundCurrency(price * quantity),
+      category: product.category,
+      weight: (option.weight || 0) * quantity
+    };
+  });
+
+  const subtotal = roundCurrency(pricedLines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+  // Promotions first, then the declared discount on what's left. The declared discount combines like a
+  // stackable promotion: never with an exclusive promotion, and not on lines a non-stackable one has taken
+  const promotions = await applyPromotions(
+    organization,
+    lines.map(({ product, quantity }, index) => ({ product, unitPrice: pricedLines[index].unitPrice, quantity })),
+    { customer: options.customer, age: options.age, date: options.date }
+  );
+  const promotionAmount = promotions.discountAmount;
+
+  const blocking = promotions.promotions.filter(promotion => promotion.exclusive || !promotion.stackable);
+  const excludedLines = new Set(blocking.some(promotion => promotion.exclusive)
+    ? pricedLines.map((line, index) => index)
+    : blocking.flatMap(promotion => promotion.lines.map(line => line.lineIndex)));
+  const discountableLines = pricedLines
+    .map((line, index) => ({ index, amount: roundCurrency(line.lineTotal - promotions.lines[index].discountAmount) }))
+    .filter(line => !excludedLines.has(line.index));
+
+  const declaredDiscount = computeDiscount(
+    options.discount,
+    roundCurrency(discountableLines.reduce((sum, line) => sum + line.amount, 0))
+  );
+  const discountAmount = roundCurrency(promotionAmount + declaredDiscount);
+  const discountedSubtotal = roundCurrency(subtotal - discountAmount);
+
+  const declaredShares = pricedLines.map(() => 0);
+  allocateDiscount(discountableLines.map(line => line.amount), declaredDiscount)
+    .forEach((share, position) => { declaredShares[discountableLines[position].index] = share; });
+  const lineDiscounts = pricedLines.map((line, index) => roundCurrency(promotions.lines[index].discountAmount + declaredShares[index]));
+  const taxes = await calculateTaxes(
+    organization,
+    pricedLines.map((line, index) => ({
+      category: line.category,
+      amount: line.lineTotal - lineDiscounts[index],
+      weight: line.weight
+    })),
+    {
+      customerType: options.customer?.customerType || 'retail',
+      medicalExemption: getMedicalExemption(options.customer),
+      date: options.date
+    }
+  );
+
+  // Without a rate table the register's tax can't be checked - carried over as sent
+  const clientTaxes = options.clientTaxes || {};
+  const taxAmount = taxes ? taxes.breakdown.total : roundCurrency(clientTaxes.taxAmount);
+  const taxBreakdown = taxes ? taxes.breakdown : clientTaxes.taxBreakdown;
+
+  const grandTotal = roundCurrency(discountedSubtotal + taxAmount);
+
+  // Tenders have to add up to the total; store credit and cash change come out of them
+  const { payments, creditApplied, finalTotal, cashReceived, changeAmount } = options.payments
+    ? settlePayments(grandTotal, options.payments)
+    : { payments: [], creditApplied: 0, finalTotal: grandTotal, cashReceived: 0, changeAmount: 0 };
+
+  return {
+    totals: {
+      subtotal,
+      discountAmount,
+      promotionAmount,
+      discountedSubtotal,
+      taxAmount,
+      grandTotal,
+      changeAmount,
+      creditApplied,
+      finalTotal,
+      taxBreakdown
+    },
+    payments,
+    cashReceived,
+    promotions: promotions.promotions,
+    // Lines the declared discount was kept off, and the promotions that kept it off
+    declaredDiscount: {
+      amount: declaredDiscount,
+      excludedLines: [...excludedLines].sort((a, b) => a - b),
+      excludedBy: blocking.map(({ promotionId, name }) => ({ promotionId, name }))
+    },
+    lines: pricedLines.map((line, index) => ({
+      pricingOption: line.pricingOption,
+      unitPrice: line.unitPrice,
+      catalogPrice: line.catalogPrice,
+      lineTotal: line.lineTotal,
+      discountAmount: lineDiscounts[index],
+      promotions: promotions.lines[index].promotions,
+      taxAmount: taxes ? taxes.lines[index].total : undefined,
+      taxDetails: taxes ? taxes.lines[index].details : undefined
+    })),
+    taxCalculation: taxes
+      ? {
+        source: 'engine',
+        asOf: taxes.asOf,
+        jurisdiction: taxes.jurisdiction,
+        customerType: taxes.customerType,
+        medicalExemption: taxes.medicalExemption
+      }
+      : { source: 'client' }
+  };
+};
+
+/**
+ * Compare the register's totals with the server's
+ * @returns {{ status: 'matched'|'mismatch', tolerance: number, mismatches: Array }}
+ */
+const compareTotals = (clientTotals = {}, serverTotals, tolerance = 0.01) => {
+  const mismatches = VERIFIED_FIELDS
+    .filter(field => clientTotals[field] !== undefined && clientTotals[field] !== null)
+    .map(field => {
+      const client = Number(clientTotals[field]);
+      return {
+        field,
+        client: Number.isFinite(client) ? client : clientTotals[field],
+        server: serverTotals[field],
+        difference: Number.isFinite(client) ? roundCurrency(client - serverTotals[field]) : null
+      };
+    })
+    // Small epsilon so a difference of exactly the tolerance still passes
+    .filter(entry => entry.difference === null || Math.abs(entry.difference) > tolerance + 0.000001);
+
+  return {
+    status: mismatches.length > 0 ? 'mismatch' : 'matched',
+    tolerance,
+    mismatches
+  };
+};
+
+module.exports = {
+  PosTotalsError,
+  computePosTotals,
+  compareTotals
+};
@@ -0,0 +1,220 @@
+// backend/services/promotionService.js
+// Promotions engine - works out which promotions (models/Promotion.js) a cart gets and what each
+// one takes off. Discounts are worked out unit by unit so BOGO / bundle groups can span lines;
+// promotions run highest priority first and honour stacking and exclusive promotions.
+
+const Promotion = require('../models/Promotion');
+const { getMedicalExemption } = require('./taxService');
+const { getAge } = require('./idScanService');
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Is a happy hour running at this time? Never outside the store's business hours that day
+ */
+const isHappyHour = (organization, happyHour, date = new Date()) => {
+  const { day, time } = organization.getLocalClock(date);
+  if ((happyHour.days || []).length > 0 && !happyHour.days.includes(day)) return false;
+
+  const hours = organization.getBusinessHours(day);
+  if (!hours?.open || !hours?.close) return false;
+
+  const now = toMinutes(time);
+  const start = Math.max(toMinutes(happyHour.startTime || hours.open), toMinutes(hours.open));
+  const end = Math.min(toMinutes(happyHour.endTime || hours.close), toMinutes(hours.close));
+  return now >= start && now < end;
+};
+
+/**
+ * What the customer qualifies as for customer-group promotions
+ * @param {number} [options.age] - from the scanned ID (walk-ins have no date of birth on file)
+ * @returns {{ medical: boolean, veteran: boolean, age: number|null }}
+ */
+const getCustomerGroups = (organization, customer, { age, date } = {}) => {
+  let customerAge = Number.isInteger(age) ? age : null;
+  if (customerAge === null && customer?.dateOfBirth) {
+    customerAge = getAge(new Date(customer.dateOfBirth).toISOString().slice(0, 10), organization.getLocalDateKey(date));
+  }
+
+  return {
+    medical: getMedicalExemption(customer).eligible,
+    veteran: Boolean(customer?.veteran?.verifiedAt),
+    age: customerAge
+  };
+};
+
+const isCustomerEligible = (promotion, groups) => {
+  if ((promotion.customerGroups || []).length === 0) return true;
+  return promotion.customerGroups.some(group => (
+    group === 'senior'
+      ? groups.age !== null && groups.age >= promotion.seniorAge
+      : groups[group]
+  ));
+};
+
+/**
+ * What one promotion takes off the units it may use
+ * @returns {Map} unit -> discount (BOGO / bundle units that only qualified the deal map to 0)
+ */
+const discountUnits = (promotion, units) => {
+  const discounts = new Map();
+  // Most expensive first - BOGO gives the cheaper units in each group, bundles group like prices
+  const byPrice = [...units].sort((a, b) => b.remaining - a.remaining);
+
+  switch (promotion.type) {
+    case 'percentage':
+      units.forEach(unit => discounts.set(unit, unit.remaining * promotion.value / 100));
+      break;
+    case 'fixed':
+      units.forEach(unit => discounts.set(unit, Math.min(promotion.value, unit.remaining)));
+      break;
+    case 'bogo': {
+      const { buyQuantity, getQuantity, percentOff } = promotion.bogo;
+      const size = buyQuantity + getQuantity;
+      for (let start = 0; start + size <= byPrice.length; start += size) {
+        byPrice.slice(start, start + size).forEach((unit, index) => {
+          discounts.set(unit, index >= buyQuantity ? unit.remaining * percentOff / 100 : 0);
+        });
+      }
+      break;
+    }
+    case 'bundle': {
+      const { quantity, price } = promotion.bundle;
+      for (let start = 0; start + quantity <= byPrice.length; start += quantity) {
+        const group = byPrice.slice(start, start + quantity);
+        const groupTotal = group.reduce((sum, unit) => sum + unit.remaining, 0);
+        if (groupTotal <= price) continue;
+        group.forEach(unit => discounts.set(unit, (groupTotal - price) * unit.remaining / groupTotal));
+      }
+      break;
+    }
+    default:
+      break;
+  }
+  return discounts;
+};
+
+/**
+ * Run promotions in order over the cart's units
+ * @returns {Array} [{ promotion, lines: [{ lineIndex, amount }] }]
+ */
+const runPromotions = (promotions, lines) => {
+  const units = lines.flatMap((line, lineIndex) => Array.from({ length: line.quantity }, () => ({
+    lineIndex,
+    remaining: line.unitPrice,
+    claimed: false,          // Used by a non-stackable promotion - nothing else may touch it
+    stacked: false           // Discounted by a stackable promotion - non-stackable ones skip it
+  })));
+
+  const applied = [];
+  promotions.forEach(promotion => {
+    const available = units.filter(unit => (
+      !unit.claimed &&
+      (promotion.stackable || !unit.stacked) &&
+      promotion.appliesToProduct(lines[unit.lineIndex].product)
+    ));
+    const discounts = discountUnits(promotion, available);
+
+    const byLine = new Map();
+    discounts.forEach((amount, unit) => {
+      byLine.set(unit.lineIndex, (byLine.get(unit.lineIndex) || 0) + amount);
+    });
+    const total = [...byLine.values()].reduce((sum, amount) => sum + amount, 0);
+    if (total < 0.005) return;
+
+    discounts.forEach((amount, unit) => {
+      unit.remaining -= amount;
+      if (promotion.stackable) unit.stacked = true;
+      else unit.claimed = true;
+    });
+
+    applied.push({
+      promotion,
+      lines: [...byLine.entries()]
+        .map(([lineIndex, amount]) => ({ lineIndex, amount: roundCurrency(amount) }))
+        .filter(line => line.amount > 0)
+    });
+  });
+  return applied;
+};
+
+const sumApplied = (applied) => applied.reduce(
+  (sum, { lines }) => sum + lines.reduce((lineSum, line) => lineSum + line.amount, 0),
+  0
+);
+
+/**
+ * Work out the promotions a cart gets
+ * @param {object} organization - Organization document
+ * @param {Array} lines - [{ product (Product document), unitPrice, quantity }]
+ * @param {object} [options.customer] - Customer document
+ * @param {number} [options.age] - customer's age from the scanned ID
+ * @param {Date} [options.date] - time of sale (start / end dates, happy hours)
+ * @param {Array} [options.promotions] - candidates (default: the organization's running promotions)
+ * @returns {Promise<object>} { discountAmount, lines: [{ discountAmount, promotions: [{ promotionId, name, amount }] }],
+ *   promotions: [{ promotionId, name, type, stackable, exclusive, amount, lines: [{ lineIndex, amount }] }] }
+ */
+const applyPromotions = async (organization, lines, options = {}) => {
+  const date = options.date || new Date();
+  const candidates = options.promotions ||
+    await Promotion.findRunning(organization.organizationId, organization.getLocalDateKey(date));
+
+  const groups = getCustomerGroups(organization, options.customer, { age: options.age, date });
+  const eligible = candidates.filter(promotion => (
+    isCustomerEligible(promotion, groups) &&
+    (!promotion.happyHour?.enabled || isHappyHour(organization, promotion.happyHour, date))
+  ));
+
+  // Exclusive promotions don't combine - keep whichever outcome saves the customer more
+  let best = runPromotions(eligible.filter(promotion => !promotion.exclusive), lines);
+  eligible.filter(promotion => promotion.exclusive).forEach(promotion => {
+    const alone = runPromotions([promotion], lines);
+    if (sumApplied(alone) > sumApplied(best) + 0.000001) best = alone;
+  });
+
+  const lineResults = lines.map(() => ({ discountAmount: 0, promotions: [] }));
+  best.forEach(({ promotion, lines: promotionLines }) => {
+    promotionLines.forEach(({ lineIndex, amount }) => {
+      // Rounding can't take a line below 0
+      const lineTotal = roundCurrency(lines[lineIndex].unitPrice * lines[lineIndex].quantity);
+      const capped = roundCurrency(Math.min(amount, lineTotal - lineResults[lineIndex].discountAmount));
+      if (capped <= 0) return;
+      lineResults[lineIndex].discountAmount = roundCurrency(lineResults[lineIndex].discountAmount + capped);
+      lineResults[lineIndex].promotions.push({ promotionId: promotion._id, name: promotion.name, amount: capped });
+    });
+  });
+
+  const promotions = best
+    .map(({ promotion }) => {
+      const promotionLines = lineResults.flatMap((line, lineIndex) => line.promotions
+        .filter(entry => String(entry.promotionId) === String(promotion._id))
+        .map(entry => ({ lineIndex, amount: entry.amount })));
+      return {
+        promotionId: promotion._id,
+        name: promotion.name,
+        type: promotion.type,
+        stackable: promotion.stackable,
+        exclusive: promotion.exclusive,
+        amount: roundCurrency(promotionLines.reduce((sum, line) => sum + line.amount, 0)),
+        lines: promotionLines
+      };
+    })
+    .filter(promotion => promotion.amount > 0);
+
+  return {
+    discountAmount: roundCurrency(lineResults.reduce((sum, line) => sum + line.discountAmount, 0)),
+    lines: lineResults,
+    promotions
+  };
+};
+
+module.exports = {
+  isHappyHour,
+  getCustomerGroups,
+  applyPromotions
+};
@@ -0,0 +1,119 @@
+// backend/services/purchaseLimitService.js
+// Daily cannabis purchase limits - per state rules, totalled across the customer's
+// same-day transactions (org local day), identified by their ID number
+
+const Transaction = require('../models/Transaction');
+
+// ========== RULES BY STATE (Organization.location.state) ==========
+// Each bucket totals grams (pricingOption.weight x quantity) or item count for the lines it matches.
+// Lines match on product category, or on subcategory for products without a category of their own.
+const PURCHASE_LIMIT_RULES = {
+  // California (Cal. Code Regs. tit. 4, § 15409)
+  CA: {
+    adult: [
+      { key: 'flower', label: 'Non-concentrated cannabis', unit: 'g', limit: 28.5, categories: ['flower'] },
+      { key: 'concentrate', label: 'Concentrated cannabis', unit: 'g', limit: 8, categories: ['concentrates'] },
+      { key: 'immaturePlants', label: 'Immature plants', unit: 'count', limit: 6, subcategories: ['clone', 'clones', 'immature plant', 'immature plants', 'seedling', 'seedlings'] }
+    ],
+    medical: [
+      { key: 'flower', label: 'Dried flower', unit: 'g', limit: 226.8, categories: ['flower'] },
+      { key: 'immaturePlants', label: 'Immature plants', unit: 'count', limit: 12, subcategories: ['clone', 'clones', 'immature plant', 'immature plants', 'seedling', 'seedlings'] }
+    ]
+  }
+};
+
+const roundAmount = (value) => Math.round((value || 0) * 1000) / 1000;
+
+const matchesBucket = (bucket, line) => {
+  const category = String(line.category || '').trim().toLowerCase();
+  const subcategory = String(line.subcategory || '').trim().toLowerCase();
+  return (bucket.categories || []).includes(category) || (bucket.subcategories || []).includes(subcategory);
+};
+
+const getLineAmount = (bucket, line) => (
+  bucket.unit === 'count'
+    ? line.quantity || 0
+    : (line.pricingOption?.weight || 0) * (line.quantity || 0)
+);
+
+const sumBucket = (bucket, lines) => lines
+  .filter(line => matchesBucket(bucket, line))
+  .reduce((sum, line) => sum + getLineAmount(bucket, line), 0);
+
+/**
+ * Check a cart against the state's daily limits
+ * @param {object} organization - Organization document (location.state, timezone)
+ * @param {Array} lines - cart lines [{ category, subcategory, pricingOption: { weight }, quantity }]
+ * @param {string} [options.licenseNumber] - customer's ID number (customerInfo.license.number)
+ * @param {boolean} [options.medical] - customer has a valid medical recommendation
+ * @param {string} [options.excludeTransactionId] - skip this transaction when totalling the day
+ * @param {Date} [options.asOf] - sale time - totals that day's purchases (offline sales synced later)
+ * @returns {Promise<object|null>} null when the state has no rules
+ */
+const checkPurchaseLimits = async (organization, lines, options = {}) => {
+  const state = String(organization.location?.state || '').toUpperCase();
+  const rules = PURCHASE_LIMIT_RULES[state];
+  if (!rules) return null;
+
+  const limitType = options.medical ? 'medical' : 'adult';
+  const buckets = rules[limitType];
+  const licenseNumber = options.licenseNumber ? String(options.licenseNumber).trim() : null;
+
+  // Earlier purchases today by the same ID, less whatever has been returned since
+  // (refunded sales count as zero through refundedQuantity, not by being left out)
+  let previousLines = [];
+  if (licenseNumber) {
+    const filter = {
+      organizationId: organization.organizationId,
+      'customerInfo.license.number': licenseNumber,
+      businessDay: organization.getLocalDateKey(options.asOf),
+      isActive: true,
+      status: { $ne: 'voided' },
+      'totals.grandTotal': { $gte: 0 }
+    };
+    if (options.excludeTransactionId) filter.transactionId = { $ne: options.excludeTransactionId };
+
+    const previous = await Transaction.find(filter).select('items').lean();
+    previousLines = previous
+      .flatMap(transaction => transaction.items || [])
+      .map(item => ({ ...item, quantity: Math.max(0, (item.quantity || 0) - (item.refundedQuantity || 0)) }))
+      .filter(item => item.quantity > 0);
+  }
+
+  const results = buckets.map(bucket => {
+    const previousAmount = roundAmount(sumBucket(bucket, previousLines));
+    const cartAmount = roundAmount(sumBucket(bucket, lines));
+    const total = roundAmount(previousAmount + cartAmount);
+    return {
+      key: bucket.key,
+      label: bucket.label,
+      unit: bucket.unit,
+      limit: bucket.limit,
+      purchasedToday: previousAmount,
+      inCart: cartAmount,
+      total,
+      remaining: roundAmount(Math.max(0, bucket.limit - total)),
+      exceeded: total > bucket.limit + 0.0001
+    };
+  });
+
+  const exceeded = results.filter(result => result.exceeded);
+
+  return {
+    state,
+    limitType,
+    licenseNumber,
+    // Without an ID number only this cart can be checked
+    trackedAcrossTransactions: Boolean(licenseNumber),
+    status: exceeded.length > 0 ? 'exceeded' : 'ok',
+    message: exceeded.length > 0
+      ? `Daily purchase limit exceeded: ${exceeded.map(result => `${result.label} ${result.total}${result.unit === 'g' ? 'g' : ''} of ${result.limit}${result.unit === 'g' ? 'g' : ''}`).join('; ')}`
+      : null,
+    buckets: results
+  };
+};
+
+module.exports = {
+  PURCHASE_LIMIT_RULES,
+  checkPurchaseLimits
+};
@@ -0,0 +1,497 @@
+// backend/services/receiptService.js
+// POS receipts - one receipt built from a sale or refund transaction (line refunds and RMA
+// refunds), rendered as ESC/POS bytes for thermal printers, plain text, or HTML for email
+
+const Transaction = require('../models/Transaction');
+const RMA = require('../models/RMA');
+const { sendEmail, escapeHtml } = require('./emailService');
+const { maskNumber } = require('./idScanService');
+
+// Characters per line (font A) by paper width
+const PAPER_WIDTHS = {
+  '58mm': 32,
+  '80mm': 48
+};
+const DEFAULT_PAPER = '80mm';
+
+const RECEIPT_FORMATS = ['escpos', 'text', 'html'];
+
+// Statement printed under the taxes when the organization doesn't set settings.receipt.exciseDisclosure
+const DEFAULT_EXCISE_DISCLOSURES = {
+  CA: 'The cannabis excise taxes are included in the total amount of this invoice.'
+};
+
+const TENDER_LABELS = {
+  cash: 'Cash',
+  debit: 'Debit',
+  card: 'Card',
+  check: 'Check',
+  digital: 'Digital',
+  store_credit: 'Store Credit',
+  gift_card: 'Gift Card',
+  loyalty: 'Loyalty Points'
+};
+
+// ESC/POS commands
+const ESC = 0x1b;
+const GS = 0x1d;
+const ESCPOS = {
+  init: [ESC, 0x40],
+  codePage437: [ESC, 0x74, 0x00],
+  boldOn: [ESC, 0x45, 0x01],
+  boldOff: [ESC, 0x45, 0x00],
+  tallOn: [GS, 0x21, 0x01],    // Double height only - keeps the characters-per-line count
+  tallOff: [GS, 0x21, 0x00],
+  feedAndCut: [ESC, 0x64, 0x04, GS, 0x56, 0x42, 0x00]
+};
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Error for receipt requests that can't be rendered (unknown format / paper width)
+ */
+class ReceiptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReceiptError';
+  }
+}
+
+const formatMoney = (value) => {
+  const amount = roundCurrency(value);
+  return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+};
+
+const personName = (user) => user && typeof user === 'object' && (user.firstName || user.lastName)
+  ? [user.firstName, user.lastName].filter(Boolean).join(' ')
+  : null;
+
+/**
+ * Receipt for a transaction - what every renderer prints
+ * @param {object} transaction - Transaction (populate compliance.employeeId for the budtender's name)
+ * @param {object} organization - Organization document
+ * @param {object} [options.originalTransaction] - sale a line refund was made against
+ * @param {object} [options.rma] - RMA a refund was issued for
+ * @returns {object} receipt
+ */
+const buildReceipt = (transaction, organization, options = {}) => {
+  const { originalTransaction, rma } = options;
+  const isRefund = transaction.transactionType === 'refund';
+  const location = organization.location || {};
+  const receiptSettings = organization.settings?.receipt || {};
+  const totals = transaction.totals || {};
+  const taxBreakdown = totals.taxBreakdown || {};
+  const license = transaction.customerInfo?.license || {};
+  const timestamp = transaction.receiptData?.timestamp || transaction.createdAt || new Date();
+  const sign = isRefund ? -1 : 1;
+
+  const lines = (transaction.items || []).map(item => {
+    const unitPrice = roundCurrency(item.pricingOption?.price || 0);
+    return {
+      name: item.name,
+      sku: item.sku,
+      quantity: item.quantity,
+      unit: item.pricingOption?.unit,
+      weight: item.pricingOption?.weight,
+      unitPrice,
+      amount: roundCurrency(sign * unitPrice * item.quantity),
+      batchNumber: item.cannabis?.batchNumber || null,
+      thc: item.cannabis?.thc || null,
+      cbd: item.cannabis?.cbd || null
+    };
+  });
+
+  // Lines print at their shelf price - discounts (and a refund's share of one) show as one row
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0));
+  const discountedSubtotal = roundCurrency(totals.discountedSubtotal ?? subtotal);
+  const discount = roundCurrency(discountedSubtotal - subtotal);
+  // Sales list their promotions by name - whatever else was taken off stays one Discount row
+  const promotions = isRefund ? [] : (transaction.promotions || []).map(promotion => ({
+    name: promotion.name,
+    amount: -roundCurrency(promotion.amount)
+  }));
+  const otherDiscount = roundCurrency(discount - promotions.reduce((sum, promotion) => sum + promotion.amount, 0));
+
+  const excise = roundCurrency(taxBreakdown.excise || 0);
+  const cultivation = roundCurrency(taxBreakdown.cultivation || 0);
+  const salesTax = roundCurrency((totals.taxAmount || 0) - excise - cultivation);
+  const taxes = [
+    { label: 'Cannabis Excise Tax', amount: excise },
+    { label: 'Cultivation Tax', amount: cultivation },
+    { label: 'Sales Tax', amount: salesTax }
+  ].filter(tax => tax.amount !== 0);
+
+  const payments = (transaction.payments || []).map(payment => ({
+    tender: payment.tender,
+    label: TENDER_LABELS[payment.tender] || payment.tender,
+    amount: roundCurrency(payment.amount),
+    tendered: payment.tendered,
+    reference: payment.reference || null
+  }));
+  const change = roundCurrency(totals.changeAmount ||
+    (transaction.payments || []).reduce((sum, payment) => sum + (payment.change || 0), 0));
+
+  const exciseDisclosure = receiptSettings.exciseDisclosure || DEFAULT_EXCISE_DISCLOSURES[location.state] || null;
+  const hasCannabis = lines.some(line => line.batchNumber || line.thc) || excise !== 0;
+
+  return {
+    type: isRefund ? 'refund' : 'sale',
+    title: isRefund ? 'REFUND' : 'SALES RECEIPT',
+    store: {
+      name: location.facilityName || organization.companyName,
+      addressLines: [
+        location.address,
+        [location.city, [location.state, location.zip].filter(Boolean).join(' ')].filter(Boolean).join(', ')
+      ].filter(Boolean),
+      phone: location.phone || null,
+      licenseNumber: location.licenseNumber || null
+    },
+    receiptNumber: transaction.receiptData?.receiptNumber || transaction.transactionId,
+    transactionId: transaction.transactionId,
+    date: organization.formatLocalDateTime(timestamp),
+    timezone: organization.timezone,
+    budtender: personName(transaction.compliance?.employeeId),
+    registerId: transaction.compliance?.registerId || null,
+    customer: transaction.customerInfo?.name || license.number ? {
+      name: transaction.customerInfo?.name || null,
+      idNumber: maskNumber(license.number),
+      idState: license.state || null,
+      idVerified: license.verification?.status === 'passed'
+    } : null,
+    refund: isRefund ? {
+      originalReceiptNumber: originalTransaction
+        ? originalTransaction.receiptData?.receiptNumber || originalTransaction.transactionId
+        : null,
+      rmaNumber: rma?.rmaNumber || null,
+      reason: rma?.returnReason || originalTransaction?.refunds?.find(refund =>
+        String(refund.refundTransactionId) === String(transaction._id))?.reason || null
+    } : null,
+    lines,
+    subtotal,
+    discount,
+    promotions,
+    otherDiscount,
+    taxes,
+    total: roundCurrency(totals.grandTotal || 0),
+    payments,
+    change,
+    loyalty: transaction.loyalty?.customerId ? {
+      pointsEarned: transaction.loyalty.pointsEarned || 0,
+      pointsRedeemed: transaction.loyalty.pointsRedeemed || 0
+    } : null,
+    stateTrackingNumbers: transaction.compliance?.stateTrackingNumbers || [],
+    disclosures: [
+      hasCannabis && exciseDisclosure,
+      hasCannabis && receiptSettings.warning
+    ].filter(Boolean),
+    footer: receiptSettings.footer || null
+  };
+};
+
+/**
+ * Receipt for a stored transaction - loads the budtender, and the sale / RMA behind a refund
+ */
+const getTransactionReceipt = async (transaction, organization) => {
+  if (transaction.populated && !transaction.populated('compliance.employeeId')) {
+    await transaction.populate('compliance.employeeId', 'firstName lastName');
+  }
+
+  const options = {};
+  if (transaction.transactionType === 'refund') {
+    if (transaction.refundOf) {
+      options.originalTransaction = await Transaction.findOne({
+        _id: transaction.refundOf,
+        organizationId: transaction.organizationId
+      }).select('transactionId receiptData.receiptNumber refunds.refundTransactionId refunds.reason').lean();
+    }
+    options.rma = await RMA.findOne({
+      organizationId: transaction.organizationId,
+      refundTransactionId: transaction._id
+    }).select('rmaNumber returnReason').lean();
+  }
+
+  return buildReceipt(transaction, organization, options);
+};
+
+// ========== PRINTED LAYOUT (text + ESC/POS) ==========
+
+const wrap = (text, width) => {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  const rows = [];
+  let row = '';
+  words.forEach(word => {
+    while (word.length > width) {
+      if (row) {
+        rows.push(row);
+        row = '';
+      }
+      rows.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+    if (!row) row = word;
+    else if (row.length + 1 + word.length <= width) row += ` ${word}`;
+    else {
+      rows.push(row);
+      row = word;
+    }
+  });
+  if (row) rows.push(row);
+  return rows;
+};
+
+const center = (text, width) => {
+  const padding = Math.max(0, Math.floor((width - text.length) / 2));
+  return ' '.repeat(padding) + text;
+};
+
+// "Label ........ $1.00" - the label is cut short if both don't fit
+const leftRight = (left, right, width) => {
+  const room = width - right.length - 1;
+  const label = left.length > room ? left.slice(0, Math.max(0, room)) : left;
+  return label + ' '.repeat(Math.max(1, width - label.length - right.length)) + right;
+};
+
+/**
+ * Printed rows for a receipt - [{ text, bold?, tall? }], each text at most `width` characters
+ */
+const layoutReceipt = (receipt, width) => {
+  const rows = [];
+  const add = (text, style = {}) => rows.push({ text, ...style });
+  const centered = (text, style) => wrap(text, width).forEach(row => add(center(row, width), style));
+  const wrapped = (text, style) => wrap(text, width).forEach(row => add(row, style));
+  const divider = (char = '-') => add(char.repeat(width));
+
+  centered(receipt.store.name || '', { bold: true, tall: true });
+  receipt.store.addressLines.forEach(line => centered(line));
+  if (receipt.store.phone) centered(receipt.store.phone);
+  if (receipt.store.licenseNumber) centered(`License: ${receipt.store.licenseNumber}`);
+  divider('=');
+
+  centered(receipt.title, { bold: true });
+  wrapped(`Receipt: ${receipt.receiptNumber}`);
+  wrapped(`Date: ${receipt.date}`);
+  if (receipt.budtender) wrapped(`Budtender: ${receipt.budtender}`);
+  if (receipt.registerId) wrapped(`Register: ${receipt.registerId}`);
+  if (receipt.refund?.originalReceiptNumber) wrapped(`Original receipt: ${receipt.refund.originalReceiptNumber}`);
+  if (receipt.refund?.rmaNumber) wrapped(`RMA: ${receipt.refund.rmaNumber}`);
+  if (receipt.refund?.reason) wrapped(`Reason: ${receipt.refund.reason}`);
+  if (receipt.customer?.name) wrapped(`Customer: ${receipt.customer.name}`);
+  if (receipt.customer?.idNumber) {
+    wrapped(`ID: ${[receipt.customer.idState, receipt.customer.idNumber].filter(Boolean).join(' ')}${receipt.customer.idVerified ? ' (verified)' : ''}`);
+  }
+  divider();
+
+  receipt.lines.forEach(line => {
+    wrapped(line.name);
+    add(leftRight(`  ${line.quantity} x ${formatMoney(line.unitPrice)}`, formatMoney(line.amount), width));
+    const details = [
+      line.batchNumber && `Batch: ${line.batchNumber}`,
+      line.thc && `THC ${line.thc}%`,
+      line.cbd && `CBD ${line.cbd}%`
+    ].filter(Boolean).join('  ');
+    if (details) wrap(details, width - 2).forEach(row => add(`  ${row}`));
+  });
+  divider();
+
+  add(leftRight('Subtotal', formatMoney(receipt.subtotal), width));
+  receipt.promotions.forEach(promotion => add(leftRight(promotion.name, formatMoney(promotion.amount), width)));
+  if (receipt.otherDiscount) add(leftRight('Discount', formatMoney(receipt.otherDiscount), width));
+  receipt.taxes.forEach(tax => add(leftRight(tax.label, formatMoney(tax.amount), width)));
+  add(leftRight(receipt.type === 'refund' ? 'TOTAL REFUND' : 'TOTAL', formatMoney(receipt.total), width), { bold: true, tall: true });
+  divider();
+
+  receipt.payments.forEach(payment => {
+    const label = receipt.type === 'refund' ? `Refund to ${payment.label}` : payment.label;
+    add(leftRight(payment.reference ? `${label} (${payment.reference})` : label, formatMoney(payment.amount), width));
+    if (payment.tender === 'cash' && payment.tendered) add(leftRight('  Tendered', formatMoney(payment.tendered), width));
+  });
+  if (receipt.change) add(leftRight('Change', formatMoney(receipt.change), width));
+  if (receipt.loyalty) {
+    divider();
+    if (receipt.loyalty.pointsRedeemed) add(leftRight('Loyalty points redeemed', String(receipt.loyalty.pointsRedeemed), width));
+    add(leftRight('Loyalty points earned', String(receipt.loyalty.pointsEarned), width));
+  }
+
+  if (receipt.stateTrackingNumbers.length > 0) {
+    divider();
+    add('Package tags:');
+    receipt.stateTrackingNumbers.forEach(tag => wrap(tag, width - 2).forEach(row => add(`  ${row}`)));
+  }
+
+  if (receipt.disclosures.length > 0 || receipt.footer) {
+    divider();
+    receipt.disclosures.forEach(disclosure => wrapped(disclosure));
+    if (receipt.footer) centered(receipt.footer);
+  }
+
+  return rows;
+};
+
+const getLineWidth = (paper = DEFAULT_PAPER) => {
+  const width = PAPER_WIDTHS[paper];
+  if (!width) {
+    throw new ReceiptError(`Unknown paper width: ${paper} (${Object.keys(PAPER_WIDTHS).join(', ')})`);
+  }
+  return width;
+};
+
+/**
+ * Plain-text receipt (monospaced, sized for the paper width)
+ */
+const renderReceiptText = (receipt, { paper = DEFAULT_PAPER } = {}) => {
+  return layoutReceipt(receipt, getLineWidth(paper)).map(row => row.text).join('\n') + '\n';
+};
+
+// Thermal printers print code page 437 - accents are dropped, anything else becomes '?'
+const toPrinterText = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7e]/g, '?');
+
+/**
+ * ESC/POS byte stream for a 58mm or 80mm thermal printer (ends with feed + partial cut)
+ * @returns {Buffer}
+ */
+const renderReceiptEscPos = (receipt, { paper = DEFAULT_PAPER } = {}) => {
+  const bytes = [...ESCPOS.init, ...ESCPOS.codePage437];
+
+  layoutReceipt(receipt, getLineWidth(paper)).forEach(row => {
+    if (row.bold) bytes.push(...ESCPOS.boldOn);
+    if (row.tall) bytes.push(...ESCPOS.tallOn);
+    bytes.push(...Buffer.from(toPrinterText(row.text), 'ascii'), 0x0a);
+    if (row.tall) bytes.push(...ESCPOS.tallOff);
+    if (row.bold) bytes.push(...ESCPOS.boldOff);
+  });
+
+  bytes.push(...ESCPOS.feedAndCut);
+  return Buffer.from(bytes);
+};
+
+/**
+ * HTML receipt for email
+ */
+const renderReceiptHtml = (receipt) => {
+  const cell = 'padding: 4px 6px;';
+  const amountCell = `${cell} text-align: right; white-space: nowrap;`;
+  const row = (label, amount, bold = false) => `
+                <tr${bold ? ' style="font-weight: bold;"' : ''}>
+                    <td colspan="2" style="${cell}">${escapeHtml(label)}</td>
+                    <td style="${amountCell}">${escapeHtml(formatMoney(amount))}</td>
+                </tr>`;
+
+  const lines = receipt.lines.map(line => {
+    const details = [
+      line.batchNumber && `Batch ${line.batchNumber}`,
+      line.thc && `THC ${line.thc}%`,
+      line.cbd && `CBD ${line.cbd}%`
+    ].filter(Boolean).join(' · ');
+    return `
+                <tr>
+                    <td style="${cell} border-bottom: 1px solid #e5e5e5;">${escapeHtml(line.name)}${details ? `<br><span style="font-size: 11px; color: #666;">${escapeHtml(details)}</span>` : ''}</td>
+                    <td style="${amountCell} border-bottom: 1px solid #e5e5e5;">${escapeHtml(line.quantity)} × ${escapeHtml(formatMoney(line.unitPrice))}</td>
+                    <td style="${amountCell} border-bottom: 1px solid #e5e5e5;">${escapeHtml(formatMoney(line.amount))}</td>
+                </tr>`;
+  }).join('');
+
+  const payments = receipt.payments.map(payment => {
+    const label = receipt.type === 'refund' ? `Refund to ${payment.label}` : payment.label;
+    return row(payment.reference ? `${label} (${payment.reference})` : label, payment.amount);
+  }).join('');
+
+  const details = [
+    ['Receipt #', receipt.receiptNumber],
+    ['Date', receipt.date],
+    ['Budtender', receipt.budtender],
+    ['Register', receipt.registerId],
+    ['Original receipt', receipt.refund?.originalReceiptNumber],
+    ['RMA', receipt.refund?.rmaNumber],
+    ['Reason', receipt.refund?.reason],
+    ['Customer', receipt.customer?.name],
+    ['ID', receipt.customer?.idNumber &&
+      `${[receipt.customer.idState, receipt.customer.idNumber].filter(Boolean).join(' ')}${receipt.customer.idVerified ? ' (verified)' : ''}`]
+  ].filter(([, value]) => value)
+    .map(([label, value]) => `<strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}`)
+    .join('<br>');
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.5; color: #333; }
+        .container { max-width: 480px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #059669, #047857); color: white; padding: 20px; border-radius: 8px 8px 0 0; text-align: center; }
+        .content { background: #fff; padding: 20px; border: 1px solid #e5e5e5; }
+        .info-box { background: #f8f9fa; padding: 12px; border-radius: 6px; margin: 0 0 16px; border-left: 4px solid #059669; font-size: 13px; }
+        .footer { background: #f8f9fa; padding: 15px; border-radius: 0 0 8px 8px; text-align: center; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h2 style="margin: 0;">${escapeHtml(receipt.store.name)}</h2>
+            <div style="font-size: 12px;">${receipt.store.addressLines.map(escapeHtml).join('<br>')}${receipt.store.phone ? `<br>${escapeHtml(receipt.store.phone)}` : ''}</div>
+            ${receipt.store.licenseNumber ? `<div style="font-size: 12px;">License: ${escapeHtml(receipt.store.licenseNumber)}</div>` : ''}
+        </div>
+        <div class="content">
+            <h3 style="margin-top: 0;">${escapeHtml(receipt.title)}</h3>
+            <div class="info-box">${details}</div>
+            <table style="width: 100%; border-collapse: collapse; font-size: 13px;">${lines}${row('Subtotal', receipt.subtotal)}${receipt.promotions.map(promotion => row(promotion.name, promotion.amount)).join('')}${receipt.otherDiscount ? row('Discount', receipt.otherDiscount) : ''}${receipt.taxes.map(tax => row(tax.label, tax.amount)).join('')}${row(receipt.type === 'refund' ? 'Total refund' : 'Total', receipt.total, true)}${payments}${receipt.change ? row('Change', receipt.change) : ''}
+            </table>
+            ${receipt.loyalty ? `<p style="font-size: 12px;">Loyalty points earned: ${escapeHtml(receipt.loyalty.pointsEarned)}${receipt.loyalty.pointsRedeemed ? ` · redeemed: ${escapeHtml(receipt.loyalty.pointsRedeemed)}` : ''}</p>` : ''}
+            ${receipt.stateTrackingNumbers.length > 0 ? `<p style="font-size: 11px; color: #666;">Package tags: ${receipt.stateTrackingNumbers.map(escapeHtml).join(', ')}</p>` : ''}
+            ${receipt.disclosures.map(disclosure => `<p style="font-size: 12px;">${escapeHtml(disclosure)}</p>`).join('')}
+        </div>
+        <div class="footer">
+            <p>${escapeHtml(receipt.footer || 'Thank you for your purchase!')}</p>
+        </div>
+    </div>
+</body>
+</html>`;
+};
+
+/**
+ * Render a receipt in one of RECEIPT_FORMATS
+ * @returns {{ contentType: string, body: string|Buffer }}
+ */
+const renderReceipt = (receipt, format = 'text', options = {}) => {
+  switch (format) {
+    case 'escpos':
+      return { contentType: 'application/octet-stream', body: renderReceiptEscPos(receipt, options) };
+    case 'text':
+      return { contentType: 'text/plain; charset=utf-8', body: renderReceiptText(receipt, options) };
+    case 'html':
+      return { contentType: 'text/html; charset=utf-8', body: renderReceiptHtml(receipt) };
+    default:
+      throw new ReceiptError(`Unknown receipt format: ${format} (${RECEIPT_FORMATS.join(', ')})`);
+  }
+};
+
+/**
+ * Email a receipt (HTML with a plain-text alternative)
+ * @returns {Promise<object>} nodemailer info (messageId, accepted, rejected)
+ */
+const sendReceiptEmail = async (receipt, { to }) => {
+  return await sendEmail({
+    to,
+    subject: `${receipt.type === 'refund' ? 'Refund receipt' : 'Your receipt'} ${receipt.receiptNumber} from ${receipt.store.name}`,
+    html: renderReceiptHtml(receipt),
+    text: renderReceiptText(receipt),
+    fromName: receipt.store.name
+  });
+};
+
+module.exports = {
+  PAPER_WIDTHS,
+  RECEIPT_FORMATS,
+  DEFAULT_EXCISE_DISCLOSURES,
+  ReceiptError,
+  buildReceipt,
+  getTransactionReceipt,
+  renderReceipt,
+  renderReceiptText,
+  renderReceiptEscPos,
+  renderReceiptHtml,
+  sendReceiptEmail
+};
@@ -0,0 +1,182 @@
+// backend/services/recurringInvoiceService.js
+// Generate invoices from templates - on demand or from recurrence schedules (run by invoiceScheduler)
+
+const Invoice = require('../models/Invoice');
+const InvoiceTemplate = require('../models/InvoiceTemplate');
+const RecurringInvoice = require('../models/RecurringInvoice');
+const Organization = require('../models/Organization');
+const Customer = require('../models/Customer');
+const { buildItemSnapshots, buildBillToFromCustomer } = require('./invoiceService');
+const { sendInvoiceWithLog } = require('./invoiceEmailService');
+
+// If the scheduler was down, at most this many missed runs are generated per schedule per pass
+const MAX_CATCH_UP_RUNS = 12;
+
+/**
+ * Create an invoice from a template
+ * Items are re-snapshotted from current Product compliance data, dates use the org timezone
+ * @param {string} [options.invoiceDateKey] - Local date the invoice is for (defaults to today)
+ */
+const createInvoiceFromTemplate = async (template, organization, options = {}) => {
+  const { userId, invoiceDateKey, recurringInvoiceId } = options;
+
+  const todayKey = organization.getLocalDateKey();
+  const dateKey = invoiceDateKey || todayKey;
+  const dueDateKey = Organization.addDaysToDateKey(dateKey, template.dueInDays || 0);
+
+  const templateItems = template.items.map(item => {
+    const { _id, ...rest } = item.toObject ? item.toObject() : item;
+    return rest;
+  });
+  const items = await buildItemSnapshots(templateItems, organization.organizationId);
+
+  // Fall back to the organization's facility details when the template has no seller block
+  const billFrom = template.billFrom?.businessName
+    ? template.billFrom
+    : {
+        businessName: organization.location?.facilityName || organization.companyName,
+        email: organization.billingEmail,
+        phone: organization.location?.phone,
+        address: [organization.location?.address, organization.location?.city, organization.location?.state, organization.location?.zip]
+          .filter(Boolean)
+          .join(', '),
+        licenseNumber: organization.location?.licenseNumber
+      };
+
+  // Current customer details fill in anything the template's Bill To leaves out
+  let billTo = template.billTo?.toObject ? template.billTo.toObject() : template.billTo;
+  if (template.customerId) {
+    const customer = await Customer.findOne({ _id: template.customerId, organizationId: organization.organizationId });
+    if (customer) billTo = buildBillToFromCustomer(customer, billTo);
+  }
+
+  const invoice = new Invoice({
+    organizationId: organization.organizationId,
+    user: userId,
+    createdBy: userId,
+    // Catch-up runs are dated at the start of their scheduled local day
+    invoiceDate: dateKey === todayKey ? new Date() : organization.getLocalDayRange(dateKey).start,
+    // Due by the end of the local due day
+    dueDate: organization.getLocalDayRange(dueDateKey).end,
+    customerId: template.customerId,
+    billFrom,
+    billTo,
+    items,
+    notes: template.notes,
+    paymentTerms: template.paymentTerms,
+    source: recurringInvoiceId ? 'recurring' : 'template',
+    templateId: template._id,
+    recurringInvoiceId
+  });
+
+  await invoice.save();
+
+  console.log('✅ Invoice generated from template:', template.name, '→', invoice.invoiceNumber);
+
+  return invoice;
+};
+
+/**
+ * Generate a single scheduled occurrence and return its history entry
+ */
+const generateOccurrence = async (schedule, organization, scheduledFor) => {
+  const entry = { scheduledFor, generatedAt: new Date() };
+
+  try {
+    const template = await InvoiceTemplate.findOne({
+      _id: schedule.templateId,
+      organizationId: organization.organizationId,
+      isActive: true
+    });
+
+    if (!template) {
+      throw new Error('Invoice template not found or inactive');
+    }
+
+    const invoice = await createInvoiceFromTemplate(template, organization, {
+      userId: schedule.createdBy,
+      invoiceDateKey: scheduledFor,
+      recurringInvoiceId: schedule._id
+    });
+
+    entry.status = 'generated';
+    entry.invoiceId = invoice._id;
+    entry.invoiceNumber = invoice.invoiceNumber;
+
+    if (schedule.autoEmail) {
+      const sendEntry = await sendInvoiceWithLog(invoice, organization, { track: true });
+      entry.emailed = sendEntry.status === 'sent';
+      entry.emailError = sendEntry.error;
+    }
+  } catch (error) {
+    entry.status = 'failed';
+    entry.error = error.message;
+    console.error('❌ Recurring invoice generation failed:', schedule.name, scheduledFor, error.message);
+  }
+
+  return entry;
+};
+
+/**
+ * Generate every due occurrence for an organization's active schedules
+ * @returns {Promise<number>} number of invoices generated
+ */
+const runRecurringInvoices = async (organization, now = new Date()) => {
+  const todayKey = organization.getLocalDateKey(now);
+
+  const schedules = await RecurringInvoice.find({
+    organizationId: organization.organizationId,
+    status: 'active',
+    nextRunDate: { $lte: todayKey }
+  });
+
+  let generated = 0;
+
+  for (let schedule of schedules) {
+    let runs = 0;
+
+    while (schedule && schedule.status === 'active' && schedule.nextRunDate <= todayKey && runs < MAX_CATCH_UP_RUNS) {
+      const scheduledFor = schedule.nextRunDate;
+
+      if (schedule.isFinished(scheduledFor)) {
+        await RecurringInvoice.updateOne({ _id: schedule._id }, { $set: { status: 'completed' } });
+        break;
+      }
+
+      // Claim this occurrence atomically so it can never be generated twice
+      const claimed = await RecurringInvoice.findOneAndUpdate(
+        { _id: schedule._id, status: 'active', nextRunDate: scheduledFor },
+        { $set: { nextRunDate: schedule.getNextRunDate(scheduledFor), lastRunAt: now } },
+        { new: true }
+      );
+      if (!claimed) break;
+
+      const entry = await generateOccurrence(claimed, organization, scheduledFor);
+
+      schedule = await RecurringInvoice.findByIdAndUpdate(
+        claimed._id,
+        {
+          $push: { history: entry },
+          $inc: { occurrencesGenerated: entry.status === 'generated' ? 1 : 0 }
+        },
+        { new: true }
+      );
+
+      if (entry.status === 'generated') generated += 1;
+
+      if (schedule.isFinished()) {
+        schedule.status = 'completed';
+        await RecurringInvoice.updateOne({ _id: schedule._id }, { $set: { status: 'completed' } });
+      }
+
+      runs += 1;
+    }
+  }
+
+  return generated;
+};
+
+module.exports = {
+  createInvoiceFromTemplate,
+  runRecurringInvoices
+};
@@ -0,0 +1,408 @@
+// backend/services/refundService.js
+// Line-level POS refunds - checks what's left to return on each line, works out what the
+// returned units paid (after the sale's discount, with tax), records a negative refund
+// transaction, restocks or quarantines the units, reverses the sale's tenders and claws
+// back the loyalty points the returned units earned
+
+const Transaction = require('../models/Transaction');
+const StoreCredit = require('../models/StoreCredit');
+const Counter = require('../models/Counter');
+const { allocateDiscount } = require('./taxService');
+const { getTransactionPayments, allocateRefund, summarizePaymentMethod } = require('./tenderService');
+const { returnStock } = require('./inventoryService');
+const { getShiftCompliance } = require('./shiftService');
+const { applyRefundToLoyalty, postRefundLoyalty } = require('./loyaltyService');
+
+const DISPOSITIONS = ['restock', 'quarantine'];
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Error for refunds that can't be made (nothing left to return, bad quantity, no drawer for cash, ...)
+ */
+class RefundError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'RefundError';
+    this.details = details;
+  }
+}
+
+/**
+ * Spread an amount over lines in proportion to their weight (last line takes the remainder)
+ */
+const prorate = (weights, total) => {
+  const sum = weights.reduce((acc, weight) => acc + weight, 0);
+  if (!sum || !total) return weights.map(() => 0);
+
+  let remaining = roundCurrency(total);
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) return remaining;
+    const share = roundCurrency(total * weight / sum);
+    remaining = roundCurrency(remaining - share);
+    return share;
+  });
+};
+
+/**
+ * What each line of a sale paid: after its discount (promotions are line-specific - sales from
+ * before promotions spread the discount by line amount), plus its tax
+ * (engine line taxes when present, otherwise the sale's tax spread by line amount)
+ * @returns {Array} [{ paid, tax, taxByType: { excise, cultivation, sales } }] - same order as items
+ */
+const getLineAmounts = (transaction) => {
+  const totals = transaction.totals || {};
+  const items = transaction.items || [];
+
+  const gross = items.map(item => roundCurrency((item.pricingOption?.price || 0) * item.quantity));
+  const hasLineDiscounts = items.every(item => typeof item.discountAmount === 'number');
+  const discounts = hasLineDiscounts
+    ? items.map(item => item.discountAmount)
+    : allocateDiscount(gross, totals.discountAmount || 0);
+  const net = gross.map((amount, index) => roundCurrency(amount - discounts[index]));
+
+  const hasLineTaxes = items.every(item => typeof item.taxAmount === 'number');
+  const taxes = hasLineTaxes ? items.map(item => item.taxAmount) : prorate(net, totals.taxAmount || 0);
+  const excise = prorate(taxes, hasLineTaxes ? 0 : totals.taxBreakdown?.excise || 0);
+  const cultivation = prorate(taxes, hasLineTaxes ? 0 : totals.taxBreakdown?.cultivation || 0);
+
+  return items.map((item, index) => {
+    let taxByType;
+    if (hasLineTaxes && (item.taxDetails || []).length > 0) {
+      const byType = (type) => roundCurrency(item.taxDetails
+        .filter(detail => detail.taxType === type && !detail.exempt)
+        .reduce((sum, detail) => sum + (detail.amount || 0), 0));
+      taxByType = { excise: byType('excise'), cultivation: byType('cultivation'), sales: byType('sales') };
+    } else {
+      taxByType = {
+        excise: excise[index],
+        cultivation: cultivation[index],
+        sales: roundCurrency(taxes[index] - excise[index] - cultivation[index])
+      };
+    }
+
+    return {
+      paid: roundCurrency(net[index] + taxes[index]),
+      tax: roundCurrency(taxes[index]),
+      taxByType
+    };
+  });
+};
+
+/**
+ * Validate the requested lines and price them
+ * @param {object} transaction - the sale
+ * @param {Array} [requested] - [{ itemId, quantity, disposition }] - omitted = everything not yet returned
+ * @returns {Array} [{ item, quantity, amount, tax, taxByType, disposition }]
+ */
+const buildRefundLines = (transaction, requested) => {
+  const amounts = getLineAmounts(transaction);
+
+  const wanted = Array.isArray(requested) && requested.length > 0
+    ? requested
+    : transaction.items
+      .filter(item => item.quantity > (item.refundedQuantity || 0))
+      .map(item => ({ itemId: item._id, quantity: item.quantity - (item.refundedQuantity || 0) }));
+
+  // The same line may be listed twice (e.g. part restocked, part quarantined)
+  const requestedByItem = new Map();  // item index -> { quantity, amount } earlier in this request
+
+  return wanted.map(line => {
+    const index = transaction.items.findIndex(item => String(item._id) === String(line.itemId));
+    if (index === -1) {
+      throw new RefundError(`Item not on this transaction: ${line.itemId}`);
+    }
+    const item = transaction.items[index];
+
+    const disposition = line.disposition || 'restock';
+    if (!DISPOSITIONS.includes(disposition)) {
+      throw new RefundError(`Disposition must be 'restock' or 'quarantine' (${item.name})`);
+    }
+
+    const quantity = Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new RefundError(`Invalid refund quantity for ${item.name}: ${line.quantity}`);
+    }
+
+    const earlier = requestedByItem.get(index) || { quantity: 0, amount: 0 };
+    const remaining = item.quantity - (item.refundedQuantity || 0) - earlier.quantity;
+    if (quantity > remaining) {
+      throw new RefundError(`Only ${Math.max(remaining, 0)} of ${item.name} left to refund`, {
+        itemId: item._id,
+        sold: item.quantity,
+        refunded: item.refundedQuantity || 0,
+        requested: quantity
+      });
+    }
+
+    const { paid, tax, taxByType } = amounts[index];
+    const share = (value) => roundCurrency(value * quantity / item.quantity);
+
+    // Last units out take what the line has left (no rounding drift across partial refunds)
+    const amount = quantity === remaining
+      ? roundCurrency(paid - (item.refundedAmount || 0) - earlier.amount)
+      : share(paid);
+    requestedByItem.set(index, { quantity: earlier.quantity + quantity, amount: earlier.amount + amount });
+
+    return {
+      item,
+      quantity,
+      amount,
+      tax: share(tax),
+      taxByType: {
+        excise: share(taxByType.excise),
+        cultivation: share(taxByType.cultivation),
+        sales: share(taxByType.sales)
+      },
+      disposition
+    };
+  });
+};
+
+/**
+ * Put store credit the sale used back on the credit memo it came from - or, when the memo
+ * can't be found, issue a new one for the amount
+ */
+const reverseStoreCredit = async (transaction, share, userId, registerCode) => {
+  let credit = share.reference
+    ? await StoreCredit.findOne({ organizationId: transaction.organizationId, creditMemoNumber: share.reference })
+    : await StoreCredit.findOne({ organizationId: transaction.organizationId, 'usageHistory.transactionId': transaction._id });
+
+  if (credit && credit.status !== 'voided') {
+    await credit.reverseCredit(share.amount, transaction._id, userId, registerCode);
+    return { creditMemoNumber: credit.creditMemoNumber, amount: share.amount, restored: true, remainingBalance: credit.remainingBalance };
+  }
+
+  credit = await StoreCredit.create({
+    organizationId: transaction.organizationId,
+    creditMemoNumber: await StoreCredit.generateCreditMemoNumber(transaction.organizationId),
+    customerId: transaction.customerId,
+    customerName: transaction.customerInfo?.name || 'POS customer',
+    customerEmail: transaction.customerInfo?.email,
+    customerPhone: transaction.customerInfo?.phone,
+    originalAmount: share.amount,
+    remainingBalance: share.amount,
+    sourceType: 'manual',
+    sourceDescription: `Store credit returned by refund of ${transaction.transactionId}`,
+    issuedBy: userId
+  });
+  return { creditMemoNumber: credit.creditMemoNumber, amount: share.amount, restored: false, remainingBalance: credit.remainingBalance };
+};
+
+/**
+ * Refund lines of a POS sale
+ * @param {object} organization - Organization document
+ * @param {object} transaction - the sale (Transaction document)
+ * @param {object} options - { lines, reason, register, shift, userId } - register / shift are
+ *                           required when any of the refund goes back as cash
+ * @returns {Promise<object>} { refund, refundTransaction, storeCredits }
+ */
+const processLineRefund = async (organization, transaction, options = {}) => {
+  const { reason, register, shift, userId } = options;
+
+  if (!transaction.canBeRefunded()) {
+    throw new RefundError('Transaction cannot be refunded');
+  }
+
+  const lines = buildRefundLines(transaction, options.lines);
+  const taxAmount = roundCurrency(lines.reduce((sum, line) => sum + line.tax, 0));
+  // Never more than the tenders have left (rounding on older sales)
+  const amount = Math.min(
+    roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0)),
+    transaction.refundableAmount
+  );
+  if (!(amount > 0)) {
+    throw new RefundError('Nothing left to refund on these lines');
+  }
+
+  // Sales from before split tender get their payments written out first
+  if (transaction.payments.length === 0) {
+    transaction.payments = getTransactionPayments(transaction);
+  }
+  const allocation = allocateRefund(transaction.payments, amount, organization.settings?.pos?.refundTenderOrder);
+
+  const cashShare = roundCurrency(allocation
+    .filter(share => share.tender === 'cash')
+    .reduce((sum, share) => sum + share.amount, 0));
+  if (cashShare > 0 && !shift) {
+    throw new RefundError(`$${cashShare.toFixed(2)} goes back as cash - a register with an open shift is required`, { cashShare });
+  }
+  const creditShare = roundCurrency(allocation
+    .filter(share => share.tender === 'store_credit')
+    .reduce((sum, share) => sum + share.amount, 0));
+
+  const seq = await Counter.next(organization.organizationId, 'refund');
+  const receiptNumber = `RFD-${String(seq).padStart(6, '0')}`;
+  const now = new Date();
+  const timezone = organization.timezone || 'America/Los_Angeles';
+  const taxBreakdown = ['excise', 'cultivation', 'sales'].reduce((breakdown, type) => {
+    breakdown[type] = roundCurrency(lines.reduce((sum, line) => sum + line.taxByType[type], 0));
+    return breakdown;
+  }, {});
+
+  // ========== REFUND TRANSACTION (negative totals) ==========
+  const refundTransaction = new Transaction({
+    organizationId: transaction.organizationId,
+    transactionId: `TXN-REFUND-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+    transactionType: 'refund',
+    refundOf: transaction._id,
+    businessDay: organization.getLocalDateKey(now),
+    items: lines.map(({ item, quantity, tax }) => ({
+      productId: item.productId,
+      name: item.name,
+      sku: item.sku,
+      category: item.category,
+      subcategory: item.subcategory,
+      pricingOption: item.pricingOption,
+      quantity,
+      cannabis: item.cannabis,
+      taxAmount: -tax
+    })),
+    totals: {
+      subtotal: -roundCurrency(amount - taxAmount),
+      discountAmount: 0,
+      discountedSubtotal: -roundCurrency(amount - taxAmount),
+      taxAmount: -taxAmount,
+      grandTotal: -amount,
+      changeAmount: 0,
+      creditApplied: -creditShare,
+      finalTotal: -roundCurrency(amount - creditShare),
+      taxBreakdown: {
+        total: -taxAmount,
+        excise: -taxBreakdown.excise,
+        cultivation: -taxBreakdown.cultivation
+      }
+    },
+    paymentMethod: summarizePaymentMethod(allocation),
+    payments: allocation.map(share => ({
+      tender: share.tender,
+      amount: -share.amount,
+      reference: share.reference
+    })),
+    cashReceived: 0,
+    customerId: transaction.customerId,
+    customerInfo: {
+      name: transaction.customerInfo?.name,
+      phone: transaction.customerInfo?.phone,
+      email: transaction.customerInfo?.email
+    },
+    status: 'completed',
+    receiptData: {
+      receiptNumber,
+      timestamp: now,
+      localDateString: now.toLocaleDateString('en-US', { timeZone: timezone }),
+      localTimeString: now.toLocaleTimeString('en-US', { timeZone: timezone }),
+      timezone,
+      timezoneOffset: now.getTimezoneOffset()
+    },
+    compliance: {
+      employeeId: userId,
+      ...(shift ? getShiftCompliance(register, shift) : {})
+    },
+    processedAt: now,
+    createdBy: userId
+  });
+  await refundTransaction.validate();
+
+  // ========== ORIGINAL SALE ==========
+  lines.forEach(({ item, quantity, amount: lineAmount }) => {
+    item.refundedQuantity = (item.refundedQuantity || 0) + quantity;
+    item.refundedAmount = roundCurrency((item.refundedAmount || 0) + lineAmount);
+  });
+  allocation.forEach(share => {
+    const payment = transaction.payments[share.paymentIndex];
+    payment.refundedAmount = roundCurrency((payment.refundedAmount || 0) + share.amount);
+  });
+
+  transaction.refunds.push({
+    amount,
+    reason,
+    lines: lines.map(({ item, quantity, amount: lineAmount, tax, disposition }) => ({
+      itemId: item._id,
+      productId: item.productId,
+      name: item.name,
+      quantity,
+      amount: lineAmount,
+      taxAmount: tax,
+      disposition
+    })),
+    taxAmount,
+    taxBreakdown,
+    tenders: allocation.map(share => ({
+      paymentId: transaction.payments[share.paymentIndex]._id,
+      tender: share.tender,
+      amount: share.amount,
+      reference: share.reference
+    })),
+    refundTransactionId: refundTransaction._id,
+    receiptNumber,
+    refundedAt: now,
+    refundedBy: userId
+  });
+
+  // Points earned on the returned units come back off the customer; points spent come back to them
+  const loyaltyRefund = applyRefundToLoyalty(organization, transaction, allocation);
+  if (loyaltyRefund) {
+    transaction.refunds[transaction.refunds.length - 1].loyaltyPoints = {
+      clawedBack: loyaltyRefund.clawedBack,
+      restored: loyaltyRefund.restored
+    };
+  }
+
+  transaction.status = transaction.items.every(item => (item.refundedQuantity || 0) >= item.quantity)
+    ? 'refunded'
+    : 'partially_refunded';
+
+  // Refund transaction first - if the sale can't take the refund it is removed again, so a
+  // saved sale refund always has its refund transaction
+  await refundTransaction.save();
+
+  // Two refunds racing on the same sale - the second save fails the version check
+  try {
+    transaction.increment();
+    await transaction.save();
+  } catch (error) {
+    try {
+      await refundTransaction.deleteOne();
+    } catch (cleanupError) {
+      console.error(`❌ Refund transaction ${refundTransaction.transactionId} saved but ${transaction.transactionId} was not updated - delete it manually:`, cleanupError);
+    }
+    throw error;
+  }
+
+  // ========== STOCK AND STORE CREDIT ==========
+  await returnStock(transaction.organizationId, lines.map(({ item, quantity, disposition }) => ({
+    productId: item.productId,
+    quantity,
+    disposition
+  })));
+
+  const storeCredits = [];
+  for (const share of allocation.filter(entry => entry.tender === 'store_credit')) {
+    try {
+      storeCredits.push(await reverseStoreCredit(transaction, share, userId, register?.code));
+    } catch (error) {
+      console.error(`❌ Failed to return $${share.amount.toFixed(2)} store credit for ${transaction.transactionId} - issue it manually:`, error);
+    }
+  }
+
+  try {
+    await postRefundLoyalty(organization, transaction, loyaltyRefund, { receiptNumber, userId });
+  } catch (error) {
+    console.error(`❌ Refund ${receiptNumber} saved but its loyalty points were not adjusted - adjust them manually:`, error);
+  }
+
+  return {
+    refund: transaction.refunds[transaction.refunds.length - 1],
+    refundTransaction,
+    storeCredits
+  };
+};
+
+module.exports = {
+  DISPOSITIONS,
+  RefundError,
+  getLineAmounts,
+  buildRefundLines,
+  processLineRefund
+};
@@ -0,0 +1,175 @@
+// backend/services/shiftService.js
+// Shift reports - X report (mid-shift, read only) and Z report (captured at close)
+// built from the shift's transactions, refunds, store credit redemptions and drawer movements
+
+const Transaction = require('../models/Transaction');
+const Register = require('../models/Register');
+const Shift = require('../models/Shift');
+const { getTransactionPayments } = require('./tenderService');
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Cash the drawer kept from a sale (what was handed over minus change) -
+ * negative for cash refund transactions
+ */
+const getCashPortion = (transaction) => getTransactionPayments(transaction)
+  .filter(payment => payment.tender === 'cash')
+  .reduce((sum, payment) => sum + (payment.amount || 0), 0);
+
+/**
+ * Look up a register (by _id or code) and its open shift - checkout and cash refunds need both
+ * @returns {Promise<{ register: object|null, shift: object|null }>}
+ */
+const findRegisterShift = async (organizationId, registerValue) => {
+  const register = await Register.findByIdOrCode(organizationId, registerValue);
+  if (!register || !register.isActive) return { register: null, shift: null };
+
+  const shift = await Shift.findOpen(organizationId, register._id);
+  return { register, shift };
+};
+
+/**
+ * Look up a register and the shift that was running on it at a given time - offline sales
+ * synced later belong to the shift they were rung up in, which may have closed since
+ * @returns {Promise<{ register: object|null, shift: object|null }>}
+ */
+const findShiftAt = async (organizationId, registerValue, date) => {
+  const register = await Register.findByIdOrCode(organizationId, registerValue);
+  if (!register) return { register: null, shift: null };
+
+  const shift = await Shift.findOne({
+    organizationId,
+    register: register._id,
+    openedAt: { $lte: date },
+    $or: [{ status: 'open' }, { closedAt: { $gte: date } }]
+  }).sort({ openedAt: -1 });
+  return { register, shift };
+};
+
+/**
+ * What a transaction stores in compliance.registerId / compliance.shift
+ */
+const getShiftCompliance = (register, shift) => ({
+  registerId: register.code,
+  shift: {
+    id: String(shift._id),
+    startTime: shift.openedAt,
+    employee: shift.openedBy
+  }
+});
+
+/**
+ * Build the shift report
+ * @param {object} shift - Shift document
+ * @param {string} type - 'X' (mid-shift) | 'Z' (close)
+ * @param {number} [countedCash] - blind count (Z report)
+ */
+const buildShiftReport = async (shift, type = 'X', countedCash) => {
+  const transactions = await Transaction.find({
+    organizationId: shift.organizationId,
+    'compliance.shift.id': String(shift._id),
+    isActive: true
+  }).lean();
+
+  const sales = { count: 0, subtotal: 0, discounts: 0, tax: 0, total: 0 };
+  const voided = { count: 0, total: 0 };
+  const refunds = { count: 0, total: 0, cash: 0 };
+  const storeCredit = { redemptions: 0, amount: 0 };
+  const paymentMethods = new Map();
+  let cashSales = 0;
+
+  transactions.forEach(transaction => {
+    const totals = transaction.totals || {};
+
+    if (transaction.status === 'voided') {
+      voided.count += 1;
+      voided.total += totals.grandTotal || 0;
+      return;
+    }
+
+    // Cash refunds are recorded as negative transactions
+    if ((totals.grandTotal || 0) < 0) {
+      refunds.count += 1;
+      refunds.total += -totals.grandTotal;
+      refunds.cash += -getCashPortion(transaction);
+      return;
+    }
+
+    sales.count += 1;
+    sales.subtotal += totals.subtotal || 0;
+    sales.discounts += totals.discountAmount || 0;
+    sales.tax += totals.taxAmount || 0;
+    sales.total += totals.grandTotal || 0;
+
+    // By tender - a split-tender sale counts toward each of its tenders
+    getTransactionPayments(transaction).forEach(payment => {
+      const method = paymentMethods.get(payment.tender) || { method: payment.tender, count: 0, total: 0 };
+      method.count += 1;
+      method.total += payment.amount || 0;
+      paymentMethods.set(payment.tender, method);
+    });
+
+    if (totals.creditApplied > 0) {
+      storeCredit.redemptions += 1;
+      storeCredit.amount += totals.creditApplied;
+    }
+
+    cashSales += getCashPortion(transaction);
+  });
+
+  const paidIn = shift.cashMovements
+    .filter(movement => movement.type === 'paid_in')
+    .reduce((sum, movement) => sum + movement.amount, 0);
+  const paidOut = shift.cashMovements
+    .filter(movement => movement.type === 'paid_out')
+    .reduce((sum, movement) => sum + movement.amount, 0);
+
+  const expected = roundCurrency(shift.openingFloat + cashSales - refunds.cash + paidIn - paidOut);
+  const counted = countedCash !== undefined ? roundCurrency(countedCash) : undefined;
+
+  // Money fields to cents (counts and labels untouched)
+  const roundAll = (entry) => Object.fromEntries(
+    Object.entries(entry).map(([key, value]) => [
+      key,
+      typeof value === 'number' && !['count', 'redemptions'].includes(key) ? roundCurrency(value) : value
+    ])
+  );
+
+  return {
+    type,
+    generatedAt: new Date(),
+    shiftId: shift._id,
+    shiftNumber: shift.shiftNumber,
+    registerCode: shift.registerCode,
+    status: shift.status,
+    openedBy: shift.openedBy,
+    openedAt: shift.openedAt,
+    closedBy: shift.closedBy,
+    closedAt: shift.closedAt,
+    transactionCount: transactions.length,
+    sales: roundAll(sales),
+    voided: roundAll(voided),
+    paymentMethods: [...paymentMethods.values()].map(roundAll),
+    refunds: roundAll(refunds),
+    storeCredit: roundAll(storeCredit),
+    cash: {
+      openingFloat: roundCurrency(shift.openingFloat),
+      cashSales: roundCurrency(cashSales),
+      cashRefunds: roundCurrency(refunds.cash),
+      paidIn: roundCurrency(paidIn),
+      paidOut: roundCurrency(paidOut),
+      expected,
+      counted,
+      overShort: counted !== undefined ? roundCurrency(counted - expected) : undefined
+    },
+    cashMovements: shift.cashMovements
+  };
+};
+
+module.exports = {
+  findRegisterShift,
+  findShiftAt,
+  getShiftCompliance,
+  buildShiftReport
+};
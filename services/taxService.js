@@ -0,0 +1,236 @@
+// backend/services/taxService.js
+// Tax engine - computes excise, cultivation and state / county / city sales tax per line
+// from the organization's TaxRate table (never from client-sent amounts)
+
+const TaxRate = require('../models/TaxRate');
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+// Excise first - sales tax rates may include it in their base
+const TAX_ORDER = ['excise', 'cultivation', 'sales'];
+
+const describeJurisdiction = (jurisdiction) => [
+  jurisdiction.state,
+  jurisdiction.county && `${jurisdiction.county} County`,
+  jurisdiction.city
+].filter(Boolean).join(' / ');
+
+const emptyBreakdown = () => ({
+  excise: 0,
+  cultivation: 0,
+  sales: { state: 0, county: 0, city: 0, total: 0 },
+  total: 0
+});
+
+/**
+ * Medical exemption for a Customer document (or none)
+ * @returns {{ eligible: boolean, note: string|null }}
+ */
+const getMedicalExemption = (customer) => {
+  if (!customer || customer.customerType !== 'medical') {
+    return { eligible: false, note: null };
+  }
+  if (customer.hasValidMedicalRecommendation) {
+    return { eligible: true, note: `Medical recommendation ${customer.medical.recommendationNumber}` };
+  }
+  return { eligible: false, note: 'Medical customer without a current recommendation on file - taxed as retail' };
+};
+
+/**
+ * Spread an order-level discount over lines in proportion to their amount
+ * (last line takes the rounding remainder)
+ */
+const allocateDiscount = (amounts, discountAmount) => {
+  const gross = amounts.reduce((sum, amount) => sum + amount, 0);
+  const discount = Math.min(Math.max(discountAmount || 0, 0), gross);
+  if (!gross || !discount) return amounts.map(() => 0);
+
+  let remaining = roundCurrency(discount);
+  return amounts.map((amount, index) => {
+    if (index === amounts.length - 1) return remaining;
+    const share = roundCurrency(discount * amount / gross);
+    remaining = roundCurrency(remaining - share);
+    return share;
+  });
+};
+
+/**
+ * Tax one line against the effective rates
+ */
+const taxLine = (line, rates, { customerType, medicalExemption }) => {
+  const result = {
+    excise: 0,
+    cultivation: 0,
+    sales: { state: 0, county: 0, city: 0 },
+    total: 0,
+    details: []
+  };
+  const taxable = roundCurrency(line.amount);
+
+  TAX_ORDER.forEach(taxType => {
+    rates.filter(rate => rate.taxType === taxType).forEach(rate => {
+      const detail = {
+        rateId: rate._id,
+        name: rate.name,
+        taxType,
+        jurisdiction: describeJurisdiction(rate.jurisdiction),
+        level: rate.level,
+        rateType: rate.rateType,
+        rate: rate.rate,
+        base: 0,
+        amount: 0,
+        exempt: false,
+        exemptReason: null
+      };
+
+      if (!rate.appliesToCategory(line.category)) {
+        detail.exempt = true;
+        detail.exemptReason = `${line.category || 'Uncategorized'} items are not subject to this tax`;
+      } else if (!rate.customerTypes.includes(customerType)) {
+        detail.exempt = true;
+        detail.exemptReason = `Not charged on ${customerType} sales`;
+      } else if (rate.medicalExempt && medicalExemption.eligible) {
+        detail.exempt = true;
+        detail.exemptReason = `Medical exemption (${medicalExemption.note})`;
+      } else if (rate.rateType === 'per_gram') {
+        detail.base = line.weight || 0;
+        detail.amount = roundCurrency(detail.base * rate.rate);
+      } else {
+        detail.base = roundCurrency(taxable + (taxType === 'sales' && rate.includeExciseInBase ? result.excise : 0));
+        detail.amount = roundCurrency(detail.base * rate.rate / 100);
+      }
+
+      if (taxType === 'sales') {
+        result.sales[rate.level] = roundCurrency(result.sales[rate.level] + detail.amount);
+      } else {
+        result[taxType] = roundCurrency(result[taxType] + detail.amount);
+      }
+      result.total = roundCurrency(result.total + detail.amount);
+      result.details.push(detail);
+    });
+  });
+
+  return result;
+};
+
+/**
+ * Calculate taxes for a sale
+ * @param {object} organization - Organization document (location = jurisdiction, timezone)
+ * @param {Array} lines - [{ category, amount (after discount), weight (grams, for per-gram rates) }]
+ * @param {string} [options.customerType] - retail | medical | wholesale
+ * @param {object} [options.medicalExemption] - from getMedicalExemption()
+ * @param {Date} [options.date] - sale date (picks the effective rates)
+ * @returns {Promise<object|null>} null when the organization has no tax rate table yet
+ */
+const calculateTaxes = async (organization, lines, options = {}) => {
+  const hasRates = await TaxRate.exists({ organizationId: organization.organizationId, isActive: true });
+  if (!hasRates) return null;
+
+  const customerType = options.customerType || 'retail';
+  const medicalExemption = options.medicalExemption || { eligible: false, note: null };
+  const asOf = organization.getLocalDateKey(options.date || new Date());
+  const jurisdiction = {
+    state: organization.location?.state || '',
+    county: organization.location?.county || null,
+    city: organization.location?.city || null
+  };
+
+  const rates = await TaxRate.findEffective(organization.organizationId, jurisdiction, asOf);
+
+  const breakdown = emptyBreakdown();
+  const taxedLines = lines.map(line => {
+    const taxed = taxLine(line, rates, { customerType, medicalExemption });
+
+    breakdown.excise += taxed.excise;
+    breakdown.cultivation += taxed.cultivation;
+    ['state', 'county', 'city'].forEach(level => {
+      breakdown.sales[level] += taxed.sales[level];
+    });
+    return taxed;
+  });
+
+  breakdown.excise = roundCurrency(breakdown.excise);
+  breakdown.cultivation = roundCurrency(breakdown.cultivation);
+  ['state', 'county', 'city'].forEach(level => {
+    breakdown.sales[level] = roundCurrency(breakdown.sales[level]);
+  });
+  breakdown.sales.total = roundCurrency(breakdown.sales.state + breakdown.sales.county + breakdown.sales.city);
+  breakdown.total = roundCurrency(breakdown.excise + breakdown.cultivation + breakdown.sales.total);
+
+  return {
+    asOf,
+    jurisdiction,
+    customerType,
+    medicalExemption: medicalExemption.note,
+    lines: taxedLines,
+    breakdown
+  };
+};
+
+/**
+ * Recalculate an invoice's item taxes (called from the Invoice pre-save hook)
+ * Leaves the invoice untouched when the organization has no tax rates configured
+ * @returns {Promise<boolean>} whether the engine taxed the invoice
+ */
+const applyInvoiceTaxes = async (invoice) => {
+  const Organization = require('../models/Organization');
+  const Customer = require('../models/Customer');
+
+  const organization = await Organization.findOne({ organizationId: invoice.organizationId });
+  if (!organization) return false;
+
+  const customer = invoice.customerId
+    ? await Customer.findOne({ _id: invoice.customerId, organizationId: invoice.organizationId })
+    : null;
+
+  const amounts = invoice.items.map(item => item.subtotal || 0);
+  const discounts = allocateDiscount(amounts, invoice.discountAmount);
+
+  const result = await calculateTaxes(
+    organization,
+    invoice.items.map((item, index) => ({
+      category: item.category,
+      amount: amounts[index] - discounts[index],
+      weight: item.weight
+    })),
+    {
+      customerType: invoice.billTo?.customerType || 'retail',
+      medicalExemption: getMedicalExemption(customer),
+      date: invoice.invoiceDate
+    }
+  );
+
+  if (!result) return false;
+
+  invoice.items.forEach((item, index) => {
+    const taxed = result.lines[index];
+    item.cannabisExciseTax = taxed.excise;
+    item.cultivationTax = taxed.cultivation;
+    item.salesTax = roundCurrency(taxed.sales.state + taxed.sales.county + taxed.sales.city);
+    item.taxAmount = taxed.total;
+    // Effective rate, kept for older screens that only read taxPercent
+    item.taxPercent = item.subtotal ? Math.round(taxed.total / item.subtotal * 1000000) / 10000 : 0;
+    item.taxDetails = taxed.details;
+  });
+
+  invoice.salesTaxBreakdown = {
+    state: result.breakdown.sales.state,
+    county: result.breakdown.sales.county,
+    city: result.breakdown.sales.city
+  };
+  invoice.taxCalculation = {
+    source: 'engine',
+    asOf: result.asOf,
+    jurisdiction: result.jurisdiction,
+    medicalExemption: result.medicalExemption
+  };
+
+  return true;
+};
+
+module.exports = {
+  allocateDiscount,
+  calculateTaxes,
+  applyInvoiceTaxes,
+  getMedicalExemption
+};
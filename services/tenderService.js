@@ -0,0 +1,256 @@
+// backend/services/tenderService.js
+// Split tender - a POS sale settled with any mix of cash, debit, card, check, store credit,
+// gift card and loyalty points (Transaction.payments), and refunds sent back to the original tenders
+
+const TENDER_TYPES = ['cash', 'debit', 'card', 'check', 'digital', 'store_credit', 'gift_card', 'loyalty'];
+
+// Refunds go back to the sale's tenders in this order unless the organization sets
+// settings.pos.refundTenderOrder (tenders missing from the order come last)
+const DEFAULT_REFUND_TENDER_ORDER = ['store_credit', 'loyalty', 'gift_card', 'debit', 'card', 'digital', 'check', 'cash'];
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Error for payments that don't settle the sale (unknown tender, short, overpaid, ...)
+ */
+class TenderError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'TenderError';
+    this.details = details;
+  }
+}
+
+/**
+ * Payments as sent by a register that only knows paymentMethod / cashReceived / creditApplied.
+ * The main tender has no amount - it takes whatever store credit doesn't cover.
+ */
+const fromLegacyPayment = ({ paymentMethod, cashReceived, creditApplied }) => {
+  const payments = [];
+  if (Number(creditApplied) > 0) {
+    payments.push({ tender: 'store_credit', amount: Number(creditApplied) });
+  }
+  if (paymentMethod !== 'store_credit') {
+    const tender = !paymentMethod || paymentMethod === 'cash+credit' ? 'cash' : paymentMethod;
+    payments.push(tender === 'cash' ? { tender, tendered: Number(cashReceived) || 0 } : { tender });
+  }
+  return payments;
+};
+
+/**
+ * Settle a sale - checks every tender and works out store credit used, cash taken and change
+ * @param {number} grandTotal - server total for the sale
+ * @param {Array} payments - [{ tender, amount?, tendered?, reference? }] - at most one without an
+ *                           amount (it takes the balance); cash may be over-tendered for change
+ * @returns {object} { payments, creditApplied, finalTotal, cashReceived, changeAmount }
+ */
+const settlePayments = (grandTotal, payments) => {
+  if (!Array.isArray(payments) || payments.length === 0) {
+    throw new TenderError('At least one payment is required');
+  }
+
+  const unknown = payments.find(payment => !TENDER_TYPES.includes(payment.tender));
+  if (unknown) {
+    throw new TenderError(`Unknown tender: ${unknown.tender}`, { tenders: TENDER_TYPES });
+  }
+
+  const balancePayments = payments.filter(payment => payment.amount === undefined || payment.amount === null || payment.amount === '');
+  if (balancePayments.length > 1) {
+    throw new TenderError('Only one payment can take the remaining balance - give the others an amount');
+  }
+
+  const invalid = payments.find(payment => !balancePayments.includes(payment) && !(roundCurrency(Number(payment.amount)) > 0));
+  if (invalid) {
+    throw new TenderError(`Invalid amount for ${invalid.tender}: ${invalid.amount}`);
+  }
+
+  const fixedTotal = roundCurrency(payments
+    .filter(payment => !balancePayments.includes(payment))
+    .reduce((sum, payment) => sum + roundCurrency(Number(payment.amount)), 0));
+  const balance = roundCurrency(grandTotal - fixedTotal);
+
+  if (balancePayments.length === 0 && Math.abs(balance) > 0.001) {
+    throw new TenderError(balance > 0
+      ? `Payments ($${fixedTotal.toFixed(2)}) are short of the total ($${roundCurrency(grandTotal).toFixed(2)})`
+      : `Payments ($${fixedTotal.toFixed(2)}) are more than the total ($${roundCurrency(grandTotal).toFixed(2)}) - over-tendered cash goes in "tendered"`, {
+      amountDue: roundCurrency(grandTotal),
+      paid: fixedTotal
+    });
+  }
+  if (balancePayments.length === 1 && balance < 0) {
+    throw new TenderError(`Payments ($${fixedTotal.toFixed(2)}) already exceed the total ($${roundCurrency(grandTotal).toFixed(2)})`, {
+      amountDue: roundCurrency(grandTotal),
+      paid: fixedTotal
+    });
+  }
+
+  const settled = payments
+    .map(payment => {
+      const amount = balancePayments.includes(payment) ? balance : roundCurrency(Number(payment.amount));
+      const entry = {
+        tender: payment.tender,
+        amount,
+        reference: payment.reference ? String(payment.reference).trim() : undefined
+      };
+
+      // Cash handed over - change comes back out of the drawer
+      if (payment.tender === 'cash') {
+        const tendered = payment.tendered !== undefined && payment.tendered !== null && payment.tendered !== ''
+          ? roundCurrency(Number(payment.tendered))
+          : amount;
+        if (!Number.isFinite(tendered) || tendered < amount) {
+          throw new TenderError(`Cash received ($${roundCurrency(tendered).toFixed(2)}) is less than the cash due ($${amount.toFixed(2)})`, {
+            cashReceived: tendered,
+            amountDue: amount
+          });
+        }
+        entry.tendered = tendered;
+        entry.change = roundCurrency(tendered - amount);
+      }
+      return entry;
+    })
+    // A balance tender with nothing left to pay (credit covered it all)
+    .filter(payment => payment.amount > 0 || payment.tendered > 0);
+
+  const sumTender = (tender, field = 'amount') => roundCurrency(settled
+    .filter(payment => payment.tender === tender)
+    .reduce((sum, payment) => sum + (payment[field] || 0), 0));
+
+  const creditApplied = sumTender('store_credit');
+
+  return {
+    payments: settled,
+    creditApplied,
+    finalTotal: roundCurrency(grandTotal - creditApplied),
+    cashReceived: sumTender('cash', 'tendered'),
+    changeAmount: sumTender('cash', 'change')
+  };
+};
+
+/**
+ * Transaction.paymentMethod summary for a set of payments (kept for filters and older reports)
+ */
+const summarizePaymentMethod = (payments) => {
+  const tenders = [...new Set(payments.map(payment => payment.tender))];
+  if (tenders.length === 0) return 'cash';
+  if (tenders.length === 1) return tenders[0];
+  if (tenders.length === 2 && tenders.includes('cash') && tenders.includes('store_credit')) return 'cash+credit';
+  return 'split';
+};
+
+/**
+ * A transaction's payments - transactions saved before split tender are read from
+ * paymentMethod / totals.creditApplied
+ */
+const getTransactionPayments = (transaction) => {
+  if (Array.isArray(transaction.payments) && transaction.payments.length > 0) {
+    return transaction.payments;
+  }
+
+  const totals = transaction.totals || {};
+  const creditApplied = totals.creditApplied || 0;
+  const payments = [];
+  if (creditApplied) payments.push({ tender: 'store_credit', amount: creditApplied, refundedAmount: 0 });
+
+  const amount = roundCurrency((totals.grandTotal || 0) - creditApplied);
+  if (amount) {
+    const tender = transaction.paymentMethod === 'cash+credit' ? 'cash' : transaction.paymentMethod || 'cash';
+    payments.push({ tender, amount, refundedAmount: 0 });
+  }
+  return payments;
+};
+
+/**
+ * Aggregation stages that unwind a transaction into one document per tender ($tender),
+ * falling back to the legacy fields for transactions without payments
+ */
+const tenderAggregationStages = () => [
+  {
+    $addFields: {
+      tender: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$payments', []] } }, 0] },
+          '$payments',
+          {
+            $filter: {
+              input: [
+                {
+                  tender: { $cond: [{ $eq: ['$paymentMethod', 'cash+credit'] }, 'cash', '$paymentMethod'] },
+                  amount: { $subtract: ['$totals.grandTotal', { $ifNull: ['$totals.creditApplied', 0] }] },
+                  tendered: { $ifNull: ['$cashReceived', 0] },
+                  refundedAmount: 0
+                },
+                {
+                  tender: 'store_credit',
+                  amount: { $ifNull: ['$totals.creditApplied', 0] },
+                  refundedAmount: 0
+                }
+              ],
+              as: 'payment',
+              cond: { $ne: ['$$payment.amount', 0] }
+            }
+          }
+        ]
+      }
+    }
+  },
+  { $unwind: '$tender' }
+];
+
+/**
+ * Split a refund across the sale's tenders
+ * @param {Array} payments - the sale's payments (refundedAmount = already returned)
+ * @param {number} amount - refund amount
+ * @param {Array} [order] - tender order (organization.settings.pos.refundTenderOrder)
+ * @returns {Array} [{ paymentIndex, tender, amount, reference }]
+ */
+const allocateRefund = (payments, amount, order = DEFAULT_REFUND_TENDER_ORDER) => {
+  const rank = (tender) => {
+    const index = (order && order.length ? order : DEFAULT_REFUND_TENDER_ORDER).indexOf(tender);
+    return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+  };
+
+  const refundable = payments
+    .map((payment, paymentIndex) => ({
+      paymentIndex,
+      tender: payment.tender,
+      reference: payment.reference,
+      available: roundCurrency((payment.amount || 0) - (payment.refundedAmount || 0))
+    }))
+    .filter(payment => payment.available > 0)
+    .sort((a, b) => rank(a.tender) - rank(b.tender) || a.paymentIndex - b.paymentIndex);
+
+  const available = roundCurrency(refundable.reduce((sum, payment) => sum + payment.available, 0));
+  if (roundCurrency(amount) > available + 0.001) {
+    throw new TenderError(`Refund ($${roundCurrency(amount).toFixed(2)}) is more than what's left to refund ($${available.toFixed(2)})`, {
+      refundable: available
+    });
+  }
+
+  let remaining = roundCurrency(amount);
+  const allocation = [];
+  refundable.forEach(payment => {
+    if (remaining <= 0) return;
+    const share = roundCurrency(Math.min(remaining, payment.available));
+    allocation.push({
+      paymentIndex: payment.paymentIndex,
+      tender: payment.tender,
+      amount: share,
+      reference: payment.reference
+    });
+    remaining = roundCurrency(remaining - share);
+  });
+  return allocation;
+};
+
+module.exports = {
+  TENDER_TYPES,
+  DEFAULT_REFUND_TENDER_ORDER,
+  TenderError,
+  fromLegacyPayment,
+  settlePayments,
+  summarizePaymentMethod,
+  getTransactionPayments,
+  tenderAggregationStages,
+  allocateRefund
+};